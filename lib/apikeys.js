@@ -0,0 +1,258 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { isSupportedEncoding, resolveEncoding } = require('./encodings');
+
+// API keys for servers shared between clients (e.g. several teams' CI). Keys
+// are loaded from a JSON file:
+//
+//   {
+//     "defaults": { "requestsPerMinute": 600 },
+//     "keys": [
+//       {
+//         "name": "team-a",                  // Client name, scoping its files
+//         "key": "...",                      // Or "keySha256": hex digest of the key
+//         "requestsPerMinute": 120,
+//         "bytesPerDay": 10737418240,        // Bytes stored per UTC day
+//         "maxFileSize": 104857600,          // Bytes per stored file
+//         "encodings": ["base64", "hex"],    // Encodings it may upload
+//         "routes": ["POST /upload-*", "GET /files*"]
+//       }
+//     ]
+//   }
+//
+// Settings a key does not give come from "defaults"; a missing, null or 0
+// limit is no limit. Without "encodings" or "routes" every encoding or route is allowed.
+// Route patterns are an optional method (HEAD counts as GET) and a path where
+// `*` matches anything.
+
+const NAME_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+const LIMITS = ['requestsPerMinute', 'bytesPerDay', 'maxFileSize'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiles a route pattern ('POST /upload-*', '/files*'), or returns null if
+// it is malformed
+function compileRoute(pattern) {
+  const match = typeof pattern === 'string' ? /^(?:([A-Z]+|\*)\s+)?(\/\S*)$/.exec(pattern.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    method: match[1] && match[1] !== '*' ? match[1] : null,
+    path: new RegExp(`^${match[2].split('*').map(escapeRegExp).join('.*')}$`)
+  };
+}
+
+// Reads the API keys in `file`. Throws, naming the file and entry, when it
+// cannot be read or an entry is invalid. Returns { size, authenticate(key) },
+// authenticate giving the client { name, limits, encodings, routes } a key
+// belongs to, or null.
+function loadApiKeys(file) {
+  const invalid = (message) => new Error(`Invalid API keys file ${file}: ${message}`);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw invalid(e.message);
+  }
+  if (!config || !Array.isArray(config.keys)) {
+    throw invalid('expected an object with a "keys" array');
+  }
+  const defaults = config.defaults || {};
+
+  const clients = new Map();
+  const names = new Set();
+  config.keys.forEach((entry, i) => {
+    const where = `keys[${i}]`;
+    if (!entry || typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name)) {
+      throw invalid(`${where}: name may only contain letters, digits and "._:-" (at most 64 characters)`);
+    }
+    if (names.has(entry.name)) {
+      throw invalid(`${where}: duplicate name ${entry.name}`);
+    }
+    let hash = null;
+    if (typeof entry.key === 'string' && entry.key !== '') {
+      hash = hashKey(entry.key);
+    } else if (typeof entry.keySha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.keySha256)) {
+      hash = entry.keySha256.toLowerCase();
+    }
+    if (!hash) {
+      throw invalid(`${where}: needs a "key" or a hex "keySha256"`);
+    }
+    if (clients.has(hash)) {
+      throw invalid(`${where}: same key as ${clients.get(hash).name}`);
+    }
+
+    const limits = {};
+    LIMITS.forEach(limit => {
+      const value = entry[limit] !== undefined ? entry[limit] : defaults[limit];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw invalid(`${where}: ${limit} must be a non-negative integer`);
+      }
+      limits[limit] = value || null;
+    });
+
+    const encodings = entry.encodings !== undefined ? entry.encodings : defaults.encodings;
+    if (encodings !== undefined && (!Array.isArray(encodings) || !encodings.every(isSupportedEncoding))) {
+      throw invalid(`${where}: encodings must be a list of supported encodings`);
+    }
+    const patterns = entry.routes !== undefined ? entry.routes : defaults.routes;
+    const routes = Array.isArray(patterns) ? patterns.map(compileRoute) : null;
+    if (patterns !== undefined && (!routes || routes.includes(null))) {
+      throw invalid(`${where}: routes must be a list of "[METHOD] /path" patterns`);
+    }
+
+    names.add(entry.name);
+    clients.set(hash, {
+      name: entry.name,
+      limits: limits,
+      encodings: encodings ? encodings.map(resolveEncoding) : null,
+      routes: routes
+    });
+  });
+
+  return {
+    size: clients.size,
+    authenticate(key) {
+      return typeof key === 'string' && key !== '' ? clients.get(hashKey(key)) || null : null;
+    }
+  };
+}
+
+function routeAllowed(client, method, path) {
+  if (!client.routes) {
+    return true;
+  }
+  const effective = method === 'HEAD' ? 'GET' : method;
+  return client.routes.some(route => (!route.method || route.method === effective) && route.path.test(path));
+}
+
+// Encodings are compared by canonical name, so an alias is allowed along
+// with the encoding it names
+function encodingAllowed(client, encoding) {
+  return !client.encodings || client.encodings.includes(resolveEncoding(encoding));
+}
+
+// Tracks each client's requests per minute (in fixed one-minute windows) and
+// bytes stored per UTC day. Usage is kept in memory, so it starts over when
+// the server restarts.
+function createUsageTracker() {
+  const usage = new Map();
+
+  const entry = (name, now) => {
+    const day = now - now % DAY;
+    let item = usage.get(name);
+    if (!item) {
+      // reserved: bytes held by uploads still in progress, which outlive a
+      // change of day
+      item = { window: now, requests: 0, day: day, bytes: 0, reserved: 0 };
+      usage.set(name, item);
+    }
+    if (now - item.window >= MINUTE) {
+      item.window = now;
+      item.requests = 0;
+    }
+    if (item.day !== day) {
+      item.day = day;
+      item.bytes = 0;
+    }
+    return item;
+  };
+
+  const describe = (client, item, now) => ({
+    requests: {
+      limit: client.limits.requestsPerMinute,
+      used: item.requests,
+      resetsIn: Math.ceil((item.window + MINUTE - now) / 1000)
+    },
+    bytes: {
+      limit: client.limits.bytesPerDay,
+      used: item.bytes,
+      resetsIn: Math.ceil((item.day + DAY - now) / 1000)
+    }
+  });
+
+  return {
+    // Counts a request unless it would exceed the client's rate limit.
+    // Returns { allowed, limit, remaining, retryAfter } (seconds).
+    takeRequest(client, now = Date.now()) {
+      const item = entry(client.name, now);
+      const limit = client.limits.requestsPerMinute;
+      const allowed = !limit || item.requests < limit;
+      if (allowed) {
+        item.requests++;
+      }
+      return {
+        allowed: allowed,
+        limit: limit,
+        remaining: limit ? limit - item.requests : null,
+        retryAfter: Math.ceil((item.window + MINUTE - now) / 1000)
+      };
+    },
+
+    // Bytes the client may still store today (Infinity without a limit), and
+    // seconds until that resets
+    bytesRemaining(client, now = Date.now()) {
+      const item = entry(client.name, now);
+      const limit = client.limits.bytesPerDay;
+      return {
+        remaining: limit ? Math.max(0, limit - item.bytes - item.reserved) : Infinity,
+        retryAfter: Math.ceil((item.day + DAY - now) / 1000)
+      };
+    },
+
+    addBytes(client, bytes, now = Date.now()) {
+      entry(client.name, now).bytes += bytes;
+    },
+
+    // Holds bytes of the client's quota for a file being uploaded, so
+    // concurrent uploads cannot together go past it. take(bytes) holds more,
+    // or returns false when they do not fit; release() gives back everything
+    // held, once the file is counted by addBytes or has failed.
+    reserve(client) {
+      let held = 0;
+      return {
+        client: client,
+        take(bytes, now = Date.now()) {
+          const item = entry(client.name, now);
+          const limit = client.limits.bytesPerDay;
+          if (limit && item.bytes + item.reserved + bytes > limit) {
+            return false;
+          }
+          item.reserved += bytes;
+          held += bytes;
+          return true;
+        },
+        release() {
+          if (held > 0) {
+            usage.get(client.name).reserved -= held;
+            held = 0;
+          }
+        }
+      };
+    },
+
+    // The client's limits and current usage
+    report(client, now = Date.now()) {
+      return describe(client, entry(client.name, now), now);
+    }
+  };
+}
+
+module.exports = {
+  loadApiKeys,
+  routeAllowed,
+  encodingAllowed,
+  createUsageTracker
+};
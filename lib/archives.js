@@ -0,0 +1,536 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createDigestStream } = require('./digest');
+
+// Reading of uploaded zip, tar and gzipped tar archives: a manifest of their
+// entries with sizes and digests, and optionally each file entry extracted to
+// a temporary file. Archives are rejected as a whole when anything about them
+// is unsafe to extract:
+//   - paths that are absolute or climb out of the archive with '..' (zip
+//     slip), or are not unique
+//   - symbolic and hard links, devices and FIFOs
+//   - more than `maxEntries` entries, or more than `maxSize` bytes of
+//     content in total, as declared or as actually read
+// Unsupported variants (encrypted or ZIP64 zips, compression methods other
+// than stored and deflate) are rejected too.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+// The end record is 22 bytes plus a comment of up to 64KB
+const ZIP_END_SEARCH_SIZE = 22 + 0xFFFF;
+const MAX_ZIP_DIRECTORY_SIZE = 16 * 1024 * 1024;
+
+const TAR_BLOCK_SIZE = 512;
+// pax and GNU long name headers are read into memory
+const MAX_TAR_METADATA_SIZE = 1024 * 1024;
+
+// Unix file type bits of a zip entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const S_IFDIR = 0o040000;
+
+const GZIP_MAGIC = Buffer.from([0x1F, 0x8B]);
+
+function archiveError(message) {
+  return Object.assign(new Error(message), { code: 'ARCHIVE_INVALID' });
+}
+
+function isTarHeader(block) {
+  return block.length >= 263 && block.toString('latin1', 257, 262) === 'ustar';
+}
+
+// The archive format of a file from its first bytes ('zip', 'tar' or
+// 'tar.gz'), or null
+function detectArchive(head) {
+  if (head.length >= 4 && (head.readUInt32LE(0) === ZIP_LOCAL_HEADER || head.readUInt32LE(0) === ZIP_END_OF_DIRECTORY)) {
+    return 'zip';
+  }
+  if (isTarHeader(head)) {
+    return 'tar';
+  }
+  if (head.subarray(0, 2).equals(GZIP_MAGIC)) {
+    try {
+      const inflated = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      return isTarHeader(inflated) ? 'tar.gz' : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// An entry path as a relative POSIX path, or an error for paths that would
+// land outside the extraction directory. The archive root ('./', as tar
+// writes it) is '.'.
+function safeEntryPath(name) {
+  const unified = name.replace(/\\/g, '/');
+  if (unified.startsWith('/') || /^[A-Za-z]:/.test(unified)) {
+    throw archiveError(`Entry ${JSON.stringify(name)} has an absolute path`);
+  }
+  if (unified.includes('\0')) {
+    throw archiveError(`Entry ${JSON.stringify(name)} contains a NUL character`);
+  }
+  const normalized = path.posix.normalize(unified).replace(/\/$/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw archiveError(`Entry ${JSON.stringify(name)} points outside the archive`);
+  }
+  if (normalized === '') {
+    throw archiveError('Entry has no name');
+  }
+  return normalized;
+}
+
+// Counts the bytes of an entry's content (kept as `size`), failing when it
+// exceeds its own declared size or the archive's remaining allowance
+function createEntryCounter(entry, declaredSize, remaining) {
+  const counter = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      counter.size += chunk.length;
+      const size = counter.size;
+      if (size > remaining) {
+        return callback(archiveError('Archive content exceeds the extraction size limit'));
+      }
+      if (declaredSize !== null && size > declaredSize) {
+        return callback(archiveError(`Entry ${entry.path} is larger than its declared ${declaredSize} bytes`));
+      }
+      callback(null, chunk);
+    }
+  });
+  counter.size = 0;
+  return counter;
+}
+
+// Collects the entries of an archive. `format` is as from detectArchive,
+// `options`:
+//   maxEntries, maxSize - limits as described above
+//   extractTo           - directory to extract file entries to (each one
+//                         gets a `tmpPath`); without it entries are only read
+//                         for their digests
+// Resolves with { format, entries, size }, entries being { path, type
+// ('file' or 'directory'), size, compressedSize (zip only), mtime, digests,
+// tmpPath }. Temporary files are removed again when the archive is rejected.
+async function readArchive(filePath, format, options = {}) {
+  const state = {
+    maxEntries: options.maxEntries || Infinity,
+    maxSize: options.maxSize || Infinity,
+    extractTo: options.extractTo || null,
+    entries: [],
+    paths: new Set(),
+    size: 0
+  };
+  try {
+    if (format === 'zip') {
+      await readZip(filePath, state);
+    } else if (format === 'tar' || format === 'tar.gz') {
+      const source = fs.createReadStream(filePath);
+      const gunzip = format === 'tar.gz' ? zlib.createGunzip() : null;
+      if (gunzip) {
+        source.on('error', e => gunzip.destroy(e));
+      }
+      try {
+        await readTar(gunzip ? source.pipe(gunzip) : source, state);
+      } catch (e) {
+        throw e.code === 'ARCHIVE_INVALID' ? e : archiveError(`Archive is corrupt: ${e.message}`);
+      } finally {
+        source.destroy();
+      }
+    } else {
+      throw archiveError(`Unsupported archive format: ${format}`);
+    }
+  } catch (e) {
+    removeExtracted(state.entries);
+    throw e;
+  }
+  return { format: format, entries: state.entries, size: state.size };
+}
+
+// Removes the temporary files of extracted entries
+function removeExtracted(entries) {
+  entries.filter(entry => entry.tmpPath).forEach(entry => fs.unlink(entry.tmpPath, () => {}));
+}
+
+// Registers an entry, enforcing the entry count and unique paths
+function addEntry(state, entry) {
+  if (state.entries.length >= state.maxEntries) {
+    throw archiveError(`Archive has more than ${state.maxEntries} entries`);
+  }
+  if (state.paths.has(entry.path)) {
+    throw archiveError(`Entry ${entry.path} appears more than once`);
+  }
+  state.paths.add(entry.path);
+  state.entries.push(entry);
+  return entry;
+}
+
+// Reads a file entry's content through `stages` (a source and any decoding
+// streams), digesting it and extracting it when asked to
+async function readEntryContent(state, entry, stages, declaredSize) {
+  const digester = createDigestStream();
+  const counter = createEntryCounter(entry, declaredSize, state.maxSize - state.size);
+  let output;
+  if (state.extractTo) {
+    entry.tmpPath = path.join(state.extractTo, crypto.randomBytes(12).toString('hex'));
+    output = fs.createWriteStream(entry.tmpPath);
+  } else {
+    output = new Writable({ write: (chunk, chunkEncoding, callback) => callback() });
+  }
+  await pipeline(...stages, counter, digester, output);
+  entry.size = counter.size;
+  entry.digests = digester.digests();
+  state.size += counter.size;
+}
+
+// MS-DOS date and time fields, taken as UTC as zip records no time zone
+function dosTime(date, time) {
+  const value = new Date(Date.UTC(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F,
+    time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2));
+  return date === 0 || Number.isNaN(value.getTime()) ? null : value.toISOString();
+}
+
+async function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fd.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Zip archives are read from their central directory, which has each entry's
+// final sizes, then each entry's data from its local header
+async function readZip(filePath, state) {
+  const fd = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await fd.stat();
+    const tailStart = Math.max(0, size - ZIP_END_SEARCH_SIZE);
+    const tail = await readBytes(fd, tailStart, size - tailStart);
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw archiveError('Zip archive has no end of central directory record');
+    }
+
+    const count = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (count === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+      throw archiveError('ZIP64 archives are not supported');
+    }
+    if (count > state.maxEntries) {
+      throw archiveError(`Archive has more than ${state.maxEntries} entries`);
+    }
+    if (directorySize > MAX_ZIP_DIRECTORY_SIZE || directoryOffset + directorySize > tailStart + end) {
+      throw archiveError('Zip central directory is corrupt');
+    }
+
+    const directory = await readBytes(fd, directoryOffset, directorySize);
+    const records = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+        throw archiveError('Zip central directory is corrupt');
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const flags = directory.readUInt16LE(offset + 8);
+      const rawName = directory.subarray(offset + 46, offset + 46 + nameLength);
+      records.push({
+        // Bit 11: the name is UTF-8; otherwise it is in code page 437
+        name: flags & 0x0800 ? rawName.toString('utf8') : iconv.decode(rawName, 'cp437'),
+        madeBy: directory.readUInt16LE(offset + 4) >> 8,
+        flags: flags,
+        method: directory.readUInt16LE(offset + 10),
+        mtime: dosTime(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12)),
+        crc: directory.readUInt32LE(offset + 16),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        attributes: directory.readUInt32LE(offset + 38),
+        localOffset: directory.readUInt32LE(offset + 42)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const declared = records.reduce((sum, record) => sum + record.size, 0);
+    if (declared > state.maxSize) {
+      throw archiveError(`Archive expands to ${declared} bytes, more than the ${state.maxSize} byte limit`);
+    }
+
+    for (const record of records) {
+      await readZipEntry(fd, filePath, state, record);
+    }
+  } finally {
+    await fd.close();
+  }
+}
+
+async function readZipEntry(fd, filePath, state, record) {
+  // Unix-made archives keep the file mode in the high external attribute bits
+  const mode = record.madeBy === 3 ? record.attributes >>> 16 : 0;
+  if ((mode & S_IFMT) === S_IFLNK) {
+    throw archiveError(`Entry ${JSON.stringify(record.name)} is a symbolic link`);
+  }
+  const isDirectory = record.name.endsWith('/') || record.name.endsWith('\\') || (mode & S_IFMT) === S_IFDIR;
+  const entryPath = safeEntryPath(record.name);
+  if (entryPath === '.') {
+    if (isDirectory) {
+      return;
+    }
+    throw archiveError(`Entry ${JSON.stringify(record.name)} has no name`);
+  }
+  const entry = addEntry(state, {
+    path: entryPath,
+    type: isDirectory ? 'directory' : 'file',
+    size: 0,
+    compressedSize: record.compressedSize,
+    mtime: record.mtime
+  });
+  if (isDirectory) {
+    return;
+  }
+  if (record.flags & 0x0001) {
+    throw archiveError(`Entry ${entry.path} is encrypted`);
+  }
+  if (record.method !== 0 && record.method !== 8) {
+    throw archiveError(`Entry ${entry.path} uses unsupported compression method ${record.method}`);
+  }
+
+  const local = await readBytes(fd, record.localOffset, 30);
+  if (local.length < 30 || local.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw archiveError(`Entry ${entry.path} has no local header`);
+  }
+  const start = record.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+  const stages = [record.compressedSize > 0
+    ? fs.createReadStream(filePath, { start: start, end: start + record.compressedSize - 1 })
+    : Readable.from([])];
+  if (record.method === 8) {
+    stages.push(zlib.createInflateRaw());
+  }
+
+  // zlib.crc32 needs Node 20.15 or later; older versions skip the check
+  let crc = 0;
+  stages.push(new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      crc = zlib.crc32 ? zlib.crc32(chunk, crc) : crc;
+      callback(null, chunk);
+    }
+  }));
+  try {
+    await readEntryContent(state, entry, stages, record.size);
+  } catch (e) {
+    throw e.code === 'ARCHIVE_INVALID' ? e : archiveError(`Entry ${entry.path} is corrupt: ${e.message}`);
+  }
+  if (entry.size !== record.size) {
+    throw archiveError(`Entry ${entry.path} is ${entry.size} bytes, not the declared ${record.size}`);
+  }
+  if (zlib.crc32 && crc !== record.crc) {
+    throw archiveError(`Entry ${entry.path} fails its CRC-32 check`);
+  }
+}
+
+// Reads a byte stream in exact-sized pieces, for block-structured formats
+class ByteReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.ended = false;
+  }
+
+  async fill(length) {
+    while (this.buffer.length < length && !this.ended) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.ended = true;
+      } else {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, value]) : value;
+      }
+    }
+  }
+
+  // The next `length` bytes, or fewer at the end of the stream
+  async read(length) {
+    await this.fill(length);
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(bytes.length);
+    return bytes;
+  }
+
+  // The next `length` bytes as they arrive; fails if the stream ends first
+  async *stream(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      await this.fill(1);
+      if (this.buffer.length === 0) {
+        throw archiveError('Archive ends in the middle of an entry');
+      }
+      const bytes = this.buffer.subarray(0, remaining);
+      this.buffer = this.buffer.subarray(bytes.length);
+      remaining -= bytes.length;
+      yield bytes;
+    }
+  }
+
+  async skip(length) {
+    const pieces = this.stream(length);
+    while (!(await pieces.next()).done) {
+      // Discarded
+    }
+  }
+
+  // Stops reading, destroying the stream
+  async close() {
+    await this.iterator.return();
+  }
+}
+
+function tarString(block, start, length) {
+  const field = block.subarray(start, start + length);
+  const nul = field.indexOf(0);
+  return (nul === -1 ? field : field.subarray(0, nul)).toString('utf8');
+}
+
+// Numeric tar fields are octal text, or big-endian base-256 when the first
+// byte has its high bit set (GNU, for values too large for octal)
+function tarNumber(block, start, length) {
+  if (block[start] & 0x80) {
+    let value = block[start] & 0x7F;
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + block[i];
+    }
+    return value;
+  }
+  const text = tarString(block, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function tarChecksumValid(block) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === tarNumber(block, 148, 8);
+}
+
+// pax extended header records: "<length> <key>=<value>\n"
+function parsePaxRecords(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      records[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return records;
+}
+
+// Tar archives are read front to back: a 512-byte header per entry, then its
+// content padded to a whole block. pax ('x') and GNU long name ('L') headers
+// carry the path (and pax the size) of the entry after them.
+async function readTar(stream, state) {
+  const reader = new ByteReader(stream);
+  try {
+    await readTarEntries(reader, state);
+  } finally {
+    await reader.close();
+  }
+}
+
+async function readTarEntries(reader, state) {
+  let overrides = {};
+  for (;;) {
+    const block = await reader.read(TAR_BLOCK_SIZE);
+    if (block.length === 0 || block.every(byte => byte === 0)) {
+      // End of archive: one or two zero blocks (or none, from some writers)
+      return;
+    }
+    if (block.length < TAR_BLOCK_SIZE || !tarChecksumValid(block)) {
+      throw archiveError('Tar header is corrupt');
+    }
+
+    const type = String.fromCharCode(block[156] || 0x30);
+    const headerSize = tarNumber(block, 124, 12);
+    const padded = Math.ceil(headerSize / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'x' || type === 'L' || type === 'g' || type === 'K') {
+      if (headerSize > MAX_TAR_METADATA_SIZE) {
+        throw archiveError('Tar extended header is too large');
+      }
+      const data = await reader.read(padded);
+      if (data.length < padded) {
+        throw archiveError('Archive ends in the middle of an entry');
+      }
+      if (type === 'x') {
+        Object.assign(overrides, parsePaxRecords(data.subarray(0, headerSize)));
+      } else if (type === 'L') {
+        overrides.path = tarString(data, 0, headerSize);
+      }
+      continue;
+    }
+
+    const prefix = isTarHeader(block) ? tarString(block, 345, 155) : '';
+    const name = overrides.path || (prefix ? `${prefix}/${tarString(block, 0, 100)}` : tarString(block, 0, 100));
+    const size = overrides.size !== undefined ? Number(overrides.size) : headerSize;
+    const mtime = overrides.mtime !== undefined ? Number(overrides.mtime) : tarNumber(block, 136, 12);
+    overrides = {};
+
+    if (type === '1' || type === '2') {
+      throw archiveError(`Entry ${JSON.stringify(name)} is a ${type === '1' ? 'hard' : 'symbolic'} link`);
+    }
+    if (type !== '0' && type !== '7' && type !== '5') {
+      throw archiveError(`Entry ${JSON.stringify(name)} has unsupported type ${JSON.stringify(type)}`);
+    }
+    if (!Number.isSafeInteger(size) || size < 0) {
+      throw archiveError(`Entry ${JSON.stringify(name)} has an invalid size`);
+    }
+    const isDirectory = type === '5' || name.endsWith('/');
+    const entryPadding = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE - size;
+    const entryPath = safeEntryPath(name);
+    if (entryPath === '.') {
+      if (!isDirectory) {
+        throw archiveError(`Entry ${JSON.stringify(name)} has no name`);
+      }
+      await reader.skip(size + entryPadding);
+      continue;
+    }
+    const entry = addEntry(state, {
+      path: entryPath,
+      type: isDirectory ? 'directory' : 'file',
+      size: 0,
+      mtime: mtime > 0 ? new Date(mtime * 1000).toISOString() : null
+    });
+
+    if (isDirectory) {
+      await reader.skip(size + entryPadding);
+      continue;
+    }
+    if (state.size + size > state.maxSize) {
+      throw archiveError('Archive content exceeds the extraction size limit');
+    }
+    await readEntryContent(state, entry, [Readable.from(reader.stream(size))], size);
+    await reader.skip(entryPadding);
+  }
+}
+
+module.exports = {
+  detectArchive,
+  readArchive,
+  removeExtracted
+};
@@ -0,0 +1,239 @@
+'use strict';
+
+const { Transform } = require('stream');
+const iconv = require('iconv-lite');
+const { SNIFF_SIZE, detectBom, detectType } = require('./sniff');
+
+// Charset transcoding for text uploads. Decoded bytes in a legacy or
+// non-native charset (latin1, windows-1252, Shift_JIS, EUC-KR, GB18030,
+// UTF-16BE, UTF-32, ...) are converted to a target charset, and optionally
+// Unicode-normalized, before they are stored.
+
+const DEFAULT_TARGET_CHARSET = 'utf-8';
+
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Longest byte order mark
+const BOM_SIZE = 4;
+
+// Replaced and unrepresentable characters listed per file; the rest are only
+// counted
+const MAX_REPORTED = 50;
+
+// Targets that can represent every character
+const UNICODE_CHARSET = /^(utf-?(8|16|32)(le|be)?|ucs-?2|cesu-?8)$/i;
+
+// Detected types transcoded when no charset was declared
+const TEXT_TYPE = /^text\/|[/+](json|xml)$/;
+
+// A trailing starter and the combining characters after it: normalization
+// may still combine it with marks (or Hangul vowels and final consonants)
+// from the next chunk
+const TRAILING_CLUSTER = /[^\p{M}\u1160-\u11FF][\p{M}\u1160-\u11FF]*$/u;
+
+function isSupportedCharset(charset) {
+  return typeof charset === 'string' && iconv.encodingExists(charset);
+}
+
+// Validates a normalization form name, case-insensitively. Returns the form
+// or null for none.
+function normalizationForm(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const form = String(value).toUpperCase();
+  if (!NORMALIZATION_FORMS.includes(form)) {
+    throw new Error(`Unsupported normalization form: ${value} (expected one of ${NORMALIZATION_FORMS.join(', ')})`);
+  }
+  return form;
+}
+
+function codePoint(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+// Transform stream that transcodes text bytes. Options:
+//   from      - charset of the input; a byte order mark overrides it. Without
+//               one the input is taken as UTF-8 if it sniffs as text, and
+//               passed through unchanged otherwise
+//   to        - charset to write (default UTF-8); no byte order mark is written
+//   normalize - 'NFC', 'NFD', 'NFKC', 'NFKD' or null
+// `bytesOut` and `head` (the first output bytes) are kept on the stream like
+// on decode streams, and `report()` describes the conversion once it is done.
+function createTranscodeStream(options = {}) {
+  const declared = options.from || null;
+  const target = options.to || DEFAULT_TARGET_CHARSET;
+  const form = normalizationForm(options.normalize);
+  [declared, target].filter(Boolean).forEach(charset => {
+    if (!isSupportedCharset(charset)) {
+      throw new Error(`Unsupported charset: ${charset}`);
+    }
+  });
+
+  const encoder = iconv.getEncoder(target, { addBOM: false });
+  const lossless = UNICODE_CHARSET.test(target);
+  const representable = new Map();
+  const lookahead = declared ? BOM_SIZE : SNIFF_SIZE;
+  let decoder = null;
+  let passThrough = false;
+  let pendingBytes = Buffer.alloc(0);
+  let pendingText = '';
+  let unitSize = 1;
+  let partialUnit = Buffer.alloc(0);
+  let charsOut = 0;
+
+  const replaced = { count: 0, positions: [] };
+  const unrepresentable = new Map();
+  let unrepresentableCount = 0;
+  let source = null;
+  let bom = null;
+
+  // Picks the source charset once the first bytes are known
+  const start = (bytes) => {
+    bom = detectBom(bytes);
+    if (!bom && !declared) {
+      const type = detectType(bytes);
+      passThrough = !type || !TEXT_TYPE.test(type.mime);
+    }
+    source = bom ? bom.charset : (declared || 'utf-8');
+    decoder = iconv.getDecoder(source, { stripBOM: false });
+    unitSize = /^utf-?32/i.test(source) ? 4 : 1;
+    return bom ? bytes.subarray(bom.length) : bytes;
+  };
+
+  // iconv-lite's UTF-32 decoder garbles code units split across writes, so
+  // it is only given whole ones
+  const decode = (bytes) => {
+    if (passThrough) {
+      return bytes;
+    }
+    if (unitSize === 1) {
+      return decoder.write(bytes);
+    }
+    bytes = Buffer.concat([partialUnit, bytes]);
+    const whole = bytes.length - bytes.length % unitSize;
+    partialUnit = bytes.subarray(whole);
+    return decoder.write(bytes.subarray(0, whole));
+  };
+
+  const isRepresentable = (char) => {
+    if (!representable.has(char)) {
+      representable.set(char, iconv.decode(iconv.encode(char, target), target) === char);
+    }
+    return representable.get(char);
+  };
+
+  // Records lossy characters in text about to be written
+  const check = (text) => {
+    let index = 0;
+    for (const char of text) {
+      if (char === '\uFFFD') {
+        replaced.count++;
+        if (replaced.positions.length < MAX_REPORTED) {
+          replaced.positions.push(charsOut + index);
+        }
+      } else if (!lossless && char.charCodeAt(0) > 0x7F && !isRepresentable(char)) {
+        unrepresentableCount++;
+        unrepresentable.set(char, (unrepresentable.get(char) || 0) + 1);
+      }
+      index += char.length;
+    }
+    charsOut += text.length;
+  };
+
+  // Normalizes and encodes decoded text. Unless `final`, a trailing cluster
+  // (or half of a surrogate pair) is held back for the next chunk.
+  const write = (text, final) => {
+    if (passThrough) {
+      return track(text);
+    }
+    text = pendingText + text;
+    pendingText = '';
+    if (!final) {
+      const match = form ? TRAILING_CLUSTER.exec(text) : /[\uD800-\uDBFF]$/.exec(text);
+      if (match) {
+        pendingText = text.slice(match.index);
+        text = text.slice(0, match.index);
+      }
+    }
+    if (form) {
+      text = text.normalize(form);
+    }
+    check(text);
+    return track(encoder.write(text));
+  };
+
+  const stream = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      try {
+        if (!decoder) {
+          pendingBytes = Buffer.concat([pendingBytes, chunk]);
+          if (pendingBytes.length < lookahead) {
+            return callback();
+          }
+          chunk = start(pendingBytes);
+          pendingBytes = null;
+        }
+        callback(null, write(decode(chunk), false));
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        let text = '';
+        if (!decoder) {
+          // Input shorter than the lookahead
+          text = decode(start(pendingBytes));
+        }
+        if (passThrough) {
+          return callback(null, write(text, true));
+        }
+        text += decoder.end() || '';
+        // A trailing partial code unit is malformed input like any other
+        if (partialUnit.length > 0) {
+          text += '\uFFFD';
+        }
+        callback(null, Buffer.concat([write(text, true), track(encoder.end() || Buffer.alloc(0))]));
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+
+  const track = (bytes) => {
+    if (stream.head.length < SNIFF_SIZE && bytes.length > 0) {
+      stream.head = Buffer.concat([stream.head, bytes.subarray(0, SNIFF_SIZE - stream.head.length)]);
+    }
+    stream.bytesOut += bytes.length;
+    return bytes;
+  };
+
+  stream.bytesOut = 0;
+  stream.head = Buffer.alloc(0);
+  stream.report = () => ({
+    transcoded: !passThrough,
+    declaredCharset: declared,
+    sourceCharset: passThrough ? null : source,
+    bom: bom ? bom.charset : null,
+    targetCharset: target,
+    normalization: form,
+    replaced: replaced,
+    unrepresentable: {
+      count: unrepresentableCount,
+      characters: Array.from(unrepresentable, ([character, count]) => ({
+        character: character,
+        codePoint: codePoint(character),
+        count: count
+      })).slice(0, MAX_REPORTED)
+    }
+  });
+  return stream;
+}
+
+module.exports = {
+  DEFAULT_TARGET_CHARSET,
+  isSupportedCharset,
+  normalizationForm,
+  createTranscodeStream
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+const { createBlockDecoder } = require('./stream');
+
+const Z85_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+const MAX_GROUP = 0xFFFFFFFF;
+
+// Adobe Ascii85. The <~ ~> delimiters are optional, whitespace is ignored and
+// 'z' abbreviates a group of four zero bytes. A final partial group of n
+// characters decodes to n - 1 bytes.
+//
+// Decoding is incremental: a trailing '~' is held back until the next chunk
+// (or the end) shows whether it starts the closing ~>.
+function createDecoder() {
+  let started = false;
+  let opened = false;
+  let closed = false;
+  let pending = '';
+  let position = 0;
+  let group = [];
+
+  const consume = (text, bytes) => {
+    for (let i = 0; i < text.length; i++, position++) {
+      const char = text[i];
+      if (closed) {
+        throw new Error(`Invalid ascii85: data after closing ~> at position ${position}`);
+      }
+      if (char === '~' && text[i + 1] === '>') {
+        closed = true;
+        i++;
+        position++;
+        continue;
+      }
+      if (char === 'z') {
+        if (group.length > 0) {
+          throw new Error(`Invalid ascii85: 'z' inside a group at position ${position}`);
+        }
+        bytes.push(0, 0, 0, 0);
+        continue;
+      }
+
+      const code = char.charCodeAt(0);
+      if (code < 0x21 || code > 0x75) {
+        throw new Error(`Invalid ascii85 character '${char}' at position ${position}`);
+      }
+      group.push(code - 0x21);
+
+      if (group.length === 5) {
+        pushGroup(bytes, group, 4, position);
+        group = [];
+      }
+    }
+  };
+
+  return {
+    update(text) {
+      pending += text.replace(/\s/g, '');
+      if (!started) {
+        if (pending.length < 2) {
+          return Buffer.alloc(0);
+        }
+        started = true;
+        if (pending.startsWith('<~')) {
+          opened = true;
+          pending = pending.slice(2);
+          position += 2;
+        }
+      }
+
+      const bytes = [];
+      const cut = pending.endsWith('~') ? pending.length - 1 : pending.length;
+      consume(pending.slice(0, cut), bytes);
+      pending = pending.slice(cut);
+      return Buffer.from(bytes);
+    },
+
+    final() {
+      if (!started && pending.startsWith('<~')) {
+        opened = true;
+        pending = pending.slice(2);
+        position += 2;
+      }
+
+      const bytes = [];
+      consume(pending, bytes);
+      pending = '';
+
+      if (opened && !closed) {
+        throw new Error('Invalid ascii85: opening <~ without closing ~>');
+      }
+      if (group.length === 1) {
+        throw new Error('Invalid ascii85: final group has a single character');
+      }
+      if (group.length > 0) {
+        const length = group.length - 1;
+        while (group.length < 5) {
+          group.push(84); // 'u'
+        }
+        pushGroup(bytes, group, length, position - 1);
+        group = [];
+      }
+      return Buffer.from(bytes);
+    }
+  };
+}
+
+function decode(text) {
+  const decoder = createDecoder();
+  return Buffer.concat([decoder.update(text), decoder.final()]);
+}
+
+function pushGroup(bytes, group, length, position) {
+  const value = group.reduce((acc, digit) => acc * 85 + digit, 0);
+  if (value > MAX_GROUP) {
+    throw new Error(`Invalid ascii85: group ending at position ${position} overflows 32 bits`);
+  }
+  for (let shift = 24, i = 0; i < length; shift -= 8, i++) {
+    bytes.push(Math.floor(value / 2 ** shift) & 0xFF);
+  }
+}
+
+function encode(buffer) {
+  let output = '<~';
+
+  for (let i = 0; i < buffer.length; i += 4) {
+    const chunk = buffer.subarray(i, i + 4);
+    const padded = Buffer.alloc(4);
+    chunk.copy(padded);
+    let value = padded.readUInt32BE(0);
+
+    if (value === 0 && chunk.length === 4) {
+      output += 'z';
+      continue;
+    }
+
+    const digits = new Array(5);
+    for (let d = 4; d >= 0; d--) {
+      digits[d] = String.fromCharCode(0x21 + (value % 85));
+      value = Math.floor(value / 85);
+    }
+    output += digits.slice(0, chunk.length + 1).join('');
+  }
+
+  return `${output}~>`;
+}
+
+// ZeroMQ Z85 (RFC 32/Z85). Strict: the encoded length must be a multiple of
+// 5 and the binary length a multiple of 4; there is no partial group.
+function decodeZ85(text) {
+  const clean = text.replace(/\s/g, '');
+  if (clean.length % 5 !== 0) {
+    throw new Error(`Invalid z85 string length: ${clean.length} is not a multiple of 5`);
+  }
+
+  const bytes = Buffer.alloc(clean.length / 5 * 4);
+  for (let i = 0; i < clean.length; i += 5) {
+    let value = 0;
+    for (let j = i; j < i + 5; j++) {
+      const digit = Z85_ALPHABET.indexOf(clean[j]);
+      if (digit === -1) {
+        throw new Error(`Invalid z85 character '${clean[j]}' at position ${j}`);
+      }
+      value = value * 85 + digit;
+    }
+    if (value > MAX_GROUP) {
+      throw new Error(`Invalid z85: group at position ${i} overflows 32 bits`);
+    }
+    bytes.writeUInt32BE(value, i / 5 * 4);
+  }
+
+  return bytes;
+}
+
+function encodeZ85(buffer) {
+  if (buffer.length % 4 !== 0) {
+    throw new Error(`Z85 can only encode data whose length is a multiple of 4 bytes (got ${buffer.length})`);
+  }
+
+  let output = '';
+  for (let i = 0; i < buffer.length; i += 4) {
+    let value = buffer.readUInt32BE(i);
+    const digits = new Array(5);
+    for (let d = 4; d >= 0; d--) {
+      digits[d] = Z85_ALPHABET[value % 85];
+      value = Math.floor(value / 85);
+    }
+    output += digits.join('');
+  }
+  return output;
+}
+
+module.exports = {
+  ascii85: { label: 'Ascii85', decode: decode, encode: encode, createDecoder: createDecoder },
+  z85: {
+    label: 'Z85',
+    decode: decodeZ85,
+    encode: encodeZ85,
+    createDecoder: () => createBlockDecoder(decodeZ85, 5, { name: 'z85' })
+  }
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const { createBlockDecoder } = require('./stream');
+
+const ALPHABETS = {
+  base32: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+  base32hex: '0123456789ABCDEFGHIJKLMNOPQRSTUV'
+};
+
+// Unpadded lengths (mod 8) that end on a whole byte
+const VALID_REMAINDERS = [0, 2, 4, 5, 7];
+
+function createDecoder(name) {
+  const alphabet = ALPHABETS[name];
+
+  // RFC 4648 sections 6 and 7. Whitespace is ignored, letters are
+  // case-insensitive and padding is optional but must be complete if present.
+  return function decode(text) {
+    const clean = text.replace(/\s/g, '').toUpperCase();
+    const padding = /=*$/.exec(clean)[0].length;
+    const data = clean.slice(0, clean.length - padding);
+
+    if (padding > 0 && clean.length % 8 !== 0) {
+      throw new Error(`Invalid ${name} padding: padded length ${clean.length} is not a multiple of 8`);
+    }
+    if (!VALID_REMAINDERS.includes(data.length % 8)) {
+      throw new Error(`Invalid ${name} string length: ${data.length} characters cannot encode whole bytes`);
+    }
+
+    const bytes = Buffer.alloc(Math.floor(data.length * 5 / 8));
+    let bits = 0;
+    let value = 0;
+    let index = 0;
+
+    for (let i = 0; i < data.length; i++) {
+      const digit = alphabet.indexOf(data[i]);
+      if (digit === -1) {
+        throw new Error(`Invalid ${name} character '${data[i]}' at position ${i}`);
+      }
+      value = (value << 5) | digit;
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[index++] = (value >>> bits) & 0xFF;
+      }
+    }
+
+    if ((value & ((1 << bits) - 1)) !== 0) {
+      throw new Error(`Invalid ${name}: non-zero trailing bits in the final character`);
+    }
+
+    return bytes;
+  };
+}
+
+function createEncoder(name) {
+  const alphabet = ALPHABETS[name];
+
+  return function encode(buffer) {
+    let output = '';
+    let bits = 0;
+    let value = 0;
+
+    for (const byte of buffer) {
+      value = ((value << 8) | byte) & 0xFFFF;
+      bits += 8;
+      while (bits >= 5) {
+        bits -= 5;
+        output += alphabet[(value >>> bits) & 0x1F];
+      }
+    }
+    if (bits > 0) {
+      output += alphabet[(value << (5 - bits)) & 0x1F];
+    }
+
+    return output + '='.repeat((8 - output.length % 8) % 8);
+  };
+}
+
+function createCodec(name, label) {
+  const decode = createDecoder(name);
+  return {
+    label: label,
+    decode: decode,
+    encode: createEncoder(name),
+    createDecoder: () => createBlockDecoder(decode, 8, { name: name, padding: '=' })
+  };
+}
+
+module.exports = {
+  base32: createCodec('base32', 'Base32'),
+  base32hex: createCodec('base32hex', 'Base32hex')
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const { createBufferingDecoder } = require('./stream');
+
+// Bitcoin alphabet: no 0, O, I or l
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// The whole input is one number, so decoding takes time quadratic in its
+// length. Longer input is refused with 413.
+const MAX_DECODE_LENGTH = 8 * 1024;
+
+function tooLong(length) {
+  return Object.assign(new Error(`Base58 input of ${length} characters is over the ${MAX_DECODE_LENGTH} character limit`), { status: 413 });
+}
+
+// Base58 has no padding; each leading '1' stands for a leading zero byte.
+// Surrounding whitespace is ignored. The digits are multiplied into a
+// little-endian byte array, one at a time.
+function decode(text) {
+  const clean = text.trim();
+  if (clean.length > MAX_DECODE_LENGTH) {
+    throw tooLong(clean.length);
+  }
+
+  // log(58) / log(256) bytes per digit, rounded up
+  const bytes = new Uint8Array(Math.ceil(clean.length * 0.733) + 1);
+  let size = 0;
+  for (let i = 0; i < clean.length; i++) {
+    let carry = ALPHABET.indexOf(clean[i]);
+    if (carry === -1) {
+      throw new Error(`Invalid base58 character '${clean[i]}' at position ${i}`);
+    }
+    let j = 0;
+    for (; j < size || carry !== 0; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xFF;
+      carry >>= 8;
+    }
+    size = j;
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < clean.length && clean[leadingZeros] === '1') {
+    leadingZeros++;
+  }
+
+  const output = Buffer.alloc(leadingZeros + size);
+  for (let j = 0; j < size; j++) {
+    output[leadingZeros + j] = bytes[size - 1 - j];
+  }
+  return output;
+}
+
+function encode(buffer) {
+  let leadingZeros = 0;
+  while (leadingZeros < buffer.length && buffer[leadingZeros] === 0) {
+    leadingZeros++;
+  }
+
+  let value = buffer.length > leadingZeros ? BigInt(`0x${buffer.subarray(leadingZeros).toString('hex')}`) : 0n;
+  let output = '';
+  while (value > 0n) {
+    output = ALPHABET[Number(value % 58n)] + output;
+    value /= 58n;
+  }
+
+  return '1'.repeat(leadingZeros) + output;
+}
+
+module.exports = {
+  // The whole input is one number, so it cannot be decoded piecewise. A few
+  // more characters are collected than decoded, for surrounding whitespace.
+  base58: { label: 'Base58', decode: decode, encode: encode, createDecoder: () => createBufferingDecoder(decode, MAX_DECODE_LENGTH + 64) }
+};
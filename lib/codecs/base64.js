@@ -0,0 +1,102 @@
+'use strict';
+
+const { createBlockDecoder } = require('./stream');
+
+const STANDARD_CHARS = /^[A-Za-z0-9+/]$/;
+const URL_SAFE_CHARS = /^[A-Za-z0-9\-_]$/;
+
+// Reports the first character outside the alphabet with its position
+function findInvalidChar(text, charRegex, name) {
+  for (let i = 0; i < text.length; i++) {
+    if (!charRegex.test(text[i])) {
+      throw new Error(`Invalid ${name} character '${text[i]}' at position ${i}`);
+    }
+  }
+}
+
+// Splits trailing '=' padding off and checks it is well-formed
+function splitPadding(text, name, requirePadding) {
+  const match = /=*$/.exec(text);
+  const padding = match[0].length;
+  const data = text.slice(0, text.length - padding);
+
+  if (padding > 2) {
+    throw new Error(`Invalid ${name} padding: ${padding} '=' characters`);
+  }
+  if (padding > 0 && text.length % 4 !== 0) {
+    throw new Error(`Invalid ${name} padding: padded length ${text.length} is not a multiple of 4`);
+  }
+  if (requirePadding && text.length % 4 !== 0) {
+    throw new Error(`Invalid ${name} string length: ${text.length} is not a multiple of 4`);
+  }
+  if (data.length % 4 === 1) {
+    throw new Error(`Invalid ${name} string length: ${data.length} characters cannot encode whole bytes`);
+  }
+  return data;
+}
+
+// Standard base64 (RFC 4648 section 4). Whitespace is ignored and padding is
+// required. Input written entirely in the URL-safe alphabet is accepted too,
+// as long as the two alphabets are not mixed.
+function decode(text) {
+  const clean = text.replace(/\s/g, '');
+  const urlSafe = /[-_]/.test(clean);
+
+  if (urlSafe && /[+/]/.test(clean)) {
+    throw new Error('Invalid base64: mixes standard (+/) and URL-safe (-_) alphabets');
+  }
+
+  const data = splitPadding(clean, 'base64', !urlSafe);
+  findInvalidChar(data, urlSafe ? URL_SAFE_CHARS : STANDARD_CHARS, 'base64');
+  return Buffer.from(data, urlSafe ? 'base64url' : 'base64');
+}
+
+function encode(buffer) {
+  return buffer.toString('base64');
+}
+
+// URL-safe base64 (RFC 4648 section 5). Padding is optional.
+function decodeUrl(text) {
+  const clean = text.replace(/\s/g, '');
+  const data = splitPadding(clean, 'base64url', false);
+  findInvalidChar(data, URL_SAFE_CHARS, 'base64url');
+  return Buffer.from(data, 'base64url');
+}
+
+function encodeUrl(buffer) {
+  return buffer.toString('base64url');
+}
+
+// Incremental base64. Each batch is checked on its own by `decode`, so the
+// alphabet seen so far is tracked here to catch mixing across batches.
+function createDecoder() {
+  let alphabet = null;
+  const blocks = createBlockDecoder(decode, 4, { name: 'base64', padding: '=' });
+
+  const checkAlphabet = (text) => {
+    const standard = /[+/]/.test(text);
+    const urlSafe = /[-_]/.test(text);
+    if ((standard && (urlSafe || alphabet === 'url')) || (urlSafe && alphabet === 'standard')) {
+      throw new Error('Invalid base64: mixes standard (+/) and URL-safe (-_) alphabets');
+    }
+    alphabet = alphabet || (standard ? 'standard' : (urlSafe ? 'url' : null));
+  };
+
+  return {
+    update(text) {
+      checkAlphabet(text);
+      return blocks.update(text);
+    },
+    final: () => blocks.final()
+  };
+}
+
+module.exports = {
+  base64: { label: 'Base64', decode: decode, encode: encode, createDecoder: createDecoder },
+  base64url: {
+    label: 'Base64URL',
+    decode: decodeUrl,
+    encode: encodeUrl,
+    createDecoder: () => createBlockDecoder(decodeUrl, 4, { name: 'base64url', padding: '=' })
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+const { createBlockDecoder } = require('./stream');
+
+// Codecs backed directly by Node's Buffer encodings
+
+function createTextCodec(label, bufferEncoding) {
+  return {
+    label: label,
+    decode: (text) => Buffer.from(text, bufferEncoding),
+    encode: (buffer) => buffer.toString(bufferEncoding),
+    // Text chunks always hold whole characters, so each converts on its own
+    createDecoder: () => ({
+      update: (text) => Buffer.from(text, bufferEncoding),
+      final: () => Buffer.alloc(0)
+    })
+  };
+}
+
+// Hex is strict: whitespace is ignored, but every other character must be a
+// hex digit and the digit count must be even.
+function decodeHex(text) {
+  const clean = text.replace(/\s/g, '');
+  const invalid = /[^0-9a-fA-F]/.exec(clean);
+  if (invalid) {
+    throw new Error(`Invalid hexadecimal character '${invalid[0]}' at position ${invalid.index}`);
+  }
+  if (clean.length % 2 !== 0) {
+    throw new Error(`Invalid hexadecimal string length: ${clean.length} digits is odd`);
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+module.exports = {
+  'binary': createTextCodec('binary', 'binary'),
+  'ascii': createTextCodec('ASCII', 'ascii'),
+  'utf8': createTextCodec('UTF-8', 'utf8'),
+  'utf-16le': createTextCodec('UTF-16LE', 'utf16le'),
+  'ucs2': createTextCodec('UCS-2', 'ucs2'),
+  'hex': {
+    label: 'hex',
+    decode: decodeHex,
+    encode: (buffer) => buffer.toString('hex'),
+    createDecoder: () => createBlockDecoder(decodeHex, 2, { name: 'hexadecimal' })
+  }
+};
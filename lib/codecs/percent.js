@@ -0,0 +1,73 @@
+'use strict';
+
+const { offsetError } = require('./stream');
+
+// Percent-encoding (RFC 3986 section 2.1). Input must be ASCII; every '%'
+// must start a two-digit hex escape. '+' is a literal plus, not a space.
+function decode(text) {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0x25) {
+      const hex = text.slice(i + 1, i + 3);
+      if (!/^[0-9A-Fa-f]{2}$/.test(hex)) {
+        throw new Error(`Invalid percent-encoding escape '%${hex}' at position ${i}`);
+      }
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else if (code < 0x20 || code > 0x7E) {
+      throw new Error(`Invalid percent-encoding: unescaped character '${text[i]}' at position ${i}`);
+    } else {
+      bytes.push(code);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Incremental percent-decoding: an escape split across chunks is held back
+function createDecoder() {
+  let pending = '';
+  let offset = 0;
+
+  return {
+    update(text) {
+      pending += text;
+      const escape = pending.lastIndexOf('%');
+      const keep = escape !== -1 && escape > pending.length - 3 ? pending.length - escape : 0;
+      const batch = pending.slice(0, pending.length - keep);
+      let bytes;
+      try {
+        bytes = decode(batch);
+      } catch (e) {
+        throw offsetError(e, offset);
+      }
+      pending = pending.slice(batch.length);
+      offset += batch.length;
+      return bytes;
+    },
+
+    final() {
+      try {
+        return decode(pending);
+      } catch (e) {
+        throw offsetError(e, offset);
+      }
+    }
+  };
+}
+
+// Escapes everything except the RFC 3986 unreserved characters
+function encode(buffer) {
+  let output = '';
+  for (const byte of buffer) {
+    const char = String.fromCharCode(byte);
+    output += /[A-Za-z0-9\-._~]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+  return output;
+}
+
+module.exports = {
+  percent: { label: 'percent-encoding', decode: decode, encode: encode, createDecoder: createDecoder }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const { createLineDecoder } = require('./stream');
+
+const MAX_LINE_LENGTH = 76;
+
+// Decodes quoted-printable text (RFC 2045 section 6.7). Hard line breaks
+// become CRLF, soft line breaks (`=` at the end of a line) are removed and
+// trailing whitespace on each line is ignored.
+function decode(text) {
+  const lines = text.split(/\r?\n/);
+  const bytes = [];
+
+  lines.forEach((rawLine, lineIndex) => {
+    let line = rawLine.replace(/[ \t]+$/, '');
+    const soft = line.endsWith('=');
+    if (soft) {
+      line = line.slice(0, -1);
+    }
+
+    for (let i = 0; i < line.length; i++) {
+      const code = line.charCodeAt(i);
+      if (code === 0x3D) {
+        const hex = line.slice(i + 1, i + 3);
+        if (!/^[0-9A-Fa-f]{2}$/.test(hex)) {
+          throw new Error(`Invalid quoted-printable escape at line ${lineIndex + 1}, column ${i + 1}`);
+        }
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+      } else if (code > 0x7E || (code < 0x20 && code !== 0x09)) {
+        throw new Error(`Invalid quoted-printable character at line ${lineIndex + 1}, column ${i + 1}`);
+      } else {
+        bytes.push(code);
+      }
+    }
+
+    if (!soft && lineIndex < lines.length - 1) {
+      bytes.push(0x0D, 0x0A);
+    }
+  });
+
+  return Buffer.from(bytes);
+}
+
+// CRLF pairs become hard line breaks; every other byte outside printable
+// ASCII, '=' and whitespace at the end of a line is escaped. Lines are
+// wrapped with soft breaks at 76 characters.
+function encode(buffer) {
+  const lines = [];
+  let line = '';
+
+  const append = (token) => {
+    if (line.length + token.length > MAX_LINE_LENGTH - 1) {
+      lines.push(`${line}=`);
+      line = '';
+    }
+    line += token;
+  };
+
+  for (let i = 0; i < buffer.length; i++) {
+    const byte = buffer[i];
+
+    if (byte === 0x0D && buffer[i + 1] === 0x0A) {
+      lines.push(line);
+      line = '';
+      i++;
+      continue;
+    }
+
+    const atLineEnd = i + 1 === buffer.length || (buffer[i + 1] === 0x0D && buffer[i + 2] === 0x0A);
+    const whitespace = byte === 0x20 || byte === 0x09;
+    const printable = byte >= 0x21 && byte <= 0x7E && byte !== 0x3D;
+
+    if (printable || (whitespace && !atLineEnd)) {
+      append(String.fromCharCode(byte));
+    } else {
+      append(`=${byte.toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+  }
+
+  lines.push(line);
+  return lines.join('\r\n');
+}
+
+module.exports = {
+  'quoted-printable': {
+    label: 'Quoted-Printable',
+    decode: decode,
+    encode: encode,
+    createDecoder: () => createLineDecoder(decode)
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+// Helpers for building incremental decoders. An incremental decoder has
+// `update(text) -> Buffer` for each chunk of input and `final() -> Buffer`
+// once the input has ended; both throw on malformed input, with positions
+// counted from the start of the whole input.
+
+// Lines held back by line decoders, and text collected by buffering decoders,
+// are limited so that memory stays bounded whatever the payload. Longer input
+// is refused with 413.
+const MAX_LINE_LENGTH = 1024 * 1024;
+const MAX_BUFFERED_LENGTH = 16 * 1024 * 1024;
+
+function inputTooLong(what, limit) {
+  return Object.assign(new Error(`${what} is over the ${limit} character limit`), { status: 413 });
+}
+
+// Shifts 'at position N' and 'string length: N' in a decoder error by the
+// characters already consumed
+function offsetError(error, offset) {
+  error.message = error.message
+    .replace(/at position (\d+)/, (match, position) => `at position ${Number(position) + offset}`)
+    .replace(/string length: (\d+)/, (match, length) => `string length: ${Number(length) + offset}`);
+  return error;
+}
+
+// Shifts 'at line N' in a decoder error by the lines already consumed
+function offsetLineError(error, lines) {
+  error.message = error.message.replace(/at line (\d+)|line (\d+):/, (match, atLine, line) =>
+    atLine !== undefined ? `at line ${Number(atLine) + lines}` : `line ${Number(line) + lines}:`);
+  return error;
+}
+
+// Decodes fixed-size groups of characters as they arrive. Whitespace is
+// dropped, whole groups are decoded with the codec's own strict decoder and
+// the last group is held back so `final` can validate padding and length
+// against the complete tail. Padding characters before the tail are errors.
+function createBlockDecoder(decode, blockSize, options = {}) {
+  const name = options.name || 'input';
+  const padding = options.padding || null;
+  let pending = '';
+  let offset = 0;
+
+  return {
+    update(text) {
+      pending += text.replace(/\s/g, '');
+      const take = Math.floor((pending.length - 1) / blockSize) * blockSize;
+      if (take <= 0) {
+        return Buffer.alloc(0);
+      }
+
+      const batch = pending.slice(0, take);
+      if (padding) {
+        const index = batch.indexOf(padding);
+        if (index !== -1) {
+          throw new Error(`Invalid ${name}: padding before the end of the data at position ${offset + index}`);
+        }
+      }
+
+      let bytes;
+      try {
+        bytes = decode(batch);
+      } catch (e) {
+        throw offsetError(e, offset);
+      }
+      pending = pending.slice(take);
+      offset += take;
+      return bytes;
+    },
+
+    final() {
+      try {
+        return decode(pending);
+      } catch (e) {
+        throw offsetError(e, offset);
+      }
+    }
+  };
+}
+
+// Decodes complete lines as they arrive, for line-oriented encodings
+function createLineDecoder(decode) {
+  let pending = '';
+  let lines = 0;
+
+  return {
+    update(text) {
+      pending += text;
+      const end = pending.lastIndexOf('\n');
+      if (pending.length - end - 1 > MAX_LINE_LENGTH) {
+        throw inputTooLong(`Line ${lines + pending.slice(0, end + 1).split('\n').length}`, MAX_LINE_LENGTH);
+      }
+      if (end === -1) {
+        return Buffer.alloc(0);
+      }
+
+      const batch = pending.slice(0, end + 1);
+      let bytes;
+      try {
+        bytes = decode(batch);
+      } catch (e) {
+        throw offsetLineError(e, lines);
+      }
+      pending = pending.slice(end + 1);
+      lines += batch.split('\n').length - 1;
+      return bytes;
+    },
+
+    final() {
+      try {
+        return decode(pending);
+      } catch (e) {
+        throw offsetLineError(e, lines);
+      }
+    }
+  };
+}
+
+// Fallback for encodings that cannot be decoded piecewise (base58 is one big
+// number): collects the text, up to `limit` characters, and decodes it at the
+// end.
+function createBufferingDecoder(decode, limit = MAX_BUFFERED_LENGTH) {
+  const chunks = [];
+  let length = 0;
+
+  return {
+    update(text) {
+      length += text.length;
+      if (length > limit) {
+        throw inputTooLong('Input that has to be decoded in one piece', limit);
+      }
+      chunks.push(text);
+      return Buffer.alloc(0);
+    },
+
+    final() {
+      return decode(chunks.join(''));
+    }
+  };
+}
+
+module.exports = {
+  MAX_LINE_LENGTH,
+  inputTooLong,
+  offsetError,
+  createBlockDecoder,
+  createLineDecoder,
+  createBufferingDecoder
+};
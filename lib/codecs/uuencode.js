@@ -0,0 +1,149 @@
+'use strict';
+
+const { MAX_LINE_LENGTH, inputTooLong } = require('./stream');
+
+const BYTES_PER_LINE = 45;
+
+function charValue(char, lineNumber, column) {
+  const code = char.charCodeAt(0);
+  if (code < 0x20 || code > 0x60) {
+    throw new Error(`Invalid uuencode character '${char}' at line ${lineNumber}, column ${column}`);
+  }
+  return (code - 0x20) & 0x3F;
+}
+
+// Decodes one encoded line, or returns null for the zero-length line that
+// terminates the data
+function decodeLine(line, lineNumber) {
+  const length = charValue(line[0], lineNumber, 1);
+  if (length === 0) {
+    return null;
+  }
+
+  const needed = Math.ceil(length / 3) * 4;
+  if (line.length - 1 < needed) {
+    throw new Error(`Invalid uuencode line ${lineNumber}: declares ${length} bytes but has only ${line.length - 1} of ${needed} characters`);
+  }
+
+  const bytes = Buffer.alloc(Math.ceil(length / 3) * 3);
+  for (let i = 0, o = 0; i < needed; i += 4, o += 3) {
+    const a = charValue(line[1 + i], lineNumber, 2 + i);
+    const b = charValue(line[2 + i], lineNumber, 3 + i);
+    const c = charValue(line[3 + i], lineNumber, 4 + i);
+    const d = charValue(line[4 + i], lineNumber, 5 + i);
+    bytes[o] = (a << 2) | (b >> 4);
+    bytes[o + 1] = ((b & 0x0F) << 4) | (c >> 2);
+    bytes[o + 2] = ((c & 0x03) << 6) | d;
+  }
+  return bytes.subarray(0, length);
+}
+
+// Decodes uuencoded data line by line. The `begin <mode> <name>` / `end`
+// wrapper is optional; without it every non-empty line is treated as an
+// encoded line. Each line starts with a length character, and '`' and ' '
+// both mean zero.
+function createDecoder() {
+  let pending = '';
+  let lineNumber = 0;
+  // 'start' until the first non-empty line shows whether there is a wrapper
+  let state = 'start';
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.replace(/\r$/, '');
+    lineNumber++;
+
+    if (state === 'start') {
+      if (line.length === 0) {
+        return null;
+      }
+      if (line.startsWith('begin-base64 ')) {
+        throw new Error('Invalid uuencode: begin-base64 blocks are base64, not uuencode');
+      }
+      if (/^begin [0-7]{3,4} /.test(line)) {
+        state = 'wrapped';
+        return null;
+      }
+      state = 'bare';
+    }
+
+    if (state === 'done' || state === 'trailer') {
+      if (state === 'trailer' && line.trim() === 'end') {
+        state = 'done';
+      }
+      return null;
+    }
+    if (state === 'wrapped' && line.trim() === 'end') {
+      state = 'done';
+      return null;
+    }
+    if (line.length === 0) {
+      return null;
+    }
+
+    const bytes = decodeLine(line, lineNumber);
+    if (bytes === null) {
+      state = state === 'wrapped' ? 'trailer' : 'done';
+      return null;
+    }
+    return bytes;
+  };
+
+  const handleLines = (lines) => Buffer.concat(lines.map(handleLine).filter(Boolean));
+
+  return {
+    update(text) {
+      pending += text;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      const bytes = handleLines(lines);
+      if (pending.length > MAX_LINE_LENGTH) {
+        throw inputTooLong(`Line ${lineNumber + 1}`, MAX_LINE_LENGTH);
+      }
+      return bytes;
+    },
+
+    final() {
+      const bytes = handleLines(pending.length > 0 ? [pending] : []);
+      pending = '';
+      if (state === 'wrapped' || state === 'trailer') {
+        throw new Error('Invalid uuencode: missing end line');
+      }
+      return bytes;
+    }
+  };
+}
+
+function decode(text) {
+  const decoder = createDecoder();
+  return Buffer.concat([decoder.update(text), decoder.final()]);
+}
+
+function encodeChar(value) {
+  return value === 0 ? '`' : String.fromCharCode(value + 0x20);
+}
+
+function encode(buffer, name = 'data') {
+  const lines = [`begin 644 ${name}`];
+
+  for (let i = 0; i < buffer.length; i += BYTES_PER_LINE) {
+    const chunk = buffer.subarray(i, i + BYTES_PER_LINE);
+    const padded = Buffer.alloc(Math.ceil(chunk.length / 3) * 3);
+    chunk.copy(padded);
+
+    let line = encodeChar(chunk.length);
+    for (let j = 0; j < padded.length; j += 3) {
+      line += encodeChar(padded[j] >> 2);
+      line += encodeChar(((padded[j] & 0x03) << 4) | (padded[j + 1] >> 4));
+      line += encodeChar(((padded[j + 1] & 0x0F) << 2) | (padded[j + 2] >> 6));
+      line += encodeChar(padded[j + 2] & 0x3F);
+    }
+    lines.push(line);
+  }
+
+  lines.push('`', 'end', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  uuencode: { label: 'uuencode', decode: decode, encode: encode, createDecoder: createDecoder }
+};
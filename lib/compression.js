@@ -0,0 +1,187 @@
+'use strict';
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+
+// Decompression of compressed payloads: encoded fields whose decoded bytes are
+// compressed (`<field>_compression`) and request bodies sent with a
+// Content-Encoding. Compressions can be layered, listed in the order they were
+// applied ('deflate, gzip' was deflated, then gzipped), and are undone last
+// one first.
+//
+// Decompression bombs are stopped by two limits: the decompressed size, and
+// the ratio of decompressed to compressed bytes once the output is larger than
+// RATIO_GRACE_SIZE, as small repetitive payloads legitimately compress far
+// better than large ones.
+
+const DECOMPRESSORS = {
+  gzip: () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  brotli: () => zlib.createBrotliDecompress()
+};
+
+// zstd needs Node 22.15 or later
+if (typeof zlib.createZstdDecompress === 'function') {
+  DECOMPRESSORS.zstd = () => zlib.createZstdDecompress();
+}
+
+const SUPPORTED_COMPRESSIONS = Object.keys(DECOMPRESSORS);
+
+// Content-Encoding names (RFC 9110 section 8.4.1) and common spellings
+const ALIASES = {
+  'x-gzip': 'gzip',
+  br: 'brotli',
+  zstandard: 'zstd'
+};
+
+const RATIO_GRACE_SIZE = 1024 * 1024;
+
+// Number of leading output bytes kept for content sniffing (matches
+// SNIFF_SIZE in sniff.js)
+const HEAD_SIZE = 4096;
+
+function limitError(message) {
+  return Object.assign(new Error(message), { code: 'DECOMPRESSION_LIMIT' });
+}
+
+// Parses a comma-separated list of compressions in the order they were
+// applied. 'identity' is no compression. Returns [] for none and throws for
+// unsupported ones.
+function parseCompressions(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (typeof value !== 'string') {
+    throw new Error('Compression must be a comma-separated list');
+  }
+  return value.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name !== '' && name !== 'identity')
+    .map(name => {
+      const compression = ALIASES[name] || name;
+      if (!DECOMPRESSORS[compression]) {
+        throw new Error(`Unsupported compression: ${name} (expected one of ${SUPPORTED_COMPRESSIONS.join(', ')})`);
+      }
+      return compression;
+    });
+}
+
+// Streams undoing `compressions` (as from parseCompressions), for a pipeline.
+// The last one enforces `limits` ({ maxSize, maxRatio }) and keeps `bytesIn`
+// (compressed), `bytesOut` (decompressed) and `head` (the first output bytes).
+// Corrupt data fails with the decompressor's error, prefixed with the
+// compression; exceeded limits fail with code DECOMPRESSION_LIMIT.
+function createDecompressStages(compressions, limits = {}) {
+  const maxSize = limits.maxSize || Infinity;
+  const maxRatio = limits.maxRatio || Infinity;
+  const decompressors = compressions.slice().reverse().map(compression => {
+    const decompressor = DECOMPRESSORS[compression]();
+    // Pipelines pass one stage's error on to the others, so only the stage
+    // it came from names its compression
+    decompressor.once('error', e => {
+      if (!e.compression && e.code !== 'DECOMPRESSION_LIMIT') {
+        e.compression = compression;
+        e.message = `Invalid ${compression} data: ${e.message}`;
+      }
+    });
+    return decompressor;
+  });
+  const first = decompressors[0];
+
+  const guard = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      guard.bytesOut += chunk.length;
+      if (guard.bytesOut > maxSize) {
+        return callback(limitError(`Decompressed data exceeds ${maxSize} bytes`));
+      }
+      if (guard.bytesOut > RATIO_GRACE_SIZE && guard.bytesOut > guard.bytesIn * maxRatio) {
+        return callback(limitError(`Compression ratio exceeds ${maxRatio}:1 (possible decompression bomb)`));
+      }
+      if (guard.head.length < HEAD_SIZE) {
+        guard.head = Buffer.concat([guard.head, chunk.subarray(0, HEAD_SIZE - guard.head.length)]);
+      }
+      callback(null, chunk);
+    }
+  });
+  Object.defineProperty(guard, 'bytesIn', { get: () => first.bytesWritten });
+  guard.bytesOut = 0;
+  guard.head = Buffer.alloc(0);
+  return decompressors.concat(guard);
+}
+
+// Decompresses a request body sent with `compressions` in place, so body
+// parsers and handlers read the decompressed bytes. Like the recorder, it
+// takes the body as the HTTP parser hands it over. The Content-Encoding and
+// Content-Length headers are removed, as they no longer describe the body;
+// req.contentEncoding keeps the compressions and, once the body has been
+// read, bytesIn and bytesOut.
+//
+// Failures are emitted as request errors with a status: 413 for exceeded
+// limits, 400 for corrupt data. The body then ends early.
+function decompressRequest(req, compressions, limits) {
+  const stages = createDecompressStages(compressions, limits);
+  const guard = stages[stages.length - 1];
+  for (let i = 1; i < stages.length; i++) {
+    stages[i - 1].pipe(stages[i]);
+  }
+
+  const push = req.push;
+  let done = false;
+  const finish = () => {
+    done = true;
+    req.contentEncoding.bytesIn = guard.bytesIn;
+    req.contentEncoding.bytesOut = guard.bytesOut;
+    push.call(req, null);
+  };
+
+  req.contentEncoding = { compressions: compressions, bytesIn: null, bytesOut: null };
+  req.push = function (chunk, encoding) {
+    if (done) {
+      return true;
+    }
+    if (chunk === null) {
+      stages[0].end();
+      return false;
+    }
+    // Returning false pauses the socket until the request is read from
+    // again, which may not happen while the decompressor holds back its
+    // output, so it asks for more once drained
+    const flowing = stages[0].write(chunk, encoding);
+    if (!flowing) {
+      stages[0].once('drain', () => req.read(0));
+    }
+    return flowing;
+  };
+
+  guard.on('data', chunk => {
+    if (!done) {
+      push.call(req, chunk);
+    }
+  });
+  guard.on('end', () => {
+    if (!done) {
+      finish();
+    }
+  });
+  stages.forEach(stage => stage.on('error', e => {
+    if (done) {
+      return;
+    }
+    e.status = e.code === 'DECOMPRESSION_LIMIT' ? 413 : 400;
+    req.emit('error', e);
+    finish();
+  }));
+
+  delete req.headers['content-encoding'];
+  if (req.headers['content-length'] !== undefined) {
+    delete req.headers['content-length'];
+    req.headers['transfer-encoding'] = 'chunked';
+  }
+}
+
+module.exports = {
+  SUPPORTED_COMPRESSIONS,
+  parseCompressions,
+  createDecompressStages,
+  decompressRequest
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createSubscription } = require('./webhooks');
+
+// Server configuration: the defaults below, then the JSON file named by
+// CONFIG_FILE, then environment variables, each overriding the one before:
+//
+//   {
+//     "port": 3002,
+//     "uploadDir": "./uploads",             // Relative to the config file
+//     "limits": {
+//       "maxUploadSize": "10gb",            // Streamed file parts, encoded fields, raw PUT bodies and resumable uploads
+//       "maxBodySize": "50mb",              // urlencoded and JSON bodies
+//       "maxFieldSize": "50mb",             // Multipart text fields kept in memory
+//       "maxFields": 100                    // Fields (and urlencoded parameters) per body
+//     },
+//     "routes": {
+//       "/upload-hex": { "maxBodySize": "1mb" },
+//       "/uploads": { "maxUploadSize": "1gb" }
+//     },
+//     "encodings": {
+//       "plugins": ["./plugins/rot13.js"],  // Modules adding encodings, see encodings.js
+//       "aliases": { "b64": "base64" }
+//     },
+//     "webhooks": {
+//       "subscriptions": [                  // See webhooks.js
+//         { "url": "http://localhost:4000/hook", "secret": "s3cret", "events": ["file.stored"] }
+//       ],
+//       "attempts": 5,                      // Defaults for the subscriptions
+//       "retryDelay": 1000,                 // ms, doubling after each retry
+//       "timeout": 10000                    // ms to wait for each response
+//     }
+//   }
+//
+// Sizes are byte counts or strings such as "50mb" (b, kb, mb, gb or tb, in
+// powers of 1024). A route's limits apply on top of `limits` for requests to
+// that exact path; "/uploads" covers the resumable upload routes.
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+const SIZE_UNITS = { b: 1, kb: KB, mb: MB, gb: GB, tb: 1024 * GB };
+
+const DEFAULT_LIMITS = {
+  maxUploadSize: 10 * GB,
+  maxBodySize: 50 * MB,
+  maxFieldSize: 50 * MB,
+  maxFields: 100
+};
+
+// /inspect and /echo keep every part in memory, so they are capped lower
+const DEFAULT_ROUTES = {
+  '/inspect': { maxUploadSize: 10 * MB, maxBodySize: 10 * MB, maxFieldSize: 10 * MB },
+  '/echo': { maxUploadSize: 10 * MB, maxBodySize: 10 * MB, maxFieldSize: 10 * MB }
+};
+
+const LIMITS = Object.keys(DEFAULT_LIMITS);
+
+const DEFAULT_WEBHOOKS = {
+  attempts: 5,
+  retryDelay: 1000,
+  timeout: 10000
+};
+
+// Environment variables and the settings they override. Paths in them are
+// relative to the working directory.
+const ENV_OVERRIDES = {
+  PORT: 'port',
+  UPLOAD_DIR: 'uploadDir',
+  MAX_UPLOAD_SIZE: 'limits.maxUploadSize',
+  MAX_BODY_SIZE: 'limits.maxBodySize',
+  MAX_FIELD_SIZE: 'limits.maxFieldSize',
+  MAX_FIELDS: 'limits.maxFields',
+  ENCODING_PLUGINS: 'encodings.plugins'
+};
+
+// Parses a size setting, returning the byte count or null if it is malformed
+function parseSize(value) {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? value : null;
+  }
+  const match = typeof value === 'string' ? /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i.exec(value.trim()) : null;
+  return match ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : null;
+}
+
+function parseLimit(name, value) {
+  if (name === 'maxFields') {
+    const count = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+    return Number.isInteger(count) && count > 0 ? count : null;
+  }
+  return parseSize(value);
+}
+
+// Checks a `limits` object (or a route's), returning the parsed limits
+function parseLimits(limits, where, invalid) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw invalid(`${where} must be an object`);
+  }
+  const parsed = {};
+  Object.keys(limits).forEach(name => {
+    if (!LIMITS.includes(name)) {
+      throw invalid(`${where}.${name} is not a limit (expected ${LIMITS.join(', ')})`);
+    }
+    parsed[name] = parseLimit(name, limits[name]);
+    if (parsed[name] === null) {
+      throw invalid(`${where}.${name} must be ${name === 'maxFields' ? 'a positive integer' : 'a size such as 1048576 or "1mb"'}`);
+    }
+  });
+  return parsed;
+}
+
+function parsePort(value) {
+  const port = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(port) && port >= 0 && port <= 65535 ? port : null;
+}
+
+// Applies the settings in `settings` (the parsed config file) to `config`,
+// resolving paths against `baseDir`
+function applySettings(config, settings, baseDir, invalid) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw invalid('expected an object');
+  }
+  Object.keys(settings).forEach(key => {
+    if (!['port', 'uploadDir', 'limits', 'routes', 'encodings', 'webhooks'].includes(key)) {
+      throw invalid(`unknown setting ${key}`);
+    }
+  });
+
+  if (settings.port !== undefined) {
+    config.port = parsePort(settings.port);
+    if (config.port === null) {
+      throw invalid('port must be an integer from 0 to 65535');
+    }
+  }
+  if (settings.uploadDir !== undefined) {
+    if (typeof settings.uploadDir !== 'string' || settings.uploadDir === '') {
+      throw invalid('uploadDir must be a path');
+    }
+    config.uploadDir = path.resolve(baseDir, settings.uploadDir);
+  }
+  if (settings.limits !== undefined) {
+    Object.assign(config.limits, parseLimits(settings.limits, 'limits', invalid));
+  }
+  if (settings.routes !== undefined) {
+    if (!settings.routes || typeof settings.routes !== 'object' || Array.isArray(settings.routes)) {
+      throw invalid('routes must be an object of limits keyed by path');
+    }
+    Object.keys(settings.routes).forEach(route => {
+      if (!route.startsWith('/')) {
+        throw invalid(`routes: ${route} is not a path`);
+      }
+      config.routes[route] = Object.assign({}, config.routes[route], parseLimits(settings.routes[route], `routes["${route}"]`, invalid));
+    });
+  }
+  if (settings.encodings !== undefined) {
+    const encodings = settings.encodings;
+    if (!encodings || typeof encodings !== 'object' || Array.isArray(encodings)) {
+      throw invalid('encodings must be an object');
+    }
+    if (encodings.plugins !== undefined) {
+      if (!Array.isArray(encodings.plugins) || !encodings.plugins.every(plugin => typeof plugin === 'string' && plugin !== '')) {
+        throw invalid('encodings.plugins must be a list of module paths');
+      }
+      config.encodings.plugins = encodings.plugins.map(plugin => path.resolve(baseDir, plugin));
+    }
+    if (encodings.aliases !== undefined) {
+      const aliases = encodings.aliases;
+      if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases) || !Object.values(aliases).every(name => typeof name === 'string')) {
+        throw invalid('encodings.aliases must be an object of encoding names keyed by alias');
+      }
+      Object.assign(config.encodings.aliases, aliases);
+    }
+  }
+  if (settings.webhooks !== undefined) {
+    applyWebhookSettings(config, settings.webhooks, invalid);
+  }
+}
+
+function applyWebhookSettings(config, webhooks, invalid) {
+  if (!webhooks || typeof webhooks !== 'object' || Array.isArray(webhooks)) {
+    throw invalid('webhooks must be an object');
+  }
+  Object.keys(webhooks).forEach(key => {
+    if (key !== 'subscriptions' && DEFAULT_WEBHOOKS[key] === undefined) {
+      throw invalid(`unknown setting webhooks.${key}`);
+    }
+  });
+  Object.keys(DEFAULT_WEBHOOKS).filter(name => webhooks[name] !== undefined).forEach(name => {
+    const value = webhooks[name];
+    const min = name === 'retryDelay' ? 0 : 1;
+    if (!Number.isInteger(value) || value < min) {
+      throw invalid(`webhooks.${name} must be ${min === 0 ? 'a non-negative' : 'a positive'} integer`);
+    }
+    config.webhooks[name] = value;
+  });
+  if (webhooks.subscriptions !== undefined) {
+    if (!Array.isArray(webhooks.subscriptions)) {
+      throw invalid('webhooks.subscriptions must be a list');
+    }
+    // Checked here so that mistakes name the config file; they are added to
+    // the dispatcher as given
+    webhooks.subscriptions.forEach((spec, index) => {
+      try {
+        createSubscription(spec);
+      } catch (e) {
+        throw invalid(`webhooks.subscriptions[${index}]: ${e.message}`);
+      }
+    });
+    config.webhooks.subscriptions = webhooks.subscriptions;
+  }
+}
+
+// Applies the environment overrides in `env` to `config`
+function applyEnvironment(config, env) {
+  Object.keys(ENV_OVERRIDES).forEach(name => {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      return;
+    }
+    const invalid = (message) => new Error(`Invalid ${name}: ${message}`);
+    const setting = ENV_OVERRIDES[name];
+    if (setting === 'port') {
+      config.port = parsePort(value);
+      if (config.port === null) {
+        throw invalid('expected a port number from 0 to 65535');
+      }
+    } else if (setting === 'uploadDir') {
+      config.uploadDir = path.resolve(value);
+    } else if (setting === 'encodings.plugins') {
+      config.encodings.plugins = value.split(',').map(plugin => plugin.trim()).filter(Boolean).map(plugin => path.resolve(plugin));
+    } else {
+      const limit = setting.slice('limits.'.length);
+      config.limits[limit] = parseLimit(limit, value);
+      if (config.limits[limit] === null) {
+        throw invalid(limit === 'maxFields' ? 'expected a positive integer' : 'expected a size such as 1048576 or 1mb');
+      }
+    }
+  });
+}
+
+// Loads the configuration from `file` (optional) and `env`. Throws, naming
+// the file or variable, when a setting is invalid. Returns
+// { file, port, uploadDir, limits, routes, encodings: { plugins, aliases },
+// webhooks: { subscriptions, attempts, retryDelay, timeout } }.
+function loadConfig(file, env = process.env) {
+  const config = {
+    file: file ? path.resolve(file) : null,
+    port: 3002,
+    uploadDir: path.join(__dirname, '..', 'uploads'),
+    limits: Object.assign({}, DEFAULT_LIMITS),
+    routes: {},
+    encodings: { plugins: [], aliases: {} },
+    webhooks: Object.assign({ subscriptions: [] }, DEFAULT_WEBHOOKS)
+  };
+  Object.keys(DEFAULT_ROUTES).forEach(route => {
+    config.routes[route] = Object.assign({}, DEFAULT_ROUTES[route]);
+  });
+
+  if (config.file) {
+    const invalid = (message) => new Error(`Invalid config file ${config.file}: ${message}`);
+    let settings;
+    try {
+      settings = JSON.parse(fs.readFileSync(config.file, 'utf8'));
+    } catch (e) {
+      throw invalid(e.message);
+    }
+    applySettings(config, settings, path.dirname(config.file), invalid);
+  }
+  applyEnvironment(config, env);
+  return config;
+}
+
+// The limits for requests to `route`: the route's own over the defaults
+function routeLimits(config, route) {
+  return Object.assign({}, config.limits, config.routes[route]);
+}
+
+module.exports = {
+  loadConfig,
+  routeLimits
+};
@@ -0,0 +1,478 @@
+'use strict';
+
+const { Writable } = require('stream');
+const { getBoundary, parseHeaderValue, decodeExtValue, joinContinuations } = require('./multipart');
+
+// Strict RFC 7578 / RFC 2046 conformance checking of raw multipart/form-data
+// bodies, for catching bugs in multipart generators. Write the raw body into
+// a MultipartValidator and read `report()` once it has finished. Only the
+// framing is kept in memory, so bodies can be checked on their way to the
+// parser whatever their size.
+//
+// Each finding has the byte `offset` in the body it refers to (null for the
+// Content-Type header), a `severity`, a `code`, a `message` and the `part`
+// index when it concerns one part:
+//   error   - breaks the RFCs in a way parsers reject or disagree on
+//   warning - allowed or commonly tolerated, but likely a generator bug
+//   info    - harmless, worth knowing
+
+// RFC 2046 section 5.1.1: 1 to 70 bchars, not ending in a space
+const BOUNDARY_CHAR = /[0-9A-Za-z'()+_,\-./:=? ]/;
+const MAX_BOUNDARY_LENGTH = 70;
+
+// Longer runs of whitespace after a boundary make the line content
+const MAX_PADDING = 64;
+
+const MAX_HEADER_SIZE = 16 * 1024;
+const MAX_FINDINGS = 200;
+const MAX_PARTS = 1000;
+
+const CR = 0x0D;
+const LF = 0x0A;
+
+// Validator states
+const PREAMBLE = 'preamble';
+const HEADERS = 'headers';
+const BODY = 'body';
+const EPILOGUE = 'epilogue';
+
+// Header values are UTF-8 in practice (RFC 7578 section 5.1)
+function headerText(value) {
+  return Buffer.from(value, 'latin1').toString('utf8');
+}
+
+function isUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+class MultipartValidator extends Writable {
+  constructor(contentType) {
+    super();
+    this.contentType = contentType || '';
+    this.size = 0;
+    this.parts = [];
+    this.findings = [];
+    this.counts = { error: 0, warning: 0, info: 0 };
+    this._state = PREAMBLE;
+    this._part = null;
+    this._partCount = 0;
+    this._names = new Map();
+    this._previousLine = null;
+    this._closeEnd = null;
+    this.boundary = this._checkContentType();
+    if (this.boundary) {
+      this._needle = Buffer.from(`--${this.boundary}`);
+      this._startLine(0);
+    }
+  }
+
+  _add(severity, code, offset, message, part) {
+    this.counts[severity]++;
+    if (this.findings.length < MAX_FINDINGS) {
+      const finding = { offset: offset, severity: severity, code: code, message: message };
+      if (part !== undefined && part !== null) {
+        finding.part = part;
+      }
+      this.findings.push(finding);
+    }
+  }
+
+  // Checks the media type and boundary parameter. Returns the boundary, or
+  // null when the body cannot be checked without one.
+  _checkContentType() {
+    const mediaType = parseHeaderValue(this.contentType).type;
+    if (!mediaType.startsWith('multipart/')) {
+      this._add('error', 'media-type', null, `Content-Type is ${mediaType || 'missing'}, not multipart/form-data`);
+      return null;
+    }
+    if (mediaType !== 'multipart/form-data') {
+      this._add('warning', 'media-type', null, `Content-Type is ${mediaType}; RFC 7578 form submissions are multipart/form-data`);
+    }
+
+    const boundary = getBoundary(this.contentType);
+    if (!boundary) {
+      this._add('error', 'missing-boundary', null, 'Content-Type has no boundary parameter');
+      return null;
+    }
+    if (boundary.length > MAX_BOUNDARY_LENGTH) {
+      this._add('error', 'boundary-length', null, `Boundary is ${boundary.length} characters long; RFC 2046 allows at most ${MAX_BOUNDARY_LENGTH}`);
+    }
+    const invalid = Array.from(new Set(Array.from(boundary).filter(char => !BOUNDARY_CHAR.test(char))));
+    if (invalid.length > 0) {
+      this._add('error', 'boundary-characters', null, `Boundary contains characters RFC 2046 does not allow: ${invalid.map(char => JSON.stringify(char)).join(', ')}`);
+    }
+    if (boundary.endsWith(' ')) {
+      this._add('error', 'boundary-characters', null, 'Boundary ends in a space, which RFC 2046 does not allow');
+    }
+    return boundary;
+  }
+
+  _write(chunk, encoding, callback) {
+    if (this.boundary) {
+      let position = 0;
+      while (position < chunk.length) {
+        const lf = chunk.indexOf(LF, position);
+        this._append(chunk.subarray(position, lf === -1 ? chunk.length : lf));
+        if (lf === -1) {
+          break;
+        }
+        this._endLine(true);
+        position = lf + 1;
+      }
+    }
+    this.size += chunk.length;
+    callback();
+  }
+
+  _final(callback) {
+    if (this.boundary) {
+      if (this._line.length > 0) {
+        this._endLine(false);
+      }
+      this._finish();
+    }
+    callback();
+  }
+
+  // Lines are split at LF. Only their start is kept, which is all a
+  // delimiter line needs, except for header lines, which are kept whole.
+  _startLine(offset) {
+    this._line = {
+      start: offset,
+      length: 0,
+      keep: this._state === HEADERS ? MAX_HEADER_SIZE : this._needle.length + 2 + MAX_PADDING + 1,
+      head: [],
+      headLength: 0,
+      carry: Buffer.alloc(0),
+      last: null,
+      occurrences: []
+    };
+  }
+
+  _append(segment) {
+    const line = this._line;
+    if (segment.length === 0) {
+      return;
+    }
+    // Boundary strings anywhere in the line, including ones split across
+    // writes
+    const window = line.carry.length > 0 ? Buffer.concat([line.carry, segment]) : segment;
+    const windowStart = line.length - line.carry.length;
+    for (let index = window.indexOf(this._needle); index !== -1; index = window.indexOf(this._needle, index + 1)) {
+      line.occurrences.push(windowStart + index);
+    }
+    line.carry = Buffer.from(window.subarray(Math.max(0, window.length - (this._needle.length - 1))));
+
+    if (line.headLength < line.keep) {
+      const kept = segment.subarray(0, line.keep - line.headLength);
+      line.head.push(Buffer.from(kept));
+      line.headLength += kept.length;
+    }
+    line.last = segment[segment.length - 1];
+    line.length += segment.length;
+  }
+
+  // Whether a line (without its line break) is a delimiter: the boundary,
+  // `--` for the close delimiter, then only transport padding
+  _delimiter(text) {
+    if (text.length < this._needle.length || !text.subarray(0, this._needle.length).equals(this._needle)) {
+      return null;
+    }
+    let rest = text.subarray(this._needle.length);
+    const close = rest.length >= 2 && rest[0] === 0x2D && rest[1] === 0x2D;
+    if (close) {
+      rest = rest.subarray(2);
+    }
+    if (!/^[ \t]*$/.test(rest.toString('latin1'))) {
+      return null;
+    }
+    return { close: close, padding: rest.length };
+  }
+
+  _endLine(hadLF) {
+    const line = this._line;
+    const end = line.start + line.length;
+    const bare = hadLF && line.last !== CR;
+    let text = null;
+    if (line.length <= line.keep) {
+      text = Buffer.concat(line.head);
+      if (hadLF && !bare) {
+        text = text.subarray(0, text.length - 1);
+      }
+    }
+    const delimiter = this._state !== EPILOGUE && text ? this._delimiter(text) : null;
+    const partIndex = this._part ? this._part.index : null;
+
+    if (this._state !== EPILOGUE) {
+      line.occurrences.filter(position => !(delimiter && position === 0)).forEach(position => {
+        if (position === 0) {
+          this._add('error', 'boundary-in-content', line.start, 'A line starts with the boundary string but is not a delimiter; lenient parsers may split the body here', partIndex);
+        } else {
+          this._add('warning', 'boundary-in-content', line.start + position, 'The boundary string occurs inside the content; RFC 2046 requires a boundary that appears nowhere in the parts', partIndex);
+        }
+      });
+    }
+
+    if (delimiter) {
+      this._onDelimiter(line, delimiter, hadLF, bare, end);
+    } else if (this._state === HEADERS) {
+      this._onHeaderLine(line, text, bare, end);
+    }
+
+    this._previousLine = { end: end, bare: bare };
+    this._startLine(end + 1);
+  }
+
+  _onDelimiter(line, delimiter, hadLF, bare, end) {
+    if (bare) {
+      this._add('error', 'bare-lf', end, 'Delimiter line ends in a bare LF instead of CRLF');
+    }
+    // The line break before a delimiter belongs to it (RFC 2046 section 5.1.1)
+    if (line.start > 0 && this._previousLine && this._previousLine.bare) {
+      this._add('error', 'bare-lf', this._previousLine.end, 'Delimiter is preceded by a bare LF instead of CRLF');
+    }
+    if (delimiter.padding > 0) {
+      this._add('warning', 'transport-padding', line.start + line.length - delimiter.padding - (hadLF && !bare ? 1 : 0),
+        `${delimiter.padding} byte(s) of whitespace after the delimiter; RFC 2046 allows this transport padding but some parsers reject it`);
+    }
+
+    if (this._state === PREAMBLE) {
+      if (line.start > 0) {
+        this._add('warning', 'preamble', 0, `${line.start} byte(s) before the first delimiter (preamble); receivers ignore them`);
+      }
+    } else if (this._state === HEADERS) {
+      this._add('error', 'unterminated-headers', line.start, 'Part headers are not followed by an empty line before the next delimiter', this._part.index);
+      this._endPart(line.start);
+    } else {
+      const lineBreak = this._previousLine && this._previousLine.bare ? 1 : 2;
+      this._endPart(Math.max(this._part.bodyOffset, line.start - lineBreak));
+    }
+
+    if (delimiter.close) {
+      if (this._partCount === 0) {
+        this._add('error', 'no-parts', line.start, 'The first delimiter is the close delimiter, so the body has no parts');
+      }
+      this._state = EPILOGUE;
+      this._closeEnd = hadLF ? end + 1 : end;
+      return;
+    }
+    this._startPart(hadLF ? end + 1 : end);
+  }
+
+  _onHeaderLine(line, text, bare, end) {
+    const part = this._part;
+    if (bare) {
+      this._add('error', 'bare-lf', end, 'Header line ends in a bare LF instead of CRLF', part.index);
+    }
+    if (text !== null && text.length === 0) {
+      this._finishHeaders(end + 1);
+      return;
+    }
+
+    part.headerSize += line.length + 1;
+    if (text === null || part.headerSize > MAX_HEADER_SIZE) {
+      if (!part.oversized) {
+        this._add('error', 'header-size', line.start, `Part headers exceed ${MAX_HEADER_SIZE} bytes`, part.index);
+      }
+      part.oversized = true;
+      return;
+    }
+
+    const value = text.toString('latin1');
+    if (/^[ \t]/.test(value)) {
+      this._add('warning', 'header-folding', line.start, 'Obsolete header line folding (RFC 7230 section 3.2.4)', part.index);
+      if (part.headerLines.length > 0) {
+        part.headerLines[part.headerLines.length - 1].value += ` ${value.trim()}`;
+      }
+      return;
+    }
+    const colon = value.indexOf(':');
+    if (colon <= 0) {
+      this._add('error', 'malformed-header', line.start, `Header line has no field name and colon: ${JSON.stringify(headerText(value).slice(0, 80))}`, part.index);
+      return;
+    }
+    part.headerLines.push({
+      offset: line.start,
+      name: value.slice(0, colon).trim().toLowerCase(),
+      value: value.slice(colon + 1).trim()
+    });
+  }
+
+  _startPart(offset) {
+    this._part = {
+      index: this._partCount++,
+      offset: offset,
+      bodyOffset: null,
+      headerSize: 0,
+      headerLines: [],
+      summary: null
+    };
+    this._state = HEADERS;
+  }
+
+  _endPart(bodyEnd) {
+    const part = this._part;
+    if (part.summary) {
+      part.summary.size = part.bodyOffset === null ? 0 : bodyEnd - part.bodyOffset;
+    }
+    this._part = null;
+  }
+
+  // Checks a part's headers once the empty line after them arrives
+  _finishHeaders(bodyOffset) {
+    const part = this._part;
+    part.bodyOffset = bodyOffset;
+    this._state = BODY;
+
+    const headers = {};
+    part.headerLines.forEach(header => {
+      if (headers[header.name]) {
+        this._add('warning', 'duplicate-header', header.offset, `Duplicate ${header.name} header`, part.index);
+        return;
+      }
+      headers[header.name] = header;
+    });
+
+    const summary = {
+      index: part.index,
+      offset: part.offset,
+      name: null,
+      filename: null,
+      contentType: headers['content-type'] ? parseHeaderValue(headers['content-type'].value).type : null,
+      size: null
+    };
+    part.summary = summary;
+    if (this.parts.length < MAX_PARTS) {
+      this.parts.push(summary);
+    }
+
+    if (headers['content-transfer-encoding']) {
+      this._add('warning', 'content-transfer-encoding', headers['content-transfer-encoding'].offset,
+        'Content-Transfer-Encoding is deprecated in multipart/form-data (RFC 7578 section 4.7)', part.index);
+    }
+
+    const header = headers['content-disposition'];
+    if (!header) {
+      this._add('error', 'missing-content-disposition', part.offset, 'Part has no Content-Disposition header (RFC 7578 section 4.2)', part.index);
+      return;
+    }
+    const disposition = parseHeaderValue(header.value);
+    if (disposition.type !== 'form-data') {
+      this._add('error', 'disposition-type', header.offset, `Content-Disposition is ${JSON.stringify(disposition.type)}, not form-data`, part.index);
+    }
+
+    const params = disposition.params;
+    if (params.name === undefined) {
+      this._add('error', 'missing-name', header.offset, 'Content-Disposition has no name parameter (RFC 7578 section 4.2)', part.index);
+    } else {
+      summary.name = headerText(params.name);
+      if (summary.name === '') {
+        this._add('warning', 'empty-name', header.offset, 'Content-Disposition has an empty name', part.index);
+      }
+    }
+
+    summary.filename = this._checkFilename(params, header.offset, part.index);
+
+    if (summary.name !== null) {
+      if (!this._names.has(summary.name)) {
+        this._names.set(summary.name, []);
+      }
+      this._names.get(summary.name).push({ offset: header.offset, index: part.index, file: summary.filename !== null });
+    }
+  }
+
+  // Checks the filename parameters of a Content-Disposition and returns the
+  // filename a lenient receiver would use, or null
+  _checkFilename(params, offset, index) {
+    let filename = params.filename !== undefined ? headerText(params.filename) : null;
+    if (params.filename !== undefined) {
+      const bytes = Buffer.from(params.filename, 'latin1');
+      if (!isUtf8(bytes)) {
+        this._add('warning', 'filename-encoding', offset, 'filename is neither ASCII nor valid UTF-8', index);
+      } else if (/[^\x00-\x7F]/.test(params.filename)) {
+        this._add('info', 'non-ascii-filename', offset, 'filename contains non-ASCII characters sent as raw UTF-8, as RFC 7578 section 4.2 allows', index);
+      }
+      if (/[/\\]/.test(filename)) {
+        this._add('warning', 'filename-path', offset, 'filename includes a directory path; RFC 7578 section 4.2 expects only the file name', index);
+      }
+    }
+
+    const continued = joinContinuations(params, 'filename');
+    let extendedValue = params['filename*'];
+    if (continued !== undefined) {
+      this._add('warning', 'filename-continuation', offset, 'filename is split into RFC 2231 continuations (filename*0, filename*1, ...), which multipart/form-data receivers need not support', index);
+      if (continued === null) {
+        this._add('error', 'invalid-filename-continuation', offset, 'filename continuations must be numbered from 0 without gaps, and only the first may declare a charset', index);
+      } else if (!continued.extended && filename === null) {
+        filename = continued.value;
+      } else if (continued.extended && extendedValue === undefined) {
+        extendedValue = continued.value;
+      }
+    }
+
+    if (params['filename*'] !== undefined) {
+      this._add('warning', 'filename-star', offset, 'filename* (RFC 5987) must not be used in multipart/form-data (RFC 7578 section 4.2); receivers may ignore it', index);
+    }
+    if (extendedValue !== undefined) {
+      const decoded = decodeExtValue(extendedValue);
+      if (decoded === null) {
+        this._add('error', 'invalid-filename-star', offset, `Extended filename is not a valid charset'language'percent-encoded value: ${JSON.stringify(extendedValue.slice(0, 80))}`, index);
+      } else {
+        if (params.filename === undefined) {
+          this._add('warning', 'missing-filename-fallback', offset, 'No plain filename parameter: receivers that ignore extended filenames treat this part as a text field', index);
+        }
+        filename = decoded;
+      }
+    }
+    return filename;
+  }
+
+  _finish() {
+    if (this._state === PREAMBLE) {
+      this._add('error', 'missing-delimiter', this.size, `The body contains no delimiter for boundary ${JSON.stringify(this.boundary)}`);
+    } else if (this._state !== EPILOGUE) {
+      if (this._state === HEADERS) {
+        this._add('error', 'unterminated-headers', this.size, 'Body ends inside part headers', this._part.index);
+      }
+      this._endPart(this.size);
+      this._add('error', 'missing-close-delimiter', this.size, `Body ends without the close delimiter --${this.boundary}--`);
+    } else if (this.size > this._closeEnd) {
+      this._add('info', 'epilogue', this._closeEnd, `${this.size - this._closeEnd} byte(s) after the close delimiter (epilogue); receivers ignore them`);
+    }
+
+    this._names.forEach((uses, name) => {
+      if (uses.length < 2) {
+        return;
+      }
+      const indexes = uses.map(use => use.index).join(', ');
+      if (uses.every(use => use.file)) {
+        this._add('info', 'duplicate-name', uses[1].offset, `Parts ${indexes} share the name ${JSON.stringify(name)}, as RFC 7578 section 4.3 allows for multiple files`);
+      } else {
+        this._add('warning', 'duplicate-name', uses[1].offset, `Parts ${indexes} share the name ${JSON.stringify(name)}; receivers may keep only one of them`);
+      }
+    });
+  }
+
+  report() {
+    const findings = this.findings.slice().sort((a, b) => (a.offset === null ? -1 : a.offset) - (b.offset === null ? -1 : b.offset));
+    return {
+      valid: this.counts.error === 0,
+      contentType: this.contentType || null,
+      boundary: this.boundary,
+      size: this.size,
+      counts: this.counts,
+      parts: this.parts,
+      findings: findings,
+      findingsTruncated: this.counts.error + this.counts.warning + this.counts.info > findings.length
+    };
+  }
+}
+
+module.exports = {
+  MultipartValidator
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Digests of stored bytes, and verification of the digests clients send
+// with them.
+
+// Digests reported for every stored file
+const REPORTED_ALGORITHMS = ['sha256', 'md5'];
+
+// Content-Digest (RFC 9530) algorithm names for the hashes we can verify
+const CONTENT_DIGEST_ALGORITHMS = {
+  'sha-256': 'sha256',
+  'sha-512': 'sha512',
+  'md5': 'md5'
+};
+
+// Expected digest lengths in bytes
+const DIGEST_LENGTHS = {
+  sha256: 32,
+  sha512: 64,
+  md5: 16
+};
+
+// Pass-through stream that hashes everything going through it. `digests()`
+// returns the hex digest for each algorithm once the stream has finished.
+function createDigestStream(algorithms = REPORTED_ALGORITHMS) {
+  const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+  const stream = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      hashes.forEach(hash => hash.update(chunk));
+      callback(null, chunk);
+    }
+  });
+
+  let result = null;
+  stream.digests = () => {
+    if (!result) {
+      result = {};
+      algorithms.forEach((algorithm, i) => {
+        result[algorithm] = hashes[i].digest('hex');
+      });
+    }
+    return result;
+  };
+  return stream;
+}
+
+// Hashes a file on disk
+async function hashFile(filepath, algorithms = REPORTED_ALGORITHMS) {
+  const digester = createDigestStream(algorithms);
+  digester.resume();
+  await pipeline(fs.createReadStream(filepath), digester);
+  return digester.digests();
+}
+
+// Parses a client-supplied digest given as hex or base64 into hex. Throws
+// when the value is neither or has the wrong length for the algorithm.
+function parseDigestValue(algorithm, value) {
+  const text = String(value).trim();
+  let bytes = null;
+  if (/^[0-9a-fA-F]+$/.test(text) && text.length === DIGEST_LENGTHS[algorithm] * 2) {
+    bytes = Buffer.from(text, 'hex');
+  } else if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) {
+    bytes = Buffer.from(text, 'base64');
+  }
+  if (!bytes || bytes.length !== DIGEST_LENGTHS[algorithm]) {
+    throw new Error(`Invalid ${algorithm} digest '${text}': expected ${DIGEST_LENGTHS[algorithm]} bytes as hex or base64`);
+  }
+  return bytes.toString('hex');
+}
+
+// Parses a Content-Digest header (`sha-256=:<base64>:, md5=:<base64>:`) into
+// { algorithm: hex }. Algorithms we cannot verify are ignored, as RFC 9530
+// asks of recipients.
+function parseContentDigest(header) {
+  const expected = {};
+  if (!header) {
+    return expected;
+  }
+
+  header.split(',').forEach(member => {
+    const match = /^\s*([A-Za-z0-9-]+)\s*=\s*:([^:]*):\s*$/.exec(member);
+    if (!match) {
+      throw new Error(`Invalid Content-Digest member '${member.trim()}'`);
+    }
+    const algorithm = CONTENT_DIGEST_ALGORITHMS[match[1].toLowerCase()];
+    if (algorithm) {
+      expected[algorithm] = parseDigestValue(algorithm, match[2]);
+    }
+  });
+  return expected;
+}
+
+// Collects the expected digests for one file from its sources, later ones
+// taking precedence:
+//   fields  - { sha256, md5 } values from `fileN_sha256`/`fileN_md5` fields
+//   headers - a Content-Digest and/or Content-MD5 header value
+// Returns { algorithm: hex }; throws on malformed values.
+function collectExpectedDigests(fields = {}, headers = {}) {
+  const expected = {};
+  ['sha256', 'md5'].forEach(algorithm => {
+    if (typeof fields[algorithm] === 'string' && fields[algorithm] !== '') {
+      expected[algorithm] = parseDigestValue(algorithm, fields[algorithm]);
+    }
+  });
+  Object.assign(expected, parseContentDigest(headers.contentDigest));
+  if (headers.contentMd5) {
+    expected.md5 = parseDigestValue('md5', headers.contentMd5);
+  }
+  return expected;
+}
+
+// Algorithms to compute so both the reported and the expected digests are
+// known
+function digestAlgorithms(expected) {
+  return [...new Set([...REPORTED_ALGORITHMS, ...Object.keys(expected)])];
+}
+
+// Compares computed digests with the expected ones. Returns an error message
+// for the first mismatch, or null when everything expected matches.
+function verifyDigests(actual, expected) {
+  for (const algorithm of Object.keys(expected)) {
+    if (actual[algorithm] !== expected[algorithm]) {
+      return `${algorithm} digest mismatch: expected ${expected[algorithm]}, computed ${actual[algorithm]}`;
+    }
+  }
+  return null;
+}
+
+// The reported subset of computed digests
+function reportedDigests(actual) {
+  const digests = {};
+  REPORTED_ALGORITHMS.forEach(algorithm => {
+    digests[algorithm] = actual[algorithm];
+  });
+  return digests;
+}
+
+module.exports = {
+  REPORTED_ALGORITHMS,
+  createDigestStream,
+  hashFile,
+  parseDigestValue,
+  parseContentDigest,
+  collectExpectedDigests,
+  digestAlgorithms,
+  verifyDigests,
+  reportedDigests
+};
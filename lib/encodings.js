@@ -0,0 +1,226 @@
+'use strict';
+
+const { Transform } = require('stream');
+const { createBufferingDecoder } = require('./codecs/stream');
+
+// Encoding registry: every encoding processEncodedData can decode, keyed by
+// the name used in /upload-<name> routes. Each codec provides a `label` for
+// messages, a strict `decode(text) -> Buffer` that throws a descriptive
+// error on malformed input, and `encode(buffer) -> text` as its reverse.
+// Codecs that can decode piecewise also provide `createDecoder()`; see
+// codecs/stream.js. Codecs may list `aliases`, alternative names accepted
+// wherever an encoding name is (each gets its own /upload-<alias> route).
+//
+// The built-in codecs are registered below. Plugin modules (see
+// loadEncodingPlugin) add more when the server starts, so SUPPORTED_ENCODINGS
+// and ALIASES are filled in place and always list what is registered.
+const CODECS = {};
+const ALIASES = {};
+const SUPPORTED_ENCODINGS = [];
+
+// Encoding names and aliases are used in routes and stored filenames
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// /upload-encoded is the universal endpoint
+const RESERVED_NAMES = ['encoded'];
+
+function isRegistered(name) {
+  return Object.prototype.hasOwnProperty.call(CODECS, name) || Object.prototype.hasOwnProperty.call(ALIASES, name);
+}
+
+function checkName(name, what) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || RESERVED_NAMES.includes(name)) {
+    throw new Error(`Invalid ${what} ${JSON.stringify(name)}: use lowercase letters, digits and "-" (at most 32 characters, not "encoded")`);
+  }
+  if (isRegistered(name)) {
+    throw new Error(`Invalid ${what} ${name}: already registered`);
+  }
+}
+
+// Adds `alias` as another name for the registered encoding `name`
+function registerAlias(alias, name) {
+  if (!Object.prototype.hasOwnProperty.call(CODECS, name)) {
+    throw new Error(`Cannot alias ${alias} to unknown encoding ${name}`);
+  }
+  checkName(alias, 'encoding alias');
+  ALIASES[alias] = name;
+}
+
+// Adds an encoding to the registry. Throws if the name or an alias is taken
+// or the codec lacks a label, decode or encode.
+function registerEncoding(name, codec) {
+  checkName(name, 'encoding name');
+  if (!codec || typeof codec.label !== 'string' || typeof codec.decode !== 'function' || typeof codec.encode !== 'function') {
+    throw new Error(`Invalid codec for ${name}: expected a label, decode(text) and encode(buffer)`);
+  }
+  if (codec.createDecoder !== undefined && typeof codec.createDecoder !== 'function') {
+    throw new Error(`Invalid codec for ${name}: createDecoder must be a function`);
+  }
+  if (codec.aliases !== undefined && !Array.isArray(codec.aliases)) {
+    throw new Error(`Invalid codec for ${name}: aliases must be a list of names`);
+  }
+  CODECS[name] = codec;
+  SUPPORTED_ENCODINGS.push(name);
+  (codec.aliases || []).forEach(alias => registerAlias(alias, name));
+}
+
+// Registers the codecs a module exports, keyed by encoding name like the
+// modules in codecs/. Returns the names registered.
+function registerCodecs(codecs) {
+  return Object.keys(codecs).map(name => {
+    registerEncoding(name, codecs[name]);
+    return name;
+  });
+}
+
+// Loads a plugin module from `file` and registers its codecs. A plugin
+// exports codecs the way codecs/*.js do:
+//
+//   module.exports = {
+//     'rot13': { label: 'ROT13', aliases: ['rot-13'], decode, encode }
+//   };
+function loadEncodingPlugin(file) {
+  let codecs;
+  try {
+    codecs = require(file);
+  } catch (e) {
+    throw new Error(`Cannot load encoding plugin ${file}: ${e.message}`);
+  }
+  if (!codecs || typeof codecs !== 'object') {
+    throw new Error(`Invalid encoding plugin ${file}: expected an object of codecs keyed by encoding name`);
+  }
+  try {
+    return registerCodecs(codecs);
+  } catch (e) {
+    throw new Error(`Invalid encoding plugin ${file}: ${e.message}`);
+  }
+}
+
+[
+  require('./codecs/buffer'),
+  require('./codecs/base64'),
+  require('./codecs/base32'),
+  require('./codecs/base58'),
+  require('./codecs/ascii85'),
+  require('./codecs/quoted-printable'),
+  require('./codecs/uuencode'),
+  require('./codecs/percent')
+].forEach(registerCodecs);
+
+// Alternative names for the built-in encodings. utf16le is the route the
+// README has always documented for utf-16le.
+const BUILTIN_ALIASES = {
+  'utf-8': 'utf8',
+  'utf16le': 'utf-16le',
+  'percent-encoding': 'percent'
+};
+Object.keys(BUILTIN_ALIASES).forEach(alias => registerAlias(alias, BUILTIN_ALIASES[alias]));
+
+function resolveEncoding(encoding) {
+  return Object.prototype.hasOwnProperty.call(ALIASES, encoding) ? ALIASES[encoding] : encoding;
+}
+
+function isSupportedEncoding(encoding) {
+  return Object.prototype.hasOwnProperty.call(CODECS, resolveEncoding(encoding));
+}
+
+// Registered encodings with their labels and aliases, in registration order
+function listEncodings() {
+  return SUPPORTED_ENCODINGS.map(name => ({
+    name: name,
+    label: CODECS[name].label,
+    aliases: Object.keys(ALIASES).filter(alias => ALIASES[alias] === name)
+  }));
+}
+
+function getCodec(encoding) {
+  if (!isSupportedEncoding(encoding)) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+  return CODECS[resolveEncoding(encoding)];
+}
+
+// Decodes text a client sent to /upload-<encoding> into the bytes to store
+function decodeString(text, encoding) {
+  return getCodec(encoding).decode(text);
+}
+
+// Reverse of the decoding done in processEncodedData: turns stored bytes back
+// into the text a client would have sent to /upload-<encoding>.
+function encodeBuffer(buffer, encoding) {
+  return getCodec(encoding).encode(buffer);
+}
+
+// Incremental decoder for an encoding, buffering for codecs without one
+function createDecoder(encoding) {
+  const codec = getCodec(encoding);
+  return codec.createDecoder ? codec.createDecoder() : createBufferingDecoder(codec.decode);
+}
+
+// Number of leading output bytes kept on decode streams for content sniffing
+// (matches SNIFF_SIZE in sniff.js)
+const HEAD_SIZE = 4096;
+
+// Transform stream that decodes encoded bytes chunk by chunk. The bytes are
+// read as text in `charset` first ('binary' maps each byte to one character,
+// like latin1) and then fed through the encoding's incremental decoder.
+// `bytesIn`, `bytesOut` and `head` (the first output bytes) are kept on the
+// stream for the caller.
+function createDecodeStream(encoding, charset = 'utf-8') {
+  const decoder = createDecoder(encoding);
+  let textDecoder = null;
+  if (charset !== 'binary') {
+    try {
+      textDecoder = new TextDecoder(charset);
+    } catch (e) {
+      throw new Error(`Unsupported charset: ${charset}`);
+    }
+  }
+
+  const stream = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      stream.bytesIn += chunk.length;
+      try {
+        const text = textDecoder ? textDecoder.decode(chunk, { stream: true }) : chunk.toString('binary');
+        callback(null, track(decoder.update(text)));
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        const tail = textDecoder ? textDecoder.decode() : '';
+        callback(null, track(Buffer.concat([decoder.update(tail), decoder.final()])));
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+
+  const track = (bytes) => {
+    if (stream.head.length < HEAD_SIZE && bytes.length > 0) {
+      stream.head = Buffer.concat([stream.head, bytes.subarray(0, HEAD_SIZE - stream.head.length)]);
+    }
+    stream.bytesOut += bytes.length;
+    return bytes;
+  };
+
+  stream.bytesIn = 0;
+  stream.bytesOut = 0;
+  stream.head = Buffer.alloc(0);
+  return stream;
+}
+
+module.exports = {
+  SUPPORTED_ENCODINGS,
+  ALIASES,
+  registerEncoding,
+  registerAlias,
+  loadEncodingPlugin,
+  listEncodings,
+  isSupportedEncoding,
+  resolveEncoding,
+  decodeString,
+  encodeBuffer,
+  createDecoder,
+  createDecodeStream
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// Upload lifecycle events, handed to in-process subscribers (the /events
+// stream and webhook deliveries) as they happen. Each event is
+//   { id, type, time, data }
+// with ids counting up from 1. The most recent `historySize` events are kept,
+// so a stream that reconnects can catch up from its Last-Event-ID.
+//
+// Types, and what their data holds besides the requestId and client (API key
+// name or null) of the request they belong to:
+//   request.started  - an upload request arrived: method, path, bytesExpected
+//                      (Content-Length, or null when chunked)
+//   request.progress - body bytes received so far: bytesReceived,
+//                      bytesExpected
+//   part.parsed      - a multipart part was received in full: index, name,
+//                      filename, contentType, size
+//   file.decoded     - the per-file result of decoding one field or part, as
+//                      returned in the response
+//   file.stored      - a file was stored: its metadata record
+//   file.failed      - a file failed to decode: fieldname, originalName,
+//                      encoding, error, failure (the decode_failures_total
+//                      error type)
+//   file.deleted     - a stored file was deleted: id, reason ('deleted', or
+//                      the retention reason)
+//   request.finished - the response was sent: status, durationMs,
+//                      bytesReceived, aborted
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+// Creates an event hub. `publish(type, data)` returns the event;
+// `subscribe(fn)` returns a function that unsubscribes `fn`.
+function createEventHub(options = {}) {
+  const historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+  const history = [];
+  const subscribers = new Set();
+  let lastId = 0;
+
+  return {
+    publish(type, data) {
+      const event = { id: ++lastId, type: type, time: new Date().toISOString(), data: data };
+      history.push(event);
+      if (history.length > historySize) {
+        history.shift();
+      }
+      subscribers.forEach(fn => fn(event));
+      return event;
+    },
+
+    subscribe(fn) {
+      subscribers.add(fn);
+      return () => subscribers.delete(fn);
+    },
+
+    // Kept events published after event `id`
+    since(id) {
+      return history.filter(event => event.id > id);
+    }
+  };
+}
+
+// Formats an event as a Server-Sent Events message, its time added to the
+// JSON data
+function formatServerSentEvent(event) {
+  const data = Object.assign({ time: event.time }, event.data);
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  createEventHub,
+  formatServerSentEvent
+};
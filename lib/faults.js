@@ -0,0 +1,465 @@
+'use strict';
+
+// Fault injection, for testing how upload clients cope with a misbehaving
+// server. A fault is a plain object with a `type`, the type's parameters and
+// an optional scope:
+//   route       - request path it applies to; a trailing '*' matches any
+//                 path with that prefix (default: every route)
+//   encoding    - encoding it applies to, from an /upload-<encoding> path or
+//                 an `encoding` query parameter (default: any)
+//   probability - chance of firing on a matching request, 0 to 1 (default 1)
+//   times       - for admin rules, how many times it fires before it is
+//                 removed (default: until deleted)
+//
+// Types and their parameters:
+//   latency     - ms: delay before the request is handled
+//   drip        - bytes, interval: send the response `bytes` at a time, every
+//                 `interval` ms
+//   reset       - after, phase: reset the connection after `after` bytes of
+//                 the request body (phase 'request', the default) or of the
+//                 response body (phase 'response')
+//   truncate    - bytes: cut the response body to `bytes` (default: half)
+//   status      - status, retryAfter: answer with an error status straight
+//                 away, with a Retry-After header (seconds, default 1)
+//   reject-part - index, status: fail a multipart upload when part `index`
+//                 (0-based) arrives, with `status` (default 422)
+
+const FAULT_TYPES = ['latency', 'drip', 'reset', 'truncate', 'status', 'reject-part'];
+
+// Upper bounds that keep a fault from tying up the server
+const MAX_LATENCY = 60 * 1000;
+const MAX_DRIP_INTERVAL = 10 * 1000;
+
+function invalidFault(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Reads an integer parameter, falling back to `defaultValue` when absent
+function intParam(spec, name, defaultValue, min, max) {
+  if (spec[name] === undefined || spec[name] === null || spec[name] === '') {
+    if (defaultValue === undefined) {
+      throw invalidFault(`${spec.type} fault needs ${name}`);
+    }
+    return defaultValue;
+  }
+  const value = Number(spec[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalidFault(`${spec.type} fault ${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// Validates a fault spec (from an admin request or an X-Fault header) and
+// returns it normalized. Throws a 400 error when it is malformed.
+function createFault(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw invalidFault('A fault must be an object with a type');
+  }
+  if (!FAULT_TYPES.includes(spec.type)) {
+    throw invalidFault(`Unknown fault type: ${spec.type} (expected one of ${FAULT_TYPES.join(', ')})`);
+  }
+
+  const fault = { type: spec.type };
+  switch (spec.type) {
+    case 'latency':
+      fault.ms = intParam(spec, 'ms', 1000, 0, MAX_LATENCY);
+      break;
+    case 'drip':
+      fault.bytes = intParam(spec, 'bytes', 16, 1, Number.MAX_SAFE_INTEGER);
+      fault.interval = intParam(spec, 'interval', 100, 0, MAX_DRIP_INTERVAL);
+      break;
+    case 'reset':
+      fault.after = intParam(spec, 'after', 0, 0, Number.MAX_SAFE_INTEGER);
+      fault.phase = spec.phase || 'request';
+      if (fault.phase !== 'request' && fault.phase !== 'response') {
+        throw invalidFault('reset fault phase must be request or response');
+      }
+      break;
+    case 'truncate':
+      fault.bytes = intParam(spec, 'bytes', null, 0, Number.MAX_SAFE_INTEGER);
+      break;
+    case 'status':
+      fault.status = intParam(spec, 'status', undefined, 400, 599);
+      fault.retryAfter = intParam(spec, 'retryAfter', 1, 0, 24 * 60 * 60);
+      break;
+    case 'reject-part':
+      fault.index = intParam(spec, 'index', undefined, 0, Number.MAX_SAFE_INTEGER);
+      fault.status = intParam(spec, 'status', 422, 400, 599);
+      break;
+  }
+
+  fault.route = typeof spec.route === 'string' && spec.route !== '' ? spec.route : null;
+  fault.encoding = typeof spec.encoding === 'string' && spec.encoding !== '' ? spec.encoding : null;
+  const probability = spec.probability === undefined ? 1 : Number(spec.probability);
+  if (!(probability >= 0 && probability <= 1)) {
+    throw invalidFault('Fault probability must be a number from 0 to 1');
+  }
+  fault.probability = probability;
+  fault.times = intParam(spec, 'times', null, 1, Number.MAX_SAFE_INTEGER);
+  return fault;
+}
+
+// Parses an X-Fault header: comma-separated faults, each a type followed by
+// `;name=value` parameters, e.g. `status;status=503;retryAfter=5, latency;ms=200`
+function parseFaultHeader(header) {
+  if (!header) {
+    return [];
+  }
+  return header.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [type, ...params] = item.split(';').map(param => param.trim());
+    const spec = { type: type };
+    params.filter(Boolean).forEach(param => {
+      const equals = param.indexOf('=');
+      if (equals === -1) {
+        throw invalidFault(`Invalid X-Fault parameter '${param}': expected name=value`);
+      }
+      spec[param.slice(0, equals).trim()] = param.slice(equals + 1).trim();
+    });
+    return createFault(spec);
+  });
+}
+
+// The encoding a request targets, for scoping faults
+function requestEncoding(req) {
+  const match = /^\/upload-(.+)$/.exec(req.path);
+  if (match) {
+    return match[1];
+  }
+  return typeof req.query.encoding === 'string' ? req.query.encoding : null;
+}
+
+function matchesScope(fault, req) {
+  if (fault.route) {
+    const matches = fault.route.endsWith('*') ? req.path.startsWith(fault.route.slice(0, -1)) : req.path === fault.route;
+    if (!matches) {
+      return false;
+    }
+  }
+  return !fault.encoding || fault.encoding === requestEncoding(req);
+}
+
+function fires(fault, req) {
+  return matchesScope(fault, req) && Math.random() < fault.probability;
+}
+
+// Faults set up through the admin API, each with an `id`. `select(req)`
+// returns the ones that fire for a request, counting down their `times`.
+function createFaultRegistry() {
+  const rules = [];
+  let nextId = 1;
+
+  const remove = (id) => {
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    rules.splice(index, 1);
+    return true;
+  };
+
+  return {
+    add(spec) {
+      const rule = Object.assign({ id: String(nextId++) }, createFault(spec));
+      rules.push(rule);
+      return rule;
+    },
+
+    list() {
+      return rules.slice();
+    },
+
+    remove: remove,
+
+    clear() {
+      return rules.splice(0, rules.length).length;
+    },
+
+    select(req) {
+      const fired = rules.filter(rule => fires(rule, req));
+      fired.filter(rule => rule.times !== null).forEach(rule => {
+        if (--rule.times === 0) {
+          remove(rule.id);
+        }
+      });
+      return fired;
+    }
+  };
+}
+
+// Resets a connection (TCP RST) once what has been written reached the client
+function resetConnection(socket) {
+  setImmediate(() => {
+    if (!socket.destroyed) {
+      socket.resetAndDestroy();
+    }
+  });
+}
+
+// Counts request body bytes as the HTTP parser hands them over, without
+// consuming the stream, and resets the connection after `after` of them
+function resetRequestAfter(req, after) {
+  if (after === 0) {
+    return resetConnection(req.socket);
+  }
+  const push = req.push;
+  let received = 0;
+  req.push = function (chunk, encoding) {
+    if (chunk) {
+      received += chunk.length;
+      if (received >= after) {
+        req.push = push;
+        resetConnection(req.socket);
+      }
+    }
+    return push.call(this, chunk, encoding);
+  };
+}
+
+// A truncate fault without `bytes` cuts a response in half. Without a
+// Content-Length to find the middle by, the body is held back until it ends,
+// but only up to MAX_HELD_BODY bytes: longer bodies are cut at half of that.
+const MAX_HELD_BODY = 1024 * 1024;
+
+// Dripped output queued past this makes res.write return false, so streams
+// piped into the response wait for 'drain' instead of piling up in memory
+const DRIP_HIGH_WATER_MARK = 64 * 1024;
+
+function toBuffer(chunk, encoding) {
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// Truncates the response body, resets the connection partway through it
+// and/or sends it piecemeal, as it is written: streamed responses stay
+// streamed, whatever their size.
+function alterResponse(res, options) {
+  const write = res.write;
+  const end = res.end;
+  const queue = [];
+  let queued = 0;
+  let sent = 0;
+  let stopAt = null;
+  let held = null;
+  let heldSize = 0;
+  let ended = false;
+  let finished = false;
+  let flowing = true;
+  let waiting = false;
+  let timer = null;
+
+  // Bytes of the body to let through: up to the truncation point and/or the
+  // reset point. `length` is the whole body's, if known.
+  const setLimit = (cut, length) => {
+    if (options.truncate && length !== null && !res.headersSent && res.getHeader('Transfer-Encoding') === undefined) {
+      res.setHeader('Content-Length', Math.min(cut, length));
+    }
+    stopAt = Math.min(cut, options.reset ? options.reset.after : Infinity);
+  };
+
+  const start = () => {
+    const header = res.getHeader('Content-Length');
+    const length = header !== undefined && /^\d+$/.test(String(header)) ? Number(header) : null;
+    if (options.truncate && options.truncate.bytes === null && length === null) {
+      held = [];
+      return;
+    }
+    const cut = !options.truncate ? Infinity : (options.truncate.bytes !== null ? options.truncate.bytes : Math.floor(length / 2));
+    setLimit(cut, length);
+  };
+
+  const finish = () => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    if (!options.reset || sent < stopAt) {
+      res.write = write;
+      res.end = end;
+      return end.call(res);
+    }
+    if (!res.headersSent) {
+      res.flushHeaders();
+    }
+    // res.socket is unset while an earlier response on the connection is
+    // still being sent
+    resetConnection(res.req.socket);
+  };
+
+  // Finishes once everything let through is out and the body has ended, or
+  // reached the reset point
+  const settle = () => {
+    if (queued === 0 && (ended || (options.reset && stopAt !== null && sent >= stopAt))) {
+      finish();
+    }
+  };
+
+  // Sends up to `bytes` of the queue, then waits `interval` ms before the next
+  // piece
+  const pump = () => {
+    timer = null;
+    if (finished || queue.length === 0) {
+      return;
+    }
+    const pieces = [];
+    let size = 0;
+    while (queue.length > 0 && size < options.drip.bytes) {
+      const piece = queue[0].subarray(0, options.drip.bytes - size);
+      queue[0] = queue[0].subarray(piece.length);
+      if (queue[0].length === 0) {
+        queue.shift();
+      }
+      pieces.push(piece);
+      size += piece.length;
+    }
+    queued -= size;
+    write.call(res, Buffer.concat(pieces, size));
+    timer = setTimeout(pump, options.drip.interval);
+    if (waiting && queued < DRIP_HIGH_WATER_MARK) {
+      waiting = false;
+      res.emit('drain');
+    }
+    settle();
+  };
+
+  const pass = (chunk) => {
+    if (finished || sent >= stopAt || chunk.length === 0) {
+      return;
+    }
+    const piece = chunk.subarray(0, stopAt - sent);
+    sent += piece.length;
+    if (options.drip) {
+      queue.push(piece);
+      queued += piece.length;
+      if (!timer) {
+        pump();
+      }
+    } else {
+      flowing = write.call(res, piece);
+    }
+    settle();
+  };
+
+  const release = (cut, length) => {
+    const chunks = held;
+    held = null;
+    setLimit(cut, length);
+    chunks.forEach(pass);
+  };
+
+  const accept = (chunk) => {
+    if (stopAt === null && held === null) {
+      start();
+    }
+    if (held === null) {
+      return pass(chunk);
+    }
+    held.push(chunk);
+    heldSize += chunk.length;
+    if (heldSize > MAX_HELD_BODY) {
+      release(Math.floor(MAX_HELD_BODY / 2), null);
+    }
+  };
+
+  // Nothing more goes out once the client has gone
+  res.once('close', () => {
+    finished = true;
+    clearTimeout(timer);
+    queue.length = 0;
+    queued = 0;
+  });
+
+  res.write = function (chunk, encoding, callback) {
+    if (chunk && typeof chunk !== 'function') {
+      accept(toBuffer(chunk, encoding));
+    }
+    const done = typeof encoding === 'function' ? encoding : callback;
+    if (done) {
+      process.nextTick(done);
+    }
+    if (options.drip && queued >= DRIP_HIGH_WATER_MARK) {
+      waiting = true;
+      return false;
+    }
+    return options.drip ? true : flowing;
+  };
+
+  res.end = function (chunk, encoding) {
+    if (chunk && typeof chunk !== 'function') {
+      accept(toBuffer(chunk, encoding));
+    } else if (stopAt === null && held === null) {
+      start();
+    }
+    if (held !== null) {
+      release(Math.floor(heldSize / 2), heldSize);
+    }
+    ended = true;
+    settle();
+    return res;
+  };
+}
+
+// The faults that fire for a request: those of its X-Fault header (unless
+// `allowHeader` is false) and the registry's rules
+function selectFaults(req, registry, allowHeader = true) {
+  const requested = allowHeader ? parseFaultHeader(req.get('X-Fault')).filter(fault => fires(fault, req)) : [];
+  return requested.concat(registry.select(req));
+}
+
+// Applies the faults that fired for a request, then calls `next` unless a
+// fault answered it. `req.faults` keeps them for the multipart parser, which
+// checks for reject-part faults through `partFault`.
+function applyFaults(faults, req, res, next) {
+  req.faults = faults;
+  if (faults.length === 0) {
+    return next();
+  }
+  res.set('X-Injected-Faults', faults.map(fault => fault.type).join(', '));
+
+  const find = (type, phase) => faults.find(fault => fault.type === type && (!phase || fault.phase === phase));
+  const latency = faults.filter(fault => fault.type === 'latency').reduce((sum, fault) => sum + fault.ms, 0);
+
+  const proceed = () => {
+    const status = find('status');
+    if (status) {
+      res.set('Retry-After', String(status.retryAfter));
+      res.set('Connection', 'close');
+      return res.status(status.status).json({ error: `Injected fault: ${status.status} response`, fault: 'status' });
+    }
+
+    const requestReset = find('reset', 'request');
+    if (requestReset) {
+      resetRequestAfter(req, requestReset.after);
+    }
+    const response = { drip: find('drip'), truncate: find('truncate'), reset: find('reset', 'response') };
+    if (response.drip || response.truncate || response.reset) {
+      alterResponse(res, response);
+    }
+    next();
+  };
+
+  if (latency > 0) {
+    setTimeout(proceed, Math.min(latency, MAX_LATENCY));
+  } else {
+    proceed();
+  }
+}
+
+// The error to fail a multipart upload with when part `index` arrives, or
+// null
+function partFault(req, index) {
+  const fault = (req.faults || []).find(candidate => candidate.type === 'reject-part' && candidate.index === index);
+  if (!fault) {
+    return null;
+  }
+  return Object.assign(new Error(`Injected fault: part ${index} rejected`), { status: fault.status });
+}
+
+module.exports = {
+  FAULT_TYPES,
+  createFault,
+  parseFaultHeader,
+  createFaultRegistry,
+  selectFaults,
+  applyFaults,
+  partFault
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { SUPPORTED_ENCODINGS, ALIASES } = require('./encodings');
+
+// Encoding tags that can appear in stored filenames. 'multipart' marks raw
+// file parts and 'archive' files extracted from an uploaded archive. Longest
+// first, so 'base64url' is not mistaken for 'base64'. Built on each call, as
+// encoding plugins register after this module is loaded.
+function filenameEncodings() {
+  return [...SUPPORTED_ENCODINGS, ...Object.keys(ALIASES), 'multipart', 'archive']
+    .sort((a, b) => b.length - a.length);
+}
+
+// File ids are ULIDs: a 48-bit millisecond timestamp and 80 random bits in
+// Crockford's base32, so they sort by upload time and do not collide
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+// Longest field name and extension kept in stored filenames
+const MAX_FIELDNAME_LENGTH = 64;
+const MAX_EXTENSION_LENGTH = 16;
+
+function createFileId(time = Date.now()) {
+  let timePart = '';
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD_ALPHABET[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+  // 256 is a multiple of 32, so taking each byte mod 32 is unbiased
+  const randomPart = Array.from(crypto.randomBytes(16), byte => CROCKFORD_ALPHABET[byte % 32]).join('');
+  return timePart + randomPart;
+}
+
+// Upload time in epoch ms of a ULID, or of a `Date.now()` prefix as used in
+// filenames before ULIDs
+function fileIdTime(id) {
+  if (!ULID_PATTERN.test(id)) {
+    return Number(id);
+  }
+  return Array.from(id.slice(0, 10)).reduce((time, char) => time * 32 + CROCKFORD_ALPHABET.indexOf(char), 0);
+}
+
+// A field name as it may appear in a stored filename: anything but letters,
+// digits, '_' and '-' becomes '_'
+function sanitizeFieldname(fieldname) {
+  const clean = String(fieldname).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, MAX_FIELDNAME_LENGTH);
+  return clean || 'file';
+}
+
+// A client-supplied extension ('jpg', '.jpg' or a whole filename's) reduced
+// to one '.'-prefixed run of letters and digits, or null if nothing is left
+function sanitizeExtension(ext) {
+  if (typeof ext !== 'string') {
+    return null;
+  }
+  const clean = ext.slice(ext.lastIndexOf('.') + 1).replace(/[^A-Za-z0-9]/g, '').slice(0, MAX_EXTENSION_LENGTH);
+  return clean ? `.${clean}` : null;
+}
+
+// `${id}-${fieldname}-${encoding}${ext}` for a new upload. `ext` must already
+// be sanitized.
+function storedFilename(fieldname, encoding, ext) {
+  return `${createFileId()}-${sanitizeFieldname(fieldname)}-${encoding}${ext}`;
+}
+
+// Parses `${id}-${fieldname}-${encoding}${ext}` back into its parts, `id`
+// being a ULID or, for older uploads, a timestamp. Returns null for files
+// that were not written by the upload handlers.
+function parseStoredFilename(name) {
+  const ext = path.extname(name);
+  const base = ext ? name.slice(0, -ext.length) : name;
+  const match = /^([0-9A-HJKMNP-TV-Z]{26}|\d+)-(.+)$/.exec(base);
+  if (!match) {
+    return null;
+  }
+
+  const rest = match[2];
+  const encoding = filenameEncodings().find(enc => rest.endsWith(`-${enc}`));
+  if (!encoding) {
+    return null;
+  }
+
+  return {
+    timestamp: fileIdTime(match[1]),
+    fieldname: rest.slice(0, -(encoding.length + 1)),
+    encoding: encoding,
+    ext: ext
+  };
+}
+
+// Whether an id can name a stored file: a plain filename written by the
+// upload handlers
+function isStoredFileId(id) {
+  return Boolean(id) && id === path.basename(id) && !id.startsWith('.') && parseStoredFilename(id) !== null;
+}
+
+// Metadata for a stored file from its storage stat
+function describeStoredFile(stats) {
+  const parsed = parseStoredFilename(stats.key);
+  return {
+    id: stats.key,
+    fieldname: parsed.fieldname,
+    encoding: parsed.encoding,
+    ext: parsed.ext,
+    size: stats.size,
+    uploadedAt: new Date(parsed.timestamp).toISOString(),
+    modifiedAt: stats.modifiedAt.toISOString()
+  };
+}
+
+// Resolves a file id (its storage key) to its metadata, or null when the id
+// is not a plain filename or the file does not exist.
+async function findStoredFile(storage, id) {
+  if (!isStoredFileId(id)) {
+    return null;
+  }
+  const stats = await storage.stat(id);
+  return stats ? describeStoredFile(stats) : null;
+}
+
+// Lists stored uploads, newest first by default.
+//
+// Supported filters: encoding, fieldname, ext, since/until (ISO date or epoch
+// ms, compared against the upload timestamp), minSize/maxSize, and client
+// (the API key client named in the file's metadata record). Pagination is
+// offset/limit based.
+async function listStoredFiles(storage, options = {}) {
+  let files = (await storage.list())
+    .filter(stats => isStoredFileId(stats.key))
+    .map(describeStoredFile);
+
+  if (options.encoding) {
+    files = files.filter(file => file.encoding === options.encoding);
+  }
+  if (options.fieldname) {
+    files = files.filter(file => file.fieldname === options.fieldname);
+  }
+  if (options.ext) {
+    const ext = options.ext.startsWith('.') ? options.ext : `.${options.ext}`;
+    files = files.filter(file => file.ext.toLowerCase() === ext.toLowerCase());
+  }
+  if (options.since !== undefined) {
+    files = files.filter(file => Date.parse(file.uploadedAt) >= options.since);
+  }
+  if (options.until !== undefined) {
+    files = files.filter(file => Date.parse(file.uploadedAt) <= options.until);
+  }
+  if (options.minSize !== undefined) {
+    files = files.filter(file => file.size >= options.minSize);
+  }
+  if (options.maxSize !== undefined) {
+    files = files.filter(file => file.size <= options.maxSize);
+  }
+  // Last, as it reads each remaining file's metadata
+  if (options.client) {
+    const owned = [];
+    for (const file of files) {
+      const record = await storage.getMetadata(file.id);
+      if (record && record.client === options.client) {
+        owned.push(file);
+      }
+    }
+    files = owned;
+  }
+
+  const direction = options.order === 'asc' ? 1 : -1;
+  files.sort((a, b) => direction * (Date.parse(a.uploadedAt) - Date.parse(b.uploadedAt) || a.id.localeCompare(b.id)));
+
+  const offset = options.offset || 0;
+  const limit = options.limit || files.length;
+
+  return {
+    total: files.length,
+    offset: offset,
+    limit: limit,
+    files: files.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  createFileId,
+  sanitizeFieldname,
+  sanitizeExtension,
+  storedFilename,
+  parseStoredFilename,
+  findStoredFile,
+  listStoredFiles
+};
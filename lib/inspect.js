@@ -0,0 +1,273 @@
+'use strict';
+
+const { SUPPORTED_ENCODINGS, resolveEncoding, decodeString, encodeBuffer } = require('./encodings');
+const { detectType } = require('./sniff');
+
+// Dry-run analysis of encoded text: decodes it in memory the way the upload
+// routes would and explains what is wrong with it, without storing anything.
+
+// Bytes shown in the hex/ASCII preview, and characters of the re-encoding
+const PREVIEW_SIZE = 256;
+const REENCODED_SIZE = 4096;
+
+// Invalid characters listed per field; the rest are only counted
+const MAX_INVALID_CHARACTERS = 50;
+
+// Candidates are ranked on at most this much of the text, as every encoding
+// decodes it. A multiple of every block size (2, 4, 5 and 8 characters).
+const RANK_SAMPLE_SIZE = 65520;
+
+// Characters each encoding accepts, for listing every invalid character (the
+// decoders stop at the first). `whitespace` encodings ignore whitespace
+// anywhere; `size` is the alphabet size used to rank candidates, smaller
+// alphabets being less likely to fit by accident. Encodings without `chars`
+// accept any text or are line-structured, so only their decoder error is
+// reported.
+const ALPHABETS = {
+  'hex': { chars: /[0-9A-Fa-f]/, whitespace: true, size: 16 },
+  'base32': { chars: /[A-Za-z2-7=]/, whitespace: true, size: 32 },
+  'base32hex': { chars: /[0-9A-Va-v=]/, whitespace: true, size: 32 },
+  'base58': { chars: /[1-9A-HJ-NP-Za-km-z]/, whitespace: false, size: 58 },
+  'base64': { chars: /[A-Za-z0-9+/\-_=]/, whitespace: true, size: 64 },
+  'base64url': { chars: /[A-Za-z0-9\-_=]/, whitespace: true, size: 64 },
+  'uuencode': { chars: null, whitespace: false, size: 64 },
+  'ascii85': { chars: /[!-uz~]/, whitespace: true, size: 85 },
+  'z85': { chars: /[0-9a-zA-Z.\-:+=^!/*?&<>()[\]{}@%$#]/, whitespace: true, size: 85 },
+  'quoted-printable': { chars: /[\t\r\n -~]/, whitespace: false, size: 95 },
+  'percent': { chars: /[ -~]/, whitespace: false, size: 95 },
+  'ascii': { chars: /[\x00-\x7F]/, whitespace: false, size: 128 },
+  'binary': { chars: /[\x00-\xFF]/, whitespace: false, size: 256 }
+};
+
+// Padded encodings: block size in characters, and whether padding is required
+const PADDING = {
+  'base64': { block: 4, required: true },
+  'base64url': { block: 4, required: false },
+  'base32': { block: 8, required: false },
+  'base32hex': { block: 8, required: false }
+};
+
+// Unpadded lengths (mod block size) that end on a whole byte
+const VALID_REMAINDERS = {
+  4: [0, 2, 3],
+  8: [0, 2, 4, 5, 7]
+};
+
+function isWhitespace(char) {
+  return /\s/.test(char);
+}
+
+// Lists characters the encoding's alphabet does not contain, with their
+// positions in the text as sent
+function findInvalidCharacters(text, encoding) {
+  const alphabet = ALPHABETS[resolveEncoding(encoding)];
+  const result = { characters: [], count: 0 };
+  if (!alphabet || !alphabet.chars) {
+    return result;
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (alphabet.chars.test(char) || (alphabet.whitespace && isWhitespace(char))) {
+      continue;
+    }
+    result.count++;
+    if (result.characters.length < MAX_INVALID_CHARACTERS) {
+      result.characters.push({
+        position: i,
+        character: char,
+        codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+      });
+    }
+  }
+  return result;
+}
+
+// Checks '=' padding for the padded encodings, or returns null for the others.
+// `expected` is the padding a canonical encoder would write.
+function checkPadding(text, encoding) {
+  const rules = PADDING[resolveEncoding(encoding)];
+  if (!rules) {
+    return null;
+  }
+
+  const clean = text.replace(/\s/g, '');
+  const found = /=*$/.exec(clean)[0].length;
+  const dataLength = clean.length - found;
+  const remainder = dataLength % rules.block;
+  const expected = (rules.block - remainder) % rules.block;
+  const problems = [];
+
+  const early = clean.indexOf('=');
+  if (early !== -1 && early < dataLength) {
+    problems.push(`padding before the end of the data at position ${early}`);
+  }
+  if (!VALID_REMAINDERS[rules.block].includes(remainder)) {
+    problems.push(`${dataLength} data characters cannot encode whole bytes`);
+  } else if (found > 0 && found !== expected) {
+    problems.push(`expected ${expected} '=' character(s), found ${found}`);
+  } else if (found === 0 && expected > 0 && rules.required) {
+    problems.push(`missing ${expected} '=' character(s)`);
+  }
+
+  return {
+    found: found,
+    expected: expected,
+    required: rules.required,
+    problems: problems
+  };
+}
+
+// Hex and ASCII renderings of the first decoded bytes; non-printable bytes
+// show as '.'
+function previewBytes(bytes) {
+  const head = bytes.subarray(0, PREVIEW_SIZE);
+  return {
+    hex: head.toString('hex').replace(/(..)(?!$)/g, '$1 '),
+    ascii: Array.from(head, byte => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join(''),
+    truncated: bytes.length > head.length
+  };
+}
+
+// Encodings whose decoders accept any text
+const ANY_TEXT = ['binary', 'ascii', 'utf8', 'utf-16le', 'ucs2'];
+
+// Detected types that are unlikely to come out of a wrong decoding. Text
+// types do not count: most printable input decodes to text under percent or
+// quoted-printable.
+function isDistinctiveType(type) {
+  return Boolean(type) && !/^text\/|json|xml/.test(type.mime);
+}
+
+function mimeOf(type) {
+  return type ? type.mime : null;
+}
+
+// Decodes `text` with every supported encoding and ranks the ones it is valid
+// under, most likely first:
+//   1. encodings that do not accept just any text
+//   2. encodings that fit without skipping spaces inside the text
+//   3. decodings that are a recognised binary file type
+//   4. smaller alphabets, since text that fits hex also fits base64 but not
+//      the other way round
+//   5. registry order
+// Longer text is ranked on its first RANK_SAMPLE_SIZE characters, up to the
+// last line break in them if there is one, and the candidates' decodedSize
+// is then that of the sample. Base58 is never a candidate for it, being
+// limited to far fewer characters.
+function rankEncodings(text) {
+  let sample = text;
+  if (text.length > RANK_SAMPLE_SIZE) {
+    sample = text.slice(0, RANK_SAMPLE_SIZE);
+    const lineEnd = sample.lastIndexOf('\n');
+    if (lineEnd > 0) {
+      sample = sample.slice(0, lineEnd + 1);
+    }
+  }
+  const hasSpaces = /\S +\S/.test(sample);
+  const candidates = [];
+  SUPPORTED_ENCODINGS.forEach((encoding, order) => {
+    let bytes;
+    try {
+      bytes = decodeString(sample, encoding);
+    } catch (e) {
+      return;
+    }
+    if (bytes.length === 0) {
+      return;
+    }
+    const alphabet = ALPHABETS[encoding] || { whitespace: false, size: 0 };
+    const detectedType = detectType(bytes);
+    candidates.push({
+      result: { encoding: encoding, decodedSize: bytes.length, detectedType: mimeOf(detectedType) },
+      rank: [
+        ANY_TEXT.includes(encoding) ? 1 : 0,
+        hasSpaces && alphabet.whitespace ? 1 : 0,
+        isDistinctiveType(detectedType) ? 0 : 1,
+        alphabet.size,
+        order
+      ]
+    });
+  });
+
+  candidates.sort((a, b) => {
+    const index = a.rank.findIndex((value, i) => value !== b.rank[i]);
+    return index === -1 ? 0 : a.rank[index] - b.rank[index];
+  });
+  return candidates.map(candidate => candidate.result);
+}
+
+// The text as the encoding's own encoder would have written it, for comparing
+// with the input. `roundTrip` is true when they agree apart from whitespace
+// (and letter case and padding for the case-insensitive, padding-optional
+// base32 variants).
+function reencode(bytes, text, encoding) {
+  let reencoded;
+  try {
+    reencoded = encodeBuffer(bytes, encoding);
+  } catch (e) {
+    return { reencoded: null, reencodedError: e.message, roundTrip: false };
+  }
+
+  const alphabet = ALPHABETS[resolveEncoding(encoding)];
+  let normalize = (value) => value;
+  if (alphabet && alphabet.whitespace) {
+    normalize = (value) => value.replace(/\s/g, '');
+  }
+  if (/^base32/.test(encoding)) {
+    const strip = normalize;
+    normalize = (value) => strip(value).toUpperCase().replace(/=+$/, '');
+  }
+
+  return {
+    reencoded: reencoded.length > REENCODED_SIZE ? reencoded.slice(0, REENCODED_SIZE) : reencoded,
+    reencodedTruncated: reencoded.length > REENCODED_SIZE,
+    roundTrip: normalize(reencoded) === normalize(text)
+  };
+}
+
+// Analyses one encoded value. When `encoding` is null the best-ranked
+// candidate is analysed. Never throws for malformed input: decode errors are
+// part of the result.
+function inspectEncodedText(text, encoding = null) {
+  const candidates = rankEncodings(text);
+  const chosen = encoding || (candidates.length > 0 ? candidates[0].encoding : 'utf8');
+
+  const result = {
+    encoding: chosen,
+    encodingSource: encoding ? 'request' : 'detected',
+    inputLength: text.length,
+    valid: false,
+    error: null,
+    decodedSize: null,
+    detectedType: null,
+    preview: null,
+    candidates: candidates
+  };
+
+  const invalid = findInvalidCharacters(text, chosen);
+  result.invalidCharacters = invalid.characters;
+  result.invalidCharacterCount = invalid.count;
+  result.padding = checkPadding(text, chosen);
+
+  let bytes;
+  try {
+    bytes = decodeString(text, chosen);
+  } catch (e) {
+    result.error = e.message;
+    return result;
+  }
+
+  result.valid = true;
+  result.decodedSize = bytes.length;
+  result.detectedType = mimeOf(detectType(bytes));
+  result.preview = previewBytes(bytes);
+  return Object.assign(result, reencode(bytes, text, chosen));
+}
+
+module.exports = {
+  findInvalidCharacters,
+  checkPadding,
+  rankEncodings,
+  inspectEncodedText
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging. Each line is one JSON object:
+//   { time, level, tag, msg, requestId, ...fields }
+// or, in text format, the message behind its `[TAG]` as the server has
+// always printed it. The request being handled (see withContext) adds its
+// fields to every line logged on its behalf, wherever that happens.
+//
+// Fields are redacted before they are written: credentials entirely, payload
+// contents (bodies, field values, file data) down to their size, and long
+// strings cut short, so logs never carry what clients upload.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const CREDENTIAL_KEYS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'password', 'secret', 'token', 'apikey', 'api_key', 'x-api-key'];
+const PAYLOAD_KEYS = ['body', 'fields', 'data', 'content', 'payload', 'value', 'text'];
+
+const MAX_STRING_LENGTH = 256;
+const MAX_DEPTH = 4;
+
+function payloadSize(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.length;
+  }
+  if (typeof value === 'string') {
+    return Buffer.byteLength(value);
+  }
+  try {
+    return Buffer.byteLength(JSON.stringify(value) || '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// A copy of `value` that is safe to log
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return Object.assign({ message: value.message }, value.code ? { code: value.code } : {}, value.status ? { status: value.status } : {});
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} characters)` : value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    const lower = key.toLowerCase();
+    if (CREDENTIAL_KEYS.includes(lower)) {
+      copy[key] = '[redacted]';
+    } else if (PAYLOAD_KEYS.includes(lower) && value[key] !== null && value[key] !== undefined) {
+      const size = payloadSize(value[key]);
+      copy[key] = size === null ? '[redacted]' : `[redacted ${size} bytes]`;
+    } else {
+      copy[key] = redact(value[key], depth + 1);
+    }
+  });
+  return copy;
+}
+
+// Creates a logger writing lines of at least `level` ('debug', 'info' (the
+// default), 'warn' or 'error') to `stream` in `format` ('json', the default,
+// or 'text'). Log with logger.<level>(tag, message, fields).
+function createLogger(options = {}) {
+  const minimum = LEVELS.includes(options.level) ? LEVELS.indexOf(options.level) : LEVELS.indexOf('info');
+  const format = options.format === 'text' ? 'text' : 'json';
+  const stream = options.stream || process.stdout;
+  const context = new AsyncLocalStorage();
+
+  const write = (level, tag, message, fields) => {
+    if (LEVELS.indexOf(level) < minimum) {
+      return;
+    }
+    if (format === 'text') {
+      stream.write(`[${tag.toUpperCase()}] ${message}\n`);
+      return;
+    }
+    const line = Object.assign({
+      time: new Date().toISOString(),
+      level: level,
+      tag: tag,
+      msg: message
+    }, context.getStore(), redact(fields || {}));
+    stream.write(JSON.stringify(line) + '\n');
+  };
+
+  const logger = {
+    level: LEVELS[minimum],
+    format: format,
+    // Runs `fn` with `fields` (e.g. the request ID) added to everything it
+    // logs, including from callbacks and promises it starts
+    withContext(fields, fn) {
+      return context.run(Object.assign({}, context.getStore(), fields), fn);
+    }
+  };
+  LEVELS.forEach(level => {
+    logger[level] = (tag, message, fields) => write(level, tag, message, fields);
+  });
+  return logger;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  redact
+};
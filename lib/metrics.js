@@ -0,0 +1,137 @@
+'use strict';
+
+// A small metrics registry rendered in the Prometheus text exposition format
+// (version 0.0.4) for GET /metrics. Counters, gauges and histograms take
+// labels as an object; every label combination is its own series.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  });
+  return picked;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  // A value per label combination, for counters and gauges
+  function valueMetric(type, name, help, labelNames = []) {
+    const series = new Map();
+    const entry = (labels) => {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+      }
+      return series.get(key);
+    };
+    return register({
+      name: name,
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+        series.forEach(item => lines.push(`${name}${labelText(item.labels)} ${item.value}`));
+        return lines;
+      },
+      inc(labels = {}, amount = 1) {
+        entry(labels).value += amount;
+      },
+      dec(labels = {}, amount = 1) {
+        entry(labels).value -= amount;
+      },
+      set(labels = {}, value) {
+        entry(labels).value = value;
+      }
+    });
+  }
+
+  return {
+    counter(name, help, labelNames) {
+      const metric = valueMetric('counter', name, help, labelNames);
+      return { inc: metric.inc };
+    },
+
+    gauge(name, help, labelNames) {
+      const metric = valueMetric('gauge', name, help, labelNames);
+      return { inc: metric.inc, dec: metric.dec, set: metric.set };
+    },
+
+    // A gauge whose value is read when the metrics are rendered
+    collected(name, help, collect) {
+      register({
+        name: name,
+        render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`]
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      register({
+        name: name,
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          series.forEach(item => {
+            let cumulative = 0;
+            buckets.forEach((bound, i) => {
+              cumulative += item.counts[i];
+              lines.push(`${name}_bucket${labelText(Object.assign({}, item.labels, { le: bound }))} ${cumulative}`);
+            });
+            lines.push(`${name}_bucket${labelText(Object.assign({}, item.labels, { le: '+Inf' }))} ${item.count}`);
+            lines.push(`${name}_sum${labelText(item.labels)} ${item.sum}`);
+            lines.push(`${name}_count${labelText(item.labels)} ${item.count}`);
+          });
+          return lines;
+        }
+      });
+      return {
+        observe(labels = {}, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const item = series.get(key);
+          const index = buckets.findIndex(bound => value <= bound);
+          if (index !== -1) {
+            item.counts[index]++;
+          }
+          item.sum += value;
+          item.count++;
+        }
+      };
+    },
+
+    // The registry in the text exposition format
+    render() {
+      return metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = {
+  createRegistry
+};
@@ -0,0 +1,579 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+
+// Transfer encodings a part may declare (RFC 2045 section 6.1)
+const IDENTITY_TRANSFER_ENCODINGS = ['7bit', '8bit', 'binary'];
+
+// Parser states
+const PREAMBLE = 'preamble';
+const AFTER_BOUNDARY = 'after-boundary';
+const HEADERS = 'headers';
+const BODY = 'body';
+const EPILOGUE = 'epilogue';
+
+// Extracts the boundary parameter from a multipart Content-Type header
+function getBoundary(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]) : null;
+}
+
+// Splits a header value like `form-data; name="file1"; filename="a.txt"` into
+// its leading value and lower-cased parameters. Quoted strings may contain
+// `;` and backslash escapes.
+function parseHeaderValue(value) {
+  const params = {};
+  const semicolon = value.indexOf(';');
+  const type = (semicolon === -1 ? value : value.slice(0, semicolon)).trim().toLowerCase();
+  const paramRegex = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = paramRegex.exec(value)) !== null) {
+    const name = match[1].toLowerCase();
+    params[name] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+  }
+  return { type: type, params: params };
+}
+
+// Decodes an RFC 5987 ext-value (`charset'lang'percent-encoded`), as used by
+// `filename*`. Returns null when the value is malformed.
+function decodeExtValue(value) {
+  const match = /^([^']*)'[^']*'(.*)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const charset = (match[1] || 'utf-8').toLowerCase();
+  try {
+    const bytes = Buffer.from(match[2].replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'binary');
+    return new TextDecoder(charset).decode(bytes);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Reassembles an RFC 2231 parameter split into numbered sections
+// (`filename*0`, `filename*1*`, ...). Returns { value, extended }, where an
+// extended value is in `filename*` form (charset'lang'percent-encoded), null
+// when the sections are malformed, or undefined when the parameter is not
+// split.
+function joinContinuations(params, name) {
+  const pattern = new RegExp(`^${name}\\*(\\d+)(\\*?)$`);
+  const sections = [];
+  Object.keys(params).forEach(key => {
+    const match = pattern.exec(key);
+    if (match) {
+      sections[Number(match[1])] = { value: params[key], extended: match[2] === '*' };
+    }
+  });
+  if (sections.length === 0) {
+    return undefined;
+  }
+  const ordered = Array.from(sections);
+  // Sections must be numbered from 0 without gaps, and only the first one
+  // can name the charset of extended sections
+  if (ordered.some(section => !section) || (!ordered[0].extended && ordered.some(section => section.extended))) {
+    return null;
+  }
+  if (!ordered[0].extended) {
+    return { value: ordered.map(section => section.value).join(''), extended: false };
+  }
+  // Plain sections of an extended value are taken literally
+  const value = ordered.map(section => section.extended ? section.value : section.value.replace(/%/g, '%25')).join('');
+  return { value: value, extended: true };
+}
+
+// Parses a raw header block into lower-cased header names and the part
+// metadata the upload handlers care about.
+function parsePartHeaders(block) {
+  const headers = {};
+  const lines = block.toString('binary').split('\r\n').filter(line => line.length > 0);
+
+  lines.forEach((line, index) => {
+    // Obsolete line folding: continuation lines start with whitespace
+    if (/^[ \t]/.test(line) && index > 0) {
+      const names = Object.keys(headers);
+      const last = names[names.length - 1];
+      if (last) {
+        headers[last] += ` ${line.trim()}`;
+      }
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      throw Object.assign(new Error(`Malformed part header: ${line.slice(0, 80)}`), { status: 400 });
+    }
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // Header values are UTF-8 in practice (RFC 7578 section 5.1)
+    const value = Buffer.from(line.slice(colon + 1), 'binary').toString('utf8').trim();
+    headers[name] = value;
+  });
+
+  const disposition = parseHeaderValue(headers['content-disposition'] || '');
+  const contentType = headers['content-type'] ? parseHeaderValue(headers['content-type']) : null;
+
+  // filename* and RFC 2231 continuations take precedence when they decode
+  const continued = joinContinuations(disposition.params, 'filename');
+  let filename = disposition.params.filename;
+  if (filename === undefined && continued && !continued.extended) {
+    filename = continued.value;
+  }
+  let extendedValue = disposition.params['filename*'];
+  if (extendedValue === undefined && continued && continued.extended) {
+    extendedValue = continued.value;
+  }
+  if (extendedValue !== undefined) {
+    const extended = decodeExtValue(extendedValue);
+    if (extended !== null) {
+      filename = extended;
+    }
+  }
+
+  return {
+    headers: headers,
+    disposition: disposition.type || null,
+    name: disposition.params.name !== undefined ? disposition.params.name : null,
+    filename: filename,
+    contentType: contentType ? contentType.type : null,
+    charset: contentType && contentType.params.charset ? contentType.params.charset.toLowerCase() : null,
+    transferEncoding: headers['content-transfer-encoding'] ? headers['content-transfer-encoding'].toLowerCase() : null
+  };
+}
+
+// Streaming multipart/form-data parser.
+//
+// Write the raw request body into it; it emits a 'part' event for each body
+// part with the parsed headers and a readable `stream` of the part's raw
+// (still transfer-encoded) bytes. Every part stream must be consumed or
+// resumed, since the parser waits for a slow reader before accepting more
+// input. 'finish' fires after the closing delimiter has been processed.
+class MultipartParser extends Writable {
+  constructor(boundary, options = {}) {
+    super();
+    this.boundary = boundary;
+    this.maxHeaderSize = options.maxHeaderSize || MAX_HEADER_SIZE;
+    // A CRLF is prepended so the first boundary matches the same delimiter
+    // as every later one
+    this._delimiter = Buffer.from(`\r\n--${boundary}`);
+    this._buffer = CRLF;
+    this._offset = -CRLF.length;
+    this._state = PREAMBLE;
+    this._part = null;
+    this._partCount = 0;
+    this._resume = null;
+    this.complete = false;
+  }
+
+  _write(chunk, encoding, callback) {
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+    let blocked;
+    try {
+      blocked = this._process();
+    } catch (e) {
+      return callback(e);
+    }
+    if (blocked) {
+      this._resume = callback;
+    } else {
+      callback();
+    }
+  }
+
+  _final(callback) {
+    if (this._state !== EPILOGUE) {
+      const error = Object.assign(new Error('Unexpected end of multipart body: missing closing boundary'), { status: 400 });
+      if (this._part) {
+        this._part.stream.destroy(error);
+      }
+      return callback(error);
+    }
+    callback();
+  }
+
+  _consume(length) {
+    this._buffer = this._buffer.subarray(length);
+    this._offset += length;
+  }
+
+  // Pushes part data, reporting whether the reader asked us to slow down
+  _pushData(data) {
+    if (!this._part || data.length === 0) {
+      return false;
+    }
+    return !this._part.stream.push(data);
+  }
+
+  _endPart() {
+    if (this._part) {
+      this._part.stream.push(null);
+      this._part = null;
+    }
+  }
+
+  // Runs the state machine over the buffered input. Returns true when a part
+  // reader is full and the rest of the input has to wait.
+  _process() {
+    let blocked = false;
+
+    for (;;) {
+      if (this._state === PREAMBLE || this._state === BODY) {
+        const index = this._buffer.indexOf(this._delimiter);
+        if (index === -1) {
+          // Keep enough bytes to match a delimiter split across chunks
+          const safe = this._buffer.length - (this._delimiter.length - 1);
+          if (safe > 0) {
+            if (this._state === BODY) {
+              blocked = this._pushData(this._buffer.subarray(0, safe)) || blocked;
+            }
+            this._consume(safe);
+          }
+          return blocked;
+        }
+        if (this._state === BODY) {
+          blocked = this._pushData(this._buffer.subarray(0, index)) || blocked;
+        }
+        this._consume(index + this._delimiter.length);
+        this._state = AFTER_BOUNDARY;
+        continue;
+      }
+
+      if (this._state === AFTER_BOUNDARY) {
+        if (this._buffer.length < 2) {
+          return blocked;
+        }
+        if (this._buffer[0] === 0x2D && this._buffer[1] === 0x2D) {
+          this._consume(2);
+          this._endPart();
+          this._state = EPILOGUE;
+          this.complete = true;
+          continue;
+        }
+        // Transport padding (linear whitespace) may follow the boundary
+        let end = 0;
+        while (end < this._buffer.length && (this._buffer[end] === 0x20 || this._buffer[end] === 0x09)) {
+          end++;
+        }
+        if (end + 2 > this._buffer.length) {
+          if (this._buffer.length > this.maxHeaderSize) {
+            throw Object.assign(new Error('Malformed multipart boundary line'), { status: 400 });
+          }
+          return blocked;
+        }
+        if (this._buffer[end] !== 0x0D || this._buffer[end + 1] !== 0x0A) {
+          // Not a real delimiter: the boundary text is part of the content
+          if (this._part) {
+            blocked = this._pushData(this._delimiter) || blocked;
+            this._state = BODY;
+          } else {
+            this._state = PREAMBLE;
+          }
+          continue;
+        }
+        this._consume(end + 2);
+        this._endPart();
+        this._state = HEADERS;
+        continue;
+      }
+
+      if (this._state === HEADERS) {
+        let headerLength;
+        if (this._buffer.length >= 2 && this._buffer[0] === 0x0D && this._buffer[1] === 0x0A) {
+          headerLength = 0;
+        } else {
+          const index = this._buffer.indexOf(HEADER_END);
+          if (index === -1) {
+            if (this._buffer.length > this.maxHeaderSize) {
+              throw Object.assign(new Error('Part headers exceed the maximum size'), { status: 400 });
+            }
+            return blocked;
+          }
+          headerLength = index + 2;
+        }
+
+        const offset = this._offset;
+        const info = parsePartHeaders(this._buffer.subarray(0, headerLength));
+        this._consume(headerLength + 2);
+
+        const stream = new Readable({
+          read: () => this._continue()
+        });
+        stream.on('close', () => this._continue());
+
+        this._part = Object.assign(info, {
+          index: this._partCount++,
+          offset: offset,
+          stream: stream
+        });
+        this._state = BODY;
+        this.emit('part', this._part);
+        continue;
+      }
+
+      // Epilogue: everything after the closing delimiter is ignored
+      this._consume(this._buffer.length);
+      return blocked;
+    }
+  }
+
+  _continue() {
+    if (this._resume) {
+      const resume = this._resume;
+      this._resume = null;
+      resume();
+    }
+  }
+}
+
+// Decodes an in-memory field value with its declared charset, UTF-8 by default
+function decodeFieldValue(data, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(data);
+  } catch (e) {
+    return data.toString('utf8');
+  }
+}
+
+// Express middleware that parses multipart/form-data bodies without holding
+// payloads in memory.
+//
+// File parts, and text fields for which `spoolField(name)` returns true, are
+// streamed to temporary files in `tempDir`; other text fields are kept in
+// memory. Sets:
+//   req.files - file parts in the multer diskStorage shape (`path`, `size`),
+//               plus their `headers`
+//   req.parts - every part in order with its headers, and either `path`
+//               (spooled) or `data` (in memory), so handlers can honour
+//               per-part Content-Transfer-Encoding and charset
+//   req.body  - text fields decoded with their charset; spooled fields are
+//               echoed only up to `echoSize` bytes
+// Temporary files still in place when the response closes are removed, so
+// handlers move the ones they keep. `checkPart(req, index)` may return an
+// error to fail the request with as part `index` (0-based) arrives.
+// `validate(req)` may return a conformance validator (see conformance.js) to
+// check the raw body with; the request then fails with a 400 error carrying
+// the validator's `report` when it finds errors. `onPart(req, part, index)` is
+// called as each part has been received in full, with its `size` set.
+function multipartMiddleware(options = {}) {
+  const tempDir = options.tempDir || os.tmpdir();
+  const fileSize = options.fileSize || Infinity;
+  const fieldSize = options.fieldSize || Infinity;
+  const maxFields = options.fields || Infinity;
+  const echoSize = options.echoSize || 1024 * 1024;
+  const spoolField = options.spoolField || (() => false);
+  const checkPart = options.checkPart || (() => null);
+  const validate = options.validate || (() => null);
+  const onPart = options.onPart || (() => {});
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next();
+    }
+
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+      return next(Object.assign(new Error('Multipart body has no boundary parameter'), { status: 400 }));
+    }
+
+    const parser = new MultipartParser(boundary);
+    const validator = validate(req);
+    const parts = [];
+    const writers = [];
+    let fields = 0;
+    let pending = 0;
+    let finished = false;
+    let done = false;
+
+    // A writer destroyed before its file was opened still creates it, so
+    // each temporary file is removed only once its writer has closed
+    res.on('close', () => {
+      writers.forEach(writer => {
+        const remove = () => fs.unlink(writer.path, () => {});
+        if (writer.closed) {
+          remove();
+        } else {
+          writer.once('close', remove);
+        }
+      });
+    });
+
+    const fail = (err) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      req.unpipe(parser);
+      req.resume();
+      writers.forEach(writer => writer.destroy());
+      // Malformed bodies are answered with the validator's findings
+      if (validator && err.status === 400 && !err.report) {
+        return whenValidated(() => next(Object.assign(err, { report: validator.report() })));
+      }
+      next(err);
+    };
+
+    const whenValidated = (callback) => {
+      if (validator.writableFinished) {
+        return callback();
+      }
+      validator.once('finish', callback);
+    };
+
+    parser.on('part', (part) => {
+      const isFile = part.filename !== undefined;
+      const spool = isFile || (part.name !== null && spoolField(part.name));
+      const limit = spool ? fileSize : fieldSize;
+      const chunks = [];
+      let size = 0;
+      let captured = 0;
+
+      const index = parts.length;
+      const rejection = checkPart(req, index);
+      if (rejection) {
+        part.stream.resume();
+        return fail(rejection);
+      }
+      if (!isFile && ++fields > maxFields) {
+        part.stream.resume();
+        return fail(Object.assign(new Error('Too many fields'), { status: 413, code: 'LIMIT_FIELD_COUNT' }));
+      }
+      pending++;
+
+      const stream = part.stream;
+      parts.push(part);
+
+      stream.on('error', fail);
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.destroy();
+          return fail(Object.assign(new Error(isFile ? 'File too large' : 'Field value too long'), {
+            status: 413,
+            code: isFile ? 'LIMIT_FILE_SIZE' : 'LIMIT_FIELD_VALUE'
+          }));
+        }
+        // Spooled text fields keep a bounded copy for the `fields` echo
+        if (!spool || (!isFile && captured <= echoSize)) {
+          chunks.push(chunk);
+          captured += chunk.length;
+        }
+      });
+
+      const settle = () => {
+        delete part.stream;
+        part.size = size;
+        if (!spool) {
+          part.data = Buffer.concat(chunks, size);
+        } else if (!isFile && size <= echoSize) {
+          part.echo = Buffer.concat(chunks, size);
+        }
+        if (!done) {
+          onPart(req, part, index);
+        }
+        pending--;
+        complete();
+      };
+
+      if (!spool) {
+        stream.on('end', settle);
+        return;
+      }
+
+      part.path = path.join(tempDir, crypto.randomBytes(12).toString('hex'));
+      const writer = fs.createWriteStream(part.path);
+      writers.push(writer);
+      writer.on('error', fail);
+      writer.on('finish', settle);
+      stream.pipe(writer);
+    });
+
+    parser.on('error', (err) => fail(Object.assign(err, { status: err.status || 400 })));
+
+    parser.on('finish', () => {
+      finished = true;
+      complete();
+    });
+
+    // Runs once the parser has finished and every part has been stored
+    function complete() {
+      if (done || !finished || pending > 0) {
+        return;
+      }
+      if (validator && !validator.writableFinished) {
+        return whenValidated(complete);
+      }
+      if (validator && !validator.report().valid) {
+        const report = validator.report();
+        return fail(Object.assign(new Error(`Multipart body does not conform to RFC 7578/2046 (${report.counts.error} error(s))`), {
+          status: 400,
+          report: report
+        }));
+      }
+      done = true;
+
+      // Field names come from the client, so a field named __proto__ or
+      // constructor must not reach Object.prototype
+      const body = Object.create(null);
+      const files = [];
+      parts.filter(part => part.name !== null).forEach(part => {
+        if (part.filename !== undefined) {
+          files.push({
+            fieldname: part.name,
+            originalname: part.filename,
+            encoding: part.transferEncoding || '7bit',
+            mimetype: part.contentType || 'application/octet-stream',
+            charset: part.charset,
+            path: part.path,
+            size: part.size,
+            headers: part.headers
+          });
+          return;
+        }
+
+        let value;
+        if (part.data) {
+          value = decodeFieldValue(part.data, part.charset);
+        } else if (part.echo) {
+          value = decodeFieldValue(part.echo, part.charset);
+        } else {
+          value = `[${part.size} bytes streamed to disk]`;
+        }
+        // Repeated fields collect into an array, as they do for urlencoded bodies
+        if (Object.prototype.hasOwnProperty.call(body, part.name)) {
+          body[part.name] = [].concat(body[part.name], value);
+        } else {
+          body[part.name] = value;
+        }
+      });
+
+      req.body = body;
+      req.files = files;
+      req.parts = parts;
+      next();
+    }
+
+    // Errors the request itself reports, such as a body that fails to
+    // decompress, fail the request
+    req.on('error', fail);
+    req.pipe(parser);
+    if (validator) {
+      req.pipe(validator);
+    }
+  };
+}
+
+module.exports = {
+  IDENTITY_TRANSFER_ENCODINGS,
+  MultipartParser,
+  getBoundary,
+  parseHeaderValue,
+  decodeExtValue,
+  joinContinuations,
+  parsePartHeaders,
+  multipartMiddleware
+};
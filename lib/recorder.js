@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Request recording, so uploads that failed to decode can be reproduced. Each
+// recorded request is appended to a JSONL archive as one HAR-like entry:
+//   requestId, startedDateTime, time (ms)
+//   request   - method, url, httpVersion, headers ([{ name, value }] in the
+//               order they arrived), bodySize and postData: { mimeType,
+//               encoding: 'base64', text, truncated }
+//   response  - status, completed (false when the connection was cut) and
+//               content: the JSON the server answered with, which for uploads
+//               is the per-file decoding outcome
+// The body is kept byte for byte, multipart boundaries included.
+// Credentials are redacted.
+
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+
+// Result fields that differ between runs of the same upload
+const VOLATILE_RESULT_FIELDS = ['id', 'url', 'key', 'storage', 'deduplicated', 'requestId'];
+
+function recordedHeaders(rawHeaders) {
+  const headers = [];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const redacted = REDACTED_HEADERS.includes(rawHeaders[i].toLowerCase());
+    headers.push({ name: rawHeaders[i], value: redacted ? '[redacted]' : rawHeaders[i + 1] });
+  }
+  return headers;
+}
+
+// Middleware that records the requests `filter(req)` accepts to `file`.
+// Bodies are kept up to `maxBodySize` bytes; longer ones are cut short and
+// marked truncated. The body is copied as the HTTP parser hands it over, so
+// the handlers still stream it as usual. Recordings are logged to `logger`.
+function requestRecorder(options) {
+  const maxBodySize = options.maxBodySize || Infinity;
+  const filter = options.filter || (() => true);
+  const log = options.logger;
+  fs.mkdirSync(path.dirname(options.file), { recursive: true });
+  const archive = fs.createWriteStream(options.file, { flags: 'a' });
+  archive.on('error', e => log.error('record', `Failed to write ${options.file}: ${e.message}`));
+
+  return (req, res, next) => {
+    if (!filter(req)) {
+      return next();
+    }
+    const started = Date.now();
+    const chunks = [];
+    let captured = 0;
+    let bodySize = 0;
+    let content = null;
+
+    const push = req.push;
+    req.push = function (chunk, encoding) {
+      if (chunk) {
+        bodySize += chunk.length;
+        if (captured < maxBodySize) {
+          const kept = chunk.subarray(0, maxBodySize - captured);
+          chunks.push(Buffer.from(kept));
+          captured += kept.length;
+        }
+      }
+      return push.call(this, chunk, encoding);
+    };
+
+    const json = res.json;
+    res.json = function (body) {
+      content = body;
+      return json.call(this, body);
+    };
+
+    res.on('close', () => {
+      const entry = {
+        requestId: req.id || null,
+        startedDateTime: new Date(started).toISOString(),
+        time: Date.now() - started,
+        request: {
+          method: req.method,
+          url: req.originalUrl,
+          httpVersion: `HTTP/${req.httpVersion}`,
+          headers: recordedHeaders(req.rawHeaders),
+          bodySize: bodySize,
+          postData: {
+            mimeType: req.get('Content-Type') || null,
+            encoding: 'base64',
+            text: Buffer.concat(chunks).toString('base64'),
+            truncated: captured < bodySize
+          }
+        },
+        response: {
+          status: res.statusCode,
+          completed: res.writableFinished,
+          content: content
+        }
+      };
+      archive.write(JSON.stringify(entry) + '\n');
+      log.info('record', `Recorded ${req.method} ${req.originalUrl} (${bodySize} bytes, ${res.statusCode})`);
+    });
+    next();
+  };
+}
+
+// Reads a recording archive. Lines that do not parse are reported by line
+// number instead of failing the whole archive.
+function readRecordings(file) {
+  const entries = [];
+  const invalid = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      invalid.push(index + 1);
+    }
+  });
+  return { entries: entries, invalid: invalid };
+}
+
+function stableResult(result) {
+  const stable = Object.assign({}, result);
+  VOLATILE_RESULT_FIELDS.forEach(field => delete stable[field]);
+  return stable;
+}
+
+// Lists how a replayed value differs from the recorded one, as
+// { path, recorded, replayed }
+function diffValues(recorded, replayed, at, differences) {
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(recorded) && isObject(replayed) && Array.isArray(recorded) === Array.isArray(replayed)) {
+    const keys = new Set(Object.keys(recorded).concat(Object.keys(replayed)));
+    keys.forEach(key => diffValues(recorded[key], replayed[key], at ? `${at}.${key}` : key, differences));
+  } else if (JSON.stringify(recorded) !== JSON.stringify(replayed)) {
+    differences.push({ path: at, recorded: recorded, replayed: replayed });
+  }
+  return differences;
+}
+
+// Compares a replayed response with the recorded one: the status, the error
+// and each file's result, ignoring what differs between runs (file ids, URLs,
+// storage keys and deduplication)
+function compareResponses(recorded, replayed) {
+  const describe = response => {
+    const content = response.content || {};
+    return {
+      status: response.status,
+      error: content.error,
+      files: Array.isArray(content.files) ? content.files.map(stableResult) : undefined
+    };
+  };
+  return diffValues(describe(recorded), describe(replayed), '', []);
+}
+
+module.exports = {
+  requestRecorder,
+  readRecordings,
+  compareResponses
+};
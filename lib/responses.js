@@ -0,0 +1,184 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { SUPPORTED_ENCODINGS, isSupportedEncoding, encodeBuffer } = require('./encodings');
+
+// Multipart and chunked response bodies, for testing client-side parsers.
+// Multipart parts can be sent with any Content-Transfer-Encoding: an identity
+// one (7bit, 8bit, binary), which leaves the bytes alone, or any encoding in
+// the registry, applied with its encoder. Only base64 and quoted-printable
+// are MIME encodings; the others are sent under their registry names.
+
+const IDENTITY_ENCODINGS = ['7bit', '8bit', 'binary'];
+
+// RFC 2046 section 5.1.1
+const BOUNDARY_PATTERN = /^[0-9A-Za-z'()+_,\-./:=? ]{0,69}[0-9A-Za-z'()+_,\-./:=?]$/;
+
+// Boundaries with other characters are quoted in Content-Type
+const TOKEN_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// MIME limits base64 lines to 76 characters
+const BASE64_LINE_LENGTH = 76;
+
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+const CRLF = Buffer.from('\r\n');
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function createBoundary() {
+  return `multipart-encoding-server-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Validates a boundary from a request, or creates one when none was given
+function parseBoundary(value) {
+  if (value === undefined || value === '') {
+    return createBoundary();
+  }
+  if (typeof value !== 'string' || !BOUNDARY_PATTERN.test(value)) {
+    throw badRequest('Boundaries must be 1 to 70 letters, digits or "\'()+_,-./:=? " and must not end in a space');
+  }
+  return value;
+}
+
+// Parses a comma-separated list of transfer encodings. They apply to the
+// parts in order, the last one to any further parts; an empty list leaves
+// every part as it is.
+function parseTransferEncodings(value) {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  if (typeof value !== 'string') {
+    throw badRequest('transferEncoding must be a comma-separated list');
+  }
+  return value.split(',').map(encoding => encoding.trim().toLowerCase()).map(encoding => {
+    if (!IDENTITY_ENCODINGS.includes(encoding) && !isSupportedEncoding(encoding)) {
+      throw badRequest(`Unsupported transfer encoding: ${encoding} (expected one of ${Array.from(new Set(IDENTITY_ENCODINGS.concat(SUPPORTED_ENCODINGS))).join(', ')})`);
+    }
+    return encoding;
+  });
+}
+
+function transferEncodingFor(encodings, index) {
+  return encodings.length === 0 ? null : encodings[Math.min(index, encodings.length - 1)];
+}
+
+// Reads a chunk size in bytes, or null for none
+function parseChunkSize(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_CHUNK_SIZE) {
+    throw badRequest(`chunkSize must be an integer from 1 to ${MAX_CHUNK_SIZE}`);
+  }
+  return size;
+}
+
+// Content-Type of a multipart body
+function multipartType(subtype, boundary) {
+  const parameter = TOKEN_PATTERN.test(boundary) ? boundary : `"${boundary}"`;
+  return `multipart/${subtype}; boundary=${parameter}`;
+}
+
+// A quoted header parameter value, e.g. for Content-Disposition filenames
+function quoteParameter(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&').replace(/[\r\n]/g, ' ')}"`;
+}
+
+// Applies a transfer encoding to a part body
+function transferEncode(body, encoding) {
+  if (!encoding || IDENTITY_ENCODINGS.includes(encoding)) {
+    return body;
+  }
+  let text = encodeBuffer(body, encoding);
+  if (encoding === 'base64') {
+    text = text.replace(new RegExp(`.{${BASE64_LINE_LENGTH}}(?!$)`, 'g'), '$&\r\n');
+  }
+  return Buffer.from(text, 'utf8');
+}
+
+// The delimiter line and header fields that open a part
+function partHead(boundary, headers) {
+  const fields = Object.keys(headers)
+    .filter(name => headers[name] !== null && headers[name] !== undefined)
+    .map(name => `${name}: ${headers[name]}\r\n`);
+  return Buffer.from(`--${boundary}\r\n${fields.join('')}\r\n`, 'utf8');
+}
+
+// Builds a multipart body from parts { headers, body, transferEncoding }.
+// Each body is transfer-encoded and its Content-Transfer-Encoding set. Throws
+// a 400 error when the boundary occurs in an encoded body.
+function buildMultipart(parts, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const chunks = [];
+  parts.forEach((part, index) => {
+    const body = transferEncode(part.body, part.transferEncoding);
+    if (body.includes(delimiter)) {
+      throw badRequest(`Boundary ${boundary} occurs in the body of part ${index}`);
+    }
+    const headers = Object.assign({}, part.headers, { 'Content-Transfer-Encoding': part.transferEncoding || null });
+    chunks.push(partHead(boundary, headers), body, CRLF);
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+// Readable multipart/byteranges body (RFC 7233 appendix A) for `ranges`
+// ({ start, end }, inclusive) of a `size` byte representation. The bytes of
+// each range come from `openRange(range)`, which may return a promise. The
+// body's length is kept on the stream as `length`.
+function createByteRangesStream(ranges, size, contentType, boundary, openRange) {
+  const heads = ranges.map(range => partHead(boundary, {
+    'Content-Type': contentType,
+    'Content-Range': `bytes ${range.start}-${range.end}/${size}`
+  }));
+  const close = Buffer.from(`--${boundary}--\r\n`);
+
+  async function* parts() {
+    for (let i = 0; i < ranges.length; i++) {
+      yield heads[i];
+      yield* await openRange(ranges[i]);
+      yield CRLF;
+    }
+    yield close;
+  }
+
+  const stream = Readable.from(parts(), { objectMode: false });
+  stream.length = ranges.reduce((sum, range, i) => sum + heads[i].length + range.end - range.start + 1 + CRLF.length, close.length);
+  return stream;
+}
+
+// Transform stream that passes data on in pieces of exactly `size` bytes
+// (bar the last), so each one goes out as one chunk of a chunked response
+function createChunker(size) {
+  let pending = Buffer.alloc(0);
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= size) {
+        this.push(pending.subarray(0, size));
+        pending = pending.subarray(size);
+      }
+      callback();
+    },
+    flush(callback) {
+      callback(null, pending.length > 0 ? pending : null);
+    }
+  });
+}
+
+module.exports = {
+  parseBoundary,
+  parseTransferEncodings,
+  transferEncodingFor,
+  parseChunkSize,
+  multipartType,
+  quoteParameter,
+  buildMultipart,
+  createByteRangesStream,
+  createChunker
+};
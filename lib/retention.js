@@ -0,0 +1,133 @@
+'use strict';
+
+const { listStoredFiles } = require('./files');
+
+// Server-side retention for stored uploads, and the run IDs and tags uploads
+// carry so they can be deleted as a group.
+
+// Run IDs and tags: short, URL- and filename-safe
+const TAG_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const MAX_TAGS = 20;
+
+function invalidTag(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Validates a run ID, or returns null for none. Throws a 400 error when it is
+// malformed.
+function parseRunId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !TAG_PATTERN.test(value)) {
+    throw invalidTag('Run ID may only contain letters, digits and "._:-" (at most 128 characters)');
+  }
+  return value;
+}
+
+// Parses comma-separated tag lists (one or more values, as from a header and
+// a field) into a sorted list of distinct tags. Throws a 400 error for
+// malformed tags.
+function parseTags(...values) {
+  const tags = new Set();
+  values.filter(value => value !== undefined && value !== null).forEach(value => {
+    if (typeof value !== 'string') {
+      throw invalidTag('Tags must be a comma-separated string');
+    }
+    value.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+      if (!TAG_PATTERN.test(tag)) {
+        throw invalidTag(`Invalid tag '${tag}': tags may only contain letters, digits and "._:-" (at most 128 characters)`);
+      }
+      tags.add(tag);
+    });
+  });
+  if (tags.size > MAX_TAGS) {
+    throw invalidTag(`At most ${MAX_TAGS} tags per upload`);
+  }
+  return Array.from(tags).sort();
+}
+
+// Picks the files a retention policy evicts, oldest first: every file older
+// than `ttl` ms, then the oldest files until the rest fit in `maxBytes`. A
+// zero limit is no limit. `files` are listStoredFiles entries; returns
+// { file, reason } with reason 'expired' or 'size'.
+function selectForEviction(files, policy, now = Date.now()) {
+  const oldestFirst = files.slice().sort((a, b) => Date.parse(a.uploadedAt) - Date.parse(b.uploadedAt) || a.id.localeCompare(b.id));
+  let total = oldestFirst.reduce((sum, file) => sum + file.size, 0);
+  const evicted = [];
+
+  for (const file of oldestFirst) {
+    const expired = policy.ttl > 0 && now - Date.parse(file.uploadedAt) > policy.ttl;
+    const oversized = policy.maxBytes > 0 && total > policy.maxBytes;
+    // Both only get less likely further down the list
+    if (!expired && !oversized) {
+      break;
+    }
+    evicted.push({ file: file, reason: expired ? 'expired' : 'size' });
+    total -= file.size;
+  }
+  return evicted;
+}
+
+async function listAllFiles(storage) {
+  return (await listStoredFiles(storage, { order: 'asc' })).files;
+}
+
+// Total count and size of the stored files
+async function storageUsage(storage) {
+  const files = await listAllFiles(storage);
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, file) => sum + file.size, 0)
+  };
+}
+
+// Applies a retention policy to the store. Returns the { id, reason } of each
+// file deleted.
+async function sweepRetention(storage, policy, now = Date.now()) {
+  const removed = [];
+  for (const { file, reason } of selectForEviction(await listAllFiles(storage), policy, now)) {
+    if (await storage.delete(file.id)) {
+      removed.push({ id: file.id, reason: reason });
+    }
+  }
+  return removed;
+}
+
+// Deletes the files whose metadata matches `filter`: a { runId }, { tags }
+// (any of them) or both, or { all: true } for every stored file. A `client`
+// limits any of these to the files that API key client stored. Returns the
+// ids deleted.
+async function deleteMatchingFiles(storage, filter) {
+  const deleted = [];
+  for (const file of await listAllFiles(storage)) {
+    if (!filter.all || filter.client) {
+      const record = await storage.getMetadata(file.id);
+      if (!record) {
+        continue;
+      }
+      if (filter.client && record.client !== filter.client) {
+        continue;
+      }
+      if (filter.runId && record.runId !== filter.runId) {
+        continue;
+      }
+      if (filter.tags && filter.tags.length > 0 && !filter.tags.some(tag => (record.tags || []).includes(tag))) {
+        continue;
+      }
+    }
+    if (await storage.delete(file.id)) {
+      deleted.push(file.id);
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  parseRunId,
+  parseTags,
+  selectForEviction,
+  storageUsage,
+  sweepRetention,
+  deleteMatchingFiles
+};
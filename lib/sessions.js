@@ -0,0 +1,116 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Resumable upload sessions. A session is stored as `<id>.json` (its
+// metadata) next to `<id>.part` (the bytes decoded so far), so sessions
+// survive a server restart and can be resumed from their last offset.
+
+const SESSION_ID = /^[0-9a-f]{32}$/;
+
+function sessionMetaPath(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+// Path of the file holding a session's decoded bytes
+function sessionDataPath(dir, id) {
+  return path.join(dir, `${id}.part`);
+}
+
+function saveSession(dir, session) {
+  fs.writeFileSync(sessionMetaPath(dir, session.id), JSON.stringify(session));
+}
+
+// Creates a session with an empty data file. `length` is the expected decoded
+// size, or null when the client does not know it up front. `client` names the
+// API key client the session belongs to, if any.
+function createSession(dir, options) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    fieldname: options.fieldname,
+    encoding: options.encoding,
+    ext: options.ext || null,
+    length: options.length === undefined ? null : options.length,
+    client: options.client || null,
+    offset: 0,
+    bytesIn: 0,
+    chunks: 0,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + options.ttl).toISOString()
+  };
+
+  fs.writeFileSync(sessionDataPath(dir, session.id), Buffer.alloc(0));
+  saveSession(dir, session);
+  return session;
+}
+
+// Looks a session up by id, or returns null for unknown or malformed ids
+function getSession(dir, id) {
+  if (!SESSION_ID.test(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(sessionMetaPath(dir, id), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isSessionExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+// Removes a session's metadata and data file, whichever still exist
+function deleteSession(dir, id) {
+  [sessionMetaPath(dir, id), sessionDataPath(dir, id)].forEach(file => {
+    try {
+      fs.unlinkSync(file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  });
+}
+
+// Deletes expired sessions, except those `isBusy(id)` reports as receiving a
+// chunk, and data files whose metadata is gone (a crash between the two
+// writes). Returns the ids removed.
+function sweepSessions(dir, isBusy = () => false, now = Date.now()) {
+  const names = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  const removed = [];
+
+  names.forEach(name => {
+    const ext = path.extname(name);
+    const id = path.basename(name, ext);
+    if (!SESSION_ID.test(id) || isBusy(id)) {
+      return;
+    }
+
+    if (ext === '.json') {
+      const session = getSession(dir, id);
+      if (!session || isSessionExpired(session, now)) {
+        deleteSession(dir, id);
+        removed.push(id);
+      }
+    } else if (ext === '.part' && !names.includes(`${id}.json`)) {
+      deleteSession(dir, id);
+      removed.push(id);
+    }
+  });
+
+  return removed;
+}
+
+module.exports = {
+  sessionDataPath,
+  createSession,
+  getSession,
+  saveSession,
+  isSessionExpired,
+  deleteSession,
+  sweepSessions
+};
@@ -0,0 +1,437 @@
+'use strict';
+
+const fs = require('fs');
+
+// Content sniffing: identifies stored bytes by their magic numbers (or, for
+// text, by their first characters) so the declared type of an upload can be
+// checked against what was actually sent.
+
+// Number of leading bytes the detector looks at
+const SNIFF_SIZE = 4096;
+
+// Known types with their preferred extension first. Declared extensions are
+// looked up here too, so types that can only be told apart by extension
+// (docx vs xlsx inside a zip, csv vs txt) are listed as well.
+const TYPES = [
+  { mime: 'image/jpeg', exts: ['.jpg', '.jpeg', '.jpe'] },
+  { mime: 'image/png', exts: ['.png'] },
+  { mime: 'image/gif', exts: ['.gif'] },
+  { mime: 'image/bmp', exts: ['.bmp'] },
+  { mime: 'image/webp', exts: ['.webp'] },
+  { mime: 'image/tiff', exts: ['.tif', '.tiff'] },
+  { mime: 'image/x-icon', exts: ['.ico'] },
+  { mime: 'image/heic', exts: ['.heic'] },
+  { mime: 'image/avif', exts: ['.avif'] },
+  { mime: 'image/svg+xml', exts: ['.svg'] },
+  { mime: 'application/pdf', exts: ['.pdf'] },
+  { mime: 'application/zip', exts: ['.zip'] },
+  { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', exts: ['.docx'] },
+  { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', exts: ['.xlsx'] },
+  { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', exts: ['.pptx'] },
+  { mime: 'application/vnd.oasis.opendocument.text', exts: ['.odt'] },
+  { mime: 'application/vnd.oasis.opendocument.spreadsheet', exts: ['.ods'] },
+  { mime: 'application/vnd.oasis.opendocument.presentation', exts: ['.odp'] },
+  { mime: 'application/epub+zip', exts: ['.epub'] },
+  { mime: 'application/java-archive', exts: ['.jar'] },
+  { mime: 'application/gzip', exts: ['.gz', '.tgz'] },
+  { mime: 'application/x-bzip2', exts: ['.bz2'] },
+  { mime: 'application/x-7z-compressed', exts: ['.7z'] },
+  { mime: 'application/vnd.rar', exts: ['.rar'] },
+  { mime: 'application/x-tar', exts: ['.tar'] },
+  { mime: 'audio/mpeg', exts: ['.mp3'] },
+  { mime: 'audio/wav', exts: ['.wav'] },
+  { mime: 'audio/ogg', exts: ['.ogg', '.oga'] },
+  { mime: 'audio/flac', exts: ['.flac'] },
+  { mime: 'audio/mp4', exts: ['.m4a'] },
+  { mime: 'video/mp4', exts: ['.mp4', '.m4v'] },
+  { mime: 'video/quicktime', exts: ['.mov'] },
+  { mime: 'video/3gpp', exts: ['.3gp'] },
+  { mime: 'video/webm', exts: ['.webm'] },
+  { mime: 'video/x-matroska', exts: ['.mkv'] },
+  { mime: 'video/x-msvideo', exts: ['.avi'] },
+  { mime: 'font/woff', exts: ['.woff'] },
+  { mime: 'font/woff2', exts: ['.woff2'] },
+  { mime: 'font/otf', exts: ['.otf'] },
+  { mime: 'application/wasm', exts: ['.wasm'] },
+  { mime: 'application/x-executable', exts: ['.elf', '.so'] },
+  { mime: 'application/x-msdownload', exts: ['.exe', '.dll'] },
+  { mime: 'application/vnd.sqlite3', exts: ['.sqlite', '.db'] },
+  { mime: 'application/rtf', exts: ['.rtf'] },
+  { mime: 'application/postscript', exts: ['.ps', '.eps'] },
+  { mime: 'application/json', exts: ['.json'] },
+  { mime: 'application/xml', exts: ['.xml'] },
+  { mime: 'text/html', exts: ['.html', '.htm'] },
+  { mime: 'text/csv', exts: ['.csv'] },
+  { mime: 'text/markdown', exts: ['.md'] },
+  { mime: 'text/css', exts: ['.css'] },
+  { mime: 'text/javascript', exts: ['.js', '.mjs'] },
+  { mime: 'text/plain', exts: ['.txt', '.text', '.log'] }
+];
+
+// Other names clients use for the types above
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/vnd.microsoft.icon': 'image/x-icon',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/x-rar-compressed': 'application/vnd.rar',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-m4a': 'audio/mp4',
+  'text/xml': 'application/xml',
+  'application/javascript': 'text/javascript',
+  'application/x-javascript': 'text/javascript'
+};
+
+// Types stored as zip archives, which the detector may only see as zip
+const ZIP_BASED_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/epub+zip',
+  'application/java-archive'
+];
+
+// Byte order marks, longest first so UTF-32LE is not taken for UTF-16LE
+const BOMS = [
+  { bytes: [0x00, 0x00, 0xFE, 0xFF], charset: 'utf-32be' },
+  { bytes: [0xFF, 0xFE, 0x00, 0x00], charset: 'utf-32le' },
+  { bytes: [0xEF, 0xBB, 0xBF], charset: 'utf-8' },
+  { bytes: [0xFE, 0xFF], charset: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], charset: 'utf-16le' }
+];
+
+function startsWith(head, bytes, offset = 0) {
+  if (typeof bytes === 'string') {
+    bytes = Buffer.from(bytes, 'latin1');
+  }
+  return head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+}
+
+// Finds a byte order mark at the start of `head`. Returns { charset, length }
+// or null.
+function detectBom(head) {
+  const bom = BOMS.find(candidate => startsWith(head, candidate.bytes));
+  return bom ? { charset: bom.charset, length: bom.bytes.length } : null;
+}
+
+// Refines a zip archive by its entries: ODF and EPUB store a `mimetype`
+// entry first, OOXML and JAR are recognised by entry names within the head
+function detectZipType(head) {
+  if (head.length >= 30) {
+    const nameLength = head.readUInt16LE(26);
+    const extraLength = head.readUInt16LE(28);
+    const dataLength = head.readUInt32LE(18);
+    const name = head.toString('latin1', 30, 30 + nameLength);
+    if (name === 'mimetype') {
+      const start = 30 + nameLength + extraLength;
+      const mime = head.toString('latin1', start, start + dataLength);
+      if (ZIP_BASED_TYPES.includes(mime)) {
+        return mime;
+      }
+    }
+  }
+
+  const text = head.toString('latin1');
+  if (text.includes('[Content_Types].xml') || /(word|xl|ppt)\//.test(text)) {
+    if (text.includes('word/')) {
+      return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    }
+    if (text.includes('xl/')) {
+      return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+    if (text.includes('ppt/')) {
+      return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    }
+  }
+  if (text.includes('META-INF/MANIFEST.MF')) {
+    return 'application/java-archive';
+  }
+  return 'application/zip';
+}
+
+// ISO base media files (MP4, MOV, HEIC, ...) carry a brand after 'ftyp'
+function detectFtypType(head) {
+  const brand = head.toString('latin1', 8, 12);
+  if (brand === 'M4A ' || brand === 'M4B ') {
+    return 'audio/mp4';
+  }
+  if (brand === 'qt  ') {
+    return 'video/quicktime';
+  }
+  if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) {
+    return 'image/heic';
+  }
+  if (brand === 'avif' || brand === 'avis') {
+    return 'image/avif';
+  }
+  if (brand.startsWith('3g')) {
+    return 'video/3gpp';
+  }
+  return 'video/mp4';
+}
+
+// Magic numbers for binary formats
+function detectBinaryType(head) {
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return 'image/png';
+  }
+  if (startsWith(head, 'GIF87a') || startsWith(head, 'GIF89a')) {
+    return 'image/gif';
+  }
+  // 'BM' alone is common in text, so the reserved header bytes must be zero
+  if (startsWith(head, 'BM') && head.length >= 10 && head.readUInt32LE(6) === 0) {
+    return 'image/bmp';
+  }
+  if (startsWith(head, 'RIFF') && head.length >= 12) {
+    const format = head.toString('latin1', 8, 12);
+    if (format === 'WEBP') {
+      return 'image/webp';
+    }
+    if (format === 'WAVE') {
+      return 'audio/wav';
+    }
+    if (format === 'AVI ') {
+      return 'video/x-msvideo';
+    }
+  }
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) {
+    return 'image/tiff';
+  }
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00]) && head.length >= 6 && head.readUInt16LE(4) > 0) {
+    return 'image/x-icon';
+  }
+  if (startsWith(head, '%PDF-')) {
+    return 'application/pdf';
+  }
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04])) {
+    return detectZipType(head);
+  }
+  if (startsWith(head, [0x50, 0x4B, 0x05, 0x06])) {
+    return 'application/zip';
+  }
+  if (startsWith(head, [0x1F, 0x8B])) {
+    return 'application/gzip';
+  }
+  if (startsWith(head, 'BZh')) {
+    return 'application/x-bzip2';
+  }
+  if (startsWith(head, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) {
+    return 'application/x-7z-compressed';
+  }
+  if (startsWith(head, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07])) {
+    return 'application/vnd.rar';
+  }
+  if (startsWith(head, 'ustar', 257)) {
+    return 'application/x-tar';
+  }
+  if (startsWith(head, 'ID3') || startsWith(head, [0xFF, 0xFB]) || startsWith(head, [0xFF, 0xF3]) || startsWith(head, [0xFF, 0xF2])) {
+    return 'audio/mpeg';
+  }
+  if (startsWith(head, 'ftyp', 4)) {
+    return detectFtypType(head);
+  }
+  if (startsWith(head, 'OggS')) {
+    return 'audio/ogg';
+  }
+  if (startsWith(head, 'fLaC')) {
+    return 'audio/flac';
+  }
+  if (startsWith(head, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (startsWith(head, 'wOFF')) {
+    return 'font/woff';
+  }
+  if (startsWith(head, 'wOF2')) {
+    return 'font/woff2';
+  }
+  if (startsWith(head, 'OTTO')) {
+    return 'font/otf';
+  }
+  if (startsWith(head, [0x00, 0x61, 0x73, 0x6D])) {
+    return 'application/wasm';
+  }
+  if (startsWith(head, [0x7F, 0x45, 0x4C, 0x46])) {
+    return 'application/x-executable';
+  }
+  if (startsWith(head, 'MZ')) {
+    return 'application/x-msdownload';
+  }
+  if (startsWith(head, 'SQLite format 3\0')) {
+    return 'application/vnd.sqlite3';
+  }
+  if (startsWith(head, '{\\rtf')) {
+    return 'application/rtf';
+  }
+  if (startsWith(head, '%!PS')) {
+    return 'application/postscript';
+  }
+  return null;
+}
+
+// Classifies text by its first characters, or returns null for binary data.
+// Control characters other than whitespace mean the data is not text.
+function detectTextType(text) {
+  if (/[\x00-\x08\x0E-\x1A\x1C-\x1F]/.test(text)) {
+    return null;
+  }
+
+  const start = text.trimStart();
+  if (/^\{\s*("|\})/.test(start) || /^\[\s*([-\d"{[\]]|true|false|null)/.test(start)) {
+    return 'application/json';
+  }
+  if (/^<svg[\s>]/.test(start) || (start.startsWith('<?xml') && /<svg[\s>]/.test(start))) {
+    return 'image/svg+xml';
+  }
+  if (/^(<!doctype html|<html[\s>])/i.test(start)) {
+    return 'text/html';
+  }
+  if (start.startsWith('<?xml')) {
+    return 'application/xml';
+  }
+  return 'text/plain';
+}
+
+// Identifies content from its first bytes. Returns { mime, ext, charset } or
+// null when nothing matched; `charset` is set for text with a byte order mark.
+function detectType(head) {
+  if (!head || head.length === 0) {
+    return null;
+  }
+
+  const bom = detectBom(head);
+  let mime = bom ? null : detectBinaryType(head);
+  let charset = null;
+
+  if (bom && bom.charset.startsWith('utf-32')) {
+    // TextDecoder has no UTF-32, so the mark is all there is to go on
+    mime = 'text/plain';
+    charset = bom.charset;
+  } else if (!mime) {
+    let text = null;
+    try {
+      // stream: true tolerates a character cut off at the end of the head
+      text = new TextDecoder(bom ? bom.charset : 'utf-8', { fatal: true })
+        .decode(head, { stream: true });
+    } catch (e) {
+      text = null;
+    }
+    mime = text === null ? null : detectTextType(text);
+    charset = mime && bom ? bom.charset : null;
+  }
+
+  if (!mime) {
+    return null;
+  }
+  return {
+    mime: mime,
+    ext: extensionForType(mime),
+    charset: charset
+  };
+}
+
+// Preferred extension for a type, or null
+function extensionForType(mime) {
+  const type = TYPES.find(candidate => candidate.mime === mime);
+  return type ? type.exts[0] : null;
+}
+
+// Type for a file extension (with or without the dot), or null
+function typeForExtension(ext) {
+  if (!ext) {
+    return null;
+  }
+  const normalized = (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase();
+  const type = TYPES.find(candidate => candidate.exts.includes(normalized));
+  return type ? type.mime : null;
+}
+
+// Reduces a Content-Type value to its canonical type without parameters.
+// application/octet-stream declares nothing, so it maps to null.
+function normalizeType(contentType) {
+  if (!contentType) {
+    return null;
+  }
+  const essence = contentType.split(';')[0].trim().toLowerCase();
+  if (!essence || essence === 'application/octet-stream') {
+    return null;
+  }
+  return MIME_ALIASES[essence] || essence;
+}
+
+function isTextType(mime) {
+  return mime.startsWith('text/') || mime.endsWith('+xml') || mime.endsWith('+json') ||
+    mime === 'application/json' || mime === 'application/xml';
+}
+
+// Whether detected content is consistent with a declared type. Unknown on
+// either side is not a contradiction, and generic detections (zip, plain
+// text, XML) accept the more specific types built on them.
+function typesMatch(declared, detected) {
+  if (!declared || !detected) {
+    return true;
+  }
+  if (declared === detected) {
+    return true;
+  }
+  if (detected === 'application/zip') {
+    return ZIP_BASED_TYPES.includes(declared);
+  }
+  if (detected === 'text/plain' || declared === 'text/plain') {
+    return isTextType(declared) && isTextType(detected);
+  }
+  if (detected === 'application/xml') {
+    return declared.endsWith('+xml');
+  }
+  return false;
+}
+
+// Compares a file's first bytes with its declared type. Returns the fields
+// reported on upload results: detectedType (with a charset parameter for text
+// with a byte order mark), declaredType and mismatch, plus the detected
+// extension for naming files uploaded without one.
+function sniffContent(head, declaredType) {
+  const detected = detectType(head);
+  const declared = normalizeType(declaredType);
+  return {
+    detectedType: detected ? (detected.charset ? `${detected.mime}; charset=${detected.charset}` : detected.mime) : null,
+    declaredType: declared,
+    mismatch: !typesMatch(declared, detected ? detected.mime : null),
+    detectedExt: detected ? detected.ext : null
+  };
+}
+
+// Reads the bytes sniffContent needs from the start of a file
+function readFileHead(filepath) {
+  const head = Buffer.alloc(SNIFF_SIZE);
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    return head.subarray(0, fs.readSync(fd, head, 0, SNIFF_SIZE, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  SNIFF_SIZE,
+  detectBom,
+  detectType,
+  extensionForType,
+  typeForExtension,
+  normalizeType,
+  typesMatch,
+  sniffContent,
+  readFileHead
+};
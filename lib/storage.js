@@ -0,0 +1,54 @@
+'use strict';
+
+// Storage registry: where finished uploads are kept, keyed by the backend name
+// used in STORAGE_BACKEND. Each store module exports a factory taking the
+// backend's options and returning a store with a `name`, `describe()` for
+// logs, and these methods, all returning promises:
+//   put(key, tmpPath, contentHash) - moves a finished temporary file into the
+//       store under `key` and resolves with { key, deduplicated }, `key` being
+//       the backend's own name for it. With a content hash, identical payloads
+//       are kept once.
+//   stat(key)   - { key, size, modifiedAt } or null when there is no such file
+//   list()      - stat results for every stored file
+//   createReadStream(key, range) - readable stream of the file's bytes, or of
+//       `range` ({ start, end }, both inclusive) when given
+//   putMetadata(key, record) - saves the JSON metadata record (sidecar) of a
+//       stored file
+//   getMetadata(key) - the file's metadata record, or null when it has none
+//   delete(key) - removes a stored file and its metadata; resolves with false
+//       if it did not exist
+// Keys are plain filenames (see files.js).
+const STORES = {
+  'filesystem': require('./stores/filesystem').createFilesystemStorage,
+  'memory': require('./stores/memory').createMemoryStorage,
+  's3': require('./stores/s3').createS3Storage
+};
+
+// Alternative names accepted in STORAGE_BACKEND
+const STORE_ALIASES = {
+  'fs': 'filesystem',
+  'disk': 'filesystem',
+  'minio': 's3'
+};
+
+const SUPPORTED_STORES = Object.keys(STORES);
+
+function resolveStoreName(name) {
+  const lower = String(name).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(STORE_ALIASES, lower) ? STORE_ALIASES[lower] : lower;
+}
+
+// Creates the named backend. `options` may hold settings for every backend;
+// each one picks those it uses.
+function createStorage(name, options = {}) {
+  const resolved = resolveStoreName(name);
+  if (!Object.prototype.hasOwnProperty.call(STORES, resolved)) {
+    throw new Error(`Unsupported storage backend: ${name} (expected one of ${SUPPORTED_STORES.join(', ')})`);
+  }
+  return STORES[resolved](options);
+}
+
+module.exports = {
+  SUPPORTED_STORES,
+  createStorage
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// The original layout: one file per upload in a directory. Content-addressed
+// payloads live in its `.objects` subdirectory, named by their SHA-256, and
+// stored files are hard links to them. Metadata records are `<key>.json` in
+// the `.meta` subdirectory.
+function createFilesystemStorage(options = {}) {
+  if (!options.dir) {
+    throw new Error('Filesystem storage requires a directory');
+  }
+  const dir = options.dir;
+  const objectsDir = path.join(dir, '.objects');
+  const metaDir = path.join(dir, '.meta');
+  fs.mkdirSync(objectsDir, { recursive: true });
+  fs.mkdirSync(metaDir, { recursive: true });
+
+  const metaPath = (key) => path.join(metaDir, `${key}.json`);
+
+  const readMetadata = (key) => {
+    try {
+      return JSON.parse(fs.readFileSync(metaPath(key), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const stat = (key) => {
+    let stats;
+    try {
+      stats = fs.statSync(path.join(dir, key));
+    } catch (e) {
+      return null;
+    }
+    if (!stats.isFile()) {
+      return null;
+    }
+    return { key: key, size: stats.size, modifiedAt: stats.mtime };
+  };
+
+  return {
+    name: 'filesystem',
+
+    describe() {
+      return `filesystem (${dir})`;
+    },
+
+    async put(key, tmpPath, contentHash = null) {
+      const filepath = path.join(dir, key);
+      if (!contentHash) {
+        fs.renameSync(tmpPath, filepath);
+        return { key: key, deduplicated: false };
+      }
+
+      const objectPath = path.join(objectsDir, contentHash);
+      const deduplicated = fs.existsSync(objectPath);
+      if (deduplicated) {
+        fs.unlinkSync(tmpPath);
+      } else {
+        fs.renameSync(tmpPath, objectPath);
+      }
+      fs.linkSync(objectPath, filepath);
+      return { key: key, deduplicated: deduplicated };
+    },
+
+    async stat(key) {
+      return stat(key);
+    },
+
+    // Dot entries are the temporary, session and object directories
+    async list() {
+      return fs.readdirSync(dir)
+        .filter(name => !name.startsWith('.'))
+        .map(stat)
+        .filter(Boolean);
+    },
+
+    async createReadStream(key, range = {}) {
+      return fs.createReadStream(path.join(dir, key), { start: range.start, end: range.end });
+    },
+
+    async putMetadata(key, record) {
+      fs.writeFileSync(metaPath(key), JSON.stringify(record, null, 2));
+    },
+
+    async getMetadata(key) {
+      return readMetadata(key);
+    },
+
+    // A content-addressed object goes with the last file linking to it
+    async delete(key) {
+      const filepath = path.join(dir, key);
+      const record = readMetadata(key);
+      fs.rmSync(metaPath(key), { force: true });
+      let stats;
+      try {
+        stats = fs.statSync(filepath);
+        fs.unlinkSync(filepath);
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          return false;
+        }
+        throw e;
+      }
+
+      if (stats.nlink > 1 && record && record.digests) {
+        const objectPath = path.join(objectsDir, record.digests.sha256);
+        try {
+          const object = fs.statSync(objectPath);
+          if (object.ino === stats.ino && object.nlink === 1) {
+            fs.unlinkSync(objectPath);
+          }
+        } catch (e) {
+          // No such object
+        }
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createFilesystemStorage
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const fs = require('fs');
+const { Readable } = require('stream');
+
+// Keeps stored files in process memory, for tests and throwaway instances.
+// Everything is lost on restart, and every stored byte counts against the
+// heap. Content-addressed payloads are one shared buffer, dropped once no
+// file refers to it.
+function createMemoryStorage() {
+  const files = new Map();
+  const objects = new Map();
+
+  const release = (file) => {
+    const object = file.contentHash && objects.get(file.contentHash);
+    if (object && --object.refs === 0) {
+      objects.delete(file.contentHash);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    describe() {
+      return `memory (${files.size} files)`;
+    },
+
+    async put(key, tmpPath, contentHash = null) {
+      let data;
+      let deduplicated = false;
+      if (contentHash && objects.has(contentHash)) {
+        deduplicated = true;
+        data = objects.get(contentHash).data;
+      } else {
+        data = await fs.promises.readFile(tmpPath);
+      }
+      await fs.promises.unlink(tmpPath);
+
+      if (contentHash) {
+        const object = objects.get(contentHash) || { data: data, refs: 0 };
+        object.refs++;
+        objects.set(contentHash, object);
+      }
+      if (files.has(key)) {
+        release(files.get(key));
+      }
+      files.set(key, { data: data, contentHash: contentHash, modifiedAt: new Date() });
+      return { key: key, deduplicated: deduplicated };
+    },
+
+    async stat(key) {
+      const file = files.get(key);
+      return file ? { key: key, size: file.data.length, modifiedAt: file.modifiedAt } : null;
+    },
+
+    async list() {
+      return Array.from(files, ([key, file]) => ({ key: key, size: file.data.length, modifiedAt: file.modifiedAt }));
+    },
+
+    async createReadStream(key, range = {}) {
+      const file = files.get(key);
+      if (!file) {
+        throw new Error(`No stored file ${key}`);
+      }
+      const start = range.start || 0;
+      const end = range.end === undefined ? file.data.length - 1 : range.end;
+      return Readable.from([file.data.subarray(start, end + 1)], { objectMode: false });
+    },
+
+    async putMetadata(key, record) {
+      const file = files.get(key);
+      if (file) {
+        file.metadata = JSON.parse(JSON.stringify(record));
+      }
+    },
+
+    async getMetadata(key) {
+      const file = files.get(key);
+      return file && file.metadata ? JSON.parse(JSON.stringify(file.metadata)) : null;
+    },
+
+    async delete(key) {
+      const file = files.get(key);
+      if (!file) {
+        return false;
+      }
+      release(file);
+      files.delete(key);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,337 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// S3-compatible object store (AWS S3, MinIO and the like), spoken to directly
+// over HTTP with path-style URLs and Signature Version 4. Files are uploaded
+// with an unsigned payload so they can be streamed from their temporary file.
+// Content-addressed payloads are uploaded once as `<prefix>.objects/<sha256>`
+// and copied server-side to each file's key, which keeps the hash in its
+// x-amz-meta-sha256 header. Each such file also has an empty reference
+// object, `<prefix>.refs/<sha256>/<key>`, and the payload is deleted with the
+// last file referring to it. Metadata records are `<prefix>.meta/<key>.json`.
+
+const SERVICE = 's3';
+const HASH_HEADER = 'x-amz-meta-sha256';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+// Keys per ListObjectsV2 page
+const LIST_PAGE_SIZE = 1000;
+
+// URI encoding as SigV4 expects it: RFC 3986 unreserved characters only
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// Contents of every <tag> element in an XML document, in order
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+function xmlValues(xml, tag) {
+  return xmlElements(xml, tag).map(decodeXml);
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+// Store failures fail the request they happen in, as 502 Bad Gateway
+function storeError(message) {
+  const error = new Error(message);
+  error.status = 502;
+  return error;
+}
+
+// Options: endpoint (e.g. http://localhost:9000), bucket, region (default
+// us-east-1), accessKeyId, secretAccessKey, and a key prefix
+function createS3Storage(options = {}) {
+  ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].forEach(name => {
+    if (!options[name]) {
+      throw new Error(`S3 storage requires ${name}`);
+    }
+  });
+
+  const endpoint = new URL(options.endpoint);
+  const transport = endpoint.protocol === 'https:' ? https : http;
+  const basePath = endpoint.pathname.replace(/\/+$/, '');
+  const bucket = options.bucket;
+  const region = options.region || 'us-east-1';
+  const prefix = options.prefix || '';
+
+  const metaKey = (key) => `${prefix}.meta/${key}.json`;
+  const blobKey = (contentHash) => `${prefix}.objects/${contentHash}`;
+  const refsPrefix = (contentHash) => `${prefix}.refs/${contentHash}/`;
+
+  const objectPath = (objectKey) => {
+    const encodedKey = objectKey === null ? '' : `/${objectKey.split('/').map(encodeRfc3986).join('/')}`;
+    return `${basePath}/${encodeRfc3986(bucket)}${encodedKey}`;
+  };
+
+  // Signs and sends one request. `body` is a Buffer, a readable stream (sent
+  // unsigned; give its content-length in `headers`) or null. Resolves with
+  // the response once its headers arrive.
+  const send = (method, objectKey, { query = {}, headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const requestPath = objectPath(objectKey);
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    let payloadHash = EMPTY_SHA256;
+    if (Buffer.isBuffer(body)) {
+      payloadHash = sha256Hex(body);
+    } else if (body) {
+      payloadHash = 'UNSIGNED-PAYLOAD';
+    }
+
+    const signed = Object.assign({}, headers, {
+      'host': endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    });
+    const signedNames = Object.keys(signed).filter(name => name === 'host' || name.startsWith('x-amz-')).sort();
+    const canonicalRequest = [
+      method,
+      requestPath,
+      canonicalQuery,
+      signedNames.map(name => `${name}:${String(signed[name]).trim()}\n`).join(''),
+      signedNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/${SERVICE}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${options.secretAccessKey}`, date), region), SERVICE), 'aws4_request');
+    signed.authorization = `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedNames.join(';')}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+    // S3 refuses chunked uploads, so bodies always have a length
+    if (Buffer.isBuffer(body)) {
+      signed['content-length'] = body.length;
+    } else if (!body && method === 'PUT') {
+      signed['content-length'] = 0;
+    }
+
+    const request = transport.request({
+      method: method,
+      hostname: endpoint.hostname,
+      port: endpoint.port,
+      path: canonicalQuery ? `${requestPath}?${canonicalQuery}` : requestPath,
+      headers: signed
+    }, resolve);
+    request.on('error', e => reject(storeError(`S3 ${method} ${objectKey || bucket} failed: ${e.message}`)));
+
+    if (body && !Buffer.isBuffer(body)) {
+      body.on('error', e => request.destroy(e));
+      body.pipe(request);
+    } else {
+      request.end(body);
+    }
+  });
+
+  // Sends a request and checks its status. Error responses are turned into
+  // errors carrying the store's error code.
+  const call = async (method, objectKey, params, expected = [200]) => {
+    const response = await send(method, objectKey, params);
+    if (!expected.includes(response.statusCode)) {
+      const text = await readBody(response);
+      const code = xmlValues(text, 'Code')[0] || response.statusMessage;
+      const message = xmlValues(text, 'Message')[0];
+      throw storeError(`S3 ${method} ${objectKey || bucket} failed with ${response.statusCode}: ${code}${message ? ` (${message})` : ''}`);
+    }
+    return response;
+  };
+
+  const head = async (objectKey) => {
+    const response = await call('HEAD', objectKey, {}, [200, 404]);
+    response.resume();
+    if (response.statusCode === 404) {
+      return null;
+    }
+    return {
+      size: Number(response.headers['content-length']),
+      modifiedAt: new Date(response.headers['last-modified']),
+      contentHash: response.headers[HASH_HEADER] || null
+    };
+  };
+
+  const upload = async (objectKey, filepath, headers = {}) => {
+    const size = fs.statSync(filepath).size;
+    const response = await call('PUT', objectKey, {
+      headers: Object.assign({ 'content-length': size, 'content-type': 'application/octet-stream' }, headers),
+      body: fs.createReadStream(filepath)
+    });
+    response.resume();
+  };
+
+  // Copies the object's metadata headers along with it. Resolves with false
+  // when there is no such source. CopyObject can fail after answering 200,
+  // with the error in the body.
+  const copy = async (sourceKey, objectKey) => {
+    const response = await call('PUT', objectKey, {
+      headers: { 'x-amz-copy-source': objectPath(sourceKey).slice(basePath.length) }
+    }, [200, 404]);
+    const text = await readBody(response);
+    if (response.statusCode === 404) {
+      return false;
+    }
+    if (/<Error>/.test(text)) {
+      throw storeError(`S3 copy of ${sourceKey} to ${objectKey} failed: ${xmlValues(text, 'Code')[0]}`);
+    }
+    return true;
+  };
+
+  const remove = async (objectKey) => {
+    (await call('DELETE', objectKey, {}, [200, 204])).resume();
+  };
+
+  // Whether any key starts with `keyPrefix`
+  const anyKey = async (keyPrefix) => {
+    const text = await readBody(await call('GET', null, { query: { 'list-type': '2', 'prefix': keyPrefix, 'max-keys': '1' } }));
+    return xmlElements(text, 'Contents').length > 0;
+  };
+
+  // Stores a content-addressed file: its reference first, so a concurrent
+  // delete of the last other file keeps the payload, then the payload unless
+  // it is already there, then the copy. A payload deleted between the check
+  // and the copy is uploaded again.
+  const putContent = async (objectKey, tmpPath, contentHash) => {
+    const refKey = refsPrefix(contentHash) + objectKey.slice(prefix.length);
+    (await call('PUT', refKey)).resume();
+    try {
+      const deduplicated = Boolean(await head(blobKey(contentHash)));
+      if (deduplicated && await copy(blobKey(contentHash), objectKey)) {
+        return true;
+      }
+      await upload(blobKey(contentHash), tmpPath, { [HASH_HEADER]: contentHash });
+      if (!await copy(blobKey(contentHash), objectKey)) {
+        throw storeError(`S3 copy of ${blobKey(contentHash)} to ${objectKey} failed: NoSuchKey`);
+      }
+      return false;
+    } catch (e) {
+      await remove(refKey).catch(() => {});
+      throw e;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    describe() {
+      return `s3 (${endpoint.origin}${basePath}/${bucket}/${prefix})`;
+    },
+
+    async put(key, tmpPath, contentHash = null) {
+      const objectKey = prefix + key;
+      let deduplicated = false;
+      try {
+        if (!contentHash) {
+          await upload(objectKey, tmpPath);
+        } else {
+          deduplicated = await putContent(objectKey, tmpPath, contentHash);
+        }
+      } finally {
+        fs.unlink(tmpPath, () => {});
+      }
+      return { key: objectKey, deduplicated: deduplicated };
+    },
+
+    async stat(key) {
+      const stats = await head(prefix + key);
+      return stats ? { key: key, size: stats.size, modifiedAt: stats.modifiedAt } : null;
+    },
+
+    // Keys below the prefix that contain a '/' (such as the content-addressed
+    // objects) are not stored files
+    async list() {
+      const entries = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', 'prefix': prefix, 'max-keys': String(LIST_PAGE_SIZE) };
+        if (token) {
+          query['continuation-token'] = token;
+        }
+        const text = await readBody(await call('GET', null, { query: query }));
+        xmlElements(text, 'Contents').forEach(contents => {
+          const key = xmlValues(contents, 'Key')[0].slice(prefix.length);
+          if (key && !key.includes('/')) {
+            entries.push({
+              key: key,
+              size: Number(xmlValues(contents, 'Size')[0]),
+              modifiedAt: new Date(xmlValues(contents, 'LastModified')[0])
+            });
+          }
+        });
+        token = xmlValues(text, 'IsTruncated')[0] === 'true' ? xmlValues(text, 'NextContinuationToken')[0] : null;
+      } while (token);
+      return entries;
+    },
+
+    async createReadStream(key, range = {}) {
+      const headers = {};
+      if (range.start !== undefined || range.end !== undefined) {
+        headers.range = `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`;
+      }
+      return call('GET', prefix + key, { headers: headers }, [200, 206]);
+    },
+
+    async putMetadata(key, record) {
+      const body = Buffer.from(JSON.stringify(record, null, 2));
+      (await call('PUT', metaKey(key), { headers: { 'content-type': 'application/json' }, body: body })).resume();
+    },
+
+    async getMetadata(key) {
+      const response = await call('GET', metaKey(key), {}, [200, 404]);
+      const text = await readBody(response);
+      return response.statusCode === 404 ? null : JSON.parse(text);
+    },
+
+    // A content-addressed payload goes with the last file referring to it
+    async delete(key) {
+      const stats = await head(prefix + key);
+      if (!stats) {
+        return false;
+      }
+      await remove(metaKey(key));
+      await remove(prefix + key);
+      if (stats.contentHash) {
+        await remove(refsPrefix(stats.contentHash) + key);
+        if (!await anyKey(refsPrefix(stats.contentHash))) {
+          await remove(blobKey(stats.contentHash));
+        }
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// Webhook subscriptions for upload lifecycle events (see events.js). A
+// subscription is a plain object:
+//   url        - http(s) URL the events are POSTed to
+//   secret     - key the deliveries are signed with
+//   events     - event types to deliver (default: all of WEBHOOK_EVENTS)
+//   attempts   - deliveries tried before giving up (default from the
+//                dispatcher, 5)
+//   retryDelay - ms before the first retry, doubling for each one after it
+//                (default from the dispatcher, 1000)
+//
+// Each delivery is a JSON body { id, type, time, data }, `id` staying the
+// same across retries, with the headers:
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Attempt (from 1)
+//   X-Webhook-Timestamp - Unix time in seconds of this attempt
+//   X-Webhook-Signature - `sha256=` and the hex HMAC-SHA256, keyed with the
+//                         secret, of `<timestamp>.<body>`
+// Any 2xx answer is a success. Deliveries that still fail after the last
+// attempt are appended to a JSONL dead-letter log.
+
+const WEBHOOK_EVENTS = ['file.stored', 'file.failed', 'file.deleted'];
+
+const MAX_ATTEMPTS = 20;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+function invalidSubscription(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function intSetting(spec, name, defaultValue, min, max) {
+  if (spec[name] === undefined || spec[name] === null) {
+    return defaultValue;
+  }
+  const value = Number(spec[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalidSubscription(`Webhook ${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// Validates a subscription spec and returns it normalized, without an id.
+// `defaults` gives the attempts and retryDelay of subscriptions that do not
+// set their own. Throws a 400 error when the spec is malformed.
+function createSubscription(spec, defaults = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw invalidSubscription('A webhook subscription must be an object with a url and a secret');
+  }
+  let url;
+  try {
+    url = new URL(spec.url);
+  } catch (e) {
+    throw invalidSubscription(`Invalid webhook url: ${spec.url}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw invalidSubscription(`Webhook url must be http or https: ${spec.url}`);
+  }
+  if (typeof spec.secret !== 'string' || spec.secret === '') {
+    throw invalidSubscription('A webhook subscription needs a secret to sign deliveries with');
+  }
+  const events = spec.events === undefined ? WEBHOOK_EVENTS.slice() : spec.events;
+  if (!Array.isArray(events) || events.length === 0 || !events.every(type => WEBHOOK_EVENTS.includes(type))) {
+    throw invalidSubscription(`Webhook events must be a list of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return {
+    url: url.href,
+    secret: spec.secret,
+    events: events,
+    attempts: intSetting(spec, 'attempts', defaults.attempts || 5, 1, MAX_ATTEMPTS),
+    retryDelay: intSetting(spec, 'retryDelay', defaults.retryDelay === undefined ? 1000 : defaults.retryDelay, 0, MAX_RETRY_DELAY)
+  };
+}
+
+// The X-Webhook-Signature of a delivery `body` sent at `timestamp`
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POSTs `body` to `url`, resolving with the response status. Rejects when no
+// response arrives within `timeout` ms.
+function postJson(url, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, headers),
+      timeout: timeout
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Delivers events to webhook subscriptions. Options:
+//   subscriptions  - specs to start with
+//   attempts, retryDelay - defaults for the subscriptions
+//   timeout        - ms to wait for each response (default 10000)
+//   deadLetterFile - JSONL file failed deliveries are appended to
+//   logger
+//   onAttempt(result) - called after each attempt with 'success', 'retry'
+//                  or 'dead-letter', for metrics
+// `deliver(event)` sends an event to every subscription that wants its type,
+// retrying in the background.
+function createWebhookDispatcher(options = {}) {
+  const defaults = { attempts: options.attempts, retryDelay: options.retryDelay };
+  const timeout = options.timeout || 10000;
+  const log = options.logger;
+  const onAttempt = options.onAttempt || (() => {});
+  const subscriptions = [];
+  let nextId = 1;
+
+  if (options.deadLetterFile) {
+    fs.mkdirSync(path.dirname(options.deadLetterFile), { recursive: true });
+  }
+
+  const deadLetter = (subscription, delivery, attempts, reason) => {
+    subscription.deadLetters++;
+    onAttempt('dead-letter');
+    log.warn('webhook', `Gave up delivering ${delivery.type} ${delivery.id} to ${subscription.url} after ${attempts} attempt(s): ${reason}`, { subscription: subscription.id });
+    if (!options.deadLetterFile) {
+      return;
+    }
+    const entry = {
+      failedAt: new Date().toISOString(),
+      subscription: subscription.id,
+      url: subscription.url,
+      attempts: attempts,
+      error: reason,
+      delivery: delivery
+    };
+    try {
+      fs.appendFileSync(options.deadLetterFile, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      log.error('webhook', `Failed to write ${options.deadLetterFile}: ${e.message}`);
+    }
+  };
+
+  const attempt = (subscription, delivery, body, number) => {
+    // Deliveries to a removed subscription are dropped
+    if (!subscriptions.includes(subscription)) {
+      return;
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Attempt': String(number),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+    };
+    postJson(subscription.url, headers, body, timeout)
+      .then(status => {
+        if (status < 200 || status >= 300) {
+          throw new Error(`HTTP ${status}`);
+        }
+        subscription.delivered++;
+        onAttempt('success');
+        log.debug('webhook', `Delivered ${delivery.type} ${delivery.id} to ${subscription.url}`, { subscription: subscription.id, attempt: number });
+      })
+      .catch(e => {
+        if (number >= subscription.attempts) {
+          return deadLetter(subscription, delivery, number, e.message);
+        }
+        onAttempt('retry');
+        const delay = subscription.retryDelay * 2 ** (number - 1);
+        log.info('webhook', `Delivering ${delivery.type} ${delivery.id} to ${subscription.url} failed (${e.message}), retrying in ${delay}ms`, { subscription: subscription.id, attempt: number });
+        setTimeout(() => attempt(subscription, delivery, body, number + 1), delay).unref();
+      });
+  };
+
+  const dispatcher = {
+    add(spec) {
+      const subscription = Object.assign({ id: String(nextId++) }, createSubscription(spec, defaults), { delivered: 0, deadLetters: 0 });
+      subscriptions.push(subscription);
+      return dispatcher.describe(subscription);
+    },
+
+    // A subscription as listed, its secret left out
+    describe(subscription) {
+      const described = Object.assign({}, subscription);
+      delete described.secret;
+      return described;
+    },
+
+    list() {
+      return subscriptions.map(dispatcher.describe);
+    },
+
+    remove(id) {
+      const index = subscriptions.findIndex(subscription => subscription.id === id);
+      if (index === -1) {
+        return false;
+      }
+      subscriptions.splice(index, 1);
+      return true;
+    },
+
+    deliver(event) {
+      subscriptions.filter(subscription => subscription.events.includes(event.type)).forEach(subscription => {
+        const delivery = { id: crypto.randomUUID(), type: event.type, time: event.time, data: event.data };
+        attempt(subscription, delivery, JSON.stringify(delivery), 1);
+      });
+    },
+
+    // The last `limit` dead letters, oldest first
+    deadLetters(limit = 100) {
+      if (!options.deadLetterFile) {
+        return [];
+      }
+      let lines;
+      try {
+        lines = fs.readFileSync(options.deadLetterFile, 'utf8').split('\n').filter(Boolean);
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          return [];
+        }
+        throw e;
+      }
+      return lines.slice(-limit).map(line => JSON.parse(line));
+    }
+  };
+
+  (options.subscriptions || []).forEach(dispatcher.add);
+  return dispatcher;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  signPayload,
+  createWebhookDispatcher
+};
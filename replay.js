@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { readRecordings, compareResponses } = require('./lib/recorder');
+
+// Replays requests recorded with RECORD_REQUESTS=1 against a running server
+// and compares the new per-file results with the recorded ones.
+//
+//   node replay.js [archive] [--url http://localhost:3002] [--id <requestId>]
+//                  [--api-key <key>]
+//
+// Recorded API keys are redacted, so servers that require one need --api-key
+// (or the API_KEY environment variable).
+//
+// Exits with 1 when any replayed response differs from its recording.
+
+const DEFAULT_URL = 'http://localhost:3002';
+
+// Headers that describe the original connection rather than the request
+const CONNECTION_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'keep-alive', 'x-request-id'];
+
+// The archive the server records to: RECORD_FILE, or requests.jsonl in the
+// .recordings folder of the configured upload directory (CONFIG_FILE and
+// UPLOAD_DIR are read the way the server reads them)
+function defaultArchive() {
+  return process.env.RECORD_FILE || path.join(loadConfig(process.env.CONFIG_FILE).uploadDir, '.recordings', 'requests.jsonl');
+}
+
+function parseArgs(argv) {
+  const args = { archive: null, url: DEFAULT_URL, ids: [], apiKey: process.env.API_KEY || null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      args.url = argv[++i];
+    } else if (argv[i] === '--id') {
+      args.ids.push(argv[++i]);
+    } else if (argv[i] === '--api-key') {
+      args.apiKey = argv[++i];
+    } else {
+      args.archive = argv[i];
+    }
+  }
+  if (args.archive === null) {
+    args.archive = defaultArchive();
+  }
+  return args;
+}
+
+// Sends one recorded request as it was received, under a new request ID and
+// with `apiKey` in place of the redacted one, and resolves with { status,
+// completed, content } like a recorded response
+function replayEntry(entry, baseUrl = DEFAULT_URL, apiKey = null) {
+  const target = new URL(entry.request.url, baseUrl);
+  const transport = target.protocol === 'https:' ? https : http;
+  const body = Buffer.from(entry.request.postData.text, 'base64');
+
+  const headers = {};
+  entry.request.headers
+    .filter(header => !CONNECTION_HEADERS.includes(header.name.toLowerCase()))
+    .filter(header => !apiKey || header.name.toLowerCase() !== 'x-api-key')
+    .forEach(header => {
+      headers[header.name] = header.name in headers ? [].concat(headers[header.name], header.value) : header.value;
+    });
+  headers['Content-Length'] = body.length;
+  headers['X-Request-Id'] = `replay-${entry.requestId || Date.now()}`.slice(0, 128);
+  if (apiKey) {
+    headers['X-API-Key'] = apiKey;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, { method: entry.request.method, headers: headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        let content = null;
+        try {
+          content = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+          // Not a JSON response
+        }
+        resolve({ status: response.statusCode, completed: response.complete, content: content });
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { entries, invalid } = readRecordings(args.archive);
+  if (invalid.length > 0) {
+    console.log(`⚠️  Skipping unreadable lines: ${invalid.join(', ')}`);
+  }
+  const selected = args.ids.length > 0 ? entries.filter(entry => args.ids.includes(entry.requestId)) : entries;
+  console.log(`🔁 Replaying ${selected.length} recorded request(s) from ${args.archive} against ${args.url}`);
+
+  let failed = 0;
+  let skipped = 0;
+  for (const entry of selected) {
+    const label = `${entry.request.method} ${entry.request.url} (${entry.requestId})`;
+    if (entry.request.postData.truncated) {
+      skipped++;
+      console.log(`  - ${label}: body was only partly recorded, skipped`);
+      continue;
+    }
+    try {
+      const differences = compareResponses(entry.response, await replayEntry(entry, args.url, args.apiKey));
+      if (differences.length === 0) {
+        console.log(`  ✓ ${label}: ${entry.response.status}, results match`);
+        continue;
+      }
+      failed++;
+      console.log(`  ✗ ${label}: ${differences.length} difference(s)`);
+      differences.forEach(difference => {
+        console.log(`      ${difference.path}: ${JSON.stringify(difference.recorded)} -> ${JSON.stringify(difference.replayed)}`);
+      });
+    } catch (e) {
+      failed++;
+      console.log(`  ✗ ${label}: ${e.code || e.message}`);
+    }
+  }
+
+  console.log(`\n${selected.length - failed - skipped} matched, ${failed} differed, ${skipped} skipped`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  replayEntry
+};
@@ -1,401 +1,2776 @@
 'use strict';
 
 const express = require('express');
-const multer = require('multer');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { buffer: collectStream } = require('stream/consumers');
+const {
+  SUPPORTED_ENCODINGS,
+  registerAlias,
+  loadEncodingPlugin,
+  listEncodings,
+  isSupportedEncoding,
+  encodeBuffer,
+  createDecodeStream
+} = require('./lib/encodings');
+const { loadConfig, routeLimits } = require('./lib/config');
+const {
+  sanitizeExtension,
+  storedFilename,
+  parseStoredFilename,
+  findStoredFile,
+  listStoredFiles
+} = require('./lib/files');
+const { normalizeType, typeForExtension, sniffContent, readFileHead } = require('./lib/sniff');
+const {
+  createDigestStream,
+  hashFile,
+  collectExpectedDigests,
+  digestAlgorithms,
+  verifyDigests,
+  reportedDigests
+} = require('./lib/digest');
+const {
+  sessionDataPath,
+  createSession,
+  getSession,
+  saveSession,
+  isSessionExpired,
+  deleteSession,
+  sweepSessions
+} = require('./lib/sessions');
+const { IDENTITY_TRANSFER_ENCODINGS, multipartMiddleware } = require('./lib/multipart');
+const { MultipartValidator } = require('./lib/conformance');
+const { SUPPORTED_COMPRESSIONS, parseCompressions, createDecompressStages, decompressRequest } = require('./lib/compression');
+const { detectArchive, readArchive, removeExtracted } = require('./lib/archives');
+const { inspectEncodedText } = require('./lib/inspect');
+const { DEFAULT_TARGET_CHARSET, createTranscodeStream } = require('./lib/charsets');
+const { createStorage } = require('./lib/storage');
+const {
+  parseRunId,
+  parseTags,
+  storageUsage,
+  sweepRetention,
+  deleteMatchingFiles
+} = require('./lib/retention');
+const {
+  createFault,
+  createFaultRegistry,
+  selectFaults,
+  applyFaults,
+  partFault
+} = require('./lib/faults');
+const { requestRecorder } = require('./lib/recorder');
+const { createLogger } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+const { loadApiKeys, routeAllowed, encodingAllowed, createUsageTracker } = require('./lib/apikeys');
+const { createEventHub, formatServerSentEvent } = require('./lib/events');
+const { WEBHOOK_EVENTS, createSubscription, createWebhookDispatcher } = require('./lib/webhooks');
+const {
+  parseBoundary,
+  parseTransferEncodings,
+  transferEncodingFor,
+  parseChunkSize,
+  multipartType,
+  quoteParameter,
+  buildMultipart,
+  createByteRangesStream,
+  createChunker
+} = require('./lib/responses');
 const app = express();
-const PORT = process.env.PORT || 3002;
 
-// Logging middleware
+// Port, upload directory, body limits (per route too) and encoding plugins
+// from CONFIG_FILE and environment overrides (see lib/config.js)
+const config = loadConfig(process.env.CONFIG_FILE);
+const PORT = config.port;
+
+// Encodings from plugin modules and aliases from the config join the
+// registry before anything reads it: the /upload-<name> routes, /health and
+// the API keys' encoding lists
+const ENCODING_PLUGINS = config.encodings.plugins.map(file => ({ file: file, encodings: loadEncodingPlugin(file) }));
+Object.keys(config.encodings.aliases).forEach(alias => registerAlias(alias, config.encodings.aliases[alias]));
+
+// Structured logs (see lib/logger.js): JSON lines at LOG_LEVEL ('info' by
+// default) and above, or LOG_FORMAT=text for plain `[TAG] message` lines
+const logger = createLogger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+// Prometheus metrics, served by GET /metrics
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency in seconds by method and route', ['method', 'route']);
+const uploadsInFlight = metrics.gauge('uploads_in_flight', 'Upload requests being processed');
+const uploadsTotal = metrics.counter('uploads_total', 'Uploaded files by encoding and result', ['encoding', 'result']);
+const encodedBytes = metrics.counter('upload_encoded_bytes_total', 'Encoded bytes of stored uploads by encoding', ['encoding']);
+const decodedBytes = metrics.counter('upload_decoded_bytes_total', 'Decoded bytes of stored uploads by encoding', ['encoding']);
+const decodeFailures = metrics.counter('decode_failures_total', 'Failed uploads by encoding and error type', ['encoding', 'error']);
+const apiKeyRejections = metrics.counter('api_key_rejections_total', 'Requests refused for their API key by client and reason', ['client', 'reason']);
+const webhookAttempts = metrics.counter('webhook_deliveries_total', 'Webhook delivery attempts by result (success, retry or dead-letter)', ['result']);
+const eventStreams = metrics.gauge('event_streams', 'Clients connected to GET /events');
+metrics.collected('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.collected('process_uptime_seconds', 'Seconds since the server started', () => process.uptime());
+
+// Upload lifecycle events (see lib/events.js), streamed by GET /events and
+// the stored, failed and deleted ones delivered to webhooks
+const events = createEventHub();
+
+// Every request gets an ID, echoed in X-Request-Id, in per-file results and
+// in the metadata of the files it stores, and added to everything logged
+// while handling it. A client's own X-Request-Id is used if it is sane.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  logger.withContext({ requestId: req.id }, next);
+});
+
+// Requests that upload files, counted in uploads_in_flight while handled
+function isUploadRequest(req) {
+  return ['POST', 'PUT', 'PATCH'].includes(req.method) && /^\/uploads?(-|\/|$)/.test(req.path);
+}
+
+// The matched route's path, not the URL, labels request metrics
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Access log and request metrics, once the response is sent (or the client
+// has gone away)
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url} - ${req.ip}`);
+  const started = process.hrtime.bigint();
+  const upload = isUploadRequest(req);
+  if (upload) {
+    uploadsInFlight.inc();
+  }
+  res.once('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    if (upload) {
+      uploadsInFlight.dec();
+    }
+    httpRequests.inc({ method: req.method, route: route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route: route }, seconds);
+    logger.info('http', `${req.method} ${req.originalUrl} ${res.statusCode} ${(seconds * 1000).toFixed(1)}ms`, {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+      aborted: !res.writableFinished
+    });
+  });
   next();
 });
 
-// Ensure uploads directory exists
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR);
+// Optional API keys (API_KEYS_FILE, see lib/apikeys.js). With keys, every
+// request but health checks and metrics needs one in X-API-Key, and is held
+// to the key's routes, rate limit and daily quota; the files it stores and
+// the upload sessions it creates belong to the key's client and are hidden
+// from other clients. Admin routes keep their own token (see requireAdmin).
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+const apiKeys = API_KEYS_FILE ? loadApiKeys(API_KEYS_FILE) : null;
+const clientUsage = createUsageTracker();
+const OPEN_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+// Refuses a request for its API key with `status`, counted by `reason`
+function rejectClient(req, res, status, reason, message) {
+  apiKeyRejections.inc({ client: req.apiClient ? req.apiClient.name : '', reason: reason });
+  logger.warn('auth', `${req.method} ${req.path} refused: ${message}`, { client: req.apiClient ? req.apiClient.name : null });
+  res.status(status).json({ error: message });
+}
+
+app.use((req, res, next) => {
+  if (!apiKeys || OPEN_PATHS.includes(req.path)) {
+    return next();
+  }
+  const key = req.get('X-API-Key');
+  req.apiClient = apiKeys.authenticate(key);
+  if (!req.apiClient) {
+    // Admins use their token instead
+    if (!key && req.path.startsWith('/admin/')) {
+      return next();
+    }
+    return rejectClient(req, res, 401, 'unauthenticated', key ? 'Invalid API key' : 'API key required in the X-API-Key header');
+  }
+  if (!routeAllowed(req.apiClient, req.method, req.path)) {
+    return rejectClient(req, res, 403, 'route', `API key ${req.apiClient.name} may not use ${req.method} ${req.path}`);
+  }
+  
+  const rate = clientUsage.takeRequest(req.apiClient);
+  if (rate.limit) {
+    res.set('X-RateLimit-Limit', String(rate.limit));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+  }
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.retryAfter));
+    return rejectClient(req, res, 429, 'rate', `Rate limit of ${rate.limit} requests per minute exceeded`);
+  }
+  // Uploads are refused once the day's quota is used up. Files are also held
+  // to what is left of it as they are decoded (see reserveQuota).
+  if (isUploadRequest(req)) {
+    const quota = clientUsage.bytesRemaining(req.apiClient);
+    if (quota.remaining === 0) {
+      res.set('Retry-After', String(quota.retryAfter));
+      return rejectClient(req, res, 429, 'quota', `Daily upload quota of ${req.apiClient.limits.bytesPerDay} bytes exceeded`);
+    }
+  }
+  logger.withContext({ client: req.apiClient.name }, next);
+});
+
+// The name of the client a request's API key belongs to, or null
+function clientName(req) {
+  return req.apiClient ? req.apiClient.name : null;
+}
+
+// Throws a 403 error when the request's API key may not upload `encoding`
+function checkEncodingAllowed(req, encoding) {
+  if (req.apiClient && !encodingAllowed(req.apiClient, encoding)) {
+    throw Object.assign(new Error(`API key ${req.apiClient.name} may not upload ${encoding} data`), { status: 403 });
+  }
+}
+
+// A multipart part's base64 or quoted-printable Content-Transfer-Encoding is
+// decoded too, so the key must allow it. Callers check every part before any
+// is stored.
+function checkTransferEncodingsAllowed(req, transferEncodings) {
+  transferEncodings.forEach(transferEncoding => {
+    if (transferEncoding === 'base64' || transferEncoding === 'quoted-printable') {
+      checkEncodingAllowed(req, transferEncoding);
+    }
+  });
+}
+
+// Error types for decode_failures_total, by error code. Decompression errors
+// are 'compression' and anything else is 'decode'.
+const FAILURE_TYPES = {
+  CHECKSUM_MISMATCH: 'checksum',
+  CONTENT_MISMATCH: 'content-type',
+  EMPTY_CONTENT: 'empty',
+  INVALID_ARCHIVE: 'archive',
+  DECOMPRESSION_LIMIT: 'decompression-limit',
+  UNSUPPORTED_TRANSFER_ENCODING: 'unsupported-transfer-encoding'
+};
+
+function failureType(e) {
+  if (FAILURE_TYPES[e.code]) {
+    return FAILURE_TYPES[e.code];
+  }
+  return e.compression ? 'compression' : 'decode';
+}
+
+// Encodings label metrics as they are named; unsupported ones, which could
+// be anything a client sent, share one label
+function metricEncoding(encoding) {
+  return encoding === 'multipart' || isSupportedEncoding(encoding) ? encoding : 'other';
+}
+
+// Counts a per-file result in the upload metrics (failed ones by
+// `failure`, as from failureType, also published as file.failed) and tags
+// it with the request's ID
+function trackResult(result, upload, failure) {
+  const encoding = metricEncoding(result.encoding);
+  uploadsTotal.inc({ encoding: encoding, result: result.success ? 'success' : 'failure' });
+  if (result.success) {
+    decodedBytes.inc({ encoding: encoding }, result.size);
+    encodedBytes.inc({ encoding: encoding }, result.encodedSize !== undefined ? result.encodedSize : result.size);
+  } else {
+    decodeFailures.inc({ encoding: encoding, error: failure });
+    events.publish('file.failed', {
+      requestId: upload.requestId || null,
+      client: upload.client ? upload.client.name : null,
+      fieldname: result.fieldname,
+      originalName: result.originalname || null,
+      encoding: result.encoding,
+      error: result.error,
+      failure: failure
+    });
+  }
+  result.requestId = upload.requestId;
+  return result;
+}
+
+// Decompression limits for compressed request bodies and `_compression`
+// fields, against decompression bombs: the decompressed size, and the ratio of
+// decompressed to compressed bytes (checked past the first megabyte)
+const DECOMPRESSION_LIMITS = {
+  maxSize: Number(process.env.MAX_DECOMPRESSED_SIZE) || 1024 * 1024 * 1024, // 1GB
+  maxRatio: Number(process.env.MAX_COMPRESSION_RATIO) || 100
+};
+
+// Request bodies sent with a Content-Encoding are decompressed before any body
+// parser sees them. Installed ahead of the recorder, so recordings keep the
+// compressed body as sent.
+app.use((req, res, next) => {
+  let compressions;
+  try {
+    compressions = parseCompressions(req.get('Content-Encoding'));
+  } catch (e) {
+    return next(Object.assign(e, { status: 415 }));
+  }
+  const hasBody = req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+  if (compressions.length > 0 && hasBody) {
+    decompressRequest(req, compressions, DECOMPRESSION_LIMITS);
+    // Reported to whichever handler reads the body; without one the body is
+    // simply dropped
+    let failed = false;
+    req.on('error', e => {
+      failed = true;
+      logger.info('decompress', `${req.method} ${req.url}: ${e.message}`);
+    });
+    req.on('end', () => {
+      if (!failed) {
+        logger.info('decompress', `${compressions.join(', ')} request body: ${req.contentEncoding.bytesIn} -> ${req.contentEncoding.bytesOut} bytes`);
+      }
+    });
+  }
+  next();
+});
+
+// Opt-in request recording (RECORD_REQUESTS=1): uploads and other requests
+// with a body are appended to a JSONL archive, raw body included, for
+// replay.js to re-send. Recorded before faults are injected, so faulted
+// requests are recorded as the client sent them.
+const RECORD_REQUESTS = process.env.RECORD_REQUESTS === '1' || process.env.RECORD_REQUESTS === 'true';
+const RECORD_FILE = process.env.RECORD_FILE || path.join(config.uploadDir, '.recordings', 'requests.jsonl');
+const RECORD_MAX_BODY = parseInt(process.env.RECORD_MAX_BODY, 10) || 16 * 1024 * 1024;
+
+if (RECORD_REQUESTS) {
+  app.use(requestRecorder({
+    file: RECORD_FILE,
+    maxBodySize: RECORD_MAX_BODY,
+    logger: logger,
+    filter: req => !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !req.path.startsWith('/admin/')
+  }));
+}
+
+// Upload progress events: request.started, request.progress for every
+// PROGRESS_INTERVAL body bytes as the HTTP parser hands them over (and once
+// the body is complete), and request.finished once the response is sent.
+// Installed after decompression, so bytes are counted as sent.
+const PROGRESS_INTERVAL = 64 * 1024;
+
+app.use((req, res, next) => {
+  if (!isUploadRequest(req)) {
+    return next();
+  }
+  const publish = (type, fields) => events.publish(type, Object.assign({ requestId: req.id, client: clientName(req) }, fields));
+  const started = Date.now();
+  const length = req.get('Content-Length');
+  const bytesExpected = length !== undefined && /^\d+$/.test(length) ? Number(length) : null;
+  let received = 0;
+  let reported = 0;
+  const progress = () => {
+    reported = received;
+    publish('request.progress', { bytesReceived: received, bytesExpected: bytesExpected });
+  };
+
+  publish('request.started', { method: req.method, path: req.path, bytesExpected: bytesExpected });
+  const push = req.push;
+  req.push = function (chunk, encoding) {
+    if (chunk) {
+      received += chunk.length;
+      if (received - reported >= PROGRESS_INTERVAL) {
+        progress();
+      }
+    } else if (chunk === null && received > reported) {
+      progress();
+    }
+    return push.call(this, chunk, encoding);
+  };
+  res.once('close', () => {
+    publish('request.finished', {
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      bytesReceived: received,
+      aborted: !res.writableFinished
+    });
+  });
+  next();
+});
+
+// Fault injection for testing upload clients (see lib/faults.js): faults come
+// from rules set up through /admin/faults and, with FAULT_INJECTION=1, from a
+// request's own X-Fault header. Header faults are off by default, as any
+// client could send them. Admin routes are never faulted.
+const FAULT_HEADERS = envFlag('FAULT_INJECTION');
+const faultRules = createFaultRegistry();
+
+app.use((req, res, next) => {
+  if (req.path.startsWith('/admin/')) {
+    return next();
+  }
+  let faults;
+  try {
+    faults = selectFaults(req, faultRules, FAULT_HEADERS);
+  } catch (e) {
+    return next(e);
+  }
+  if (faults.length > 0) {
+    logger.info('fault', `Injecting ${faults.map(fault => fault.type).join(', ')} into ${req.method} ${req.url}`);
+  }
+  applyFaults(faults, req, res, next);
+});
+
+// Ensure uploads directory exists
+const UPLOAD_DIR = config.uploadDir;
+if (!fs.existsSync(UPLOAD_DIR)) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+}
+
+// Uploads are written to a temporary file in this directory first and renamed
+// into place once complete, so /files never lists a half-written upload
+const TEMP_DIR = path.join(UPLOAD_DIR, '.tmp');
+if (!fs.existsSync(TEMP_DIR)) {
+  fs.mkdirSync(TEMP_DIR);
+}
+
+// Webhook subscriptions from the config and /admin/webhooks (see
+// lib/webhooks.js). Deliveries that exhaust their attempts are appended to
+// the dead-letter log.
+const WEBHOOK_DEAD_LETTER_FILE = path.join(UPLOAD_DIR, '.webhooks', 'dead-letters.jsonl');
+const webhooks = createWebhookDispatcher({
+  subscriptions: config.webhooks.subscriptions,
+  attempts: config.webhooks.attempts,
+  retryDelay: config.webhooks.retryDelay,
+  timeout: config.webhooks.timeout,
+  deadLetterFile: WEBHOOK_DEAD_LETTER_FILE,
+  logger: logger,
+  onAttempt: result => webhookAttempts.inc({ result: result })
+});
+events.subscribe(event => {
+  if (WEBHOOK_EVENTS.includes(event.type)) {
+    webhooks.deliver(event);
+  }
+});
+
+// Finished uploads go to the storage backend named by STORAGE_BACKEND:
+// 'filesystem' (the default, files in UPLOAD_DIR), 'memory' or 's3'.
+// Temporary files and resumable upload sessions stay on local disk either way.
+const storage = createStorage(process.env.STORAGE_BACKEND || 'filesystem', {
+  dir: UPLOAD_DIR,
+  endpoint: process.env.S3_ENDPOINT,
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  prefix: process.env.S3_PREFIX
+});
+
+// Encoded file fields are the body fields starting with 'file', minus their
+// `_ext`, `_sha256`, `_md5`, `_charset` and `_compression` companions
+const FILE_FIELD_SUFFIXES = ['_ext', '_sha256', '_md5', '_charset', '_compression'];
+
+function isEncodedFileField(key) {
+  return key.startsWith('file') && !FILE_FIELD_SUFFIXES.some(suffix => key.endsWith(suffix)) && key !== 'encoding';
+}
+
+// Multipart parsing for both files and encoded text fields. File parts and
+// encoded fields are streamed to temporary files; other fields stay in memory.
+// Unlike multer it keeps each part's headers (req.parts) so
+// Content-Transfer-Encoding and charset can be honoured per part. In strict
+// multipart mode the raw body is also checked against RFC 7578/2046, and
+// bodies that do not conform are rejected with the conformance report.
+//
+// The multipart parser skips anything that is not multipart, so urlencoded and
+// JSON bodies fall through to express' parsers and every content type ends up
+// as req.body/req.files. Sizes are within the route's limits (see
+// lib/config.js): maxUploadSize for streamed parts (nothing is held in memory,
+// so it is only a disk-space guard), maxFieldSize for other text fields and
+// maxBodySize for urlencoded and JSON bodies.
+function uploadBodyParsers(route) {
+  const limits = routeLimits(config, route);
+  return [
+    multipartMiddleware({
+      tempDir: TEMP_DIR,
+      fileSize: limits.maxUploadSize,
+      fieldSize: limits.maxFieldSize,
+      fields: limits.maxFields,
+      spoolField: isEncodedFileField,
+      checkPart: partFault,
+      onPart: publishParsedPart,
+      validate: req => requestFlag(req, 'strictMultipart', STRICT_MULTIPART) ? new MultipartValidator(req.get('Content-Type')) : null
+    }),
+    express.urlencoded({ extended: false, limit: limits.maxBodySize, parameterLimit: limits.maxFields }),
+    express.json({ limit: limits.maxBodySize })
+  ];
+}
+
+// Publishes part.parsed as each part of an upload body has been received
+function publishParsedPart(req, part, index) {
+  events.publish('part.parsed', {
+    requestId: req.id,
+    client: clientName(req),
+    index: index,
+    name: part.name,
+    filename: part.filename === undefined ? null : part.filename,
+    contentType: part.contentType,
+    size: part.size
+  });
+}
+
+// Body parsers for /inspect and /echo, which keep every part in memory (their
+// default limits are lower), /echo also taking any body that is not
+// multipart, urlencoded or JSON as one raw part
+function inMemoryBodyParsers(route) {
+  const limits = routeLimits(config, route);
+  return [
+    multipartMiddleware({
+      tempDir: TEMP_DIR,
+      fileSize: limits.maxUploadSize,
+      fieldSize: limits.maxFieldSize,
+      fields: limits.maxFields,
+      spoolField: () => false
+    }),
+    express.urlencoded({ extended: false, limit: limits.maxBodySize, parameterLimit: limits.maxFields }),
+    express.json({ limit: limits.maxBodySize })
+  ];
+}
+
+const parseInspectBody = inMemoryBodyParsers('/inspect');
+const parseEchoBody = inMemoryBodyParsers('/echo').concat(
+  express.raw({ type: req => !req.is('multipart/form-data'), limit: routeLimits(config, '/echo').maxBodySize })
+);
+
+// Body parsers for creating resumable upload sessions
+const parseSessionBody = [
+  express.urlencoded({ extended: false }),
+  express.json()
+];
+
+// Field names recorded in stored filenames
+const FIELDNAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Default and maximum page sizes for GET /files
+const FILES_PAGE_SIZE = 50;
+const FILES_MAX_PAGE_SIZE = 1000;
+
+// Resumable upload sessions live in their own directory. Sessions expire
+// after UPLOAD_SESSION_TTL seconds without a chunk (default 24 hours) and are
+// swept periodically, which also clears sessions interrupted by a restart.
+const SESSIONS_DIR = path.join(UPLOAD_DIR, '.sessions');
+if (!fs.existsSync(SESSIONS_DIR)) {
+  fs.mkdirSync(SESSIONS_DIR);
+}
+const SESSION_TTL = (Number(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60) * 1000;
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+// Limits of the "/uploads" route apply to every resumable upload route
+const SESSION_LIMITS = routeLimits(config, '/uploads');
+
+// Sessions currently receiving a chunk or being finalized
+const busySessions = new Set();
+
+function sweepExpiredSessions() {
+  const removed = sweepSessions(SESSIONS_DIR, id => busySessions.has(id));
+  if (removed.length > 0) {
+    logger.info('cleanup', `Removed ${removed.length} expired upload session(s)`);
+  }
+}
+
+sweepExpiredSessions();
+setInterval(sweepExpiredSessions, SESSION_SWEEP_INTERVAL).unref();
+
+// Retention for stored files: files older than RETENTION_TTL seconds are
+// deleted, then the oldest files until the total is within RETENTION_MAX_BYTES.
+// Both are off by default. The sweep runs every RETENTION_SWEEP_INTERVAL
+// seconds (default 60) and on demand through the admin API.
+const RETENTION_POLICY = {
+  ttl: (Number(process.env.RETENTION_TTL) || 0) * 1000,
+  maxBytes: Number(process.env.RETENTION_MAX_BYTES) || 0
+};
+const RETENTION_SWEEP_INTERVAL = (Number(process.env.RETENTION_SWEEP_INTERVAL) || 60) * 1000;
+
+let retentionSweep = null;
+let lastRetentionSweep = null;
+
+// Publishes file.deleted for the { id, reason } of each deleted file, with
+// the deleting request's ID and client (null for retention sweeps)
+function publishDeleted(deleted, requestId = null, client = null) {
+  deleted.forEach(file => {
+    events.publish('file.deleted', { requestId: requestId, client: client, id: file.id, reason: file.reason });
+  });
+}
+
+// Runs one retention sweep, or joins the one already running
+function sweepStoredFiles() {
+  if (!retentionSweep) {
+    retentionSweep = sweepRetention(storage, RETENTION_POLICY)
+      .then(removed => {
+        lastRetentionSweep = { at: new Date().toISOString(), removed: removed.length };
+        publishDeleted(removed);
+        if (removed.length > 0) {
+          logger.info('cleanup', `Retention removed ${removed.length} stored file(s)`);
+        }
+        return removed;
+      })
+      .finally(() => {
+        retentionSweep = null;
+      });
+  }
+  return retentionSweep;
+}
+
+if (RETENTION_POLICY.ttl > 0 || RETENTION_POLICY.maxBytes > 0) {
+  const sweep = () => sweepStoredFiles().catch(e => logger.error('cleanup', `Retention sweep failed: ${e.message}`));
+  sweep();
+  setInterval(sweep, RETENTION_SWEEP_INTERVAL).unref();
+}
+
+// Express 4 does not catch rejected promises, so async handlers pass their
+// errors on explicitly
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+// Path for a new temporary upload file
+function tempPath() {
+  return path.join(TEMP_DIR, crypto.randomBytes(12).toString('hex'));
+}
+
+// Pipes a source through a list of transform streams (decoding, digests,
+// transcoding) into a new temporary file and returns its path. The file is
+// removed again if anything fails.
+async function decodeToTempFile(source, stages) {
+  const tmpPath = tempPath();
+  const output = fs.createWriteStream(tmpPath);
+  try {
+    await pipeline(source, ...stages, output);
+  } catch (e) {
+    // A write stream destroyed before it opened its file still creates it
+    if (!output.closed) {
+      await new Promise(resolve => output.once('close', resolve));
+    }
+    fs.unlink(tmpPath, () => {});
+    throw e;
+  }
+  return tmpPath;
+}
+
+// Moves a finished temporary file into storage under a new unique filename.
+// With a content hash (content-addressed mode) the backend keeps the bytes
+// once under that hash, unless an identical payload is already stored. `key`
+// is the backend's name for the stored file.
+async function storeTempFile(tmpPath, fieldname, encoding, ext, contentHash = null) {
+  const filename = storedFilename(fieldname, encoding, ext);
+  const { key, deduplicated } = await storage.put(filename, tmpPath, contentHash);
+  if (deduplicated) {
+    logger.info('dedupe', `Content ${contentHash} already stored`);
+  }
+  return { filename: filename, key: key, deduplicated: deduplicated };
+}
+
+// Sniffs a file's first bytes and compares them with its declared type. The
+// result's detectedType, declaredType and mismatch are reported on the file.
+function inspectContent(head, declaredType) {
+  const sniffed = sniffContent(head, declaredType);
+  if (sniffed.detectedType) {
+    logger.info('auto-detect', `Detected ${sniffed.detectedType}`);
+  }
+  if (sniffed.mismatch) {
+    logger.info('mismatch', `Declared ${sniffed.declaredType} but detected ${sniffed.detectedType}`);
+  }
+  return sniffed;
+}
+
+// API keys can limit the size of stored files (maxFileSize in uploadOptions)
+// and the bytes stored per UTC day. Files over the size limit fail the whole
+// request with 413. A file holds its bytes of the day's quota as they are
+// decoded (see reserveQuota); one that would go past what is left of it fails
+// the request with 429.
+function fileSizeMessage(options) {
+  return `File exceeds the ${options.maxFileSize} byte size limit of the API key`;
+}
+
+function quotaExceeded(client) {
+  apiKeyRejections.inc({ client: client.name, reason: 'quota' });
+  const quota = clientUsage.bytesRemaining(client);
+  return Object.assign(new Error(`Daily upload quota of ${client.limits.bytesPerDay} bytes exceeded`), { status: 429, retryAfter: quota.retryAfter });
+}
+
+// A reservation of the client's quota for one file (null without a client or
+// quota). Concurrent uploads of a client each hold what they have decoded, so
+// together they cannot go past the quota. The caller releases it once the
+// file is stored and counted, or has failed.
+function reserveQuota(client) {
+  return client && client.limits.bytesPerDay ? clientUsage.reserve(client) : null;
+}
+
+// Holds `size` more bytes of `quota`, or fails with 429
+function takeQuota(quota, size) {
+  if (quota && !quota.take(size)) {
+    throw quotaExceeded(quota.client);
+  }
+}
+
+function checkFileSize(size, options) {
+  if (options.maxFileSize && size > options.maxFileSize) {
+    throw Object.assign(new Error(fileSizeMessage(options)), { status: 413 });
+  }
+}
+
+// Passes data through unchanged, holding it in `quota` and failing with 429
+// once it does not fit
+function quotaStream(quota) {
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      callback(quota.take(chunk.length) ? null : quotaExceeded(quota.client), chunk);
+    }
+  });
+}
+
+// Pipeline stages enforcing the limits while a file is decoded, holding the
+// decoded bytes in `quota`
+function fileSizeStages(options, quota) {
+  const stages = options.maxFileSize ? [limitStream(options.maxFileSize, fileSizeMessage(options))] : [];
+  if (quota) {
+    stages.push(quotaStream(quota));
+  }
+  return stages;
+}
+
+// Error for strict mode when the content contradicts its declared type
+function contentMismatchError(sniffed) {
+  return Object.assign(new Error(`Content does not match declared type ${sniffed.declaredType} (detected ${sniffed.detectedType})`), { code: 'CONTENT_MISMATCH' });
+}
+
+// Logs what transcoding did to a file, including any lossy conversions
+function logTranscoding(name, transcoding) {
+  if (!transcoding.transcoded) {
+    logger.info('transcode', `${name}: not text, stored as decoded`);
+    return;
+  }
+  const bom = transcoding.bom ? ' (from BOM)' : '';
+  logger.info('transcode', `${name}: ${transcoding.sourceCharset}${bom} to ${transcoding.targetCharset}${transcoding.normalization ? ` ${transcoding.normalization}` : ''}`);
+  if (transcoding.replaced.count > 0 || transcoding.unrepresentable.count > 0) {
+    logger.info('transcode', `${name}: ${transcoding.replaced.count} malformed sequence(s) replaced, ${transcoding.unrepresentable.count} character(s) not representable in ${transcoding.targetCharset}`);
+  }
+}
+
+// Checks decoded content before it is stored: its digests against the ones
+// the client sent, then its sniffed type against the declared one (fatal only
+// in strict mode). Records what it found in `report` and throws on a failed
+// check. Transcoded files report the digests of the stored bytes but verify
+// those of the decoded bytes (`sourceDigests`), which is what clients hash.
+function checkContent(report, head, digests, expected, declaredType, strict, sourceDigests = digests) {
+  report.digests = reportedDigests(digests);
+  if (Object.keys(expected).length > 0) {
+    const digestError = verifyDigests(sourceDigests, expected);
+    report.verified = !digestError;
+    if (digestError) {
+      throw Object.assign(new Error(digestError), { code: 'CHECKSUM_MISMATCH' });
+    }
+  }
+  
+  report.sniffed = inspectContent(head, declaredType);
+  if (strict && report.sniffed.mismatch) {
+    throw contentMismatchError(report.sniffed);
+  }
+}
+
+// The integrity and sniffing fields of a file result, as far as the checks
+// got
+function reportFields(report) {
+  const fields = {};
+  if (report.digests) {
+    fields.digests = report.digests;
+    fields.verified = report.verified === undefined ? null : report.verified;
+  }
+  if (report.sniffed) {
+    fields.detectedType = report.sniffed.detectedType;
+    fields.declaredType = report.sniffed.declaredType;
+    fields.mismatch = report.sniffed.mismatch;
+  }
+  if (report.transcoding) {
+    fields.transcoding = report.transcoding;
+  }
+  if (report.deduplicated !== undefined) {
+    fields.deduplicated = report.deduplicated;
+  }
+  if (report.compression) {
+    Object.assign(fields, report.compression);
+  }
+  return fields;
+}
+
+// Result fields for decompressed content: the compressions undone, the
+// compressed size and how many times larger the content is decompressed
+function compressionReport(compressions, inflated) {
+  return {
+    compression: compressions,
+    compressedSize: inflated.bytesIn,
+    compressionRatio: inflated.bytesIn > 0 ? Number((inflated.bytesOut / inflated.bytesIn).toFixed(2)) : null
+  };
+}
+
+// Determines the stored file extension: the client's extension (an `_ext`
+// value or the original filename's) if usable, otherwise the sniffed type's
+// extension, otherwise .bin
+function resolveExtension(fileExtension, sniffed) {
+  return sanitizeExtension(fileExtension) || sniffed.detectedExt || '.bin';
+}
+
+// Reads a decoded file as an archive when extraction was asked for. Returns
+// null for files that are not archives and throws for archives that fail
+// validation. In store mode the file entries are extracted to temporary files
+// for storeArchiveEntries.
+async function readUploadedArchive(tmpPath, head, mode) {
+  const format = mode ? detectArchive(head) : null;
+  if (!format) {
+    return null;
+  }
+  try {
+    const archive = await readArchive(tmpPath, format, Object.assign({ extractTo: mode === 'store' ? TEMP_DIR : null }, ARCHIVE_LIMITS));
+    logger.info('archive', `${format}: ${archive.entries.length} entries, ${archive.size} bytes`);
+    return archive;
+  } catch (e) {
+    throw Object.assign(new Error(`Invalid ${format} archive: ${e.message}`), { code: 'INVALID_ARCHIVE' });
+  }
+}
+
+// Stores the extracted entries of an archive stored as `parent`, each with a
+// metadata record pointing back to it and held in the parent's `quota`, and
+// returns the archive's manifest for the parent's result
+async function storeArchiveEntries(archive, parent, options, quota) {
+  const entries = [];
+  try {
+    for (const entry of archive.entries) {
+      const item = {
+        path: entry.path,
+        type: entry.type,
+        size: entry.size,
+        compressedSize: entry.compressedSize,
+        mtime: entry.mtime,
+        digests: entry.digests
+      };
+      entries.push(item);
+      if (!entry.tmpPath) {
+        continue;
+      }
+      
+      takeQuota(quota, entry.size);
+      const declaredExt = path.posix.extname(entry.path);
+      const sniffed = sniffContent(readFileHead(entry.tmpPath), typeForExtension(declaredExt));
+      const ext = resolveExtension(declaredExt, sniffed);
+      const { filename, key, deduplicated } = await storeTempFile(entry.tmpPath, parent.fieldname, 'archive', ext, options.dedupe ? entry.digests.sha256 : null);
+      entry.tmpPath = null;
+      
+      const result = {
+        fieldname: parent.fieldname,
+        originalname: entry.path,
+        encoding: 'archive',
+        size: entry.size,
+        id: filename,
+        key: key,
+        storage: storage.name,
+        digests: entry.digests,
+        detectedType: sniffed.detectedType,
+        declaredType: sniffed.declaredType
+      };
+      await saveUploadRecord(result, options.upload, { archive: { id: parent.id, path: entry.path } });
+      Object.assign(item, { id: filename, url: `/files/${encodeURIComponent(filename)}`, detectedType: sniffed.detectedType });
+      if (options.dedupe) {
+        item.deduplicated = deduplicated;
+      }
+    }
+  } finally {
+    removeExtracted(archive.entries);
+  }
+  return {
+    format: archive.format,
+    entryCount: archive.entries.length,
+    size: archive.size,
+    entries: entries
+  };
+}
+
+// Saves the metadata record kept with every stored file, built from its
+// result and the request context from uploadOptions. `extra` is added as is.
+// As every stored file passes through here, this is also where it counts
+// towards its client's daily quota and is published as file.stored.
+async function saveUploadRecord(result, upload = {}, extra = {}) {
+  const record = Object.assign({
+    id: result.id,
+    key: result.key,
+    storage: result.storage,
+    fieldname: result.fieldname,
+    originalName: result.originalname || null,
+    encoding: result.encoding,
+    transferEncoding: result.transferEncoding || null,
+    declaredType: result.declaredType || null,
+    detectedType: result.detectedType || null,
+    size: result.size,
+    originalSize: result.originalSize === undefined ? null : result.originalSize,
+    compression: result.compression || null,
+    compressedSize: result.compressedSize === undefined ? null : result.compressedSize,
+    digests: result.digests,
+    uploadedAt: new Date(parseStoredFilename(result.id).timestamp).toISOString(),
+    clientIp: upload.clientIp || null,
+    requestId: upload.requestId || null,
+    client: upload.client ? upload.client.name : null,
+    runId: upload.runId || null,
+    tags: upload.tags || [],
+    fields: upload.fields || {}
+  }, extra);
+  await storage.putMetadata(result.id, record);
+  if (upload.client) {
+    clientUsage.addBytes(upload.client, result.size);
+  }
+  events.publish('file.stored', record);
+}
+
+// Per-request switches. The server default comes from the environment; a
+// query parameter or body field (true/false) overrides it per request.
+//   strict - reject files whose content contradicts their declared type
+//            (STRICT_CONTENT_TYPE=1)
+//   dedupe - content-addressed storage: identical payloads are stored once
+//            (CONTENT_ADDRESSED_STORAGE=1)
+//   strictMultipart - reject multipart bodies that do not conform to RFC
+//            7578/2046 (STRICT_MULTIPART=1). Only the query parameter counts,
+//            as the body has not been parsed yet.
+function envFlag(name) {
+  return process.env[name] === '1' || process.env[name] === 'true';
+}
+
+const STRICT_CONTENT_TYPE = envFlag('STRICT_CONTENT_TYPE');
+const CONTENT_ADDRESSED_STORAGE = envFlag('CONTENT_ADDRESSED_STORAGE');
+const STRICT_MULTIPART = envFlag('STRICT_MULTIPART');
+
+// A string option from the query or the body, or undefined
+function requestOption(req, name) {
+  const value = req.query[name] !== undefined ? req.query[name] : (req.body ? req.body[name] : undefined);
+  return typeof value === 'string' ? value : undefined;
+}
+
+function requestFlag(req, name, defaultValue) {
+  const value = requestOption(req, name);
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return value === '' || value === 'true' || value === '1';
+}
+
+// Options for every file in an upload request. Besides the switches above:
+//   extract       - archive extraction mode, see parseExtractMode
+//   targetCharset - charset to store text in, for files being transcoded
+//   normalize     - Unicode normalization form (NFC, NFD, NFKC, NFKD) for text
+//   maxFileSize   - the API key's limit on stored file sizes, or null (its
+//                   daily quota is read from upload.client)
+//   upload        - request context for metadata records: client IP, request
+//                   ID, API key client, the non-file fields (query parameters
+//                   included), and
+//                   the run ID (X-Run-Id header or `runId`) and tags
+//                   (X-Upload-Tags header and `tags`, comma-separated) the
+//                   files can later be deleted by. Throws a 400 error for
+//                   malformed run IDs and tags.
+function uploadOptions(req) {
+  const fields = Object.assign({}, req.query);
+  Object.keys(req.body || {}).filter(key => !isEncodedFileField(key)).forEach(key => {
+    fields[key] = req.body[key];
+  });
+  return {
+    strict: requestFlag(req, 'strict', STRICT_CONTENT_TYPE),
+    dedupe: requestFlag(req, 'dedupe', CONTENT_ADDRESSED_STORAGE),
+    extract: parseExtractMode(requestOption(req, 'extract')),
+    targetCharset: requestOption(req, 'targetCharset') || null,
+    normalize: requestOption(req, 'normalize') || null,
+    maxFileSize: req.apiClient ? req.apiClient.limits.maxFileSize : null,
+    upload: {
+      clientIp: req.ip,
+      requestId: req.id,
+      client: req.apiClient || null,
+      runId: parseRunId(req.get('X-Run-Id') || requestOption(req, 'runId')),
+      tags: parseTags(req.get('X-Upload-Tags'), requestOption(req, 'tags')),
+      fields: fields
+    }
+  };
+}
+
+// Archive extraction (`extract` query parameter or body field) for zip, tar
+// and tar.gz files:
+//   list  - validate the archive and report its entries with sizes and digests
+//   store - also store each file entry as a file of its own
+// `true` is `list`. Archives that fail validation are rejected; other files
+// are stored as usual.
+const EXTRACT_MODES = ['list', 'store'];
+const ARCHIVE_LIMITS = {
+  maxEntries: Number(process.env.MAX_ARCHIVE_ENTRIES) || 1000,
+  maxSize: Number(process.env.MAX_EXTRACTED_SIZE) || 1024 * 1024 * 1024 // 1GB
+};
+
+function parseExtractMode(value) {
+  if (value === undefined || value === '' || value === 'false' || value === '0') {
+    return null;
+  }
+  if (value === 'true' || value === '1') {
+    return 'list';
+  }
+  if (!EXTRACT_MODES.includes(value)) {
+    throw Object.assign(new Error(`extract must be one of ${EXTRACT_MODES.join(', ')} (or true/false)`), { status: 400 });
+  }
+  return value;
+}
+
+// Transcoding for one file, or null to store its bytes as decoded. A file is
+// transcoded when its charset is declared (`<field>_charset`, or `charset`
+// for raw PUTs and resumable uploads) or the request asks for a target
+// charset or normalization; undeclared text is then taken as UTF-8 unless it
+// starts with a byte order mark, and binary content is left alone.
+function transcodeOptions(options, declaredCharset) {
+  if (!declaredCharset && !options.targetCharset && !options.normalize) {
+    return null;
+  }
+  return {
+    from: declaredCharset || null,
+    to: options.targetCharset || DEFAULT_TARGET_CHARSET,
+    normalize: options.normalize
+  };
+}
+
+// Digest and transcoding stages for decoded content: digests of the decoded
+// bytes (checked against the client's checksums), then, when transcoding, the
+// transcoder and digests of the bytes actually stored
+function createContentStages(expected, transcode) {
+  const sourceDigester = createDigestStream(digestAlgorithms(expected));
+  if (!transcode) {
+    return { stages: [sourceDigester], sourceDigester: sourceDigester, digester: sourceDigester, transcoder: null };
+  }
+  const transcoder = createTranscodeStream(transcode);
+  const digester = createDigestStream();
+  return {
+    stages: [sourceDigester, transcoder, digester],
+    sourceDigester: sourceDigester,
+    digester: digester,
+    transcoder: transcoder
+  };
+}
+
+// Client-supplied checksums for a field: `<field>_sha256` and `<field>_md5`
+// body fields
+function checksumFields(body, fieldname) {
+  return {
+    sha256: body[`${fieldname}_sha256`],
+    md5: body[`${fieldname}_md5`]
+  };
+}
+
+// Client-supplied checksums from Content-Digest and Content-MD5 headers (of
+// the request or of a multipart part)
+function checksumHeaders(headers) {
+  return {
+    contentDigest: headers['content-digest'],
+    contentMd5: headers['content-md5']
+  };
+}
+
+// Per-file options for a field of an upload body: the request-wide options
+// plus the field's `_ext`, `_sha256`/`_md5`, `_charset` and `_compression`
+// companions and the checksum headers of its multipart part
+function fieldOptions(req, options, fieldname, headers = {}) {
+  const companion = (suffix) => typeof req.body[`${fieldname}${suffix}`] === 'string' ? req.body[`${fieldname}${suffix}`] : null;
+  return Object.assign({
+    fileExtension: companion('_ext'),
+    compression: companion('_compression'),
+    checksums: { fields: checksumFields(req.body, fieldname), headers: checksumHeaders(headers) },
+    transcode: transcodeOptions(options, companion('_charset'))
+  }, options);
+}
+
+// Helper function to decode an encoded byte stream straight to disk. The
+// source is read as text in `charset` and decoded chunk by chunk, so memory
+// use does not depend on the payload size.
+//
+// Options:
+//   fileExtension - the client's `_ext` value
+//   charset       - how to read the source bytes as text (default UTF-8)
+//   compression   - compressions to undo after decoding, as for
+//                   parseCompressions (the `_compression` value)
+//   checksums     - { fields, headers } as from checksumFields/checksumHeaders
+//                   (of the decompressed content)
+//   transcode     - see transcodeOptions
+//   strict, dedupe, maxFileSize - see uploadOptions
+async function processEncodedStream(source, encoding, fieldname, options = {}) {
+  logger.info('processing', `Processing ${fieldname} with ${encoding} encoding`);
+  
+  const fileExtension = options.fileExtension || null;
+  const checksums = options.checksums || {};
+  const report = {};
+  let tmpPath = null;
+  let archive = null;
+  const quota = reserveQuota(options.upload && options.upload.client);
+  try {
+    const expected = collectExpectedDigests(checksums.fields, checksums.headers);
+    const compressions = parseCompressions(options.compression);
+    const decoder = createDecodeStream(encoding, options.charset || 'utf-8');
+    const decompressors = compressions.length > 0 ? createDecompressStages(compressions, DECOMPRESSION_LIMITS) : [];
+    const content = createContentStages(expected, options.transcode);
+    tmpPath = await decodeToTempFile(source, [decoder, ...decompressors, ...content.stages, ...fileSizeStages(options, quota)]);
+    logger.info('decode', `Decoded ${decoder.bytesIn} bytes of ${encoding} into ${decoder.bytesOut} bytes`);
+    
+    if (decoder.bytesOut === 0) {
+      throw Object.assign(new Error('Decoded data is empty'), { code: 'EMPTY_CONTENT' });
+    }
+    
+    const inflated = decompressors.length > 0 ? decompressors[decompressors.length - 1] : null;
+    if (inflated) {
+      report.compression = compressionReport(compressions, inflated);
+      logger.info('decompress', `${fieldname}: ${compressions.join(', ')} ${inflated.bytesIn} -> ${inflated.bytesOut} bytes`);
+    }
+    const stored = content.transcoder || inflated || decoder;
+    if (content.transcoder) {
+      report.transcoding = content.transcoder.report();
+      logTranscoding(fieldname, report.transcoding);
+    }
+    const digests = content.digester.digests();
+    checkContent(report, stored.head, digests, expected, typeForExtension(fileExtension), options.strict, content.sourceDigester.digests());
+    archive = await readUploadedArchive(tmpPath, stored.head, options.extract);
+    
+    const ext = resolveExtension(fileExtension, report.sniffed);
+    const { filename, key, deduplicated } = await storeTempFile(tmpPath, fieldname, encoding, ext, options.dedupe ? digests.sha256 : null);
+    if (options.dedupe) {
+      report.deduplicated = deduplicated;
+    }
+    
+    logger.info('success', `File saved: ${filename} (${stored.bytesOut} bytes)`);
+    logger.info('success', `Storage key: ${key} (${storage.name})`);
+    
+    const result = Object.assign({
+      fieldname: fieldname,
+      encoding: encoding,
+      size: stored.bytesOut,
+      id: filename,
+      url: `/files/${encodeURIComponent(filename)}`,
+      key: key,
+      storage: storage.name,
+      success: true,
+      decoded: true,
+      encodedSize: decoder.bytesIn,
+      originalSize: decoder.bytesIn
+    }, reportFields(report));
+    await saveUploadRecord(result, options.upload);
+    if (archive) {
+      result.archive = await storeArchiveEntries(archive, result, options, quota);
+    }
+    return trackResult(result, options.upload);
+  } catch (e) {
+    if (tmpPath) {
+      fs.unlink(tmpPath, () => {});
+    }
+    if (archive) {
+      removeExtracted(archive.entries);
+    }
+    // Request-level failures (oversized or aborted bodies) fail the whole request
+    if (e.status) {
+      throw e;
+    }
+    logger.warn('decode', `Failed to process ${fieldname} with ${encoding} encoding: ${e.message}`, { fieldname: fieldname, encoding: encoding, error: e });
+    return trackResult(Object.assign({
+      fieldname: fieldname,
+      encoding: encoding,
+      error: `Failed to process ${encoding} data: ${e.message}`,
+      success: false
+    }, reportFields(report)), options.upload, failureType(e));
+  } finally {
+    if (quota) {
+      quota.release();
+    }
+  }
+}
+
+// Helper function to process encoded data already in memory (urlencoded and
+// JSON fields)
+function processEncodedData(data, encoding, fieldname, options = {}) {
+  return processEncodedStream(Readable.from([Buffer.from(data, 'utf8')]), encoding, fieldname, options);
+}
+
+// Helper function to store an uploaded file part as-is, apart from undoing
+// its Content-Transfer-Encoding and any requested transcoding. The part's
+// Content-Type, or failing that its filename extension, is the declared type
+// checked against the content. `options` are as for processEncodedStream.
+async function processUploadedFile(file, options = {}) {
+  logger.info('file', `Processing uploaded file: ${file.fieldname}`);
+  
+  const transferEncoding = file.encoding || null;
+  const transferDecoded = Boolean(transferEncoding) && !IDENTITY_TRANSFER_ENCODINGS.includes(transferEncoding);
+  const originalExt = sanitizeExtension(path.extname(file.originalname || ''));
+  const declaredType = normalizeType(file.mimetype) || typeForExtension(originalExt);
+  const checksums = options.checksums || {};
+  // The part's own charset applies only once transcoding is asked for
+  const transcode = options.transcode && Object.assign({}, options.transcode, {
+    from: options.transcode.from || file.charset || null
+  });
+  const report = {};
+  
+  let size = file.size;
+  let tmpPath = file.path;
+  let digests;
+  let archive;
+  const quota = reserveQuota(options.upload && options.upload.client);
+  try {
+    const expected = collectExpectedDigests(checksums.fields, checksums.headers);
+    const compressions = parseCompressions(options.compression);
+    let head;
+    let sourceDigests;
+    if (transferDecoded || transcode || compressions.length > 0) {
+      const stages = [];
+      let decoder = null;
+      if (transferDecoded) {
+        if (transferEncoding !== 'base64' && transferEncoding !== 'quoted-printable') {
+          throw Object.assign(new Error(`Unsupported Content-Transfer-Encoding: ${transferEncoding}`), { code: 'UNSUPPORTED_TRANSFER_ENCODING' });
+        }
+        decoder = createDecodeStream(transferEncoding, 'binary');
+        stages.push(decoder);
+      }
+      let inflated = null;
+      if (compressions.length > 0) {
+        const decompressors = createDecompressStages(compressions, DECOMPRESSION_LIMITS);
+        inflated = decompressors[decompressors.length - 1];
+        stages.push(...decompressors);
+      }
+      const content = createContentStages(expected, transcode);
+      tmpPath = await decodeToTempFile(fs.createReadStream(file.path), stages.concat(content.stages, fileSizeStages(options, quota)));
+      
+      if (inflated) {
+        report.compression = compressionReport(compressions, inflated);
+        logger.info('decompress', `${file.fieldname}: ${compressions.join(', ')} ${inflated.bytesIn} -> ${inflated.bytesOut} bytes`);
+      }
+      const stored = content.transcoder || inflated || decoder;
+      if (content.transcoder) {
+        report.transcoding = content.transcoder.report();
+        logTranscoding(file.fieldname, report.transcoding);
+      }
+      size = stored.bytesOut;
+      head = stored.head;
+      digests = content.digester.digests();
+      sourceDigests = content.sourceDigester.digests();
+    } else {
+      checkFileSize(size, options);
+      takeQuota(quota, size);
+      head = readFileHead(file.path);
+      digests = await hashFile(file.path, digestAlgorithms(expected));
+      sourceDigests = digests;
+    }
+    
+    checkContent(report, head, digests, expected, declaredType, options.strict, sourceDigests);
+    archive = await readUploadedArchive(tmpPath, head, options.extract);
+    
+    const ext = resolveExtension(originalExt, report.sniffed);
+    const { filename, key, deduplicated } = await storeTempFile(tmpPath, file.fieldname, 'multipart', ext, options.dedupe ? digests.sha256 : null);
+    if (options.dedupe) {
+      report.deduplicated = deduplicated;
+    }
+    
+    const result = Object.assign({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      encoding: 'multipart',
+      mimetype: file.mimetype,
+      size: size,
+      id: filename,
+      url: `/files/${encodeURIComponent(filename)}`,
+      key: key,
+      storage: storage.name,
+      success: true,
+      transferEncoding: transferEncoding,
+      encodingSource: transferDecoded ? 'content-transfer-encoding' : 'none'
+    }, reportFields(report));
+    await saveUploadRecord(result, options.upload);
+    if (archive) {
+      result.archive = await storeArchiveEntries(archive, result, options, quota);
+    }
+    return trackResult(result, options.upload);
+  } catch (e) {
+    if (tmpPath !== file.path) {
+      fs.unlink(tmpPath, () => {});
+    }
+    if (archive) {
+      removeExtracted(archive.entries);
+    }
+    if (e.status) {
+      throw e;
+    }
+    logger.warn('file', `Failed to process uploaded file ${file.fieldname}: ${e.message}`, { fieldname: file.fieldname, error: e });
+    return trackResult(Object.assign({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      encoding: 'multipart',
+      transferEncoding: transferEncoding,
+      error: `Failed to process multipart file: ${e.message}`,
+      success: false
+    }, reportFields(report)), options.upload, failureType(e));
+  } finally {
+    if (quota) {
+      quota.release();
+    }
+  }
+}
+
+// Helper function to decode one encoded multipart field using its own headers.
+// A base64 or quoted-printable Content-Transfer-Encoding overrides the request
+// encoding; otherwise the part's bytes are read in its charset and decoded
+// with the request encoding.
+async function processEncodedPart(part, encoding, encodingSource, defaultCharset, options) {
+  const transferEncoding = part.transferEncoding;
+  let charset = part.charset || defaultCharset || 'utf-8';
+  const details = {
+    transferEncoding: transferEncoding,
+    charset: charset,
+    charsetSource: part.charset ? 'content-type' : (defaultCharset ? '_charset_' : 'default')
+  };
+  
+  let partEncoding = encoding;
+  let partEncodingSource = encodingSource;
+  
+  if (transferEncoding && !IDENTITY_TRANSFER_ENCODINGS.includes(transferEncoding)) {
+    if (transferEncoding !== 'base64' && transferEncoding !== 'quoted-printable') {
+      logger.warn('part', `Failed to read part ${part.name}: Unsupported Content-Transfer-Encoding: ${transferEncoding}`);
+      return trackResult(Object.assign({
+        fieldname: part.name,
+        encoding: partEncoding,
+        error: `Failed to process ${partEncoding} data: Unsupported Content-Transfer-Encoding: ${transferEncoding}`,
+        success: false
+      }, details, { encodingSource: partEncodingSource }), options.upload, FAILURE_TYPES.UNSUPPORTED_TRANSFER_ENCODING);
+    }
+    // Transfer-encoded content is 7-bit by definition
+    partEncoding = transferEncoding;
+    partEncodingSource = 'content-transfer-encoding';
+    charset = 'binary';
+  }
+  
+  if (!part.size) {
+    return null;
+  }
+  
+  logger.info('part', `${part.name}: ${partEncoding} (from ${partEncodingSource}), charset ${details.charset}`);
+  
+  const result = await processEncodedStream(fs.createReadStream(part.path), partEncoding, part.name, Object.assign({ charset: charset }, options));
+  return Object.assign(result, details, { encodingSource: partEncodingSource });
+}
+
+// Helper function to process multipart form data for encoded uploads.
+// encodingSource records what chose `encoding`: 'route', 'encoding-field' or
+// 'default'. Each file's result is published as file.decoded as soon as it
+// is known.
+async function processMultipartEncodedData(req, encoding, encodingSource = 'route') {
+  logger.info('multipart', `Processing multipart form data with ${encoding} encoding`);
+  
+  checkEncodingAllowed(req, encoding);
+  // A part's own Content-Transfer-Encoding decodes it instead (see
+  // processEncodedPart)
+  checkTransferEncodingsAllowed(req, (req.parts || []).map(part => part.transferEncoding));
+  const results = [];
+  const options = uploadOptions(req);
+  const addResult = (result) => {
+    events.publish('file.decoded', Object.assign({ requestId: req.id, client: clientName(req) }, result));
+    results.push(result);
+  };
+  
+  // Process uploaded files (regular binary files)
+  if (req.files && req.files.length > 0) {
+    for (const file of req.files) {
+      addResult(await processUploadedFile(file, fieldOptions(req, options, file.fieldname, file.headers)));
+    }
+  }
+  
+  
+  // Multipart bodies: decode each encoded part according to its own headers
+  if (req.parts) {
+    // RFC 7578 section 4.6: a _charset_ field sets the default charset
+    const defaultCharset = typeof req.body._charset_ === 'string' ? req.body._charset_.trim().toLowerCase() : null;
+    
+    const encodedParts = req.parts
+      .filter(part => part.filename === undefined && part.name !== null && isEncodedFileField(part.name));
+    for (const part of encodedParts) {
+      const result = await processEncodedPart(part, encoding, encodingSource, defaultCharset, fieldOptions(req, options, part.name, part.headers));
+      if (result) {
+        addResult(result);
+      }
+    }
+    
+    return results;
+  }
+  
+  // Process encoded text fields
+  const fileFields = Object.keys(req.body).filter(isEncodedFileField);
+  
+  for (const field of fileFields) {
+    const encodedData = req.body[field];
+    
+    // JSON bodies can carry numbers or objects, and repeated form fields arrive as arrays
+    if (encodedData && typeof encodedData !== 'string') {
+      logger.warn('multipart', `Field ${field} is not a string (${Array.isArray(encodedData) ? 'array' : typeof encodedData})`);
+      addResult(trackResult({
+        fieldname: field,
+        encoding: encoding,
+        error: `Failed to process ${encoding} data: field value must be a string`,
+        success: false,
+        encodingSource: encodingSource
+      }, options.upload, 'invalid-field'));
+      continue;
+    }
+    
+    if (encodedData) {
+      const result = await processEncodedData(encodedData, encoding, field, fieldOptions(req, options, field));
+      addResult(Object.assign(result, { encodingSource: encodingSource }));
+    }
+  }
+  
+  return results;
+}
+
+// Names the body format a POST upload arrived in, for response messages
+function describeUploadBody(req) {
+  if (req.is('multipart/form-data')) {
+    return 'multipart form-data';
+  }
+  if (req.is('application/x-www-form-urlencoded')) {
+    return 'urlencoded form data';
+  }
+  if (req.is('application/json')) {
+    return 'JSON body';
+  }
+  return 'request';
+}
+
+// Passes data through unchanged, failing with 413 once more than `limit`
+// bytes have gone through
+function limitStream(limit, message = 'Request body too large') {
+  let size = 0;
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      size += chunk.length;
+      if (size > limit) {
+        return callback(Object.assign(new Error(message), { status: 413 }));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+// The request body limited to `limit` bytes. The request is piped rather
+// than handed to pipeline() so a failed decode does not destroy the socket
+// before the error response is sent.
+function requestBodyStream(req, limit) {
+  const limiter = limitStream(limit);
+  req.pipe(limiter);
+  req.on('error', (e) => limiter.destroy(e));
+  return limiter;
+}
+
+// Helper function to stream a raw application/octet-stream body as one
+// encoded file. binary keeps the exact bytes; every other encoding is text
+// sent as UTF-8.
+async function processRawEncodedData(req, encoding, encodingSource = 'route') {
+  const fieldname = typeof req.query.fieldname === 'string' ? req.query.fieldname : 'file1';
+  const fileExtension = typeof req.query.ext === 'string' ? req.query.ext : null;
+  
+  logger.info('raw', `Processing ${req.headers['content-length'] || 'chunked'} byte raw body as ${fieldname} with ${encoding} encoding`);
+  
+  checkEncodingAllowed(req, encoding);
+  const options = uploadOptions(req);
+  const result = await processEncodedStream(requestBodyStream(req, routeLimits(config, req.path).maxUploadSize), encoding, fieldname, Object.assign({
+    fileExtension: fileExtension,
+    charset: encoding === 'binary' ? 'binary' : 'utf-8',
+    compression: typeof req.query.compression === 'string' ? req.query.compression : null,
+    checksums: { fields: { sha256: req.query.sha256, md5: req.query.md5 }, headers: checksumHeaders(req.headers) },
+    transcode: transcodeOptions(options, typeof req.query.charset === 'string' ? req.query.charset : null)
+  }, options));
+  // A compressed request body is reported with its sizes on the wire and
+  // decompressed
+  return [Object.assign(result, { encodingSource: encodingSource }, req.contentEncoding ? { contentEncoding: req.contentEncoding } : {})];
+}
+
+// Validates a raw upload request, returning an error message or null
+function validateRawUpload(req) {
+  if (!req.is('application/octet-stream') || req.headers['content-length'] === '0') {
+    return 'Expected a non-empty application/octet-stream request body';
+  }
+  if (req.query.fieldname !== undefined && !FIELDNAME_PATTERN.test(req.query.fieldname)) {
+    return 'fieldname may only contain letters, digits, "_" and "-"';
+  }
+  return null;
+}
+
+// 1. Standard multipart form-data endpoint
+app.post('/upload', uploadBodyParsers('/upload'), asyncHandler(async (req, res) => {
+  logger.debug('route', `/upload - Standard multipart form-data endpoint`);
+  logger.debug('request', `Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+  
+  checkTransferEncodingsAllowed(req, (req.files || []).map(file => file.encoding));
+  const results = [];
+  const options = uploadOptions(req);
+  
+  if (req.files && req.files.length > 0) {
+    for (const file of req.files) {
+      results.push(await processUploadedFile(file, fieldOptions(req, options, file.fieldname, file.headers)));
+    }
+  }
+  
+  res.json({
+    message: 'Received and stored standard multipart form-data',
+    files: results,
+    fields: req.body
+  });
+}));
+
+// /upload-<name> routes: one for every registered encoding and alias (see
+// lib/encodings.js), built-in or from a plugin
+const ENCODING_ROUTES = [];
+listEncodings().forEach(encoding => {
+  [encoding.name, ...encoding.aliases].forEach(name => {
+    ENCODING_ROUTES.push({
+      path: `/upload-${name}`,
+      encoding: encoding.name,
+      label: encoding.label,
+      alias: name !== encoding.name
+    });
+  });
+});
+
+// 2-8. Encoding-specific endpoints (multipart, urlencoded or JSON)
+ENCODING_ROUTES.forEach(route => {
+  app.post(route.path, uploadBodyParsers(route.path), asyncHandler(async (req, res) => {
+    logger.debug('route', `${route.path} - ${route.label} encoding endpoint (multipart)`);
+    logger.debug('request', `Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+    
+    const savedFiles = await processMultipartEncodedData(req, route.encoding);
+    
+    res.json({
+      message: `Received and stored ${describeUploadBody(req)} with ${route.label} encoding`,
+      files: savedFiles,
+      fields: req.body
+    });
+  }));
+});
+
+// 9. Universal encoding endpoint (multipart, urlencoded or JSON)
+app.post('/upload-encoded', uploadBodyParsers('/upload-encoded'), asyncHandler(async (req, res) => {
+  const hasEncodingField = typeof req.body.encoding === 'string' && req.body.encoding !== '';
+  const encoding = hasEncodingField ? req.body.encoding : 'utf8';
+  
+  logger.debug('route', `/upload-encoded - Universal encoding endpoint (multipart)`);
+  logger.debug('request', `Encoding: ${encoding}, Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+  
+  const fileFields = Object.keys(req.body).filter(isEncodedFileField);
+  
+  if (!fileFields.length && (!req.files || req.files.length === 0)) {
+    logger.warn('request', `No file fields or uploaded files found`);
+    return res.status(400).json({
+      error: 'No file fields or uploaded files found in request',
+      supportedEncodings: SUPPORTED_ENCODINGS
+    });
+  }
+  
+  const savedFiles = await processMultipartEncodedData(req, encoding, hasEncodingField ? 'encoding-field' : 'default');
+  
+  res.json({
+    message: `Received and stored ${describeUploadBody(req)} with ${encoding} encoding`,
+    encoding: encoding,
+    files: savedFiles,
+    fields: req.body
+  });
+}));
+
+// Raw-body variants of the encoding endpoints: PUT the encoded payload itself
+// as application/octet-stream, naming the field and extension in the query.
+ENCODING_ROUTES.forEach(route => {
+  const encoding = route.encoding;
+  app.put(route.path, asyncHandler(async (req, res) => {
+    logger.debug('route', `PUT ${route.path} - Raw ${encoding} encoding endpoint`);
+    
+    const error = validateRawUpload(req);
+    if (error) {
+      logger.warn('request', `${error}`);
+      return res.status(400).json({ error: error });
+    }
+    
+    const savedFiles = await processRawEncodedData(req, encoding);
+    
+    res.json({
+      message: `Received and stored raw application/octet-stream body with ${encoding} encoding`,
+      files: savedFiles,
+      fields: req.query
+    });
+  }));
+});
+
+app.put('/upload-encoded', asyncHandler(async (req, res) => {
+  const hasEncodingParam = typeof req.query.encoding === 'string' && req.query.encoding !== '';
+  const encoding = hasEncodingParam ? req.query.encoding : 'utf8';
+  
+  logger.debug('route', `PUT /upload-encoded - Raw universal encoding endpoint`);
+  logger.debug('request', `Encoding: ${encoding}, Body bytes: ${req.headers['content-length'] || 'chunked'}`);
+  
+  const error = validateRawUpload(req);
+  if (error) {
+    logger.warn('request', `${error}`);
+    return res.status(400).json({ error: error });
+  }
+  
+  const savedFiles = await processRawEncodedData(req, encoding, hasEncodingParam ? 'encoding-param' : 'default');
+  
+  res.json({
+    message: `Received and stored raw application/octet-stream body with ${encoding} encoding`,
+    encoding: encoding,
+    files: savedFiles,
+    fields: req.query
+  });
+}));
+
+// Readiness checks: uploads can be written (UPLOAD_DIR is writable and a file
+// can be created and removed in TEMP_DIR, where every upload starts), and the
+// disk they go to has at least MIN_FREE_DISK bytes available
+const MIN_FREE_DISK = Number(process.env.MIN_FREE_DISK) || 100 * 1024 * 1024; // 100MB
+
+function checkUploadDir() {
+  try {
+    fs.accessSync(UPLOAD_DIR, fs.constants.W_OK);
+    const probe = path.join(TEMP_DIR, `.health-${crypto.randomBytes(8).toString('hex')}`);
+    fs.writeFileSync(probe, '');
+    fs.unlinkSync(probe);
+    return { ok: true, path: UPLOAD_DIR };
+  } catch (e) {
+    return { ok: false, path: UPLOAD_DIR, error: e.message };
+  }
+}
+
+function checkDiskSpace() {
+  try {
+    const stats = fs.statfsSync(UPLOAD_DIR);
+    const available = stats.bavail * stats.bsize;
+    return { ok: available >= MIN_FREE_DISK, available: available, required: MIN_FREE_DISK };
+  } catch (e) {
+    return { ok: false, required: MIN_FREE_DISK, error: e.message };
+  }
+}
+
+function readinessChecks() {
+  const checks = { uploadDir: checkUploadDir(), diskSpace: checkDiskSpace() };
+  const failed = Object.keys(checks).filter(name => !checks[name].ok);
+  if (failed.length > 0) {
+    logger.warn('health', `Not ready: ${failed.join(', ')} check failed`, { checks: checks });
+  }
+  return { ready: failed.length === 0, checks: checks };
+}
+
+// 10. Health check endpoint: server information and the readiness checks,
+// answering 503 when one fails
+app.get('/health', (req, res) => {
+  logger.debug('route', `/health - Health check endpoint`);
+  logger.debug('request', `Health check requested`);
+  
+  const readiness = readinessChecks();
+  res.status(readiness.ready ? 200 : 503).json({
+    status: readiness.ready ? 'healthy' : 'unhealthy',
+    checks: readiness.checks,
+    server: 'multipart-encoding-server',
+    storage: storage.name,
+    recording: RECORD_REQUESTS,
+    apiKeys: Boolean(apiKeys),
+    contentType: 'multipart/form-data',
+    supportedEncodings: SUPPORTED_ENCODINGS,
+    encodings: listEncodings(),
+    supportedCompressions: SUPPORTED_COMPRESSIONS,
+    endpoints: [
+      '/upload (standard multipart)',
+      ...ENCODING_ROUTES.map(route => route.alias
+        ? `${route.path} (alias of /upload-${route.encoding})`
+        : `${route.path} (multipart with ${route.encoding} fields)`),
+      '/upload-encoded (universal multipart with encoding parameter)',
+      'PUT /upload-<encoding> (raw application/octet-stream body)',
+      '/files (list stored uploads, or ?format=mixed for their contents as multipart/mixed)',
+      '/files/:id (download a stored upload, optionally re-encoded, multi-range or chunked)',
+      'POST /uploads (create a resumable upload session)',
+      'HEAD/GET /uploads/:id (resumable upload offset and status)',
+      'PATCH /uploads/:id (append an encoded chunk at Upload-Offset)',
+      'POST /uploads/:id/finalize (store a resumable upload)',
+      'DELETE /uploads/:id (abandon a resumable upload)',
+      '/inspect (dry-run analysis of encoded fields, nothing stored)',
+      '/files/:id/metadata (metadata record of a stored upload)',
+      'GET /admin/retention (retention policy and storage usage)',
+      'POST /admin/retention/sweep (apply the retention policy now)',
+      'DELETE /admin/files/:id (delete a stored upload)',
+      'DELETE /admin/files?runId=|tag=|all=true (delete uploads by run ID or tag, or purge)',
+      'GET/POST/DELETE /admin/faults (fault injection rules; see also the X-Fault header)',
+      'POST /echo (the request body parts sent back as multipart/mixed)',
+      'POST /validate-multipart (RFC 7578/2046 conformance report of a multipart body)',
+      'GET /health/live (liveness probe)',
+      'GET /health/ready (readiness probe: upload directory writable, free disk space)',
+      'GET /metrics (Prometheus metrics)',
+      'GET /quota (limits and usage of the request\'s API key)',
+      'GET /events (live upload events as Server-Sent Events)',
+      'GET/POST/DELETE /admin/webhooks (webhook subscriptions for stored, failed and deleted files)',
+      'GET /admin/webhooks/dead-letters (webhook deliveries given up on)'
+    ]
+  });
+});
+
+// Looks up a stored file for a request. With API keys, files stored by other
+// clients or without a key are not found.
+async function findClientFile(req, id) {
+  const file = await findStoredFile(storage, id);
+  if (!file || !req.apiClient) {
+    return file;
+  }
+  const record = await storage.getMetadata(file.id);
+  return record && record.client === req.apiClient.name ? file : null;
+}
+
+// Parses a since/until query value given as epoch milliseconds or an ISO date
+function parseTimeParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Parses a non-negative integer query value
+function parseIntParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+// 11. File listing endpoint (or the listed files as multipart/mixed)
+app.get('/files', asyncHandler(async (req, res) => {
+  logger.debug('route', `/files - File listing endpoint`);
+
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  const offset = parseIntParam(req.query.offset);
+  const limit = parseIntParam(req.query.limit);
+  const minSize = parseIntParam(req.query.minSize);
+  const maxSize = parseIntParam(req.query.maxSize);
+
+  if (since === null || until === null) {
+    return res.status(400).json({ error: 'since/until must be an ISO date or epoch milliseconds' });
+  }
+  if (offset === null || limit === null || minSize === null || maxSize === null) {
+    return res.status(400).json({ error: 'offset, limit, minSize and maxSize must be non-negative integers' });
+  }
+  if (req.query.order && req.query.order !== 'asc' && req.query.order !== 'desc') {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+  if (req.query.format && req.query.format !== 'json' && req.query.format !== 'mixed') {
+    return res.status(400).json({ error: 'format must be json or mixed' });
+  }
+
+  const listing = await listStoredFiles(storage, {
+    client: clientName(req),
+    encoding: req.query.encoding,
+    fieldname: req.query.fieldname,
+    ext: req.query.ext,
+    since: since,
+    until: until,
+    minSize: minSize,
+    maxSize: maxSize,
+    order: req.query.order,
+    offset: offset || 0,
+    limit: Math.min(limit || FILES_PAGE_SIZE, FILES_MAX_PAGE_SIZE)
+  });
+
+  logger.debug('request', `Returning ${listing.files.length} of ${listing.total} stored files`);
+
+  const entries = listing.files.map(file => ({
+    id: file.id,
+    fieldname: file.fieldname,
+    encoding: file.encoding,
+    ext: file.ext,
+    size: file.size,
+    uploadedAt: file.uploadedAt,
+    url: `/files/${encodeURIComponent(file.id)}`
+  }));
+
+  // ?format=mixed sends the contents of the listed files instead, one part
+  // each, with the listing as the summary of nested responses
+  if (req.query.format === 'mixed') {
+    const bytes = listing.files.reduce((sum, file) => sum + file.size, 0);
+    if (bytes > MAX_MIXED_RESPONSE_SIZE) {
+      return res.status(413).json({ error: `Listed files add up to ${bytes} bytes, more than the ${MAX_MIXED_RESPONSE_SIZE} bytes a multipart/mixed response may hold` });
+    }
+    const parts = [];
+    for (const file of listing.files) {
+      parts.push({
+        headers: {
+          'Content-Type': typeForExtension(file.ext) || 'application/octet-stream',
+          'Content-Disposition': `attachment; filename=${quoteParameter(file.id)}`
+        },
+        body: await collectStream(await storage.createReadStream(file.id))
+      });
+    }
+    return sendMultipartMixed(req, res, parts, { total: listing.total, offset: listing.offset, limit: listing.limit, files: entries });
+  }
+
+  res.json({
+    total: listing.total,
+    offset: listing.offset,
+    limit: listing.limit,
+    files: entries
+  });
+}));
+
+// Sends a response body of `length` bytes, taken from `open()`: a readable,
+// an iterable of buffers or a promise of either, which HEAD requests never
+// call. With a chunk size the body is sent chunked, in pieces of that size,
+// instead of with a Content-Length.
+async function sendBody(req, res, length, chunkSize, open) {
+  if (chunkSize) {
+    logger.debug('request', `Sending ${length} bytes chunked in ${chunkSize} byte chunks`);
+    res.removeHeader('Content-Length');
+    res.set('Transfer-Encoding', 'chunked');
+  } else {
+    res.set('Content-Length', String(length));
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const source = await open();
+  const stages = [source instanceof Readable ? source : Readable.from(source)];
+  if (chunkSize) {
+    stages.push(createChunker(chunkSize));
+  }
+  try {
+    await pipeline(...stages, res);
+  } catch (e) {
+    logger.error('download', `Failed to send ${req.method} ${req.originalUrl}: ${e.message}`);
+  }
+}
+
+// Multipart/mixed responses are built in memory, so they are capped
+const MAX_MIXED_RESPONSE_SIZE = 64 * 1024 * 1024; // 64MB
+
+// Answers with a multipart/mixed body of `parts` ({ headers, body }). The
+// query picks the boundary, the parts' transfer encodings (a comma-separated
+// list, applied in order) and the chunk size. With ?nested=true the parts go
+// in a nested multipart/mixed part (boundary ?nestedBoundary=), after an
+// application/json part holding `summary`.
+async function sendMultipartMixed(req, res, parts, summary) {
+  const boundary = parseBoundary(req.query.boundary);
+  const encodings = parseTransferEncodings(req.query.transferEncoding);
+  const chunkSize = parseChunkSize(req.query.chunkSize);
+  const nested = req.query.nested === 'true' || req.query.nested === '1';
+  const innerBoundary = nested ? parseBoundary(req.query.nestedBoundary) : boundary;
+  if (nested && innerBoundary === boundary) {
+    return res.status(400).json({ error: 'nestedBoundary must differ from boundary' });
+  }
+
+  const encoded = parts.map((part, index) => Object.assign({}, part, { transferEncoding: transferEncodingFor(encodings, index) }));
+  let body = buildMultipart(encoded, innerBoundary);
+  if (nested) {
+    body = buildMultipart([
+      { headers: { 'Content-Type': 'application/json' }, body: Buffer.from(JSON.stringify(summary, null, 2)) },
+      { headers: { 'Content-Type': multipartType('mixed', innerBoundary) }, body: body }
+    ], boundary);
+  }
+
+  logger.debug('request', `Sending ${parts.length} part(s) as multipart/mixed${nested ? ' (nested)' : ''}, boundary ${boundary}`);
+  res.type(multipartType('mixed', boundary));
+  await sendBody(req, res, body.length, chunkSize, () => [body]);
+}
+
+// Files re-encoded with ?encoding= are encoded in memory, so they are capped
+const MAX_ENCODED_DOWNLOAD_SIZE = 64 * 1024 * 1024; // 64MB
+
+// 12. File download endpoint (also answers HEAD and range requests, and sends
+// chunked responses with ?chunkSize=)
+app.get('/files/:id', asyncHandler(async (req, res) => {
+  const encoding = req.query.encoding;
+  const chunkSize = parseChunkSize(req.query.chunkSize);
+  const boundary = parseBoundary(req.query.boundary);
+
+  logger.debug('route', `/files/${req.params.id} - File download endpoint`);
+  logger.debug('request', `Method: ${req.method}, Encoding: ${encoding || 'raw'}, Range: ${req.headers.range || 'none'}`);
+
+  const file = await findClientFile(req, req.params.id);
+  if (!file) {
+    return res.status(404).json({ error: 'File not found', id: req.params.id });
+  }
+
+  if (encoding !== undefined && !isSupportedEncoding(encoding)) {
+    return res.status(400).json({
+      error: `Unsupported encoding: ${encoding}`,
+      supportedEncodings: SUPPORTED_ENCODINGS
+    });
+  }
+
+  // Re-encoded downloads are built in memory as UTF-8 text; raw downloads are
+  // streamed straight from storage.
+  let body = null;
+  if (encoding) {
+    if (file.size > MAX_ENCODED_DOWNLOAD_SIZE) {
+      logger.warn('download', `Not re-encoding ${file.id} as ${encoding}: ${file.size} bytes`);
+      return res.status(413).json({ error: `Files over ${MAX_ENCODED_DOWNLOAD_SIZE} bytes can only be downloaded as stored, without ?encoding=`, id: file.id, size: file.size });
+    }
+    const stored = await collectStream(await storage.createReadStream(file.id));
+    try {
+      body = Buffer.from(encodeBuffer(stored, encoding), 'utf8');
+    } catch (e) {
+      logger.warn('download', `Cannot re-encode ${file.id} as ${encoding}: ${e.message}`);
+      return res.status(422).json({ error: e.message, id: file.id, encoding: encoding });
+    }
+    res.type('text/plain; charset=utf-8');
+    res.set('X-Encoding', encoding);
+  } else {
+    res.type(file.ext || 'application/octet-stream');
+  }
+
+  const size = body ? body.length : file.size;
+  let start = 0;
+  let end = size - 1;
+
+  res.set('Accept-Ranges', 'bytes');
+  res.set('Last-Modified', new Date(file.modifiedAt).toUTCString());
+
+  const ranges = req.headers.range ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    logger.warn('download', `Unsatisfiable range ${req.headers.range} for ${size} bytes`);
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({ error: 'Range not satisfiable', size: size });
+  }
+
+  // Several ranges are sent as multipart/byteranges
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length > 1) {
+    logger.debug('request', `Sending ${ranges.length} ranges as multipart/byteranges`);
+    const contentType = res.get('Content-Type');
+    const multipart = createByteRangesStream(ranges, size, contentType, boundary, range =>
+      body ? [body.subarray(range.start, range.end + 1)] : storage.createReadStream(file.id, range)
+    );
+    res.status(206);
+    res.type(multipartType('byteranges', boundary));
+    return sendBody(req, res, multipart.length, chunkSize, () => multipart);
+  }
+
+  // Malformed range requests fall back to the full representation
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  const length = size === 0 ? 0 : end - start + 1;
+  await sendBody(req, res, length, chunkSize, () => {
+    if (body || length === 0) {
+      return [body ? body.subarray(start, end + 1) : Buffer.alloc(0)];
+    }
+    return storage.createReadStream(file.id, { start: start, end: end });
+  });
+}));
+
+// Looks up the session for /uploads/:id, answering 404 or 410 itself when
+// there is no usable session
+function findUploadSession(req, res) {
+  const session = getSession(SESSIONS_DIR, req.params.id);
+  // Sessions of other API key clients do not exist for this one
+  if (!session || (session.client || null) !== clientName(req)) {
+    res.status(404).json({ error: 'Upload session not found', id: req.params.id });
+    return null;
+  }
+  if (isSessionExpired(session)) {
+    res.status(410).json({ error: 'Upload session has expired', id: session.id, expiresAt: session.expiresAt });
+    return null;
+  }
+  return session;
+}
+
+// tus-style headers describing a session's progress
+function setSessionHeaders(res, session) {
+  res.set('Upload-Offset', String(session.offset));
+  if (session.length !== null) {
+    res.set('Upload-Length', String(session.length));
+  }
+  res.set('Upload-Expires', new Date(session.expiresAt).toUTCString());
+  res.set('Cache-Control', 'no-store');
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    url: `/uploads/${session.id}`,
+    fieldname: session.fieldname,
+    encoding: session.encoding,
+    ext: session.ext,
+    offset: session.offset,
+    length: session.length,
+    chunks: session.chunks,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
 }
 
-// Multer setup for memory storage to handle both files and encoded text fields
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-    fieldSize: 50 * 1024 * 1024, // 50MB for text fields
-    fields: 100 // Allow up to 100 fields
+// 13. Resumable upload: create a session
+app.post('/uploads', parseSessionBody, (req, res) => {
+  const params = Object.assign({}, req.query, req.body);
+  const encoding = typeof params.encoding === 'string' && params.encoding !== '' ? params.encoding : 'utf8';
+  const fieldname = params.fieldname !== undefined ? params.fieldname : 'file1';
+  const lengthValue = req.get('Upload-Length') !== undefined ? req.get('Upload-Length') : params.length;
+  const length = parseIntParam(lengthValue === undefined ? undefined : String(lengthValue));
+  
+  logger.debug('route', `/uploads - Resumable upload session endpoint`);
+  logger.debug('request', `Encoding: ${encoding}, Field: ${fieldname}, Length: ${length === undefined ? 'unknown' : length}`);
+  
+  if (!isSupportedEncoding(encoding)) {
+    return res.status(400).json({
+      error: `Unsupported encoding: ${encoding}`,
+      supportedEncodings: SUPPORTED_ENCODINGS
+    });
+  }
+  if (typeof fieldname !== 'string' || !FIELDNAME_PATTERN.test(fieldname)) {
+    return res.status(400).json({ error: 'fieldname may only contain letters, digits, "_" and "-"' });
+  }
+  if (params.ext !== undefined && typeof params.ext !== 'string') {
+    return res.status(400).json({ error: 'ext must be a string' });
+  }
+  if (length === null) {
+    return res.status(400).json({ error: 'Upload-Length must be a non-negative integer' });
+  }
+  if (length > SESSION_LIMITS.maxUploadSize) {
+    return res.status(413).json({ error: `Upload-Length exceeds the ${SESSION_LIMITS.maxUploadSize} byte upload limit` });
+  }
+  const maxFileSize = req.apiClient ? req.apiClient.limits.maxFileSize : null;
+  if (maxFileSize && length > maxFileSize) {
+    return res.status(413).json({ error: `Upload-Length exceeds the ${maxFileSize} byte size limit of the API key` });
+  }
+  checkEncodingAllowed(req, encoding);
+  
+  const session = createSession(SESSIONS_DIR, {
+    fieldname: fieldname,
+    encoding: encoding,
+    ext: params.ext,
+    length: length,
+    client: clientName(req),
+    ttl: SESSION_TTL
+  });
+  
+  logger.info('session', `Created upload session ${session.id}`);
+  
+  setSessionHeaders(res, session);
+  res.set('Location', `/uploads/${session.id}`);
+  res.status(201).json(Object.assign({ message: 'Created resumable upload session' }, describeSession(session)));
+});
+
+// 14. Resumable upload: current offset (HEAD) and session details (GET)
+app.get('/uploads/:id', (req, res) => {
+  logger.debug('route', `/uploads/${req.params.id} - Upload session status endpoint`);
+  
+  const session = findUploadSession(req, res);
+  if (!session) {
+    return;
   }
+  
+  setSessionHeaders(res, session);
+  res.json(describeSession(session));
 });
 
-// Helper function to process encoded data
-function processEncodedData(data, encoding, fieldname, fileExtension = null) {
-  console.log(`[PROCESSING] Processing ${fieldname} with ${encoding} encoding`);
+// 15. Resumable upload: append a chunk. Upload-Offset must match the session's
+// offset in decoded bytes; the chunk is decoded in its own encoding (the
+// Upload-Encoding header or ?encoding=, defaulting to the session's) and a
+// chunk that fails to decode or arrive in full is discarded whole.
+app.patch('/uploads/:id', asyncHandler(async (req, res) => {
+  logger.debug('route', `PATCH /uploads/${req.params.id} - Upload chunk endpoint`);
+  
+  const session = findUploadSession(req, res);
+  if (!session) {
+    return;
+  }
   
+  const encoding = req.get('Upload-Encoding') || req.query.encoding || session.encoding;
+  const offset = parseIntParam(req.get('Upload-Offset'));
+  
+  logger.debug('request', `Encoding: ${encoding}, Offset: ${req.get('Upload-Offset')}, Body bytes: ${req.headers['content-length'] || 'chunked'}`);
+  
+  if (!req.is('application/offset+octet-stream') && !req.is('application/octet-stream')) {
+    return res.status(415).json({ error: 'Chunks must be sent as application/offset+octet-stream or application/octet-stream' });
+  }
+  if (!isSupportedEncoding(encoding)) {
+    return res.status(400).json({
+      error: `Unsupported encoding: ${encoding}`,
+      supportedEncodings: SUPPORTED_ENCODINGS
+    });
+  }
+  if (offset === undefined || offset === null) {
+    return res.status(400).json({ error: 'Upload-Offset header must be a non-negative integer' });
+  }
+  checkEncodingAllowed(req, encoding);
+  if (busySessions.has(session.id)) {
+    return res.status(409).json({ error: 'Upload session is already receiving a chunk', id: session.id });
+  }
+  if (offset !== session.offset) {
+    setSessionHeaders(res, session);
+    return res.status(409).json({ error: `Upload-Offset ${offset} does not match the session offset ${session.offset}`, offset: session.offset });
+  }
+  
+  busySessions.add(session.id);
+  const quota = reserveQuota(req.apiClient);
   try {
-    let buffer;
-    let decodedData;
-    
-    switch (encoding) {
-      case 'binary':
-        buffer = Buffer.from(data, 'binary');
-        decodedData = buffer;
-        break;
-        
-      case 'ascii':
-        buffer = Buffer.from(data, 'ascii');
-        decodedData = buffer;
-        break;
-        
-      case 'utf8':
-      case 'utf-8':
-        buffer = Buffer.from(data, 'utf8');
-        decodedData = buffer;
-        break;
-        
-      case 'utf-16le':
-        buffer = Buffer.from(data, 'utf16le');
-        decodedData = buffer;
-        break;
-        
-      case 'ucs2':
-        buffer = Buffer.from(data, 'ucs2');
-        decodedData = buffer;
-        break;
-        
-      case 'hex':
-        if (!/^[0-9a-fA-F]+$/.test(data)) {
-          throw new Error('Invalid hexadecimal string');
-        }
-        buffer = Buffer.from(data, 'hex');
-        decodedData = buffer;
-        break;
-        
-      case 'base64':
-        console.log(`[BASE64] Validating base64 data for ${fieldname}`);
-        
-        const cleanData = data.replace(/\s/g, '');
-        
-        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(cleanData)) {
-          throw new Error('Invalid base64 format');
-        }
-        
-        if (cleanData.length % 4 !== 0) {
-          throw new Error('Invalid base64 string length');
-        }
-        
-        try {
-          buffer = Buffer.from(cleanData, 'base64');
-          decodedData = buffer;
-          console.log(`[BASE64] Successfully decoded ${decodedData.length} bytes`);
-        } catch (base64Error) {
-          const urlSafeData = cleanData.replace(/-/g, '+').replace(/_/g, '/');
-          try {
-            buffer = Buffer.from(urlSafeData, 'base64');
-            decodedData = buffer;
-            console.log(`[BASE64] Successfully decoded ${decodedData.length} bytes using URL-safe base64`);
-          } catch (urlSafeError) {
-            throw new Error(`Base64 decoding failed: ${base64Error.message}`);
-          }
-        }
-        break;
-        
-      default:
-        throw new Error(`Unsupported encoding: ${encoding}`);
+    const dataPath = sessionDataPath(SESSIONS_DIR, session.id);
+    // Sessions of unknown length stop at the upload limit, or the API key's
+    // file size limit if lower
+    const maxLength = session.length !== null ? session.length : Math.min(SESSION_LIMITS.maxUploadSize, (req.apiClient && req.apiClient.limits.maxFileSize) || Infinity);
+    const remaining = maxLength - session.offset;
+    // The whole upload counts towards the quota once it is finalized, so it
+    // may not grow past what is left of it: the request holds the bytes
+    // received so far and those of the chunk
+    takeQuota(quota, session.offset);
+    const decoder = createDecodeStream(encoding, encoding === 'binary' ? 'binary' : 'utf-8');
+    const output = fs.createWriteStream(dataPath, { flags: 'a' });
+    const stages = [decoder, limitStream(remaining, 'Chunk exceeds the upload length')];
+    if (quota) {
+      stages.push(quotaStream(quota));
     }
     
-    if (!decodedData || decodedData.length === 0) {
-      throw new Error('Decoded data is empty');
+    try {
+      await pipeline(requestBodyStream(req, SESSION_LIMITS.maxUploadSize), ...stages, output);
+    } catch (e) {
+      if (!output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+      }
+      fs.truncateSync(dataPath, session.offset);
+      if (e.status) {
+        throw e;
+      }
+      logger.warn('session', `Failed to decode chunk for ${session.id} as ${encoding}: ${e.message}`);
+      decodeFailures.inc({ encoding: metricEncoding(encoding), error: failureType(e) });
+      setSessionHeaders(res, session);
+      return res.status(400).json({ error: `Failed to process ${encoding} chunk: ${e.message}`, offset: session.offset });
     }
     
-    // Determine file extension
-    let ext = '.bin';
-    if (fileExtension) {
-      ext = fileExtension.startsWith('.') ? fileExtension : `.${fileExtension}`;
-      ext = ext.replace(/[^a-zA-Z0-9.]/g, '');
+    session.offset += decoder.bytesOut;
+    session.bytesIn += decoder.bytesIn;
+    session.chunks++;
+    session.expiresAt = new Date(Date.now() + SESSION_TTL).toISOString();
+    saveSession(SESSIONS_DIR, session);
+  } finally {
+    if (quota) {
+      quota.release();
     }
-    
-    // Auto-detect file type for images if no extension provided
-    if (!fileExtension && encoding === 'base64') {
-      const header = decodedData.slice(0, 8);
-      if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
-        ext = '.jpg';
-        console.log(`[AUTO-DETECT] Detected JPEG image`);
-      } else if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
-        ext = '.png';
-        console.log(`[AUTO-DETECT] Detected PNG image`);
-      } else if (header[0] === 0x47 && header[1] === 0x49 && header[2] === 0x46) {
-        ext = '.gif';
-        console.log(`[AUTO-DETECT] Detected GIF image`);
-      } else if (header[0] === 0x42 && header[1] === 0x4D) {
-        ext = '.bmp';
-        console.log(`[AUTO-DETECT] Detected BMP image`);
+    busySessions.delete(session.id);
+  }
+  
+  logger.info('session', `${session.id} now at offset ${session.offset}`);
+  
+  setSessionHeaders(res, session);
+  res.status(204).end();
+}));
+
+// 16. Resumable upload: store the assembled bytes as a file, with the same
+// extension handling, checksums and sniffing as the other upload endpoints
+app.post('/uploads/:id/finalize', asyncHandler(async (req, res) => {
+  logger.debug('route', `/uploads/${req.params.id}/finalize - Finalize upload session endpoint`);
+  
+  const session = findUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (busySessions.has(session.id)) {
+    return res.status(409).json({ error: 'Upload session is still receiving a chunk', id: session.id });
+  }
+  if (session.length !== null && session.offset !== session.length) {
+    setSessionHeaders(res, session);
+    return res.status(409).json({
+      error: `Upload is incomplete: ${session.offset} of ${session.length} bytes received`,
+      offset: session.offset,
+      length: session.length
+    });
+  }
+  if (session.offset === 0) {
+    return res.status(400).json({ error: 'Upload session has no data', id: session.id });
+  }
+  
+  const dataPath = sessionDataPath(SESSIONS_DIR, session.id);
+  const options = uploadOptions(req);
+  const transcode = transcodeOptions(options, typeof req.query.charset === 'string' ? req.query.charset : null);
+  const report = {};
+  
+  // Hashing and storing can take a while, so keep chunks and sweeps away
+  // meanwhile. The stored file holds its bytes of the quota until it is
+  // counted.
+  busySessions.add(session.id);
+  const quota = reserveQuota(options.upload.client);
+  let storedPath = dataPath;
+  let size = session.offset;
+  let digests;
+  let result;
+  try {
+    try {
+      const expected = collectExpectedDigests({ sha256: req.query.sha256, md5: req.query.md5 }, checksumHeaders(req.headers));
+      if (transcode) {
+        // The transcoded copy is stored and the session's data file deleted.
+        // Transcoding can grow the file, so the size limits apply to the copy
+        const content = createContentStages(expected, transcode);
+        storedPath = await decodeToTempFile(fs.createReadStream(dataPath), content.stages.concat(fileSizeStages(options, quota)));
+        report.transcoding = content.transcoder.report();
+        logTranscoding(session.fieldname, report.transcoding);
+        size = content.transcoder.bytesOut;
+        digests = content.digester.digests();
+        checkContent(report, content.transcoder.head, digests, expected, typeForExtension(session.ext), options.strict, content.sourceDigester.digests());
+      } else {
+        checkFileSize(size, options);
+        takeQuota(quota, size);
+        digests = await hashFile(dataPath, digestAlgorithms(expected));
+        checkContent(report, readFileHead(dataPath), digests, expected, typeForExtension(session.ext), options.strict);
+      }
+    } catch (e) {
+      // A failed check keeps the session, so it can be finalized again
+      // (without strict mode or with corrected checksums) or deleted. Size
+      // and quota limits fail the request
+      if (e.status) {
+        throw e;
       }
+      logger.warn('session', `Failed to finalize upload session ${session.id}: ${e.message}`);
+      return res.json({
+        message: `Rejected resumable upload with ${session.encoding} encoding`,
+        files: [trackResult(Object.assign({
+          fieldname: session.fieldname,
+          encoding: session.encoding,
+          error: `Failed to process ${session.encoding} data: ${e.message}`,
+          success: false,
+          uploadId: session.id
+        }, reportFields(report)), options.upload, failureType(e))],
+        fields: req.query
+      });
     }
     
-    const filename = `${Date.now()}-${fieldname}-${encoding}${ext}`;
-    const filepath = path.join(UPLOAD_DIR, filename);
-    
-    fs.writeFileSync(filepath, decodedData);
+    const ext = resolveExtension(session.ext, report.sniffed);
+    const { filename, key, deduplicated } = await storeTempFile(storedPath, session.fieldname, session.encoding, ext, options.dedupe ? digests.sha256 : null);
+    if (options.dedupe) {
+      report.deduplicated = deduplicated;
+    }
+    deleteSession(SESSIONS_DIR, session.id);
     
-    console.log(`[SUCCESS] File saved: ${filename} (${decodedData.length} bytes)`);
-    console.log(`[SUCCESS] File path: ${filepath}`);
+    logger.info('success', `Upload session ${session.id} saved as ${filename} (${session.offset} bytes in ${session.chunks} chunks)`);
     
-    return {
-      fieldname: fieldname,
-      encoding: encoding,
-      size: decodedData.length,
-      path: filepath,
+    result = Object.assign({
+      fieldname: session.fieldname,
+      encoding: session.encoding,
+      size: size,
+      id: filename,
+      url: `/files/${encodeURIComponent(filename)}`,
+      key: key,
+      storage: storage.name,
       success: true,
       decoded: true,
-      originalSize: data.length,
-      compressionRatio: data.length > 0 ? ((data.length - decodedData.length) / data.length * 100).toFixed(2) : 0
-    };
-  } catch (e) {
-    console.log(`[ERROR] Failed to process ${fieldname} with ${encoding} encoding: ${e.message}`);
-    return {
-      fieldname: fieldname,
-      encoding: encoding,
-      error: `Failed to process ${encoding} data: ${e.message}`,
-      success: false
-    };
+      encodedSize: session.bytesIn,
+      originalSize: session.bytesIn
+    }, reportFields(report), {
+      uploadId: session.id,
+      chunks: session.chunks
+    });
+    await saveUploadRecord(result, options.upload, { uploadId: session.id, chunks: session.chunks });
+  } finally {
+    // A transcoded copy that was not stored is removed; a session whose data
+    // file failed to store keeps it
+    if (storedPath !== dataPath) {
+      fs.unlink(storedPath, () => {});
+    }
+    if (quota) {
+      quota.release();
+    }
+    busySessions.delete(session.id);
   }
-}
+  trackResult(result, options.upload);
+  
+  res.json({
+    message: `Finalized resumable upload with ${session.encoding} encoding`,
+    files: [result],
+    fields: req.query
+  });
+}));
 
-// Helper function to process multipart form data for encoded uploads
-function processMultipartEncodedData(req, encoding) {
-  console.log(`[MULTIPART] Processing multipart form data with ${encoding} encoding`);
+// 17. Resumable upload: abandon a session
+app.delete('/uploads/:id', (req, res) => {
+  logger.debug('route', `DELETE /uploads/${req.params.id} - Abandon upload session endpoint`);
   
-  const results = [];
+  const session = findUploadSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (busySessions.has(session.id)) {
+    return res.status(409).json({ error: 'Upload session is still receiving a chunk', id: session.id });
+  }
   
-  // Process uploaded files (regular binary files)
-  if (req.files && req.files.length > 0) {
-    req.files.forEach(file => {
-      console.log(`[FILE] Processing uploaded file: ${file.fieldname}`);
-      
-      const filename = `${Date.now()}-${file.fieldname}-multipart${path.extname(file.originalname || '.bin')}`;
-      const filepath = path.join(UPLOAD_DIR, filename);
-      
-      fs.writeFileSync(filepath, file.buffer);
-      
-      results.push({
-        fieldname: file.fieldname,
-        originalname: file.originalname,
-        encoding: 'multipart',
-        mimetype: file.mimetype,
-        size: file.size,
-        path: filepath,
-        success: true
-      });
+  deleteSession(SESSIONS_DIR, session.id);
+  logger.info('session', `Deleted upload session ${session.id}`);
+  res.status(204).end();
+});
+
+// 18. Dry-run inspection: decode fileN fields in memory and report what the
+// upload routes would make of them, without writing anything to disk
+app.post('/inspect', parseInspectBody, (req, res) => {
+  const requested = typeof req.query.encoding === 'string' && req.query.encoding !== ''
+    ? req.query.encoding
+    : (typeof req.body.encoding === 'string' && req.body.encoding !== '' ? req.body.encoding : null);
+  
+  logger.debug('route', `/inspect - Dry-run inspection endpoint`);
+  logger.debug('request', `Encoding: ${requested || 'auto-detect'}, Fields: ${Object.keys(req.body).length}`);
+  
+  if (requested && !isSupportedEncoding(requested)) {
+    return res.status(400).json({
+      error: `Unsupported encoding: ${requested}`,
+      supportedEncodings: SUPPORTED_ENCODINGS
     });
   }
   
-  // Process encoded text fields
-  const fileFields = Object.keys(req.body).filter(key => 
-    key.startsWith('file') && 
-    !key.endsWith('_ext') && 
-    key !== 'encoding'
-  );
+  const fileFields = Object.keys(req.body).filter(isEncodedFileField);
+  if (!fileFields.length) {
+    logger.warn('inspect', `No file fields found`);
+    return res.status(400).json({ error: 'No file fields found in request' });
+  }
   
-  fileFields.forEach(field => {
-    const encodedData = req.body[field];
-    const fileExtension = req.body[`${field}_ext`] || null;
-    
-    if (encodedData) {
-      const result = processEncodedData(encodedData, encoding, field, fileExtension);
-      results.push(result);
+  const results = fileFields.map(field => {
+    const value = req.body[field];
+    if (typeof value !== 'string') {
+      return {
+        fieldname: field,
+        valid: false,
+        error: 'field value must be a string'
+      };
     }
+    
+    const result = Object.assign({ fieldname: field }, inspectEncodedText(value, requested));
+    logger.info('inspect', `${field}: ${result.encoding} ${result.valid ? `decodes to ${result.decodedSize} bytes` : `invalid (${result.error})`}`);
+    return result;
   });
   
-  return results;
-}
+  res.json({
+    message: `Inspected ${results.length} field(s) from ${describeUploadBody(req)}; nothing was stored`,
+    encoding: requested,
+    fields: results
+  });
+});
 
-// 1. Standard multipart form-data endpoint
-app.post('/upload', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload - Standard multipart form-data endpoint`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
-  
-  const results = [];
+// 19. Metadata record of a stored file: original name, types, sizes, digests,
+// client IP, request ID and the request's non-file fields
+app.get('/files/:id/metadata', asyncHandler(async (req, res) => {
+  logger.debug('route', `/files/${req.params.id}/metadata - File metadata endpoint`);
   
-  if (req.files && req.files.length > 0) {
-    req.files.forEach(file => {
-      const filename = `${Date.now()}-${file.fieldname}-multipart${path.extname(file.originalname || '.bin')}`;
-      const filepath = path.join(UPLOAD_DIR, filename);
-      
-      fs.writeFileSync(filepath, file.buffer);
-      
-      results.push({
-        fieldname: file.fieldname,
-        originalname: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: filepath,
-        success: true
-      });
-    });
+  const file = await findClientFile(req, req.params.id);
+  if (!file) {
+    return res.status(404).json({ error: 'File not found', id: req.params.id });
+  }
+  const record = await storage.getMetadata(file.id);
+  if (!record) {
+    return res.status(404).json({ error: 'No metadata recorded for this file', id: file.id });
+  }
+  res.json(record);
+}));
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`. Without an
+// ADMIN_TOKEN they are only open to requests from this machine.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+      return next();
+    }
+    return res.status(403).json({ error: 'Admin routes are only available locally unless ADMIN_TOKEN is set' });
+  }
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  const given = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin token required' });
   }
+  next();
+}
+
+// File deletion is also open to API keys, limited to the key's own files, so
+// each client can clean up after itself
+function requireAdminOrClient(req, res, next) {
+  if (req.apiClient) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+// 20. Admin: retention policy and current usage
+app.get('/admin/retention', requireAdmin, asyncHandler(async (req, res) => {
+  logger.debug('route', `/admin/retention - Retention status endpoint`);
   
   res.json({
-    message: 'Received and stored standard multipart form-data',
-    files: results,
-    fields: req.body
+    policy: {
+      ttl: RETENTION_POLICY.ttl / 1000,
+      maxBytes: RETENTION_POLICY.maxBytes,
+      sweepInterval: RETENTION_SWEEP_INTERVAL / 1000
+    },
+    usage: await storageUsage(storage),
+    lastSweep: lastRetentionSweep
   });
-});
+}));
 
-// 2-8. Encoding-specific endpoints (all using multipart)
-app.post('/upload-base64', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-base64 - Base64 encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// 21. Admin: apply the retention policy now
+app.post('/admin/retention/sweep', requireAdmin, asyncHandler(async (req, res) => {
+  logger.debug('route', `/admin/retention/sweep - Retention sweep endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'base64');
+  const removed = await sweepStoredFiles();
+  res.json({ message: `Removed ${removed.length} stored file(s)`, removed: removed });
+}));
+
+// 22. Admin: delete one stored file and its metadata
+app.delete('/admin/files/:id', requireAdminOrClient, asyncHandler(async (req, res) => {
+  logger.debug('route', `DELETE /admin/files/${req.params.id} - Delete stored file endpoint`);
   
-  res.json({
-    message: 'Received and stored multipart form-data with base64 encoding',
-    files: savedFiles,
-    fields: req.body
-  });
-});
+  const file = await findClientFile(req, req.params.id);
+  if (!file || !await storage.delete(file.id)) {
+    return res.status(404).json({ error: 'File not found', id: req.params.id });
+  }
+  logger.info('cleanup', `Deleted ${file.id}`);
+  publishDeleted([{ id: file.id, reason: 'deleted' }], req.id, clientName(req));
+  res.json({ message: 'Deleted 1 stored file', deleted: [file.id] });
+}));
 
-app.post('/upload-binary', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-binary - Binary encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// 23. Admin: delete stored files by run ID (?runId=) or tags (?tag=, any of a
+// comma-separated list), or purge every stored file (?all=true). API keys only
+// delete their own files.
+app.delete('/admin/files', requireAdminOrClient, asyncHandler(async (req, res) => {
+  logger.debug('route', `DELETE /admin/files - Delete stored files endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'binary');
+  const runId = parseRunId(req.query.runId);
+  const tags = parseTags(req.query.tag);
+  const all = req.query.all === 'true';
+  if (!runId && tags.length === 0 && !all) {
+    return res.status(400).json({ error: 'Give runId or tag to delete by, or all=true to purge every stored file' });
+  }
+  if (all && (runId || tags.length > 0)) {
+    return res.status(400).json({ error: 'all=true cannot be combined with runId or tag' });
+  }
   
-  res.json({
-    message: 'Received and stored multipart form-data with binary encoding',
-    files: savedFiles,
-    fields: req.body
-  });
+  const deleted = await deleteMatchingFiles(storage, { runId: runId, tags: tags, all: all, client: clientName(req) });
+  publishDeleted(deleted.map(id => ({ id: id, reason: 'deleted' })), req.id, clientName(req));
+  logger.info('cleanup', `Deleted ${deleted.length} stored file(s) (${all ? 'purge' : [runId && `run ${runId}`, tags.length > 0 && `tags ${tags.join(', ')}`].filter(Boolean).join(', ')})`);
+  res.json({ message: `Deleted ${deleted.length} stored file(s)`, deleted: deleted });
+}));
+
+// 24. Admin: fault rules currently set up
+app.get('/admin/faults', requireAdmin, (req, res) => {
+  logger.debug('route', `/admin/faults - Fault rules endpoint`);
+  
+  res.json({ headerFaults: FAULT_HEADERS, rules: faultRules.list() });
 });
 
-app.post('/upload-ascii', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-ascii - ASCII encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// 25. Admin: add fault rules (one object or an array of them)
+app.post('/admin/faults', requireAdmin, express.json(), (req, res) => {
+  logger.debug('route', `POST /admin/faults - Add fault rules endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'ascii');
+  const specs = [].concat(req.body);
+  // Validate every rule before adding any
+  specs.forEach(createFault);
+  const added = specs.map(spec => faultRules.add(spec));
+  logger.info('fault', `Added ${added.length} fault rule(s): ${added.map(rule => `${rule.id} ${rule.type}`).join(', ')}`);
+  res.status(201).json({ message: `Added ${added.length} fault rule(s)`, rules: added });
+});
+
+// 26. Admin: remove one fault rule, or all of them
+app.delete('/admin/faults/:id?', requireAdmin, (req, res) => {
+  logger.debug('route', `DELETE /admin/faults - Remove fault rules endpoint`);
   
-  res.json({
-    message: 'Received and stored multipart form-data with ASCII encoding',
-    files: savedFiles,
-    fields: req.body
-  });
+  if (req.params.id === undefined) {
+    const removed = faultRules.clear();
+    return res.json({ message: `Removed ${removed} fault rule(s)` });
+  }
+  if (!faultRules.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Fault rule not found', id: req.params.id });
+  }
+  res.json({ message: `Removed fault rule ${req.params.id}` });
 });
 
-app.post('/upload-utf8', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-utf8 - UTF-8 encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// 27. Echo: sends the parts of the request body back as multipart/mixed,
+// byte for byte, so client-side multipart parsers can be tested
+app.post('/echo', parseEchoBody, asyncHandler(async (req, res) => {
+  logger.debug('route', `/echo - Multipart echo endpoint`);
+
+  const parts = [];
+  if (req.parts) {
+    for (const part of req.parts) {
+      const disposition = [part.filename !== undefined ? 'attachment' : 'inline'];
+      if (part.name !== null) {
+        disposition.push(`name=${quoteParameter(part.name)}`);
+      }
+      if (part.filename !== undefined) {
+        disposition.push(`filename=${quoteParameter(part.filename)}`);
+      }
+      parts.push({
+        name: part.name,
+        filename: part.filename,
+        headers: {
+          'Content-Type': part.headers['content-type'] || (part.filename !== undefined ? 'application/octet-stream' : 'text/plain'),
+          'Content-Disposition': disposition.join('; ')
+        },
+        body: part.data || await fs.promises.readFile(part.path)
+      });
+    }
+  } else if (Buffer.isBuffer(req.body)) {
+    parts.push({ headers: { 'Content-Type': req.get('Content-Type') || 'application/octet-stream' }, body: req.body });
+  } else {
+    Object.keys(req.body).forEach(name => {
+      const value = req.body[name];
+      parts.push({
+        name: name,
+        headers: {
+          'Content-Type': typeof value === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+          'Content-Disposition': `inline; name=${quoteParameter(name)}`
+        },
+        body: Buffer.from(typeof value === 'string' ? value : JSON.stringify(value), 'utf8')
+      });
+    });
+  }
+
+  if (parts.length === 0) {
+    return res.status(400).json({ error: 'Nothing to echo: send a non-empty body' });
+  }
+
+  logger.debug('request', `Echoing ${parts.length} part(s) from ${describeUploadBody(req)}`);
+  await sendMultipartMixed(req, res, parts.map(part => ({ headers: part.headers, body: part.body })), {
+    message: `Echo of ${parts.length} part(s)`,
+    parts: parts.map(part => ({
+      name: part.name === undefined ? null : part.name,
+      filename: part.filename === undefined ? null : part.filename,
+      contentType: part.headers['Content-Type'],
+      size: part.body.length
+    }))
+  });
+}));
+
+// 28. Multipart validation: checks the raw body against RFC 7578/2046 and
+// answers with the conformance report. Nothing is parsed or stored.
+app.post('/validate-multipart', asyncHandler(async (req, res) => {
+  logger.debug('route', `/validate-multipart - Multipart conformance endpoint`);
+
+  const validator = new MultipartValidator(req.get('Content-Type'));
+  await pipeline(requestBodyStream(req, routeLimits(config, '/validate-multipart').maxUploadSize), validator);
+  const report = validator.report();
+
+  logger.info('validate', `${report.size} bytes, ${report.parts.length} part(s): ${report.counts.error} error(s), ${report.counts.warning} warning(s), ${report.counts.info} info`);
+  res.json(report);
+}));
+
+// 29. Liveness probe: the server is up and answering
+app.get('/health/live', (req, res) => {
+  logger.debug('route', `/health/live - Liveness probe endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'utf8');
+  res.json({ status: 'alive', uptime: process.uptime() });
+});
+
+// 30. Readiness probe: the server can take uploads (see readinessChecks)
+app.get('/health/ready', (req, res) => {
+  logger.debug('route', `/health/ready - Readiness probe endpoint`);
   
-  res.json({
-    message: 'Received and stored multipart form-data with UTF-8 encoding',
-    files: savedFiles,
-    fields: req.body
+  const readiness = readinessChecks();
+  res.status(readiness.ready ? 200 : 503).json({
+    status: readiness.ready ? 'ready' : 'not ready',
+    checks: readiness.checks
   });
 });
 
-app.post('/upload-utf-16le', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-utf-16le - UTF-16LE encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// 31. Prometheus metrics in the text exposition format
+app.get('/metrics', (req, res) => {
+  logger.debug('route', `/metrics - Prometheus metrics endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'utf-16le');
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// 32. The API key's limits and current usage
+app.get('/quota', (req, res) => {
+  logger.debug('route', `/quota - API key quota endpoint`);
   
-  res.json({
-    message: 'Received and stored multipart form-data with UTF-16LE encoding',
-    files: savedFiles,
-    fields: req.body
-  });
+  if (!req.apiClient) {
+    return res.status(404).json({ error: 'API keys are not enabled on this server' });
+  }
+  res.json(Object.assign({
+    client: req.apiClient.name,
+    maxFileSize: req.apiClient.limits.maxFileSize,
+    encodings: req.apiClient.encodings
+  }, clientUsage.report(req.apiClient)));
 });
 
-app.post('/upload-ucs2', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-ucs2 - UCS-2 encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+// Comment lines sent on idle event streams, so proxies keep them open
+const EVENT_STREAM_HEARTBEAT = 15 * 1000;
+
+// Output an event stream may have waiting for a slow client before it is
+// disconnected; the client can reconnect and catch up with Last-Event-ID
+const EVENT_STREAM_MAX_BUFFER = 1024 * 1024;
+
+// Whether an event type is in `types`; a trailing '*' matches a prefix
+function matchesEventType(types, type) {
+  return types.length === 0 || types.some(wanted => wanted.endsWith('*') ? type.startsWith(wanted.slice(0, -1)) : type === wanted);
+}
+
+// Metadata record fields that stay out of event streams open to anyone
+const PRIVATE_RECORD_FIELDS = ['clientIp', 'fields'];
+
+// An event as sent to streams without an API key: file.stored records
+// without the uploader's address and form fields
+function publicEvent(event) {
+  if (event.type !== 'file.stored') {
+    return event;
+  }
+  const data = Object.assign({}, event.data);
+  PRIVATE_RECORD_FIELDS.forEach(name => {
+    delete data[name];
+  });
+  return Object.assign({}, event, { data: data });
+}
+
+// 33. Live upload events as Server-Sent Events (see lib/events.js): upload
+// progress, parts parsed and decode results as they happen, and files
+// stored, failed and deleted. ?requestId= follows one request and ?types=
+// takes a comma-separated list of types such as 'file.*'. A client that
+// reconnects is sent the events after its Last-Event-ID (or ?lastEventId=)
+// that are still kept. With API keys, only the key's own events are sent;
+// without them anyone may listen, and events are sent as by publicEvent.
+// Clients that fall more than EVENT_STREAM_MAX_BUFFER behind are dropped.
+app.get('/events', (req, res) => {
+  logger.debug('route', `/events - Upload event stream endpoint`);
   
-  const savedFiles = processMultipartEncodedData(req, 'ucs2');
+  const requestId = typeof req.query.requestId === 'string' && req.query.requestId !== '' ? req.query.requestId : null;
+  const types = typeof req.query.types === 'string' ? req.query.types.split(',').map(type => type.trim()).filter(Boolean) : [];
+  const lastEventId = parseIntParam(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastEventId === null) {
+    return res.status(400).json({ error: 'Last-Event-ID must be an event id' });
+  }
+  const client = clientName(req);
+  const write = (text) => {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(text) && res.writableLength > EVENT_STREAM_MAX_BUFFER) {
+      logger.warn('events', `Dropping event stream ${req.id}: ${res.writableLength} bytes waiting for a slow client`);
+      res.destroy();
+    }
+  };
+  const send = (event) => {
+    if ((!req.apiClient || event.data.client === client) &&
+        (!requestId || event.data.requestId === requestId) &&
+        matchesEventType(types, event.type)) {
+      write(formatServerSentEvent(req.apiClient ? event : publicEvent(event)));
+    }
+  };
   
-  res.json({
-    message: 'Received and stored multipart form-data with UCS-2 encoding',
-    files: savedFiles,
-    fields: req.body
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  write(': connected\n\n');
+  if (lastEventId !== undefined) {
+    events.since(lastEventId).forEach(send);
+  }
+  const unsubscribe = events.subscribe(send);
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT);
+  eventStreams.inc();
+  res.once('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventStreams.dec();
   });
 });
 
-app.post('/upload-hex', upload.any(), (req, res) => {
-  console.log(`[API HIT] /upload-hex - Hex encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
-  
-  const savedFiles = processMultipartEncodedData(req, 'hex');
+// 34. Admin: webhook subscriptions, their secrets left out
+app.get('/admin/webhooks', requireAdmin, (req, res) => {
+  logger.debug('route', `/admin/webhooks - Webhook subscriptions endpoint`);
   
-  res.json({
-    message: 'Received and stored multipart form-data with hex encoding',
-    files: savedFiles,
-    fields: req.body
-  });
+  res.json({ events: WEBHOOK_EVENTS, subscriptions: webhooks.list() });
 });
 
-// 9. Universal multipart encoding endpoint
-app.post('/upload-encoded', upload.any(), (req, res) => {
-  const encoding = req.body.encoding || 'utf8';
+// 35. Admin: add webhook subscriptions (one object or an array of them)
+app.post('/admin/webhooks', requireAdmin, express.json(), (req, res) => {
+  logger.debug('route', `POST /admin/webhooks - Add webhook subscriptions endpoint`);
   
-  console.log(`[API HIT] /upload-encoded - Universal encoding endpoint (multipart)`);
-  console.log(`[DETAILS] Encoding: ${encoding}, Files received: ${req.files ? req.files.length : 0}, Fields: ${Object.keys(req.body).length}`);
+  const specs = [].concat(req.body);
+  // Validate every subscription before adding any
+  specs.forEach(spec => createSubscription(spec));
+  const added = specs.map(spec => webhooks.add(spec));
+  logger.info('webhook', `Added ${added.length} webhook subscription(s): ${added.map(subscription => `${subscription.id} ${subscription.url}`).join(', ')}`);
+  res.status(201).json({ message: `Added ${added.length} webhook subscription(s)`, subscriptions: added });
+});
+
+// 36. Admin: remove a webhook subscription. Its deliveries still being
+// retried are dropped.
+app.delete('/admin/webhooks/:id', requireAdmin, (req, res) => {
+  logger.debug('route', `DELETE /admin/webhooks/${req.params.id} - Remove webhook subscription endpoint`);
   
-  const fileFields = Object.keys(req.body).filter(key => 
-    key.startsWith('file') && 
-    !key.endsWith('_ext') && 
-    key !== 'encoding'
-  );
+  if (!webhooks.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook subscription not found', id: req.params.id });
+  }
+  res.json({ message: `Removed webhook subscription ${req.params.id}` });
+});
+
+// 37. Admin: the latest deliveries given up on (?limit=, default 100)
+app.get('/admin/webhooks/dead-letters', requireAdmin, (req, res) => {
+  logger.debug('route', `/admin/webhooks/dead-letters - Webhook dead letters endpoint`);
   
-  if (!fileFields.length && (!req.files || req.files.length === 0)) {
-    console.log(`[ERROR] No file fields or uploaded files found`);
-    return res.status(400).json({
-      error: 'No file fields or uploaded files found in request',
-      supportedEncodings: ['binary', 'ascii', 'utf8', 'utf-16le', 'ucs2', 'hex', 'base64']
-    });
+  const limit = parseIntParam(req.query.limit);
+  if (limit === null || limit === 0) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
   }
+  res.json({ deadLetters: webhooks.deadLetters(limit) });
+});
+
+// Body parsing failures (malformed JSON, size and field limits) answer in JSON
+// like every other error instead of express' default HTML page. Strict
+// multipart rejections carry their conformance report, and quota errors the
+// seconds until the quota resets.
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
   
-  const savedFiles = processMultipartEncodedData(req, encoding);
+  logger[status >= 500 ? 'error' : 'warn']('http', `${req.method} ${req.url} failed with ${status}: ${err.message}`, { status: status, error: err });
   
-  res.json({
-    message: `Received and stored multipart form-data with ${encoding} encoding`,
-    encoding: encoding,
-    files: savedFiles,
-    fields: req.body
-  });
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(status).json(err.report ? { error: err.message, report: err.report } : { error: err.message });
 });
 
-// 10. Health check endpoint
-app.get('/health', (req, res) => {
-  console.log(`[API HIT] /health - Health check endpoint`);
-  console.log(`[DETAILS] Health check requested`);
-  
-  res.json({
-    status: 'healthy',
-    server: 'multipart-encoding-server',
-    contentType: 'multipart/form-data',
-    supportedEncodings: ['binary', 'ascii', 'utf8', 'utf-16le', 'ucs2', 'hex', 'base64'],
-    endpoints: [
-      '/upload (standard multipart)',
-      '/upload-base64 (multipart with base64 fields)',
-      '/upload-binary (multipart with binary fields)',
-      '/upload-ascii (multipart with ascii fields)',
-      '/upload-utf8 (multipart with utf8 fields)',
-      '/upload-utf-16le (multipart with utf16le fields)',
-      '/upload-ucs2 (multipart with ucs2 fields)',
-      '/upload-hex (multipart with hex fields)',
-      '/upload-encoded (universal multipart with encoding parameter)'
-    ]
+// Listens on PORT when run directly. Required as a module (test-harness.js),
+// the app is exported unstarted for the caller to listen on a port of its own.
+function start() {
+  return app.listen(PORT, () => {
+    logger.info('server', `Multipart encoding server running on port ${PORT}`);
+    logger.info('server', `Content-Types: multipart/form-data, application/x-www-form-urlencoded, application/json, application/octet-stream (PUT)`);
+    if (config.file) {
+      logger.info('server', `Configuration: ${config.file}`);
+    }
+    logger.info('server', `Supported encodings: ${listEncodings().map(encoding => encoding.aliases.length ? `${encoding.name} (${encoding.aliases.join(', ')})` : encoding.name).join(', ')}`);
+    ENCODING_PLUGINS.forEach(plugin => {
+      logger.info('server', `Encoding plugin ${plugin.file}: ${plugin.encodings.join(', ')}`);
+    });
+    logger.info('server', `Upload directory: ${UPLOAD_DIR}`);
+    logger.info('server', `Storage: ${storage.describe()}`);
+    if (apiKeys) {
+      logger.info('server', `API keys required: ${apiKeys.size} client(s) from ${API_KEYS_FILE}`);
+    }
+    if (RECORD_REQUESTS) {
+      logger.info('server', `Recording requests to ${RECORD_FILE}`);
+    }
+    if (webhooks.list().length > 0) {
+      logger.info('server', `Webhooks: ${webhooks.list().map(subscription => subscription.url).join(', ')}`);
+    }
+    logger.info('server', `Health check: http://localhost:${PORT}/health`);
+    logger.info('server', `All endpoints are ready to receive multipart form data`);
   });
-});
+}
 
-app.listen(PORT, () => {
-  console.log(`🚀 [SERVER START] Multipart encoding server running on port ${PORT}`);
-  console.log(`📋 [INFO] Content-Type: multipart/form-data for all endpoints`);
-  console.log(`📋 [INFO] Supported encodings: binary, ascii, utf8, utf-16le, ucs2, hex, base64`);
-  console.log(`📁 [INFO] Upload directory: ${UPLOAD_DIR}`);
-  console.log(`🔗 [INFO] Health check: http://localhost:${PORT}/health`);
-  console.log(`📝 [INFO] All endpoints are ready to receive multipart form data`);
-});
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  start
+};
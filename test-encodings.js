@@ -1,11 +1,29 @@
 'use strict';
 
 const axios = require('axios');
-const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
 const path = require('path');
+const zlib = require('zlib');
+const { encodeBuffer } = require('./lib/encodings');
+const { readRecordings, compareResponses } = require('./lib/recorder');
+const { replayEntry } = require('./replay');
 
 const BASE_URL = 'http://localhost:3002';
 
+// Every upload of this run is tagged with its run ID, so cleanup can delete
+// exactly the files the run stored
+const RUN_ID = `test-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+axios.defaults.headers.common['X-Run-Id'] = RUN_ID;
+
+// Servers started with API_KEYS_FILE need a key: API_KEY is sent with every
+// request. OTHER_API_KEY, a second client's key, lets testApiKeys check that
+// files are scoped to the key that stored them.
+const API_KEY = process.env.API_KEY || null;
+if (API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = API_KEY;
+}
+
 // Helper function to create test data in different encodings
 function createTestData() {
   const testString = 'Hello World! This is a test file with special characters: ñáéíóú 测试 テスト';
@@ -16,8 +34,18 @@ function createTestData() {
     binary: Buffer.from(testString, 'utf8').toString('binary'),
     base64: Buffer.from(testString, 'utf8').toString('base64'),
     hex: Buffer.from(testString, 'utf8').toString('hex'),
-    'utf-16le': Buffer.from(testString, 'utf8').toString('utf16le'),
-    ucs2: Buffer.from(testString, 'utf8').toString('ucs2')
+    // The text itself: the server stores it as UTF-16LE (UCS-2) bytes
+    'utf-16le': testString,
+    ucs2: testString,
+    base64url: encodeBuffer(Buffer.from(testString, 'utf8'), 'base64url'),
+    base32: encodeBuffer(Buffer.from(testString, 'utf8'), 'base32'),
+    base32hex: encodeBuffer(Buffer.from(testString, 'utf8'), 'base32hex'),
+    base58: encodeBuffer(Buffer.from(testString, 'utf8'), 'base58'),
+    ascii85: encodeBuffer(Buffer.from(testString, 'utf8'), 'ascii85'),
+    z85: encodeBuffer(Buffer.from(testString.slice(0, 20), 'utf8'), 'z85'),
+    'quoted-printable': encodeBuffer(Buffer.from(testString, 'utf8'), 'quoted-printable'),
+    uuencode: encodeBuffer(Buffer.from(testString, 'utf8'), 'uuencode'),
+    percent: encodeBuffer(Buffer.from(testString, 'utf8'), 'percent')
   };
 }
 
@@ -39,7 +67,7 @@ async function testEncoding(encoding, data) {
     console.log('Files processed:');
     response.data.files.forEach(file => {
       if (file.success) {
-        console.log(`  ✓ ${file.fieldname}: ${file.size} bytes -> ${file.path}`);
+        console.log(`  ✓ ${file.fieldname}: ${file.size} bytes -> ${file.key}`);
       } else {
         console.log(`  ✗ ${file.fieldname}: ${file.error}`);
       }
@@ -77,7 +105,7 @@ async function testUniversalEncoding(encoding, data) {
     console.log('Files processed:');
     response.data.files.forEach(file => {
       if (file.success) {
-        console.log(`  ✓ ${file.fieldname}: ${file.size} bytes -> ${file.path}`);
+        console.log(`  ✓ ${file.fieldname}: ${file.size} bytes -> ${file.key}`);
       } else {
         console.log(`  ✗ ${file.fieldname}: ${file.error}`);
       }
@@ -90,6 +118,77 @@ async function testUniversalEncoding(encoding, data) {
   }
 }
 
+// Helper function to test a raw application/octet-stream upload
+async function testRawUpload(encoding, data) {
+  try {
+    console.log(`\n=== Testing raw PUT with ${encoding.toUpperCase()} encoding ===`);
+    
+    const response = await axios.put(`${BASE_URL}/upload-${encoding}`, Buffer.from(data, 'utf8'), {
+      params: { fieldname: 'file1', ext: 'txt' },
+      headers: {
+        'Content-Type': 'application/octet-stream'
+      }
+    });
+    
+    console.log(`Status: ${response.status}`);
+    console.log(`Message: ${response.data.message}`);
+    response.data.files.forEach(file => {
+      if (file.success) {
+        console.log(`  ✓ ${file.fieldname}: ${file.size} bytes -> ${file.key}`);
+      } else {
+        console.log(`  ✗ ${file.fieldname}: ${file.error}`);
+      }
+    });
+    
+    return response.data;
+  } catch (error) {
+    console.error(`Error testing raw ${encoding}:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Helper function to test per-part Content-Transfer-Encoding and charset headers
+async function testPerPartHeaders() {
+  try {
+    console.log('\n=== Testing per-part Content-Transfer-Encoding and charset ===');
+    
+    const boundary = 'per-part-boundary';
+    const parts = [
+      ['file1', { 'Content-Transfer-Encoding': 'base64' }, Buffer.from('SGVsbG8gYmFzZTY0')],
+      ['file2', { 'Content-Transfer-Encoding': 'quoted-printable' }, Buffer.from('h=C3=A9llo')],
+      ['file3', { 'Content-Type': 'text/plain; charset=utf-16le' }, Buffer.from('48656c6c6f', 'utf16le')]
+    ];
+    const body = Buffer.concat([
+      ...parts.map(([name, headers, content]) => Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n`),
+        Buffer.from(Object.entries(headers).map(([key, value]) => `${key}: ${value}\r\n`).join('')),
+        Buffer.from('\r\n'),
+        content,
+        Buffer.from('\r\n')
+      ])),
+      Buffer.from(`--${boundary}--\r\n`)
+    ]);
+    
+    const response = await axios.post(`${BASE_URL}/upload-hex`, body, {
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+    
+    console.log(`Status: ${response.status}`);
+    response.data.files.forEach(file => {
+      if (file.success) {
+        console.log(`  ✓ ${file.fieldname}: ${file.encoding} via ${file.encodingSource}, charset ${file.charset} -> ${file.size} bytes`);
+      } else {
+        console.log(`  ✗ ${file.fieldname}: ${file.error}`);
+      }
+    });
+    
+    return response.data;
+  } catch (error) {
+    console.error('Error testing per-part headers:', error.response?.data || error.message);
+    return null;
+  }
+}
+
 // Helper function to test health endpoint
 async function testHealth() {
   try {
@@ -102,74 +201,832 @@ async function testHealth() {
   }
 }
 
+// Helper function to test the stored file retrieval endpoints
+async function testFileRetrieval() {
+  try {
+    console.log('\n=== Testing File Retrieval Endpoints ===');
+    
+    const original = Buffer.from('Retrieval round-trip test', 'utf8');
+    const formData = new FormData();
+    formData.append('file1', new Blob([original]), 'retrieval.txt');
+    
+    const upload = await axios.post(`${BASE_URL}/upload-base64`, formData);
+    const stored = upload.data.files[0];
+    console.log(`Uploaded ${stored.id}`);
+    
+    const listing = await axios.get(`${BASE_URL}/files`, { params: { fieldname: 'file1', limit: 10 } });
+    const listed = listing.data.files.some(file => file.id === stored.id);
+    console.log(`  ${listed ? '✓' : '✗'} Listed in /files (${listing.data.total} total)`);
+    
+    const raw = await axios.get(`${BASE_URL}${stored.url}`, { responseType: 'arraybuffer' });
+    const rawMatches = Buffer.from(raw.data).equals(original);
+    console.log(`  ${rawMatches ? '✓' : '✗'} Raw download matches uploaded bytes`);
+    
+    const hex = await axios.get(`${BASE_URL}${stored.url}`, { params: { encoding: 'hex' }, responseType: 'text' });
+    const hexMatches = hex.data === original.toString('hex');
+    console.log(`  ${hexMatches ? '✓' : '✗'} Hex re-encoding matches`);
+    
+    const partial = await axios.get(`${BASE_URL}${stored.url}`, {
+      headers: { Range: 'bytes=0-9' },
+      responseType: 'arraybuffer'
+    });
+    const rangeMatches = partial.status === 206 && Buffer.from(partial.data).equals(original.subarray(0, 10));
+    console.log(`  ${rangeMatches ? '✓' : '✗'} Range request returned ${partial.status} ${partial.headers['content-range']}`);
+  } catch (error) {
+    console.error('Error testing file retrieval:', error.response?.data || error.message);
+  }
+}
+
+// Splits a multipart body into { headers, body } parts (headers lowercased)
+function splitMultipart(body, boundary) {
+  return body.split(`--${boundary}`).slice(1, -1).map(section => {
+    const [head, ...rest] = section.replace(/^\r\n/, '').split('\r\n\r\n');
+    const headers = {};
+    head.split('\r\n').filter(Boolean).forEach(line => {
+      const colon = line.indexOf(':');
+      headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    return { headers: headers, body: rest.join('\r\n\r\n').replace(/\r\n$/, '') };
+  });
+}
+
+// Sends a GET over a plain socket and resolves with the raw response, so the
+// chunked framing can be checked
+function rawGet(urlPath) {
+  const url = new URL(urlPath, BASE_URL);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const socket = net.connect(Number(url.port), url.hostname, () => {
+      const apiKey = API_KEY ? `X-API-Key: ${API_KEY}\r\n` : '';
+      socket.write(`GET ${url.pathname}${url.search} HTTP/1.1\r\nHost: ${url.host}\r\n${apiKey}Connection: close\r\n\r\n`);
+    });
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => resolve(Buffer.concat(chunks).toString('latin1')));
+    socket.on('error', reject);
+  });
+}
+
+async function testResponseModes() {
+  try {
+    console.log('\n=== Testing Multipart and Chunked Responses ===');
+    
+    const original = 'abcdefghijklmnopqrstuvwxyz';
+    const upload = await axios.post(`${BASE_URL}/upload-hex`, { file1: Buffer.from(original).toString('hex'), file1_ext: 'txt' });
+    const url = upload.data.files[0].url;
+    
+    const ranges = await axios.get(`${BASE_URL}${url}`, { params: { boundary: 'range-test' }, headers: { Range: 'bytes=0-3,10-12' }, responseType: 'text' });
+    const rangeParts = splitMultipart(ranges.data, 'range-test');
+    const byteranges = ranges.status === 206 && ranges.headers['content-type'] === 'multipart/byteranges; boundary=range-test' &&
+      rangeParts.map(part => part.body).join() === 'abcd,klm' && rangeParts[1].headers['content-range'] === 'bytes 10-12/26';
+    console.log(`  ${byteranges ? '✓' : '✗'} Multi-range request answered with ${rangeParts.length} byteranges parts`);
+    
+    const chunked = await rawGet(`${url}?chunkSize=10`);
+    const framed = /\r\ntransfer-encoding: chunked\r\n/i.test(chunked) && chunked.endsWith('\r\n\r\na\r\nabcdefghij\r\na\r\nklmnopqrst\r\n6\r\nuvwxyz\r\n0\r\n\r\n');
+    console.log(`  ${framed ? '✓' : '✗'} Chunked download sent in 10 byte chunks`);
+    
+    // Echo with per-part transfer encodings, then nested
+    const form = new FormData();
+    form.append('note', 'plain text');
+    form.append('file1', new Blob([Buffer.from([0, 1, 2, 255])], { type: 'application/x-test' }), 'bytes.bin');
+    const echo = await axios.post(`${BASE_URL}/echo`, form, { params: { boundary: 'echo-test', transferEncoding: 'binary,base64' }, responseType: 'text' });
+    const echoParts = splitMultipart(echo.data, 'echo-test');
+    const echoed = echoParts.length === 2 && echoParts[0].body === 'plain text' &&
+      echoParts[1].headers['content-transfer-encoding'] === 'base64' && echoParts[1].headers['content-type'] === 'application/x-test' &&
+      Buffer.from(echoParts[1].body, 'base64').equals(Buffer.from([0, 1, 2, 255]));
+    console.log(`  ${echoed ? '✓' : '✗'} Echoed ${echoParts.length} parts with transfer encodings ${echoParts.map(part => part.headers['content-transfer-encoding']).join(', ')}`);
+    
+    const nested = await axios.post(`${BASE_URL}/echo`, { file1: 'nested' }, { params: { nested: 'true', boundary: 'outer', nestedBoundary: 'inner', transferEncoding: 'hex' }, responseType: 'text' });
+    const [summary, inner] = splitMultipart(nested.data, 'outer');
+    const innerParts = splitMultipart(inner.body, 'inner');
+    const isNested = JSON.parse(summary.body).parts[0].name === 'file1' && inner.headers['content-type'] === 'multipart/mixed; boundary=inner' &&
+      innerParts[0].body === Buffer.from('nested').toString('hex');
+    console.log(`  ${isNested ? '✓' : '✗'} Nested multipart/mixed echo`);
+    
+    const listed = await axios.get(`${BASE_URL}/files`, { params: { format: 'mixed', limit: 1, boundary: 'listing' }, responseType: 'text' });
+    const listedParts = splitMultipart(listed.data, 'listing');
+    console.log(`  ${listedParts.length === 1 && listedParts[0].body === original ? '✓' : '✗'} File listing sent as multipart/mixed`);
+    
+    const collision = await axios.post(`${BASE_URL}/echo`, { file1: '--clash' }, { params: { boundary: 'clash' }, validateStatus: () => true });
+    console.log(`  ${collision.status === 400 ? '✓' : '✗'} Boundary found in a part rejected: ${collision.data.error}`);
+  } catch (error) {
+    console.error('Error testing response modes:', error.response?.data || error.message);
+  }
+}
+
+async function testStreamingUpload() {
+  try {
+    console.log('\n=== Testing Streaming Uploads ===');
+    
+    // Large enough to span many chunks, so group boundaries fall mid-chunk
+    const original = Buffer.alloc(8 * 1024 * 1024 + 5);
+    for (let i = 0; i < original.length; i++) {
+      original[i] = (i * 7 + (i >> 10)) & 0xFF;
+    }
+    
+    const formData = new FormData();
+    formData.append('file1', original.toString('base64'));
+    formData.append('file1_ext', 'bin');
+    
+    const multipart = await axios.post(`${BASE_URL}/upload-base64`, formData);
+    const stored = multipart.data.files[0];
+    const download = await axios.get(`${BASE_URL}${stored.url}`, { responseType: 'arraybuffer' });
+    const multipartMatches = stored.success && Buffer.from(download.data).equals(original);
+    console.log(`  ${multipartMatches ? '✓' : '✗'} Multipart base64 field decoded to ${stored.size} bytes`);
+    console.log(`  ${typeof multipart.data.fields.file1 === 'string' && multipart.data.fields.file1.startsWith('[') ? '✓' : '✗'} Large field echoed as ${multipart.data.fields.file1}`);
+    
+    const raw = await axios.put(`${BASE_URL}/upload-hex`, Buffer.from(original.toString('hex'), 'utf8'), {
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    const rawStored = raw.data.files[0];
+    const rawDownload = await axios.get(`${BASE_URL}${rawStored.url}`, { responseType: 'arraybuffer' });
+    const rawMatches = rawStored.success && Buffer.from(rawDownload.data).equals(original);
+    console.log(`  ${rawMatches ? '✓' : '✗'} Raw hex body decoded to ${rawStored.size} bytes`);
+  } catch (error) {
+    console.error('Error testing streaming uploads:', error.response?.data || error.message);
+  }
+}
+
+async function testResumableUpload() {
+  try {
+    console.log('\n=== Testing Resumable Uploads ===');
+    
+    const original = Buffer.from('Resumable upload assembled from chunks', 'utf8');
+    const session = await axios.post(`${BASE_URL}/uploads`, { encoding: 'base64', ext: 'txt' }, {
+      headers: { 'Upload-Length': String(original.length) }
+    });
+    console.log(`Created session ${session.data.id}`);
+    
+    // Each chunk is sent in a different encoding
+    const chunks = [
+      { encoding: 'base64', bytes: original.subarray(0, 12) },
+      { encoding: 'hex', bytes: original.subarray(12, 25) },
+      { encoding: 'utf8', bytes: original.subarray(25) }
+    ];
+    let offset = 0;
+    let expected = 0;
+    for (const chunk of chunks) {
+      expected += chunk.bytes.length;
+      const patch = await axios.patch(`${BASE_URL}${session.data.url}`, Buffer.from(encodeBuffer(chunk.bytes, chunk.encoding), 'utf8'), {
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset),
+          'Upload-Encoding': chunk.encoding
+        }
+      });
+      offset = Number(patch.headers['upload-offset']);
+      console.log(`  ${offset === expected ? '✓' : '✗'} ${chunk.encoding} chunk accepted, offset now ${offset}`);
+    }
+    
+    const stale = await axios.patch(`${BASE_URL}${session.data.url}`, Buffer.from('AA==', 'utf8'), {
+      headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+      validateStatus: () => true
+    });
+    console.log(`  ${stale.status === 409 ? '✓' : '✗'} Stale offset rejected with ${stale.status}`);
+    
+    const head = await axios.head(`${BASE_URL}${session.data.url}`);
+    console.log(`  ${Number(head.headers['upload-offset']) === original.length ? '✓' : '✗'} HEAD reports offset ${head.headers['upload-offset']}`);
+    
+    const finalized = await axios.post(`${BASE_URL}${session.data.url}/finalize`);
+    const stored = finalized.data.files[0];
+    const download = await axios.get(`${BASE_URL}${stored.url}`, { responseType: 'arraybuffer' });
+    const matches = Buffer.from(download.data).equals(original);
+    console.log(`  ${matches ? '✓' : '✗'} Finalized as ${stored.id}`);
+  } catch (error) {
+    console.error('Error testing resumable uploads:', error.response?.data || error.message);
+  }
+}
+
+async function testContentSniffing() {
+  try {
+    console.log('\n=== Testing Content Sniffing ===');
+    
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const pdf = Buffer.from('%PDF-1.4\n%test\n', 'latin1');
+    
+    // No extension given: the type is detected from the decoded bytes
+    const detected = await axios.post(`${BASE_URL}/upload-hex`, { file1: png.toString('hex') });
+    const detectedFile = detected.data.files[0];
+    const named = detectedFile.detectedType === 'image/png' && detectedFile.id.endsWith('.png');
+    console.log(`  ${named ? '✓' : '✗'} Hex upload detected as ${detectedFile.detectedType} and stored as ${detectedFile.id}`);
+    
+    // Declared png, actually pdf: reported, then rejected in strict mode
+    const body = { file1: pdf.toString('base64'), file1_ext: 'png' };
+    const lenient = await axios.post(`${BASE_URL}/upload-base64`, body);
+    const lenientFile = lenient.data.files[0];
+    console.log(`  ${lenientFile.success && lenientFile.mismatch ? '✓' : '✗'} Mismatch reported: declared ${lenientFile.declaredType}, detected ${lenientFile.detectedType}`);
+    
+    const strict = await axios.post(`${BASE_URL}/upload-base64`, Object.assign({ strict: 'true' }, body));
+    const strictFile = strict.data.files[0];
+    console.log(`  ${!strictFile.success && strictFile.mismatch ? '✓' : '✗'} Strict mode rejected: ${strictFile.error}`);
+    
+    // Multipart file parts are checked against their Content-Type
+    const formData = new FormData();
+    formData.append('document', new Blob([pdf], { type: 'image/jpeg' }), 'scan.jpg');
+    const upload = await axios.post(`${BASE_URL}/upload`, formData);
+    const uploadFile = upload.data.files[0];
+    console.log(`  ${uploadFile.mismatch ? '✓' : '✗'} /upload part declared ${uploadFile.declaredType}, detected ${uploadFile.detectedType}`);
+  } catch (error) {
+    console.error('Error testing content sniffing:', error.response?.data || error.message);
+  }
+}
+
+async function testIntegrity() {
+  try {
+    console.log('\n=== Testing Integrity Verification ===');
+    
+    const payload = Buffer.from(`integrity check ${Date.now()}`);
+    const sha256 = crypto.createHash('sha256').update(payload).digest('hex');
+    const md5 = crypto.createHash('md5').update(payload).digest('base64');
+    
+    // Matching checksum fields: verified, and digests reported
+    const good = await axios.post(`${BASE_URL}/upload-base64`, { file1: payload.toString('base64'), file1_sha256: sha256 });
+    const goodFile = good.data.files[0];
+    const verified = goodFile.success && goodFile.verified === true && goodFile.digests.sha256 === sha256;
+    console.log(`  ${verified ? '✓' : '✗'} Matching sha256 verified (${goodFile.digests && goodFile.digests.sha256})`);
+    
+    // A wrong checksum fails that file only
+    const bad = await axios.post(`${BASE_URL}/upload-hex`, { file1: payload.toString('hex'), file1_md5: '0'.repeat(32) });
+    const badFile = bad.data.files[0];
+    console.log(`  ${!badFile.success && badFile.verified === false ? '✓' : '✗'} Mismatched md5 rejected: ${badFile.error}`);
+    
+    // Content-Digest header on a raw PUT
+    const raw = await axios.put(`${BASE_URL}/upload-hex`, payload.toString('hex'), {
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Digest': `sha-256=:${Buffer.from(sha256, 'hex').toString('base64')}:` }
+    });
+    console.log(`  ${raw.data.files[0].verified === true ? '✓' : '✗'} Content-Digest header verified on raw PUT`);
+    
+    // Content-MD5 header on a multipart file part
+    const boundary = '----integrity-boundary';
+    const multipart = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file1"; filename="check.txt"\r\nContent-Type: text/plain\r\nContent-MD5: ${md5}\r\n\r\n`),
+      payload,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    const part = await axios.post(`${BASE_URL}/upload`, multipart, {
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+    console.log(`  ${part.data.files[0].verified === true ? '✓' : '✗'} Content-MD5 part header verified`);
+    
+    // Content-addressed storage: the second identical upload is deduplicated
+    const first = await axios.post(`${BASE_URL}/upload-base64?dedupe=true`, { file1: payload.toString('base64') });
+    const second = await axios.post(`${BASE_URL}/upload-base64?dedupe=true`, { file1: payload.toString('base64') });
+    const deduped = first.data.files[0].deduplicated === false && second.data.files[0].deduplicated === true;
+    console.log(`  ${deduped ? '✓' : '✗'} Identical payload deduplicated on second upload`);
+  } catch (error) {
+    console.error('Error testing integrity verification:', error.response?.data || error.message);
+  }
+}
+
+async function testInspect() {
+  try {
+    console.log('\n=== Testing Payload Inspection ===');
+    
+    const before = await axios.get(`${BASE_URL}/files?limit=1000`);
+    
+    // No encoding given: hex is the most likely reading of a hex string
+    const detected = await axios.post(`${BASE_URL}/inspect`, { file1: Buffer.from('Hello').toString('hex') });
+    const hexField = detected.data.fields[0];
+    const ranked = hexField.encoding === 'hex' && hexField.candidates[0].encoding === 'hex' && hexField.preview.ascii === 'Hello';
+    console.log(`  ${ranked ? '✓' : '✗'} Detected ${hexField.encoding} (candidates: ${hexField.candidates.map(c => c.encoding).slice(0, 3).join(', ')}...)`);
+    
+    // Broken base64: every invalid character and the padding problem reported
+    const broken = await axios.post(`${BASE_URL}/inspect?encoding=base64`, { file1: 'SGVs*bG8!V29ybGQ' });
+    const brokenField = broken.data.fields[0];
+    const positions = brokenField.invalidCharacters.map(c => c.position).join(',');
+    console.log(`  ${!brokenField.valid && positions === '4,8' ? '✓' : '✗'} Invalid characters at ${positions}: ${brokenField.error}`);
+    
+    const unpadded = await axios.post(`${BASE_URL}/inspect?encoding=base64`, { file1: 'SGVsbG8' });
+    const padding = unpadded.data.fields[0].padding;
+    console.log(`  ${padding.expected === 1 && padding.problems.length === 1 ? '✓' : '✗'} Padding problem: ${padding.problems.join('; ')}`);
+    
+    const reencoded = await axios.post(`${BASE_URL}/inspect?encoding=base32`, { file1: 'jbswy3dp' });
+    const reencodedField = reencoded.data.fields[0];
+    console.log(`  ${reencodedField.roundTrip && reencodedField.reencoded === 'JBSWY3DP' ? '✓' : '✗'} Re-encoded as ${reencodedField.reencoded}`);
+    
+    // Dry run: nothing stored
+    const after = await axios.get(`${BASE_URL}/files?limit=1000`);
+    console.log(`  ${after.data.total === before.data.total ? '✓' : '✗'} Nothing stored (${after.data.total} files before and after)`);
+  } catch (error) {
+    console.error('Error testing payload inspection:', error.response?.data || error.message);
+  }
+}
+
+async function testValidation() {
+  try {
+    console.log('\n=== Testing Multipart Validation ===');
+    
+    const form = new FormData();
+    form.append('note', 'conforming');
+    form.append('file1', new Blob(['conforming file']), 'valid.txt');
+    const valid = await axios.post(`${BASE_URL}/validate-multipart`, form);
+    console.log(`  ${valid.data.valid && valid.data.parts.length === 2 && valid.data.counts.error === 0 ? '✓' : '✗'} FormData body conforms (${valid.data.parts.length} parts, ${valid.data.counts.warning} warning(s))`);
+    
+    // Preamble, a bare LF after the first delimiter, a part without a name,
+    // filename* without a fallback, a repeated name and no close delimiter
+    const boundary = 'validation-boundary';
+    const body = Buffer.from([
+      'preamble\r\n',
+      `--${boundary}\n`,
+      'Content-Disposition: form-data\r\n\r\n',
+      'nameless\r\n',
+      `--${boundary}\r\n`,
+      'Content-Disposition: form-data; name="file1"; filename*=utf-8\'\'%E2%82%AC.txt\r\n\r\n',
+      'euro\r\n',
+      `--${boundary}\r\n`,
+      'Content-Disposition: form-data; name="file1"\r\n\r\n',
+      'repeated'
+    ].join(''));
+    const contentType = `multipart/form-data; boundary=${boundary}`;
+    const invalid = await axios.post(`${BASE_URL}/validate-multipart`, body, { headers: { 'Content-Type': contentType } });
+    const finding = (code) => invalid.data.findings.find(item => item.code === code);
+    const bareLf = body.indexOf(`--${boundary}\n`) + boundary.length + 2;
+    console.log(`  ${!invalid.data.valid && finding('bare-lf') && finding('bare-lf').offset === bareLf ? '✓' : '✗'} Bare LF found at byte ${finding('bare-lf') ? finding('bare-lf').offset : '-'}`);
+    console.log(`  ${finding('preamble') && finding('missing-name') && finding('missing-name').part === 0 ? '✓' : '✗'} Preamble and nameless part reported`);
+    console.log(`  ${finding('filename-star') && invalid.data.parts[1].filename === '€.txt' ? '✓' : '✗'} filename* flagged and decoded as ${invalid.data.parts[1].filename}`);
+    console.log(`  ${finding('duplicate-name') && finding('missing-close-delimiter') && finding('missing-close-delimiter').offset === body.length ? '✓' : '✗'} Repeated name and missing close delimiter reported`);
+    
+    const strict = await axios.post(`${BASE_URL}/upload?strictMultipart=true`, body, { headers: { 'Content-Type': contentType }, validateStatus: () => true });
+    console.log(`  ${strict.status === 400 && strict.data.report && strict.data.report.counts.error === invalid.data.counts.error ? '✓' : '✗'} Strict upload rejected with ${strict.status}: ${strict.data.error}`);
+  } catch (error) {
+    console.error('Error testing multipart validation:', error.response?.data || error.message);
+  }
+}
+
+async function testTranscoding() {
+  try {
+    console.log('\n=== Testing Charset Transcoding ===');
+    
+    // Shift_JIS text declared with file1_charset is stored as UTF-8
+    const shiftJis = Buffer.from('93fa967b8cea', 'hex'); // 日本語
+    const sjis = await axios.post(`${BASE_URL}/upload-base64`, { file1: shiftJis.toString('base64'), file1_charset: 'shift_jis', file1_ext: 'txt' });
+    const sjisFile = sjis.data.files[0];
+    const stored = (await axios.get(`${BASE_URL}${sjisFile.url}`, { responseType: 'text' })).data;
+    console.log(`  ${stored === '日本語' ? '✓' : '✗'} Shift_JIS stored as UTF-8: ${stored} (${sjisFile.size} bytes)`);
+    
+    // A UTF-16BE byte order mark overrides the declared charset
+    const utf16 = Buffer.from('feff00630061006600e9', 'hex'); // café
+    const bom = await axios.post(`${BASE_URL}/upload-hex`, { file1: utf16.toString('hex'), file1_charset: 'latin1' });
+    const bomFile = bom.data.files[0];
+    const bomReport = bomFile.transcoding;
+    const bomStored = (await axios.get(`${BASE_URL}${bomFile.url}`, { responseType: 'text' })).data;
+    console.log(`  ${bomReport.bom === 'utf-16be' && bomStored === 'café' ? '✓' : '✗'} BOM detected: ${bomReport.sourceCharset} instead of ${bomReport.declaredCharset}`);
+    
+    // NFC normalization and characters the target cannot represent
+    const decomposed = Buffer.from('cafe\u0301 日', 'utf8');
+    const latin = await axios.post(`${BASE_URL}/upload-hex?targetCharset=latin1&normalize=NFC`, { file1: decomposed.toString('hex') });
+    const latinReport = latin.data.files[0].transcoding;
+    const lost = latinReport.unrepresentable.characters.map(c => c.codePoint).join(',');
+    console.log(`  ${latin.data.files[0].size === 6 && lost === 'U+65E5' ? '✓' : '✗'} NFC to latin1 reported unrepresentable ${lost}`);
+    
+    // Binary content is left alone even when a target charset is requested
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const binary = await axios.post(`${BASE_URL}/upload-hex?targetCharset=utf-16le`, { file1: png.toString('hex') });
+    const binaryFile = binary.data.files[0];
+    console.log(`  ${!binaryFile.transcoding.transcoded && binaryFile.size === png.length ? '✓' : '✗'} Binary content stored unchanged`);
+  } catch (error) {
+    console.error('Error testing charset transcoding:', error.response?.data || error.message);
+  }
+}
+
 // Helper function to clean up test files
+async function testCompression() {
+  try {
+    console.log('\n=== Testing Compressed Fields and Bodies ===');
+    
+    const text = 'Compressed before encoding. '.repeat(40);
+    const field = await axios.post(`${BASE_URL}/upload-base64`, {
+      file1: zlib.gzipSync(text).toString('base64'),
+      file1_compression: 'gzip',
+      file1_ext: 'txt'
+    });
+    const gzipped = field.data.files[0];
+    const stored = await axios.get(`${BASE_URL}${gzipped.url}`, { responseType: 'text' });
+    console.log(`  ${gzipped.success && stored.data === text && gzipped.compressedSize < gzipped.size ? '✓' : '✗'} gzip field: ${gzipped.encodedSize} encoded, ${gzipped.compressedSize} compressed, ${gzipped.size} stored bytes`);
+    
+    const layered = await axios.post(`${BASE_URL}/upload-hex`, {
+      file1: zlib.gzipSync(zlib.brotliCompressSync(text)).toString('hex'),
+      file1_compression: 'br, gzip'
+    });
+    console.log(`  ${layered.data.files[0].success && layered.data.files[0].size === text.length ? '✓' : '✗'} Layered brotli and gzip undone (${layered.data.files[0].compression.join(', ')})`);
+    
+    const bomb = await axios.post(`${BASE_URL}/upload-base64`, {
+      file1: zlib.gzipSync(Buffer.alloc(8 * 1024 * 1024)).toString('base64'),
+      file1_compression: 'gzip'
+    });
+    console.log(`  ${!bomb.data.files[0].success ? '✓' : '✗'} Decompression bomb field rejected: ${bomb.data.files[0].error}`);
+    
+    const body = await axios.put(`${BASE_URL}/upload-base64`, zlib.deflateSync(Buffer.from(text).toString('base64')), {
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Encoding': 'deflate' }
+    });
+    const raw = body.data.files[0];
+    console.log(`  ${raw.success && raw.size === text.length && raw.contentEncoding.bytesOut === raw.encodedSize ? '✓' : '✗'} Deflated request body: ${raw.contentEncoding.bytesIn} -> ${raw.contentEncoding.bytesOut} bytes`);
+    
+    const corrupt = await axios.post(`${BASE_URL}/upload-base64`, Buffer.from('not gzip'), {
+      headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' },
+      validateStatus: () => true
+    });
+    const unsupported = await axios.post(`${BASE_URL}/upload-base64`, Buffer.from('{}'), {
+      headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'lzma' },
+      validateStatus: () => true
+    });
+    console.log(`  ${corrupt.status === 400 && unsupported.status === 415 ? '✓' : '✗'} Corrupt and unsupported bodies answered ${corrupt.status} and ${unsupported.status}`);
+  } catch (error) {
+    console.error('Error testing compression:', error.response?.data || error.message);
+  }
+}
+
+// Builds a ustar archive from { name, content, type ('0' file, '5' directory,
+// '2' symbolic link), linkname } entries
+function createTar(entries) {
+  const blocks = [];
+  entries.forEach(entry => {
+    const content = Buffer.from(entry.content || '');
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, 100, 'utf8');
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${content.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+    header.write(entry.type || '0', 156);
+    header.write(entry.linkname || '', 157, 100);
+    header.write('ustar\x0000', 257, 'latin1');
+    header.fill(0x20, 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, content, Buffer.alloc((512 - content.length % 512) % 512));
+  });
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+async function testArchives() {
+  try {
+    console.log('\n=== Testing Archive Extraction ===');
+    
+    const fixture = 'fixture contents\n';
+    const bundle = zlib.gzipSync(createTar([
+      { name: 'fixtures/', type: '5' },
+      { name: 'fixtures/one.txt', content: fixture },
+      { name: 'fixtures/two.json', content: '{"two":2}' }
+    ]));
+    const stored = await axios.post(`${BASE_URL}/upload-base64?extract=store`, { file1: bundle.toString('base64') });
+    const archive = stored.data.files[0].archive;
+    const one = archive.entries.find(entry => entry.path === 'fixtures/one.txt');
+    const digestMatches = one && one.digests.sha256 === crypto.createHash('sha256').update(fixture).digest('hex');
+    console.log(`  ${archive.format === 'tar.gz' && archive.entryCount === 3 && digestMatches ? '✓' : '✗'} tar.gz manifest: ${archive.entries.map(entry => `${entry.path} (${entry.size})`).join(', ')}`);
+    
+    const extracted = await axios.get(`${BASE_URL}${one.url}`, { responseType: 'text' });
+    const record = await axios.get(`${BASE_URL}${one.url}/metadata`);
+    console.log(`  ${extracted.data === fixture && record.data.archive.id === stored.data.files[0].id && record.data.originalName === one.path ? '✓' : '✗'} Entry stored as ${one.id}, linked to its archive`);
+    
+    const form = new FormData();
+    form.append('file1', new Blob([createTar([{ name: 'listed.txt', content: 'listed' }])]), 'listed.tar');
+    form.append('file2', new Blob(['not an archive']), 'plain.txt');
+    const listed = await axios.post(`${BASE_URL}/upload?extract=list`, form);
+    const listedEntry = listed.data.files[0].archive.entries[0];
+    console.log(`  ${listedEntry.path === 'listed.txt' && !listedEntry.id && listed.data.files[1].success && !listed.data.files[1].archive ? '✓' : '✗'} Listed without storing entries; plain files stored as usual`);
+    
+    const unsafe = new FormData();
+    unsafe.append('file1', new Blob([createTar([{ name: 'fixtures/../../escape.txt', content: 'x' }])]), 'slip.tar');
+    unsafe.append('file2', new Blob([createTar([{ name: 'passwd', type: '2', linkname: '/etc/passwd' }])]), 'link.tar');
+    const rejected = await axios.post(`${BASE_URL}/upload?extract=store`, unsafe);
+    const errors = rejected.data.files.map(file => file.error || '');
+    console.log(`  ${!rejected.data.files.some(file => file.success) && errors[0].includes('outside') && errors[1].includes('link') ? '✓' : '✗'} Zip slip and symlink archives rejected`);
+  } catch (error) {
+    console.error('Error testing archive extraction:', error.response?.data || error.message);
+  }
+}
+
+async function testStorage() {
+  try {
+    console.log('\n=== Testing Storage Backend ===');
+    
+    const health = await axios.get(`${BASE_URL}/health`);
+    const backend = health.data.storage;
+    
+    // Results name the storage key, never a server path
+    const payload = Buffer.from('stored through the storage backend');
+    const upload = await axios.post(`${BASE_URL}/upload-base64`, { file1: payload.toString('base64'), file1_ext: 'txt' });
+    const file = upload.data.files[0];
+    const keyed = file.storage === backend && file.key.endsWith(file.id) && !('path' in file);
+    console.log(`  ${keyed ? '✓' : '✗'} Stored in ${backend} as ${file.key}`);
+    
+    // Listed and downloaded (whole and by range) from the same backend
+    const listing = await axios.get(`${BASE_URL}/files?fieldname=file1&limit=1000`);
+    console.log(`  ${listing.data.files.some(f => f.id === file.id) ? '✓' : '✗'} Listed by /files`);
+    
+    const download = await axios.get(`${BASE_URL}${file.url}`, { responseType: 'arraybuffer' });
+    const range = await axios.get(`${BASE_URL}${file.url}`, { responseType: 'arraybuffer', headers: { Range: 'bytes=7-13' } });
+    const intact = Buffer.from(download.data).equals(payload) && Buffer.from(range.data).toString() === 'through';
+    console.log(`  ${intact ? '✓' : '✗'} Downloaded ${download.data.byteLength} bytes, range: ${Buffer.from(range.data).toString()}`);
+  } catch (error) {
+    console.error('Error testing storage backend:', error.response?.data || error.message);
+  }
+}
+
+async function testMetadata() {
+  try {
+    console.log('\n=== Testing Upload Metadata ===');
+    
+    // Two parts with the same field name in one request both survive
+    const form = new FormData();
+    form.append('file1', new Blob(['first part'], { type: 'text/plain' }), '../../etc/report.t;xt');
+    form.append('file1', new Blob(['second part'], { type: 'text/plain' }), 'report.txt');
+    form.append('note', 'quarterly');
+    const upload = await axios.post(`${BASE_URL}/upload`, form, { headers: { 'X-Request-Id': 'metadata-test-1' } });
+    const [first, second] = upload.data.files;
+    const distinct = first.id !== second.id && /^[0-9A-Z]{26}-file1-multipart\.txt$/.test(first.id);
+    console.log(`  ${distinct ? '✓' : '✗'} Same-name parts stored as ${first.id} and ${second.id}`);
+    
+    // The record keeps the original name and request context
+    const record = (await axios.get(`${BASE_URL}/files/${encodeURIComponent(first.id)}/metadata`)).data;
+    const complete = record.originalName === '../../etc/report.t;xt' && record.requestId === 'metadata-test-1' &&
+      record.fields.note === 'quarterly' && record.detectedType === 'text/plain' && record.size === 10 && Boolean(record.clientIp);
+    console.log(`  ${complete ? '✓' : '✗'} Metadata recorded: ${record.originalName}, request ${record.requestId}, fields ${JSON.stringify(record.fields)}`);
+    
+    // Encoded fields get a record too; unknown files have none
+    const encoded = await axios.post(`${BASE_URL}/upload-hex`, { file1: '68656c6c6f', file1_ext: '../x' });
+    const encodedRecord = (await axios.get(`${BASE_URL}/files/${encodeURIComponent(encoded.data.files[0].id)}/metadata`)).data;
+    const sanitized = encoded.data.files[0].id.endsWith('-file1-hex.x') && encodedRecord.originalSize === 10;
+    console.log(`  ${sanitized ? '✓' : '✗'} Sanitized extension and recorded encoded field (${encodedRecord.encoding}, ${encodedRecord.originalSize} -> ${encodedRecord.size} bytes)`);
+    
+    const missing = await axios.get(`${BASE_URL}/files/01ARZ3NDEKTSV4RRFFQ69G5FAV-none-hex.bin/metadata`, { validateStatus: () => true });
+    console.log(`  ${missing.status === 404 ? '✓' : '✗'} Unknown file answers ${missing.status}`);
+  } catch (error) {
+    console.error('Error testing upload metadata:', error.response?.data || error.message);
+  }
+}
+
+async function testRetention() {
+  try {
+    console.log('\n=== Testing Retention and Admin API ===');
+    
+    const status = await axios.get(`${BASE_URL}/admin/retention`);
+    console.log(`  ${status.data.usage.files > 0 ? '✓' : '✗'} Usage: ${status.data.usage.files} files, ${status.data.usage.bytes} bytes`);
+    
+    // Uploads tagged through a header and a field; deleting by one tag only
+    // removes the files carrying it
+    const keep = await axios.post(`${BASE_URL}/upload-hex`, { file1: '6b656570', tags: 'retention-keep' });
+    const drop = await axios.post(`${BASE_URL}/upload-hex`, { file1: '64726f70', file2: '64726f70' }, { headers: { 'X-Upload-Tags': 'retention-drop, other' } });
+    const byTag = await axios.delete(`${BASE_URL}/admin/files`, { params: { tag: 'retention-drop' } });
+    const dropped = drop.data.files.map(file => file.id).sort().join(',') === byTag.data.deleted.sort().join(',');
+    console.log(`  ${dropped ? '✓' : '✗'} Deleted ${byTag.data.deleted.length} file(s) by tag`);
+    
+    const keptId = keep.data.files[0].id;
+    const kept = await axios.get(`${BASE_URL}/files/${encodeURIComponent(keptId)}`, { validateStatus: () => true });
+    const record = (await axios.get(`${BASE_URL}/files/${encodeURIComponent(keptId)}/metadata`)).data;
+    console.log(`  ${kept.status === 200 && record.runId === RUN_ID && record.tags.join() === 'retention-keep' ? '✓' : '✗'} Other files kept (run ${record.runId}, tags ${record.tags})`);
+    
+    // Single file deletion, then 404 for the file and its metadata
+    const single = await axios.delete(`${BASE_URL}/admin/files/${encodeURIComponent(keptId)}`);
+    const gone = await axios.get(`${BASE_URL}/files/${encodeURIComponent(keptId)}/metadata`, { validateStatus: () => true });
+    console.log(`  ${single.data.deleted[0] === keptId && gone.status === 404 ? '✓' : '✗'} Deleted ${keptId}`);
+    
+    const unfiltered = await axios.delete(`${BASE_URL}/admin/files`, { validateStatus: () => true });
+    const badTag = await axios.post(`${BASE_URL}/upload-hex`, { file1: '00', tags: 'no spaces' }, { validateStatus: () => true });
+    console.log(`  ${unfiltered.status === 400 && badTag.status === 400 ? '✓' : '✗'} Unfiltered delete and malformed tag rejected: ${badTag.data.error}`);
+  } catch (error) {
+    console.error('Error testing retention:', error.response?.data || error.message);
+  }
+}
+
+// Faults requested with X-Fault headers (when the server honours them)
+async function testHeaderFaults() {
+  const unavailable = await axios.post(`${BASE_URL}/upload-hex`, { file1: '00' }, { headers: { 'X-Fault': 'status;status=503;retryAfter=5' }, validateStatus: () => true });
+  console.log(`  ${unavailable.status === 503 && unavailable.headers['retry-after'] === '5' ? '✓' : '✗'} Injected ${unavailable.status} with Retry-After ${unavailable.headers['retry-after']}`);
+  
+  const started = Date.now();
+  const delayed = await axios.get(`${BASE_URL}/health`, { headers: { 'X-Fault': 'latency;ms=300' } });
+  const elapsed = Date.now() - started;
+  console.log(`  ${delayed.status === 200 && elapsed >= 300 ? '✓' : '✗'} Latency delayed the response by ${elapsed}ms`);
+  
+  const truncated = await axios.get(`${BASE_URL}/health`, { headers: { 'X-Fault': 'truncate' }, responseType: 'text' });
+  let parsed = true;
+  try {
+    JSON.parse(truncated.data);
+  } catch (e) {
+    parsed = false;
+  }
+  console.log(`  ${!parsed ? '✓' : '✗'} Truncated JSON body (${truncated.data.length} bytes)`);
+  
+  const dripped = await axios.get(`${BASE_URL}/health`, { headers: { 'X-Fault': 'drip;bytes=512;interval=10' } });
+  console.log(`  ${dripped.data.status === 'healthy' ? '✓' : '✗'} Dripped response arrived whole`);
+  
+  const reset = await axios.get(`${BASE_URL}/health`, { headers: { 'X-Fault': 'reset;phase=response;after=20' } }).then(() => null, error => error);
+  console.log(`  ${reset && !reset.response ? '✓' : '✗'} Connection reset mid-response: ${reset ? reset.code || reset.message : 'not reset'}`);
+  
+  const form = new FormData();
+  form.append('file1', new Blob(['first']), 'first.txt');
+  form.append('file2', new Blob(['second']), 'second.txt');
+  const rejected = await axios.post(`${BASE_URL}/upload`, form, { headers: { 'X-Fault': 'reject-part;index=1' }, validateStatus: () => true });
+  console.log(`  ${rejected.status === 422 ? '✓' : '✗'} Part 1 rejected with ${rejected.status}: ${rejected.data.error}`);
+  
+  const invalid = await axios.get(`${BASE_URL}/health`, { headers: { 'X-Fault': 'meltdown' }, validateStatus: () => true });
+  console.log(`  ${invalid.status === 400 ? '✓' : '✗'} Unknown fault type rejected: ${invalid.data.error}`);
+}
+
+async function testFaults() {
+  try {
+    console.log('\n=== Testing Fault Injection ===');
+    
+    const rules = await axios.get(`${BASE_URL}/admin/faults`);
+    if (rules.data.headerFaults) {
+      await testHeaderFaults();
+    } else {
+      const ignored = await axios.post(`${BASE_URL}/upload-hex`, { file1: '00' }, { headers: { 'X-Fault': 'status;status=503' }, validateStatus: () => true });
+      console.log(`  ${ignored.status === 200 ? '✓' : '✗'} X-Fault header ignored by default (${ignored.status})`);
+      console.log('  - X-Fault headers are off (start the server with FAULT_INJECTION=1 to test them)');
+    }
+    
+    // An admin rule scoped to one encoding fires once, then is gone
+    await axios.post(`${BASE_URL}/admin/faults`, { type: 'status', status: 429, route: '/upload-*', encoding: 'hex', times: 1 });
+    const other = await axios.post(`${BASE_URL}/upload-base64`, { file1: 'AA==' }, { validateStatus: () => true });
+    const limited = await axios.post(`${BASE_URL}/upload-hex`, { file1: '00' }, { validateStatus: () => true });
+    const after = await axios.post(`${BASE_URL}/upload-hex`, { file1: '00' }, { validateStatus: () => true });
+    console.log(`  ${other.status === 200 && limited.status === 429 && after.status === 200 ? '✓' : '✗'} Admin rule answered ${other.status}, ${limited.status}, ${after.status}`);
+    
+    await axios.delete(`${BASE_URL}/admin/faults`);
+  } catch (error) {
+    console.error('Error testing fault injection:', error.response?.data || error.message);
+  }
+}
+
+async function testRecording() {
+  try {
+    console.log('\n=== Testing Request Recording and Replay ===');
+    
+    const health = await axios.get(`${BASE_URL}/health`);
+    if (!health.data.recording) {
+      console.log('  - Recording is off (start the server with RECORD_REQUESTS=1 to test it)');
+      return;
+    }
+    
+    const requestId = `recording-${RUN_ID}`;
+    const form = new FormData();
+    form.append('file1', new Blob(['recorded part']), 'recorded.txt');
+    form.append('file2', '6869');
+    await axios.post(`${BASE_URL}/upload-hex`, form, { headers: { 'X-Request-Id': requestId } });
+    
+    // Entries are written once the response is done
+    let entry;
+    for (let attempt = 0; attempt < 20 && !entry; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      entry = readRecordings(path.join(__dirname, 'uploads', '.recordings', 'requests.jsonl')).entries.find(candidate => candidate.requestId === requestId);
+    }
+    if (!entry) {
+      console.log(`  ✗ No recording found for ${requestId}`);
+      return;
+    }
+    const body = Buffer.from(entry.request.postData.text, 'base64').toString('latin1');
+    const boundary = /boundary=(.+)$/.exec(entry.request.postData.mimeType)[1];
+    const raw = body.startsWith(`--${boundary}`) && body.length === entry.request.bodySize && entry.response.content.files.length === 2;
+    console.log(`  ${raw ? '✓' : '✗'} Recorded ${entry.request.bodySize} raw bytes and ${entry.response.content.files.length} file results`);
+    
+    const replayed = await replayEntry(entry, BASE_URL, API_KEY);
+    const differences = compareResponses(entry.response, replayed);
+    console.log(`  ${replayed.status === 200 && differences.length === 0 ? '✓' : '✗'} Replay matched the recording (${differences.length} differences)`);
+    
+    // A changed outcome is reported per file
+    const altered = JSON.parse(JSON.stringify(entry.response));
+    altered.content.files[1].size += 1;
+    const changed = compareResponses(altered, replayed);
+    console.log(`  ${changed.length === 1 && changed[0].path === 'files.1.size' ? '✓' : '✗'} Changed result reported at ${changed.map(difference => difference.path).join(', ')}`);
+  } catch (error) {
+    console.error('Error testing request recording:', error.response?.data || error.message);
+  }
+}
+
+// Helper function to test request IDs in results, the Prometheus metrics and
+// the liveness and readiness probes
+async function testObservability() {
+  try {
+    console.log('\n=== Testing Request IDs, Metrics and Probes ===');
+    
+    const requestId = `observability-${RUN_ID}`;
+    const upload = await axios.post(`${BASE_URL}/upload-base64`, {
+      file1: Buffer.from('Observed upload').toString('base64'),
+      file2: 'not base64!'
+    }, { headers: { 'X-Request-Id': requestId } });
+    const tagged = upload.data.files.every(file => file.requestId === requestId);
+    console.log(`  ${tagged && upload.headers['x-request-id'] === requestId ? '✓' : '✗'} Request ID echoed in the header and ${upload.data.files.length} file results`);
+    
+    const metrics = await axios.get(`${BASE_URL}/metrics`, { responseType: 'text' });
+    const sample = (pattern) => metrics.data.split('\n').some(line => pattern.test(line));
+    const counted = sample(/^uploads_total\{encoding="base64",result="success"\} [1-9]/) &&
+      sample(/^decode_failures_total\{encoding="base64",error="decode"\} [1-9]/) &&
+      sample(/^upload_decoded_bytes_total\{encoding="base64"\} [1-9]/);
+    const timed = sample(/^http_request_duration_seconds_bucket\{method="POST",route="\/upload-base64",le="\+Inf"\} [1-9]/);
+    console.log(`  ${counted && timed && sample(/^uploads_in_flight 0$/) ? '✓' : '✗'} Metrics count uploads, decode failures, bytes and latency (${metrics.headers['content-type']})`);
+    
+    const live = await axios.get(`${BASE_URL}/health/live`);
+    const ready = await axios.get(`${BASE_URL}/health/ready`, { validateStatus: () => true });
+    const checks = Object.keys(ready.data.checks).map(name => `${name} ${ready.data.checks[name].ok ? 'ok' : 'failed'}`);
+    console.log(`  ${live.status === 200 && ready.status === 200 && ready.data.status === 'ready' ? '✓' : '✗'} Liveness ${live.data.status}, readiness ${ready.data.status} (${checks.join(', ')})`);
+  } catch (error) {
+    console.error('Error testing observability:', error.response?.data || error.message);
+  }
+}
+
+// Helper function to test that the /upload-<name> routes and /health come from
+// the encoding registry, aliases included
+async function testEncodingRegistry() {
+  try {
+    console.log('\n=== Testing Encoding Registry ===');
+    
+    const health = await axios.get(`${BASE_URL}/health`);
+    const encodings = health.data.encodings;
+    const routes = encodings.flatMap(encoding => [encoding.name, ...encoding.aliases].map(name => `/upload-${name}`));
+    const listed = routes.every(route => health.data.endpoints.some(endpoint => endpoint.startsWith(`${route} (`)));
+    const matching = encodings.map(encoding => encoding.name).join() === health.data.supportedEncodings.join();
+    console.log(`  ${listed && matching ? '✓' : '✗'} /health lists ${encodings.length} encodings and ${routes.length} /upload-<name> routes`);
+    
+    const alias = await axios.post(`${BASE_URL}/upload-utf16le`, { file1: 'Alias route' });
+    const aliased = alias.data.files[0];
+    console.log(`  ${aliased.success && aliased.encoding === 'utf-16le' && aliased.size === 22 ? '✓' : '✗'} /upload-utf16le stored ${aliased.size} bytes as ${aliased.encoding}`);
+    
+    const raw = await axios.put(`${BASE_URL}/upload-utf-8?fieldname=alias`, Buffer.from('Raw alias route'), {
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    console.log(`  ${raw.data.files[0].success && raw.data.files[0].encoding === 'utf8' ? '✓' : '✗'} PUT /upload-utf-8 stored the body as ${raw.data.files[0].encoding}`);
+  } catch (error) {
+    console.error('Error testing encoding registry:', error.response?.data || error.message);
+  }
+}
+
+// Helper function to test API key authentication, quotas and per-key file
+// scoping (when the server requires keys)
+async function testApiKeys() {
+  try {
+    console.log('\n=== Testing API Keys and Quotas ===');
+    
+    const health = await axios.get(`${BASE_URL}/health`);
+    if (!health.data.apiKeys) {
+      console.log('  - API keys are not enabled (start the server with API_KEYS_FILE and run with API_KEY to test them)');
+      return;
+    }
+    
+    const missing = await axios.get(`${BASE_URL}/files`, { headers: { 'X-API-Key': false }, validateStatus: () => true });
+    const invalid = await axios.get(`${BASE_URL}/files`, { headers: { 'X-API-Key': 'not-a-key' }, validateStatus: () => true });
+    console.log(`  ${missing.status === 401 && invalid.status === 401 ? '✓' : '✗'} Missing and invalid keys answered ${missing.status} and ${invalid.status}`);
+    
+    const before = await axios.get(`${BASE_URL}/quota`);
+    const upload = await axios.post(`${BASE_URL}/upload-base64`, { file1: Buffer.from('Counted against the quota').toString('base64') });
+    const after = await axios.get(`${BASE_URL}/quota`);
+    const counted = after.data.bytes.used - before.data.bytes.used === upload.data.files[0].size;
+    console.log(`  ${counted ? '✓' : '✗'} ${after.data.client} has stored ${after.data.bytes.used} of ${after.data.bytes.limit || 'unlimited'} bytes today`);
+    
+    const otherKey = process.env.OTHER_API_KEY;
+    if (!otherKey) {
+      console.log('  - Set OTHER_API_KEY to a second client\'s key to test file scoping');
+      return;
+    }
+    const other = { headers: { 'X-API-Key': otherKey } };
+    const foreign = (await axios.post(`${BASE_URL}/upload-base64`, { file1: Buffer.from('Another client').toString('base64') }, other)).data.files[0];
+    const download = await axios.get(`${BASE_URL}${foreign.url}`, { validateStatus: () => true });
+    const listing = await axios.get(`${BASE_URL}/files`, { params: { limit: 1000 } });
+    const removal = await axios.delete(`${BASE_URL}/admin/files/${encodeURIComponent(foreign.id)}`, { validateStatus: () => true });
+    const hidden = download.status === 404 && removal.status === 404 && !listing.data.files.some(file => file.id === foreign.id);
+    const own = await axios.delete(`${BASE_URL}/admin/files/${encodeURIComponent(foreign.id)}`, other);
+    console.log(`  ${hidden && own.data.deleted.length === 1 ? '✓' : '✗'} Another client's file is hidden from this key and deleted by its own`);
+  } catch (error) {
+    console.error('Error testing API keys:', error.response?.data || error.message);
+  }
+}
+
+// Deletes stored files through the admin API: this run's files, or with
+// `emptyFolder` every stored file
 async function cleanupTestFiles(emptyFolder = false) {
   try {
     console.log('\n🧹 Cleaning up test files...');
-    const uploadsDir = path.join(__dirname, 'uploads');
-    
-    if (fs.existsSync(uploadsDir)) {
-      const files = fs.readdirSync(uploadsDir);
-      let deletedCount = 0;
-      
-      if (emptyFolder) {
-        // Empty the entire uploads folder (except system files)
-        console.log('🗂️  Emptying uploads folder...');
-        for (const file of files) {
-          // Skip system files and hidden files
-          if (file.startsWith('.') || file === '.DS_Store') {
-            continue;
-          }
-          
-          const filePath = path.join(uploadsDir, file);
-          fs.unlinkSync(filePath);
-          deletedCount++;
-        }
-        console.log(`🗑️  Deleted ${deletedCount} files (emptied folder)`);
-      } else {
-        // Time-based cleanup (only recent files)
-        for (const file of files) {
-          // Skip system files and hidden files
-          if (file.startsWith('.') || file === '.DS_Store') {
-            continue;
-          }
-          
-          // Only delete files created during this test run (within last 5 minutes)
-          const filePath = path.join(uploadsDir, file);
-          const stats = fs.statSync(filePath);
-          const fileAge = Date.now() - stats.mtime.getTime();
-          
-          // Delete files created in the last 5 minutes (300000 ms)
-          if (fileAge < 300000) {
-            fs.unlinkSync(filePath);
-            deletedCount++;
-          }
-        }
-        console.log(`🗑️  Deleted ${deletedCount} test files (time-based cleanup)`);
-      }
+    
+    if (emptyFolder) {
+      console.log('🗂️  Purging all stored files...');
+      const purge = await axios.delete(`${BASE_URL}/admin/files`, { params: { all: 'true' } });
+      console.log(`🗑️  Deleted ${purge.data.deleted.length} files (purged)`);
     } else {
-      console.log('📁 Uploads directory does not exist');
+      const run = await axios.delete(`${BASE_URL}/admin/files`, { params: { runId: RUN_ID } });
+      console.log(`🗑️  Deleted ${run.data.deleted.length} test files (run ${RUN_ID})`);
     }
   } catch (error) {
-    console.error('❌ Error during cleanup:', error.message);
+    console.error('❌ Error during cleanup:', error.response?.data || error.message);
   }
 }
 
-// Main test function
 async function runTests() {
   console.log('🚀 Starting Multipart Server Encoding Tests');
   console.log('Make sure the multipartServer is running on port 3002');
   
   // Check command line arguments for cleanup mode
   const emptyFolder = process.argv.includes('--empty-folder') || process.argv.includes('--clean');
-  const timeBased = process.argv.includes('--time-based') || process.argv.includes('--preserve');
+  const runBased = process.argv.includes('--run-only') || process.argv.includes('--time-based') || process.argv.includes('--preserve');
   
   if (emptyFolder) {
-    console.log('🗂️  Will empty uploads folder after tests');
-  } else if (timeBased) {
-    console.log('⏱️  Will use time-based cleanup (preserve existing files)');
+    console.log('🗂️  Will purge all stored files after tests');
+  } else if (runBased) {
+    console.log(`🏷️  Will delete only this run's files after tests (run ${RUN_ID})`);
   } else {
-    console.log('🗂️  Will empty uploads folder after tests (default)');
+    console.log('🗂️  Will purge all stored files after tests (default)');
   }
   
   // Test health endpoint first
@@ -179,7 +1036,10 @@ async function runTests() {
   const testData = createTestData();
   
   // Test each encoding endpoint
-  const encodings = ['utf8', 'ascii', 'binary', 'base64', 'hex', 'utf-16le', 'ucs2'];
+  const encodings = [
+    'utf8', 'ascii', 'binary', 'base64', 'hex', 'utf-16le', 'ucs2',
+    'base64url', 'base32', 'base32hex', 'base58', 'ascii85', 'z85', 'quoted-printable', 'uuencode', 'percent'
+  ];
   
   for (const encoding of encodings) {
     await testEncoding(encoding, testData[encoding]);
@@ -190,10 +1050,75 @@ async function runTests() {
     await testUniversalEncoding(encoding, testData[encoding]);
   }
   
+  // Test raw-body uploads for the text-based encodings
+  for (const encoding of ['base64', 'hex', 'utf8']) {
+    await testRawUpload(encoding, testData[encoding]);
+  }
+  
+  // Test per-part header decoding in one mixed multipart request
+  await testPerPartHeaders();
+  
+  // Test reading stored files back
+  await testFileRetrieval();
+  
+  // Test multipart/byteranges, multipart/mixed and chunked responses
+  await testResponseModes();
+  
+  // Test multi-megabyte uploads through the streaming decoders
+  await testStreamingUpload();
+  
+  // Test resumable chunked uploads
+  await testResumableUpload();
+  
+  // Test declared vs detected content types
+  await testContentSniffing();
+  
+  // Test client-supplied checksums and content-addressed storage
+  await testIntegrity();
+  
+  // Test the dry-run /inspect endpoint
+  await testInspect();
+  
+  // Test RFC 7578/2046 conformance reports and strict multipart mode
+  await testValidation();
+  
+  // Test legacy charset transcoding
+  await testTranscoding();
+  
+  // Test compressed encoded fields and Content-Encoding request bodies
+  await testCompression();
+  
+  // Test archive manifests, extraction and unsafe archives
+  await testArchives();
+  
+  // Test the configured storage backend
+  await testStorage();
+  
+  // Test unique file naming and metadata records
+  await testMetadata();
+  
+  // Test retention status and admin deletion
+  await testRetention();
+  
+  // Test injected faults
+  await testFaults();
+  
+  // Test request recording and replay (when the server records)
+  await testRecording();
+  
+  // Test request IDs, metrics and health probes
+  await testObservability();
+  
+  // Test registry-generated encoding routes and aliases
+  await testEncodingRegistry();
+  
+  // Test API keys, quotas and per-key file scoping (when the server requires keys)
+  await testApiKeys();
+  
   console.log('\n✅ All tests completed!');
   
-  // Clean up test files (default to empty folder, unless time-based is specified)
-  await cleanupTestFiles(!timeBased);
+  // Clean up test files (default to purging everything, unless run-only is specified)
+  await cleanupTestFiles(!runBased);
   
   console.log('\n📁 Check the uploads directory to see any remaining files:');
   console.log(`   ${path.join(__dirname, 'uploads')}`);
@@ -207,6 +1132,27 @@ if (require.main === module) {
 module.exports = {
   testEncoding,
   testUniversalEncoding,
+  testRawUpload,
+  testPerPartHeaders,
   testHealth,
+  testFileRetrieval,
+  testResponseModes,
+  testStreamingUpload,
+  testResumableUpload,
+  testContentSniffing,
+  testIntegrity,
+  testInspect,
+  testValidation,
+  testTranscoding,
+  testCompression,
+  testArchives,
+  testStorage,
+  testMetadata,
+  testRetention,
+  testFaults,
+  testRecording,
+  testObservability,
+  testEncodingRegistry,
+  testApiKeys,
   createTestData
 }; 
\ No newline at end of file
@@ -0,0 +1,1209 @@
+'use strict';
+
+// Self-contained integration harness. It boots the app in-process on an
+// ephemeral port with its own temporary upload directory and config file,
+// then asserts that:
+//   - every registered encoding round-trips byte for byte through every
+//     upload route (its /upload-<name> routes, aliases included, as
+//     urlencoded, JSON, multipart and raw PUT bodies, /upload-encoded and
+//     resumable uploads), and back out through ?encoding= downloads;
+//   - malformed input is never stored, with property-based fuzzing of
+//     mutated encodings (bad padding, odd-length hex, stray characters),
+//     huge fields against the configured limits and odd multipart
+//     boundaries, the server's decoders agreeing with decodeString;
+//   - API keys keep each client to its own files and upload sessions;
+//   - GET /events streams an upload's progress as it happens, and webhook
+//     deliveries are signed, retried with backoff and dead-lettered;
+//   - the S3 store signs its requests and keeps content-addressed payloads
+//     only as long as a file refers to them, against a fake S3 server;
+//   - no request fails with a 5xx and no temporary file is left behind.
+//
+// Exits non-zero when a check fails. Fuzzing is seeded: FUZZ_SEED replays a
+// run (the seed is printed), FUZZ_RUNS sets the cases per property (default
+// 20).
+//
+//   node test-harness.js
+//   FUZZ_SEED=1234 FUZZ_RUNS=200 node test-harness.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const TEMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-harness-'));
+const UPLOAD_DIR = path.join(TEMP_ROOT, 'uploads');
+
+// Limits the huge-field cases test against, kept small so they stay cheap
+const LIMITS = {
+  maxUploadSize: 512 * 1024,
+  maxBodySize: 256 * 1024,
+  maxFieldSize: 64 * 1024,
+  maxFields: 50
+};
+const HEX_BODY_LIMIT = 16 * 1024;
+
+// API keys: the harness sends HARNESS_KEY with every request; OTHER_KEY is a
+// second client, for checking what one client can do to another's uploads,
+// QUOTA_KEY one with a small daily quota, SIZED_KEY one with a small file size
+// limit and HEX_KEY one that may only upload hex and UTF-8
+const HARNESS_KEY = 'harness-key-0123456789';
+const OTHER_KEY = 'other-key-0123456789';
+const QUOTA_KEY = 'quota-key-0123456789';
+const SIZED_KEY = 'sized-key-0123456789';
+const HEX_KEY = 'hex-key-0123456789';
+const QUOTA_BYTES = 1000;
+const SIZED_MAX_FILE = 100;
+
+// The server reads its settings when it is required, so the harness's own
+// config and keys go in first and nothing from the environment can point it
+// at real uploads, keys or recordings
+const CONFIG_FILE = path.join(TEMP_ROOT, 'config.json');
+const API_KEYS_FILE = path.join(TEMP_ROOT, 'keys.json');
+fs.writeFileSync(CONFIG_FILE, JSON.stringify({
+  uploadDir: './uploads',
+  limits: LIMITS,
+  routes: { '/upload-hex': { maxBodySize: HEX_BODY_LIMIT } }
+}));
+fs.writeFileSync(API_KEYS_FILE, JSON.stringify({
+  keys: [
+    { name: 'harness', key: HARNESS_KEY },
+    { name: 'other', key: OTHER_KEY },
+    { name: 'quota', key: QUOTA_KEY, bytesPerDay: QUOTA_BYTES },
+    { name: 'sized', key: SIZED_KEY, maxFileSize: SIZED_MAX_FILE },
+    { name: 'hex', key: HEX_KEY, encodings: ['hex', 'utf-8'] }
+  ]
+}));
+['UPLOAD_DIR', 'MAX_UPLOAD_SIZE', 'MAX_BODY_SIZE', 'MAX_FIELD_SIZE', 'MAX_FIELDS', 'ENCODING_PLUGINS',
+  'ADMIN_TOKEN', 'RECORD_REQUESTS', 'RECORD_FILE', 'STORAGE_BACKEND', 'RETENTION_TTL',
+  'RETENTION_MAX_BYTES', 'STRICT_CONTENT_TYPE', 'STRICT_MULTIPART', 'CONTENT_ADDRESSED_STORAGE'].forEach(name => {
+  delete process.env[name];
+});
+process.env.CONFIG_FILE = CONFIG_FILE;
+process.env.API_KEYS_FILE = API_KEYS_FILE;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { app } = require('./server');
+const { listEncodings, encodeBuffer, decodeString, createDecoder, createDecodeStream } = require('./lib/encodings');
+const { MAX_LINE_LENGTH } = require('./lib/codecs/stream');
+const { createStorage } = require('./lib/storage');
+
+const FUZZ_SEED = Number(process.env.FUZZ_SEED) || Math.floor(Math.random() * 0x100000000);
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS) || 20;
+
+// Seeded pseudo-random generator (mulberry32), so a failing fuzz case can be
+// replayed with its FUZZ_SEED
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  return {
+    int: int,
+    pick: pick,
+    bytes: (size) => Buffer.from(Array.from({ length: size }, () => int(0, 255))),
+    // Text mixing ASCII, Latin-1, CJK and astral characters, never a lone
+    // surrogate, so it survives UTF-8 and UTF-16 alike
+    text: (length) => Array.from({ length: length }, () => pick([
+      () => String.fromCharCode(int(0x20, 0x7E)),
+      () => String.fromCharCode(int(0x20, 0x7E)),
+      () => pick(['\n', '\r\n', '\t']),
+      () => String.fromCharCode(int(0xA0, 0xFF)),
+      () => String.fromCharCode(int(0x4E00, 0x9FFF)),
+      () => String.fromCodePoint(int(0x1F300, 0x1F64F))
+    ])()).join('')
+  };
+}
+
+// Bytes an encoding can carry: the text encodings only round-trip the text
+// they can represent, z85 whole 4-byte groups, every other encoding any bytes
+function sampleBytes(random, encoding, size) {
+  if (encoding === 'z85') {
+    return random.bytes(Math.max(4, size - size % 4));
+  }
+  if (encoding === 'ascii') {
+    return Buffer.from(Array.from({ length: size }, () => random.int(0x20, 0x7E)));
+  }
+  if (encoding === 'utf8') {
+    return Buffer.from(random.text(size), 'utf8');
+  }
+  if (encoding === 'utf-16le' || encoding === 'ucs2') {
+    return Buffer.from(random.text(size), 'utf16le');
+  }
+  return random.bytes(size);
+}
+
+// The charset encoded text is sent in: binary bytes as they are, the rest as
+// UTF-8
+function wireCharset(encoding) {
+  return encoding === 'binary' ? 'binary' : 'utf8';
+}
+
+// `text` as the server reads it: a mutation can split a surrogate pair, and a
+// lone surrogate goes over the wire as U+FFFD
+function wireText(text, encoding) {
+  return Buffer.from(text, wireCharset(encoding)).toString(wireCharset(encoding));
+}
+
+// What decodeString makes of `text` sent as `encoding`, or null if it throws
+function decodeOrNull(text, encoding) {
+  try {
+    return decodeString(wireText(text, encoding), encoding);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Checks, counted for the summary and the exit code
+const results = { passed: 0, failed: 0 };
+
+async function check(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    results.failed++;
+    console.log(`  ✗ ${name}: ${e.message}`);
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+let client = null;
+let baseUrl = null;
+
+// Sends a request, failing the check on any 5xx
+async function request(config) {
+  const response = await client.request(Object.assign({ validateStatus: () => true }, config));
+  expect(response.status < 500, `${config.method || 'GET'} ${config.url} answered ${response.status}: ${JSON.stringify(response.data)}`);
+  return response;
+}
+
+// Asserts that an upload response stored one file and that its bytes are
+// exactly `expected`, returning the file result
+async function expectStored(response, expected) {
+  expect(response.status === 200, `upload answered ${response.status}: ${JSON.stringify(response.data)}`);
+  const files = response.data.files || [];
+  expect(files.length === 1, `expected 1 file result, got ${files.length}`);
+  const file = files[0];
+  expect(file.success, `upload failed: ${file.error}`);
+  expect(file.size === expected.length, `stored ${file.size} bytes, expected ${expected.length}`);
+  const download = await request({ url: file.url, responseType: 'arraybuffer' });
+  expect(download.status === 200, `download answered ${download.status}`);
+  const stored = Buffer.from(download.data);
+  if (!stored.equals(expected)) {
+    const at = Array.from(expected).findIndex((byte, i) => stored[i] !== byte);
+    throw new Error(`stored bytes differ from the input at offset ${at === -1 ? expected.length : at} (${stored.length} vs ${expected.length} bytes)`);
+  }
+  return file;
+}
+
+// Asserts that an upload response stored nothing for its one field
+function expectRejected(response) {
+  expect(response.status === 200, `upload answered ${response.status}: ${JSON.stringify(response.data)}`);
+  const file = response.data.files[0];
+  expect(file && !file.success && !file.id, `malformed input was stored as ${file && file.id}`);
+  return file;
+}
+
+// A multipart/form-data body of `parts` ({ name, filename, headers, body })
+function multipartBody(boundary, parts, options = {}) {
+  const chunks = [Buffer.from(options.preamble ? `${options.preamble}\r\n` : '')];
+  parts.forEach(part => {
+    const disposition = `form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ''}`;
+    const headers = Object.assign({ 'Content-Disposition': disposition }, part.headers);
+    chunks.push(Buffer.from(`--${boundary}\r\n${Object.keys(headers).map(name => `${name}: ${headers[name]}\r\n`).join('')}\r\n`));
+    chunks.push(Buffer.isBuffer(part.body) ? part.body : Buffer.from(part.body, 'utf8'));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--${options.epilogue ? `\r\n${options.epilogue}` : '\r\n'}`));
+  return Buffer.concat(chunks);
+}
+
+function postMultipart(url, boundary, body) {
+  return request({
+    method: 'POST',
+    url: url,
+    data: body,
+    headers: { 'Content-Type': `multipart/form-data; boundary="${boundary}"` }
+  });
+}
+
+function postForm(url, fields) {
+  return request({
+    method: 'POST',
+    url: url,
+    data: new URLSearchParams(fields).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+}
+
+function putRaw(url, body, params) {
+  return request({
+    method: 'PUT',
+    url: url,
+    params: params,
+    data: Buffer.from(body),
+    headers: { 'Content-Type': 'application/octet-stream' }
+  });
+}
+
+// Each way of uploading one encoded field: the upload response for `text`
+// (the encoding of some bytes) sent to `route` with `encoding`
+const UPLOAD_METHODS = {
+  'urlencoded': (route, encoding, text) => postForm(route.path, { file1: text }),
+  'JSON': (route, encoding, text) => request({ method: 'POST', url: route.path, data: { file1: text } }),
+  'multipart field': (route, encoding, text) => postMultipart(route.path, 'harness-boundary', multipartBody('harness-boundary', [{ name: 'file1', body: text }])),
+  'raw PUT': (route, encoding, text) => putRaw(route.path, Buffer.from(text, wireCharset(encoding))),
+  '/upload-encoded': (route, encoding, text) => postForm('/upload-encoded', { encoding: route.name, file1: text }),
+  'PUT /upload-encoded': (route, encoding, text) => putRaw('/upload-encoded', Buffer.from(text, wireCharset(encoding)), { encoding: route.name })
+};
+
+// Every /upload-<name> route, aliases included
+function encodingRoutes() {
+  return listEncodings().flatMap(encoding => [encoding.name, ...encoding.aliases].map(name => ({
+    name: name,
+    encoding: encoding.name,
+    path: `/upload-${name}`
+  })));
+}
+
+async function testRoundTrips(random) {
+  console.log('\n=== Round trips through every encoding and route ===');
+
+  for (const route of encodingRoutes()) {
+    for (const method of Object.keys(UPLOAD_METHODS)) {
+      const bytes = sampleBytes(random, route.encoding, random.int(1, 2048));
+      await check(`${route.path} ${method}: ${bytes.length} bytes`, async () => {
+        const text = encodeBuffer(bytes, route.encoding);
+        await expectStored(await UPLOAD_METHODS[method](route, route.encoding, text), bytes);
+      });
+    }
+  }
+
+  for (const encoding of listEncodings()) {
+    const bytes = sampleBytes(random, encoding.name, random.int(1, 2048));
+    await check(`Resumable ${encoding.name} upload and ?encoding=${encoding.name} download: ${bytes.length} bytes`, async () => {
+      const session = await request({ method: 'POST', url: '/uploads', data: { encoding: encoding.name, fieldname: 'file1' }, headers: { 'Upload-Length': String(bytes.length) } });
+      expect(session.status === 201, `session creation answered ${session.status}: ${JSON.stringify(session.data)}`);
+      const text = encodeBuffer(bytes, encoding.name);
+      const patch = await request({
+        method: 'PATCH',
+        url: session.data.url,
+        data: Buffer.from(text, wireCharset(encoding.name)),
+        headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }
+      });
+      expect(patch.status === 204, `PATCH answered ${patch.status}: ${JSON.stringify(patch.data)}`);
+      const finalized = await request({ method: 'POST', url: `${session.data.url}/finalize` });
+      const file = await expectStored(finalized, bytes);
+
+      const reencoded = await request({ url: file.url, params: { encoding: encoding.name }, responseType: 'arraybuffer' });
+      expect(reencoded.status === 200, `download as ${encoding.name} answered ${reencoded.status}`);
+      const download = Buffer.from(reencoded.data);
+      const decoded = decodeString(download.toString('utf8'), encoding.name);
+      expect(decoded.equals(bytes), `the ${encoding.name} download does not decode back to the stored bytes`);
+    });
+  }
+
+  const file = random.bytes(random.int(1, 4096));
+  await check(`/upload file part stored as sent: ${file.length} bytes`, async () => {
+    const body = multipartBody('harness-boundary', [{ name: 'upload', filename: 'random.bin', headers: { 'Content-Type': 'application/octet-stream' }, body: file }]);
+    await expectStored(await postMultipart('/upload', 'harness-boundary', body), file);
+  });
+}
+
+// Mutations of a valid encoding that usually, but not always, make it
+// malformed: the server has to agree with decodeString either way
+const MUTATIONS = {
+  'bad padding': (random, text) => {
+    const at = random.int(0, text.length);
+    return random.pick([
+      () => text + '=',
+      () => text.replace(/=+$/, ''),
+      () => `${text.slice(0, at)}=${text.slice(at)}`,
+      () => `${text.slice(0, at)}==${text.slice(at)}`
+    ])();
+  },
+  'dropped character': (random, text) => {
+    const at = random.int(0, text.length - 1);
+    return text.slice(0, at) + text.slice(at + 1);
+  },
+  'stray character': (random, text) => {
+    const at = random.int(0, text.length);
+    return text.slice(0, at) + random.pick(['!', '_', '~', '"', 'é', '\u0000', '0', 'O', 'l', '{', '<~', '~>', '%', '%G', '=Z']) + text.slice(at);
+  },
+  'truncated': (random, text) => text.slice(0, random.int(1, Math.max(1, text.length - 1)))
+};
+
+// Encodings whose mutated input decodeString rejects some of the time; the
+// text encodings accept any text
+const STRICT_ENCODINGS = () => listEncodings().map(encoding => encoding.name)
+  .filter(name => !['binary', 'ascii', 'utf8', 'utf-16le', 'ucs2'].includes(name));
+
+async function testMalformedInput(random) {
+  console.log(`\n=== Malformed input (FUZZ_SEED=${FUZZ_SEED}, ${FUZZ_RUNS} runs per property) ===`);
+
+  const odd = '48656c6c6f2';
+  await check('Odd-length hex is rejected in every upload method', async () => {
+    for (const method of Object.keys(UPLOAD_METHODS)) {
+      const file = expectRejected(await UPLOAD_METHODS[method]({ name: 'hex', path: '/upload-hex' }, 'hex', odd));
+      expect(/odd/.test(file.error), `${method}: unexpected error ${file.error}`);
+    }
+  });
+
+  await check('Base64 padding in the middle is rejected', async () => {
+    expectRejected(await postForm('/upload-base64', { file1: 'SGVs=bG8=' }));
+    expectRejected(await putRaw('/upload-base64', 'SGVsbG8==='));
+  });
+
+  // Property: for any mutation of any encoding, the server stores exactly
+  // what decodeString returns, or nothing when decodeString throws
+  for (const mutation of Object.keys(MUTATIONS)) {
+    await check(`${mutation}: server and decodeString agree`, async () => {
+      for (let run = 0; run < FUZZ_RUNS; run++) {
+        const encoding = random.pick(STRICT_ENCODINGS());
+        const text = MUTATIONS[mutation](random, encodeBuffer(sampleBytes(random, encoding, random.int(1, 256)), encoding));
+        const expected = decodeOrNull(text, encoding);
+        const method = random.pick(['urlencoded', 'multipart field', 'raw PUT']);
+        const response = await UPLOAD_METHODS[method]({ name: encoding, path: `/upload-${encoding}` }, encoding, text);
+        const context = `${encoding} via ${method}, input ${JSON.stringify(text.slice(0, 80))}`;
+        try {
+          if (expected && expected.length > 0) {
+            await expectStored(response, expected);
+          } else {
+            expectRejected(response);
+          }
+        } catch (e) {
+          throw new Error(`${context}: ${e.message}`);
+        }
+      }
+    });
+  }
+
+  // Property: decoding a stream split into random chunks gives the same bytes
+  // (or the same failure) as decoding it whole
+  await check('Chunked decoding matches whole decoding', async () => {
+    for (let run = 0; run < FUZZ_RUNS * 5; run++) {
+      const encoding = random.pick(listEncodings()).name;
+      let text = encodeBuffer(sampleBytes(random, encoding, random.int(1, 512)), encoding);
+      if (random.int(0, 2) === 0) {
+        text = MUTATIONS[random.pick(Object.keys(MUTATIONS))](random, text);
+      }
+      const whole = decodeOrNull(text, encoding);
+      const input = Buffer.from(text, wireCharset(encoding));
+      const chunked = await new Promise(resolve => {
+        const stream = createDecodeStream(encoding, encoding === 'binary' ? 'binary' : 'utf-8');
+        const output = [];
+        stream.on('data', chunk => output.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(output)));
+        stream.on('error', () => resolve(null));
+        for (let offset = 0; offset < input.length;) {
+          const size = random.int(1, 16);
+          stream.write(input.subarray(offset, offset + size));
+          offset += size;
+        }
+        stream.end();
+      });
+      const agree = whole === null ? chunked === null : chunked !== null && chunked.equals(whole);
+      expect(agree, `${encoding} input ${JSON.stringify(text.slice(0, 80))}: whole ${whole ? `${whole.length} bytes` : 'failed'}, chunked ${chunked ? `${chunked.length} bytes` : 'failed'}`);
+    }
+  });
+}
+
+async function testHugeFields(random) {
+  console.log('\n=== Huge fields against the configured limits ===');
+
+  await check(`Encoded field over maxUploadSize (${LIMITS.maxUploadSize} bytes) answers 413`, async () => {
+    const text = 'a'.repeat(LIMITS.maxUploadSize + random.int(1, 4096));
+    const response = await postMultipart('/upload-utf8', 'harness-boundary', multipartBody('harness-boundary', [{ name: 'file1', body: text }]));
+    expect(response.status === 413, `answered ${response.status}`);
+  });
+
+  await check(`Raw body over maxUploadSize answers 413`, async () => {
+    const response = await putRaw('/upload-hex', '00'.repeat(LIMITS.maxUploadSize / 2 + random.int(1, 4096)));
+    expect(response.status === 413, `answered ${response.status}`);
+  });
+
+  await check(`Form field over maxFieldSize (${LIMITS.maxFieldSize} bytes) answers 413`, async () => {
+    const body = multipartBody('harness-boundary', [{ name: 'metadata', body: 'm'.repeat(LIMITS.maxFieldSize + random.int(1, 4096)) }]);
+    const response = await postMultipart('/upload-base64', 'harness-boundary', body);
+    expect(response.status === 413, `answered ${response.status}`);
+  });
+
+  // Property: a form field is refused exactly when it is longer than
+  // maxFieldSize, and an encoded field exactly when it is longer than
+  // maxUploadSize
+  await check('Fields around the size limits are refused exactly past them', async () => {
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+      const encoded = random.int(0, 1) === 1;
+      const limit = encoded ? LIMITS.maxUploadSize : LIMITS.maxFieldSize;
+      const size = limit + random.int(-64, 64);
+      const parts = [{ name: encoded ? 'file1' : 'metadata', body: 'z'.repeat(size) }];
+      if (!encoded) {
+        parts.push({ name: 'file1', body: 'eg==' });
+      }
+      const response = await postMultipart('/upload-base64', 'harness-boundary', multipartBody('harness-boundary', parts));
+      expect((response.status === 413) === (size > limit), `${encoded ? 'encoded' : 'form'} field of ${size} bytes (limit ${limit}) answered ${response.status}`);
+    }
+  });
+
+  await check(`More than maxFields (${LIMITS.maxFields}) fields answers 413`, async () => {
+    const parts = Array.from({ length: LIMITS.maxFields + 1 }, (value, i) => ({ name: `field${i}`, body: 'x' }));
+    const response = await postMultipart('/upload-base64', 'harness-boundary', multipartBody('harness-boundary', parts));
+    expect(response.status === 413, `answered ${response.status}`);
+  });
+
+  // Base58 decodes in quadratic time, so it has a length limit of its own
+  await check('Base58 input over 8192 characters answers 413', async () => {
+    const atLimit = await putRaw('/upload-base58', '2'.repeat(8192));
+    expect(atLimit.status === 200 && atLimit.data.files[0].success, `8192 characters answered ${atLimit.status}`);
+    const over = await putRaw('/upload-base58', '2'.repeat(8193 + random.int(0, 4096)));
+    expect(over.status === 413, `answered ${over.status}`);
+  });
+
+  // Every encoding is tried on /inspect fields, so it has to stay quick for
+  // long ones, which base58 alone once took seconds over
+  await check('A 200000 character /inspect field answers within 2 seconds', async () => {
+    const started = Date.now();
+    const response = await request({ method: 'POST', url: '/inspect', data: { file1: '2'.repeat(200000) } });
+    const elapsed = Date.now() - started;
+    expect(response.status === 200 && response.data.fields[0].valid, `answered ${response.status}: ${JSON.stringify(response.data).slice(0, 200)}`);
+    expect(elapsed < 2000, `took ${elapsed}ms`);
+  });
+
+  // Past the harness's upload limit, so checked on the decoders themselves
+  await check(`Line decoders refuse lines over ${MAX_LINE_LENGTH} characters with 413`, async () => {
+    ['quoted-printable', 'uuencode'].forEach(encoding => {
+      const decoder = createDecoder(encoding);
+      decoder.update('M'.repeat(MAX_LINE_LENGTH));
+      let error = null;
+      try {
+        decoder.update('M');
+      } catch (e) {
+        error = e;
+      }
+      expect(error && error.status === 413, `${encoding} answered ${error ? `${error.status} ${error.message}` : 'nothing'}`);
+    });
+  });
+
+  await check(`Per-route maxBodySize: ${HEX_BODY_LIMIT} bytes on /upload-hex, ${LIMITS.maxBodySize} elsewhere`, async () => {
+    const bytes = random.bytes(HEX_BODY_LIMIT);
+    const hex = await postForm('/upload-hex', { file1: encodeBuffer(bytes, 'hex') });
+    expect(hex.status === 413, `/upload-hex answered ${hex.status}`);
+    await expectStored(await postForm('/upload-base64', { file1: encodeBuffer(bytes, 'base64') }), bytes);
+    const json = await request({ method: 'POST', url: '/upload-base64', data: { file1: 'A'.repeat(LIMITS.maxBodySize) } });
+    expect(json.status === 413, `JSON body over maxBodySize answered ${json.status}`);
+  });
+}
+
+// Characters RFC 2046 allows in a boundary (a space, but not at the end)
+const BOUNDARY_CHARS = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'()+_,-./:=? ";
+
+function randomBoundary(random) {
+  const length = random.pick([1, 2, random.int(3, 69), 70]);
+  let boundary = Array.from({ length: length }, () => random.pick(BOUNDARY_CHARS)).join('');
+  if (boundary.endsWith(' ')) {
+    boundary = boundary.slice(0, -1) + '-';
+  }
+  return boundary;
+}
+
+async function testBoundaries(random) {
+  console.log('\n=== Odd multipart boundaries ===');
+
+  // Property: with any valid boundary, preamble and epilogue, file parts are
+  // stored exactly, even holding near-misses of the delimiter
+  await check('Random boundaries round-trip file parts', async () => {
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+      const boundary = randomBoundary(random);
+      const nearMiss = Buffer.from(random.pick([
+        `\r\n--${boundary.slice(0, -1)}`,
+        `--${boundary}`,
+        `\n--${boundary}\r\n`,
+        `\r\n-${boundary}`,
+        '\r\n--'
+      ]));
+      const content = Buffer.concat([random.bytes(random.int(0, 512)), nearMiss, random.bytes(random.int(1, 512))]);
+      if (content.includes(Buffer.from(`\r\n--${boundary}`))) {
+        continue;
+      }
+      const body = multipartBody(boundary, [
+        { name: 'note', body: 'boundary fuzz' },
+        { name: 'upload', filename: 'fuzz.bin', headers: { 'Content-Type': 'application/octet-stream' }, body: content }
+      ], {
+        preamble: random.int(0, 1) ? `This is the preamble ${random.text(8)}` : '',
+        epilogue: random.int(0, 1) ? `and the epilogue ${random.text(8)}` : ''
+      });
+      try {
+        await expectStored(await postMultipart('/upload', boundary, body), content);
+      } catch (e) {
+        throw new Error(`boundary ${JSON.stringify(boundary)}: ${e.message}`);
+      }
+    }
+  });
+
+  // Property: truncated or mismatched bodies are refused with a 4xx, never a
+  // 5xx, and store nothing
+  await check('Truncated and mismatched bodies answer 4xx', async () => {
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+      const boundary = randomBoundary(random);
+      const body = multipartBody(boundary, [{ name: 'upload', filename: 'cut.bin', body: random.bytes(random.int(1, 512)) }]);
+      const variant = random.pick(['truncated', 'other boundary', 'no boundary']);
+      let response;
+      if (variant === 'truncated') {
+        response = await postMultipart('/upload', boundary, body.subarray(0, random.int(1, body.length - `--${boundary}--\r\n`.length)));
+      } else if (variant === 'other boundary') {
+        response = await postMultipart('/upload', `${boundary}x`, body);
+      } else {
+        response = await request({ method: 'POST', url: '/upload', data: body, headers: { 'Content-Type': 'multipart/form-data' } });
+      }
+      const stored = response.status === 200 && (response.data.files || []).some(file => file.success);
+      expect(response.status >= 400 || !stored, `${variant} body with boundary ${JSON.stringify(boundary)} answered ${response.status} and stored a file`);
+    }
+  });
+}
+
+// Headers sending another API key than the harness's own
+function asKey(key) {
+  return { 'X-API-Key': key };
+}
+
+async function testApiKeys() {
+  console.log('\n=== API keys ===');
+
+  await check('Another client cannot see, resume or abandon an upload session', async () => {
+    const session = await request({ method: 'POST', url: '/uploads', data: { encoding: 'hex', fieldname: 'file1' }, headers: { 'Upload-Length': '2' } });
+    expect(session.status === 201, `session creation answered ${session.status}: ${JSON.stringify(session.data)}`);
+    const other = asKey(OTHER_KEY);
+    const head = await request({ method: 'HEAD', url: session.data.url, headers: other });
+    const patch = await request({
+      method: 'PATCH',
+      url: session.data.url,
+      data: Buffer.from('6869'),
+      headers: Object.assign({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }, other)
+    });
+    const abandon = await request({ method: 'DELETE', url: session.data.url, headers: other });
+    expect(head.status === 404 && patch.status === 404 && abandon.status === 404,
+      `the other key got HEAD ${head.status}, PATCH ${patch.status}, DELETE ${abandon.status}`);
+    const own = await request({ method: 'HEAD', url: session.data.url });
+    expect(own.status === 200, `the session is gone for its owner too (HEAD ${own.status})`);
+    const deleted = await request({ method: 'DELETE', url: session.data.url });
+    expect(deleted.status === 204, `its owner's DELETE answered ${deleted.status}`);
+  });
+
+  await check(`No file takes a key past its daily quota (${QUOTA_BYTES} bytes)`, async () => {
+    const headers = asKey(QUOTA_KEY);
+    const upload = (size) => request({ method: 'PUT', url: '/upload-hex', data: Buffer.from('ab'.repeat(size)), headers: Object.assign({ 'Content-Type': 'application/octet-stream' }, headers) });
+    const used = async () => (await request({ url: '/quota', headers: headers })).data.bytes.used;
+    // Uploads at the same time each hold what they have decoded, so at most
+    // one of these fits
+    const concurrent = await Promise.all([1, 2, 3, 4].map(() => upload(600)));
+    const statuses = concurrent.map(response => response.status);
+    const fitted = statuses.filter(status => status === 200).length;
+    expect(fitted <= 1 && statuses.every(status => status === 200 || status === 429), `4 concurrent uploads of 600 bytes answered ${statuses.join(', ')}`);
+    expect(await used() === fitted * 600, `${await used()} bytes used after ${fitted} concurrent uploads fitted`);
+    if (fitted === 0) {
+      const first = await upload(600);
+      expect(first.status === 200 && first.data.files[0].success, `a first 600 bytes answered ${first.status}: ${JSON.stringify(first.data)}`);
+    }
+    const crossing = await upload(600);
+    expect(crossing.status === 429 && crossing.headers['retry-after'], `600 more bytes answered ${crossing.status}: ${JSON.stringify(crossing.data)}`);
+    expect(await used() === 600, `the crossing upload was counted: ${await used()} bytes used`);
+    const session = await request({ method: 'POST', url: '/uploads', data: { encoding: 'hex', fieldname: 'file1' }, headers: Object.assign({ 'Upload-Length': '600' }, headers) });
+    expect(session.status === 201, `session creation answered ${session.status}: ${JSON.stringify(session.data)}`);
+    const chunk = await request({
+      method: 'PATCH',
+      url: session.data.url,
+      data: Buffer.from('ab'.repeat(600)),
+      headers: Object.assign({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }, headers)
+    });
+    expect(chunk.status === 429, `a resumable chunk past the quota answered ${chunk.status}`);
+    await request({ method: 'DELETE', url: session.data.url, headers: headers });
+    const fits = await upload(QUOTA_BYTES - 600);
+    expect(fits.status === 200 && await used() === QUOTA_BYTES, `the rest of the quota answered ${fits.status}, ${await used()} bytes used`);
+  });
+
+  await check(`A resumable upload is held to the file size limit after transcoding (${SIZED_MAX_FILE} bytes)`, async () => {
+    const headers = asKey(SIZED_KEY);
+    // 80 Latin-1 characters take 160 bytes as UTF-8
+    const latin1 = Buffer.alloc(80, 0xE9);
+    const session = await request({ method: 'POST', url: '/uploads', data: { encoding: 'hex', fieldname: 'file1' }, headers: Object.assign({ 'Upload-Length': String(latin1.length) }, headers) });
+    expect(session.status === 201, `session creation answered ${session.status}: ${JSON.stringify(session.data)}`);
+    const chunk = await request({
+      method: 'PATCH',
+      url: session.data.url,
+      data: Buffer.from(latin1.toString('hex')),
+      headers: Object.assign({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }, headers)
+    });
+    expect(chunk.status === 204, `the chunk answered ${chunk.status}: ${JSON.stringify(chunk.data)}`);
+    const transcoded = await request({ method: 'POST', url: `${session.data.url}/finalize?charset=latin1`, headers: headers });
+    expect(transcoded.status === 413, `finalizing as UTF-8 answered ${transcoded.status}: ${JSON.stringify(transcoded.data)}`);
+    const finalized = await request({ method: 'POST', url: `${session.data.url}/finalize`, headers: headers });
+    expect(finalized.status === 200 && finalized.data.files[0].size === latin1.length, `finalizing unchanged answered ${finalized.status}: ${JSON.stringify(finalized.data)}`);
+  });
+
+  await check('A key\'s encodings are matched through aliases and hold for each part', async () => {
+    const headers = asKey(HEX_KEY);
+    const post = (url, fields) => request({ method: 'POST', url: url, data: fields, headers: headers });
+    const allowed = await Promise.all(['/upload-hex', '/upload-utf8', '/upload-utf-8'].map(url => post(url, { file1: '6869' })));
+    expect(allowed.every(response => response.status === 200), `allowed encodings answered ${allowed.map(response => response.status).join(', ')}`);
+    const refused = await post('/upload-base64', { file1: 'aGk=' });
+    expect(refused.status === 403, `base64 answered ${refused.status}`);
+    const boundary = 'hex-key-boundary';
+    const body = multipartBody(boundary, [
+      { name: 'file1', body: '6869' },
+      { name: 'file2', headers: { 'Content-Transfer-Encoding': 'base64' }, body: 'aGk=' }
+    ]);
+    const parts = await request({ method: 'POST', url: '/upload-hex', data: body, headers: Object.assign({ 'Content-Type': `multipart/form-data; boundary="${boundary}"` }, headers) });
+    expect(parts.status === 403, `a base64 part sent to /upload-hex answered ${parts.status}: ${JSON.stringify(parts.data)}`);
+    const filePart = multipartBody(boundary, [
+      { name: 'file1', filename: 'hi.txt', body: 'hi' },
+      { name: 'file2', filename: 'hi.bin', headers: { 'Content-Transfer-Encoding': 'base64' }, body: 'aGk=' }
+    ]);
+    const standard = await request({ method: 'POST', url: '/upload', data: filePart, headers: Object.assign({ 'Content-Type': `multipart/form-data; boundary="${boundary}"` }, headers) });
+    expect(standard.status === 403, `a base64 file part sent to /upload answered ${standard.status}: ${JSON.stringify(standard.data)}`);
+    const files = await request({ url: '/files', headers: headers });
+    expect(files.data.files.length === 3, `${files.data.files.length} files stored, expected 3`);
+  });
+}
+
+// Waits up to `timeout` ms for `condition()` to hold
+async function waitFor(condition, timeout = 3000) {
+  for (let waited = 0; waited < timeout && !condition(); waited += 20) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return condition();
+}
+
+// Opens GET /events with `query` and collects the events it sends as
+// { id, type, data }. Resolves once the stream is open.
+function openEventStream(query) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get(`${baseUrl}/events?${new URLSearchParams(query)}`, { headers: { 'X-API-Key': HARNESS_KEY } }, res => {
+      if (res.statusCode !== 200 || !/^text\/event-stream/.test(res.headers['content-type'])) {
+        res.resume();
+        return reject(new Error(`GET /events answered ${res.statusCode} ${res.headers['content-type']}`));
+      }
+      let buffered = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffered += chunk;
+        const messages = buffered.split('\n\n');
+        buffered = messages.pop();
+        messages.forEach(message => {
+          const fields = {};
+          message.split('\n').filter(line => !line.startsWith(':')).forEach(line => {
+            const colon = line.indexOf(': ');
+            fields[line.slice(0, colon)] = line.slice(colon + 2);
+          });
+          if (fields.event) {
+            events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+      });
+      res.on('error', () => {});
+      resolve({ events: events, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+// A webhook receiver recording every delivery with its arrival time. /flaky
+// fails the first attempt of each delivery; /down fails them all.
+async function startWebhookReceiver() {
+  const deliveries = [];
+  const receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      deliveries.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8'), at: Date.now() });
+      const attempt = Number(req.headers['x-webhook-attempt']);
+      res.writeHead(req.url === '/flaky' && attempt > 1 ? 204 : 503).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${receiver.address().port}`,
+    deliveries: deliveries,
+    close: () => {
+      receiver.close();
+      receiver.closeAllConnections();
+    }
+  };
+}
+
+const WEBHOOK_SECRET = 'harness-webhook-secret';
+
+async function testEvents() {
+  console.log('\n=== Upload events and webhooks ===');
+
+  const receiver = await startWebhookReceiver();
+  const subscriptions = [];
+  const requestId = `harness-events-${FUZZ_SEED}`;
+  let stream = null;
+  try {
+    await check('Webhook subscriptions are validated and listed without their secrets', async () => {
+      const invalid = await request({ method: 'POST', url: '/admin/webhooks', data: [{ url: `${receiver.url}/flaky`, secret: WEBHOOK_SECRET }, { url: 'ftp://example.com/', secret: 'x' }] });
+      expect(invalid.status === 400, `an ftp: url answered ${invalid.status}`);
+      const added = await request({ method: 'POST', url: '/admin/webhooks', data: [
+        { url: `${receiver.url}/flaky`, secret: WEBHOOK_SECRET, retryDelay: 20 },
+        { url: `${receiver.url}/down`, secret: WEBHOOK_SECRET, events: ['file.failed'], attempts: 3, retryDelay: 40 }
+      ] });
+      expect(added.status === 201, `adding subscriptions answered ${added.status}: ${JSON.stringify(added.data)}`);
+      subscriptions.push(...added.data.subscriptions.map(subscription => subscription.id));
+      const listed = await request({ url: '/admin/webhooks' });
+      expect(listed.data.subscriptions.length === 2, `${listed.data.subscriptions.length} subscriptions listed, the invalid batch added some`);
+      expect(listed.data.subscriptions.every(subscription => subscription.secret === undefined), 'a secret was listed');
+    });
+
+    stream = await openEventStream({ requestId: requestId });
+    const payload = crypto.randomBytes(200 * 1024);
+    let upload = null;
+    await check('The event stream follows an upload from start to finish', async () => {
+      const boundary = 'harness-events';
+      const body = multipartBody(boundary, [
+        { name: 'file1', body: payload.toString('base64') },
+        { name: 'file2', body: 'not base64!' }
+      ]);
+      upload = await request({
+        method: 'POST',
+        url: '/upload-base64',
+        data: body,
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'X-Request-Id': requestId }
+      });
+      expect(upload.status === 200, `upload answered ${upload.status}`);
+      await waitFor(() => stream.events.some(event => event.type === 'request.finished'));
+      const types = stream.events.map(event => event.type);
+      expect(types[0] === 'request.started' && types[types.length - 1] === 'request.finished', `events out of order: ${types.join(', ')}`);
+      expect(stream.events.every((event, i) => i === 0 || event.id > stream.events[i - 1].id), 'event ids do not increase');
+      expect(stream.events.every(event => event.data.requestId === requestId && event.data.client === 'harness'), 'an event of another request or client was sent');
+
+      const progress = stream.events.filter(event => event.type === 'request.progress');
+      const last = progress[progress.length - 1];
+      // Reported every 64KB or so, depending on how the body arrives in chunks
+      expect(progress.length >= 2, `${progress.length} progress events for a ${body.length} byte body`);
+      expect(progress.every((event, i) => i === 0 || event.data.bytesReceived > progress[i - 1].data.bytesReceived), 'progress went backwards');
+      expect(last.data.bytesReceived === body.length && last.data.bytesExpected === body.length, `last progress ${last.data.bytesReceived} of ${last.data.bytesExpected}, sent ${body.length}`);
+
+      // Spooled parts are reported as their temporary files are written, so a
+      // small part can overtake a large one
+      const parsed = stream.events.filter(event => event.type === 'part.parsed').map(event => event.data).sort((a, b) => a.index - b.index);
+      expect(parsed.map(part => `${part.index}:${part.name}`).join() === '0:file1,1:file2', `parts parsed: ${parsed.map(part => `${part.index}:${part.name}`).join()}`);
+      expect(parsed[0].size === payload.toString('base64').length, `part 0 parsed with ${parsed[0].size} bytes`);
+      const decoded = stream.events.filter(event => event.type === 'file.decoded');
+      expect(decoded.length === 2 && decoded[0].data.success && !decoded[1].data.success, 'expected file1 decoded and file2 failed');
+      const stored = stream.events.find(event => event.type === 'file.stored');
+      expect(stored && stored.data.id === upload.data.files[0].id && stored.data.size === payload.length, 'file.stored does not match the stored file');
+      const failed = stream.events.find(event => event.type === 'file.failed');
+      expect(failed && failed.data.fieldname === 'file2' && failed.data.failure === 'decode', 'file.failed does not match the failed field');
+      const finished = stream.events[stream.events.length - 1];
+      expect(finished.data.status === 200 && !finished.data.aborted, `request.finished with status ${finished.data.status}`);
+    });
+
+    await check('Deleting a file is streamed as file.deleted', async () => {
+      const id = upload.data.files[0].id;
+      const deleted = await request({ method: 'DELETE', url: `/admin/files/${encodeURIComponent(id)}`, headers: { 'X-Request-Id': requestId } });
+      expect(deleted.status === 200, `delete answered ${deleted.status}`);
+      await waitFor(() => stream.events.some(event => event.type === 'file.deleted'));
+      const event = stream.events.find(candidate => candidate.type === 'file.deleted');
+      expect(event && event.data.id === id && event.data.reason === 'deleted', `file.deleted: ${JSON.stringify(event && event.data)}`);
+    });
+
+    await check('A reconnecting stream catches up from Last-Event-ID', async () => {
+      const first = stream.events[0];
+      const replay = await openEventStream({ requestId: requestId, lastEventId: String(first.id), types: 'file.*' });
+      await waitFor(() => replay.events.length >= 4);
+      replay.close();
+      expect(replay.events.length > 0 && replay.events.every(event => event.type.startsWith('file.') && event.id > first.id), `replayed ${replay.events.map(event => event.type).join(', ')}`);
+      const expected = stream.events.filter(event => event.type.startsWith('file.')).map(event => event.id).join();
+      expect(replay.events.map(event => event.id).join() === expected, `replayed events ${replay.events.map(event => event.id).join()}, expected ${expected}`);
+      const malformed = await request({ url: '/events', headers: { 'Last-Event-ID': 'latest' } });
+      expect(malformed.status === 400, `a malformed Last-Event-ID answered ${malformed.status}`);
+    });
+
+    await check('Webhook deliveries are signed and retried until they succeed', async () => {
+      const ofRequest = (delivery) => JSON.parse(delivery.body).data.requestId === requestId;
+      const flaky = (type) => receiver.deliveries.filter(delivery => delivery.path === '/flaky' && delivery.headers['x-webhook-event'] === type && ofRequest(delivery));
+      const types = ['file.stored', 'file.failed', 'file.deleted'];
+      await waitFor(() => types.every(type => flaky(type).length === 2));
+      types.forEach(type => {
+        const attempts = flaky(type);
+        expect(attempts.map(delivery => delivery.headers['x-webhook-attempt']).join() === '1,2', `${type} attempts: ${attempts.map(delivery => delivery.headers['x-webhook-attempt']).join() || 'none'}`);
+        expect(attempts[0].headers['x-webhook-id'] === attempts[1].headers['x-webhook-id'], `${type} retried under another id`);
+        attempts.forEach(delivery => {
+          const signature = 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${delivery.headers['x-webhook-timestamp']}.${delivery.body}`).digest('hex');
+          expect(delivery.headers['x-webhook-signature'] === signature, `${type} attempt ${delivery.headers['x-webhook-attempt']} has a bad signature`);
+          expect(JSON.parse(delivery.body).type === type, `${type} delivered a ${JSON.parse(delivery.body).type} body`);
+        });
+      });
+    });
+
+    await check('Undeliverable webhooks back off, then are dead-lettered', async () => {
+      const down = () => receiver.deliveries.filter(delivery => delivery.path === '/down' && JSON.parse(delivery.body).data.requestId === requestId);
+      let dead = [];
+      await waitFor(() => down().length === 3);
+      for (let wait = 0; wait < 50 && dead.length === 0; wait++) {
+        const letters = await request({ url: '/admin/webhooks/dead-letters' });
+        expect(letters.status === 200 && letters.data.file === undefined, `dead letters answered ${letters.status} with ${Object.keys(letters.data)}`);
+        dead = letters.data.deadLetters.filter(letter => letter.delivery.data.requestId === requestId);
+        if (dead.length === 0) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      }
+      const attempts = down();
+      expect(attempts.length === 3, `/down got ${attempts.length} attempts, expected 3`);
+      expect(attempts.every(delivery => delivery.headers['x-webhook-event'] === 'file.failed'), '/down got events it did not subscribe to');
+      // retryDelay 40ms, doubling: at least 40ms, then 80ms between attempts
+      const gaps = [attempts[1].at - attempts[0].at, attempts[2].at - attempts[1].at];
+      expect(gaps[0] >= 35 && gaps[1] >= 75, `retried after ${gaps.join(' and ')}ms`);
+      expect(dead.length === 1 && dead[0].attempts === 3 && dead[0].error === 'HTTP 503' && dead[0].delivery.type === 'file.failed',
+        `dead letters: ${JSON.stringify(dead)}`);
+      const logged = fs.readFileSync(path.join(UPLOAD_DIR, '.webhooks', 'dead-letters.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      expect(logged.some(letter => letter.delivery.id === dead[0].delivery.id), 'the dead letter is not in the dead-letter log');
+    });
+  } finally {
+    if (stream) {
+      stream.close();
+    }
+    for (const id of subscriptions) {
+      await request({ method: 'DELETE', url: `/admin/webhooks/${id}` });
+    }
+    receiver.close();
+  }
+}
+
+// Response faults set up as admin rules, applied to a file download as it
+// streams
+async function testFaults(random) {
+  console.log('\n=== Response faults ===');
+
+  // Under the 256KB body limit once base64-encoded
+  const bytes = sampleBytes(random, 'base64', 150 * 1024);
+  let file = null;
+  await check('A file to download is stored', async () => {
+    file = await expectStored(await putRaw('/upload-base64', Buffer.from(bytes.toString('base64'))), bytes);
+  });
+  if (!file) {
+    return;
+  }
+  const faulted = async (fault, config = {}) => {
+    const rule = await request({ method: 'POST', url: '/admin/faults', data: Object.assign({ route: file.url, times: 1 }, fault) });
+    expect(rule.status === 201, `adding the ${fault.type} rule answered ${rule.status}: ${JSON.stringify(rule.data)}`);
+    return client.request(Object.assign({ url: file.url, responseType: 'arraybuffer' }, config));
+  };
+
+  await check('Truncate faults cut a streamed download', async () => {
+    const cut = await faulted({ type: 'truncate', bytes: 1000 });
+    expect(Buffer.from(cut.data).equals(bytes.subarray(0, 1000)), `got ${cut.data.byteLength} bytes, expected the first 1000`);
+    const half = await faulted({ type: 'truncate' });
+    expect(Buffer.from(half.data).equals(bytes.subarray(0, bytes.length / 2)), `got ${half.data.byteLength} bytes, expected half of ${bytes.length}`);
+    const chunked = await faulted({ type: 'truncate' }, { params: { chunkSize: 4096 } });
+    expect(Buffer.from(chunked.data).equals(bytes.subarray(0, bytes.length / 2)), `chunked: got ${chunked.data.byteLength} bytes, expected half of ${bytes.length}`);
+  });
+
+  await check('A dripped download arrives whole', async () => {
+    const dripped = await faulted({ type: 'drip', bytes: 32 * 1024, interval: 5 });
+    expect(Buffer.from(dripped.data).equals(bytes), `got ${dripped.data.byteLength} bytes, expected ${bytes.length}`);
+  });
+
+  await check('A reset fault drops the connection partway through a download', async () => {
+    const reset = await faulted({ type: 'reset', phase: 'response', after: 64 * 1024 }).then(() => null, error => error);
+    expect(reset && !reset.response, `the download was not reset: ${reset ? reset.message : 'it completed'}`);
+    const after = await request({ url: file.url, responseType: 'arraybuffer' });
+    expect(Buffer.from(after.data).equals(bytes), 'the next download is faulted too');
+  });
+}
+
+// A fake S3 server: one bucket of objects kept in memory, path-style PUT
+// (x-amz-copy-source copies included), GET (with ranges, and ListObjectsV2
+// on the bucket), HEAD and DELETE. Requests must carry a valid Signature
+// Version 4 for the given credentials. `objects` maps keys to
+// { data, meta, modifiedAt }, meta being the x-amz-meta-* headers, and
+// `beforeCopy` may be set to a function run once before the next copy.
+const S3_CREDENTIALS = { accessKeyId: 'HARNESSACCESSKEY', secretAccessKey: 'harness-secret-access-key' };
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function s3SignatureValid(req, body, credentials) {
+  const auth = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(req.headers.authorization || '');
+  if (!auth || auth[1] !== credentials.accessKeyId) {
+    return false;
+  }
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const payloadHash = req.headers['x-amz-content-sha256'];
+  if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256(body)) {
+    return false;
+  }
+  const [date, region, names] = [auth[2], auth[3], auth[4].split(';')];
+  if (!names.includes('host') || !names.includes('x-amz-date')) {
+    return false;
+  }
+  const [requestPath, search = ''] = req.url.split('?');
+  const canonicalQuery = Array.from(new URLSearchParams(search), ([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`).sort().join('&');
+  const canonicalRequest = [
+    req.method,
+    requestPath,
+    canonicalQuery,
+    names.map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  return hmac(signingKey, stringToSign).toString('hex') === auth[5];
+}
+
+async function startFakeS3(bucket) {
+  const objects = new Map();
+  const requests = [];
+  const fake = { objects: objects, requests: requests, beforeCopy: null };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://s3');
+      const [bucketName, ...keyParts] = url.pathname.slice(1).split('/').map(decodeURIComponent);
+      const key = keyParts.join('/');
+      const fail = (status, code) => {
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code></Error>`);
+      };
+      requests.push({ method: req.method, key: key, copySource: req.headers['x-amz-copy-source'] || null });
+      if (!s3SignatureValid(req, body, S3_CREDENTIALS)) {
+        return fail(403, 'SignatureDoesNotMatch');
+      }
+      if (bucketName !== bucket) {
+        return fail(404, 'NoSuchBucket');
+      }
+
+      if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const keyPrefix = url.searchParams.get('prefix') || '';
+        const after = url.searchParams.get('continuation-token') || '';
+        const keys = Array.from(objects.keys()).filter(name => name.startsWith(keyPrefix) && name > after).sort();
+        const page = keys.slice(0, Number(url.searchParams.get('max-keys')) || 1000);
+        const truncated = page.length < keys.length;
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?>\n<ListBucketResult><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+          page.map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).data.length}</Size><LastModified>${objects.get(name).modifiedAt.toISOString()}</LastModified></Contents>`).join('') +
+          (truncated ? `<NextContinuationToken>${escapeXml(page[page.length - 1])}</NextContinuationToken>` : '') +
+          '</ListBucketResult>');
+      }
+      if (!key) {
+        return fail(400, 'InvalidRequest');
+      }
+
+      const object = objects.get(key);
+      if (req.method === 'PUT') {
+        const copySource = req.headers['x-amz-copy-source'];
+        if (copySource) {
+          if (fake.beforeCopy) {
+            fake.beforeCopy();
+            fake.beforeCopy = null;
+          }
+          const source = objects.get(decodeURIComponent(copySource).split('/').slice(2).join('/'));
+          if (!source) {
+            return fail(404, 'NoSuchKey');
+          }
+          objects.set(key, { data: source.data, meta: source.meta, modifiedAt: new Date() });
+          res.writeHead(200, { 'Content-Type': 'application/xml' });
+          return res.end('<?xml version="1.0" encoding="UTF-8"?>\n<CopyObjectResult></CopyObjectResult>');
+        }
+        const meta = {};
+        Object.keys(req.headers).filter(name => name.startsWith('x-amz-meta-')).forEach(name => {
+          meta[name] = req.headers[name];
+        });
+        objects.set(key, { data: body, meta: meta, modifiedAt: new Date() });
+        return res.writeHead(200).end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return res.writeHead(204).end();
+      }
+      if (!object) {
+        return fail(404, 'NoSuchKey');
+      }
+      const headers = Object.assign({ 'Last-Modified': object.modifiedAt.toUTCString() }, object.meta);
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      if (req.method === 'GET' && range) {
+        const end = range[2] ? Number(range[2]) : object.data.length - 1;
+        const data = object.data.subarray(Number(range[1]), end + 1);
+        res.writeHead(206, Object.assign({ 'Content-Length': data.length, 'Content-Range': `bytes ${range[1]}-${end}/${object.data.length}` }, headers));
+        return res.end(data);
+      }
+      res.writeHead(200, Object.assign({ 'Content-Length': object.data.length }, headers));
+      res.end(req.method === 'HEAD' ? undefined : object.data);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return Object.assign(fake, {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.close();
+      server.closeAllConnections();
+    }
+  });
+}
+
+// The S3 store against the fake server, through the storage interface the
+// server uses
+async function testS3Storage() {
+  console.log('\n=== S3 storage ===');
+
+  const bucket = 'harness-bucket';
+  const s3 = await startFakeS3(bucket);
+  const options = Object.assign({ endpoint: s3.endpoint, bucket: bucket, prefix: 'uploads/' }, S3_CREDENTIALS);
+  const store = createStorage('s3', options);
+  let tempFiles = 0;
+  const tempFile = (data) => {
+    const filepath = path.join(TEMP_ROOT, `s3-${tempFiles++}`);
+    fs.writeFileSync(filepath, data);
+    return filepath;
+  };
+  const read = async (key, range) => {
+    const chunks = [];
+    for await (const chunk of await store.createReadStream(key, range)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+  try {
+    await check('The S3 store signs its requests with Signature Version 4', async () => {
+      const forged = createStorage('s3', Object.assign({}, options, { secretAccessKey: 'not-the-secret' }));
+      const refused = await forged.put('forged.txt', tempFile('forged')).then(() => null, error => error);
+      expect(refused && refused.status === 502 && /SignatureDoesNotMatch/.test(refused.message), `a wrongly signed PUT gave ${refused ? refused.message : 'no error'}`);
+      expect(!s3.objects.has('uploads/forged.txt'), 'the wrongly signed PUT was stored');
+    });
+
+    await check('S3 files round-trip with ranges, metadata, listing and delete', async () => {
+      const data = Buffer.from('hello, s3 store with spaces & symbols');
+      const key = 'plain file+1.txt';
+      const put = await store.put(key, tempFile(data));
+      expect(put.key === `uploads/${key}` && !put.deduplicated, `put resolved with ${JSON.stringify(put)}`);
+      expect((await read(key)).equals(data), 'the stored bytes differ');
+      expect((await read(key, { start: 7, end: 8 })).toString() === 's3', 'the range read differs');
+      await store.putMetadata(key, { id: key, size: data.length });
+      const record = await store.getMetadata(key);
+      expect(record && record.size === data.length, `the metadata record came back as ${JSON.stringify(record)}`);
+      const stats = await store.stat(key);
+      expect(stats && stats.size === data.length, `stat gave ${JSON.stringify(stats)}`);
+      const listed = await store.list();
+      expect(listed.length === 1 && listed[0].key === key, `list gave ${JSON.stringify(listed.map(entry => entry.key))}`);
+      expect(await store.delete(key) && !await store.delete(key), 'deleting answered wrongly');
+      expect(s3.objects.size === 0, `left behind: ${Array.from(s3.objects.keys()).join(', ')}`);
+    });
+
+    await check('Content-addressed S3 payloads are copied and go with the last file referring to them', async () => {
+      const data = crypto.randomBytes(2048);
+      const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+      const blobKey = `uploads/.objects/${contentHash}`;
+      const first = await store.put('first.bin', tempFile(data), contentHash);
+      const second = await store.put('second.bin', tempFile(data), contentHash);
+      expect(!first.deduplicated && second.deduplicated, `deduplicated: ${first.deduplicated}, ${second.deduplicated}`);
+      const payloadPuts = s3.requests.filter(item => item.method === 'PUT' && item.key === blobKey && !item.copySource).length;
+      const copies = s3.requests.filter(item => item.copySource && item.copySource.endsWith(`/${blobKey}`)).length;
+      expect(payloadPuts === 1 && copies === 2, `${payloadPuts} payload upload(s) and ${copies} copies`);
+      expect((await read('second.bin')).equals(data), 'the copied bytes differ');
+      const listed = (await store.list()).map(entry => entry.key).sort();
+      expect(listed.join() === 'first.bin,second.bin', `list gave ${listed.join(', ')}`);
+
+      // A payload deleted between the check for it and the copy (as by a
+      // concurrent delete of its last file) is uploaded again
+      s3.beforeCopy = () => s3.objects.delete(blobKey);
+      const third = await store.put('third.bin', tempFile(data), contentHash);
+      expect(!third.deduplicated && (await read('third.bin')).equals(data), `a put racing a delete resolved with ${JSON.stringify(third)}`);
+
+      await store.delete('first.bin');
+      await store.delete('second.bin');
+      expect(s3.objects.has(blobKey), 'the payload went before its last file');
+      await store.delete('third.bin');
+      expect(s3.objects.size === 0, `left behind: ${Array.from(s3.objects.keys()).join(', ')}`);
+    });
+  } finally {
+    s3.close();
+  }
+}
+
+async function testNoLeftovers() {
+  console.log('\n=== Cleanup ===');
+
+  // Temporary files of refused requests are removed once the response has
+  // gone out, so give the last ones a moment
+  await check('No temporary files left behind', async () => {
+    const tempDir = path.join(UPLOAD_DIR, '.tmp');
+    for (let wait = 0; wait < 40 && fs.readdirSync(tempDir).length > 0; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const left = fs.readdirSync(tempDir);
+    expect(left.length === 0, `${left.length} file(s) left in .tmp: ${left.slice(0, 5).join(', ')}`);
+  });
+}
+
+async function runHarness() {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  client = axios.create({
+    baseURL: baseUrl,
+    headers: { 'X-API-Key': HARNESS_KEY },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+  console.log(`🚀 Server listening on port ${server.address().port}, uploads in ${UPLOAD_DIR}`);
+
+  const random = createRandom(FUZZ_SEED);
+  try {
+    await testRoundTrips(random);
+    await testMalformedInput(random);
+    await testHugeFields(random);
+    await testBoundaries(random);
+    await testApiKeys();
+    await testEvents();
+    await testFaults(random);
+    await testS3Storage();
+    await testNoLeftovers();
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(TEMP_ROOT, { recursive: true, force: true });
+  }
+
+  console.log(`\n${results.passed} passed, ${results.failed} failed (FUZZ_SEED=${FUZZ_SEED})`);
+  process.exitCode = results.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  runHarness().catch(e => {
+    console.error(`❌ ${e.message}`);
+    fs.rmSync(TEMP_ROOT, { recursive: true, force: true });
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createRandom,
+  runHarness
+};